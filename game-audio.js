@@ -39,6 +39,92 @@
             audioSystem.playTrack('kia', 2);
           }
         }
+      },
+
+      // Short synthesized effects so weapon feedback works without extra audio files
+      playSound: function(type) {
+        if (!audioSystem || !audioSystem.initialized || !audioSystem.context) return;
+
+        const ctx = audioSystem.context;
+        const now = ctx.currentTime;
+        const oscillator = ctx.createOscillator();
+        const gainNode = ctx.createGain();
+        oscillator.connect(gainNode);
+        gainNode.connect(audioSystem.gainNodes.master || ctx.destination);
+
+        switch (type) {
+          case 'garandPing':
+            // Bright metallic ring of the en-bloc clip ejecting
+            oscillator.type = 'sine';
+            oscillator.frequency.setValueAtTime(2600, now);
+            oscillator.frequency.exponentialRampToValueAtTime(2400, now + 0.4);
+            gainNode.gain.setValueAtTime(0.4, now);
+            gainNode.gain.exponentialRampToValueAtTime(0.001, now + 0.4);
+            oscillator.start(now);
+            oscillator.stop(now + 0.4);
+            break;
+          case 'rifleShot':
+            // Sharp, low crack for the rifle
+            oscillator.type = 'sawtooth';
+            oscillator.frequency.setValueAtTime(220, now);
+            oscillator.frequency.exponentialRampToValueAtTime(60, now + 0.15);
+            gainNode.gain.setValueAtTime(0.3, now);
+            gainNode.gain.exponentialRampToValueAtTime(0.001, now + 0.15);
+            oscillator.start(now);
+            oscillator.stop(now + 0.15);
+            break;
+          case 'smgShot':
+            // Short, snappy burst note for the submachine gun
+            oscillator.type = 'square';
+            oscillator.frequency.setValueAtTime(180, now);
+            gainNode.gain.setValueAtTime(0.2, now);
+            gainNode.gain.exponentialRampToValueAtTime(0.001, now + 0.08);
+            oscillator.start(now);
+            oscillator.stop(now + 0.08);
+            break;
+          case 'explosion':
+            // Deep, rumbling boom that drops in pitch
+            oscillator.type = 'sawtooth';
+            oscillator.frequency.setValueAtTime(90, now);
+            oscillator.frequency.exponentialRampToValueAtTime(25, now + 0.9);
+            gainNode.gain.setValueAtTime(0.6, now);
+            gainNode.gain.exponentialRampToValueAtTime(0.001, now + 0.9);
+            oscillator.start(now);
+            oscillator.stop(now + 0.9);
+            break;
+          case 'reload':
+            // Dull mechanical click
+            oscillator.type = 'square';
+            oscillator.frequency.setValueAtTime(320, now);
+            gainNode.gain.setValueAtTime(0.2, now);
+            gainNode.gain.exponentialRampToValueAtTime(0.001, now + 0.08);
+            oscillator.start(now);
+            oscillator.stop(now + 0.08);
+            break;
+          case 'healing':
+            // Soft rising tone as health comes back
+            oscillator.type = 'sine';
+            oscillator.frequency.setValueAtTime(440, now);
+            oscillator.frequency.exponentialRampToValueAtTime(660, now + 0.5);
+            gainNode.gain.setValueAtTime(0.2, now);
+            gainNode.gain.exponentialRampToValueAtTime(0.001, now + 0.5);
+            oscillator.start(now);
+            oscillator.stop(now + 0.5);
+            break;
+          case 'purchase':
+            // Bright two-note chime for an armory purchase
+            oscillator.type = 'sine';
+            oscillator.frequency.setValueAtTime(880, now);
+            oscillator.frequency.setValueAtTime(1320, now + 0.08);
+            gainNode.gain.setValueAtTime(0.25, now);
+            gainNode.gain.exponentialRampToValueAtTime(0.001, now + 0.25);
+            oscillator.start(now);
+            oscillator.stop(now + 0.25);
+            break;
+          default:
+            oscillator.disconnect();
+            gainNode.disconnect();
+        }
       }
     };
     
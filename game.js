@@ -1,50 +1,76 @@
 // Import Three.js
 import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
-
 // Import our modules
-import { createIsland } from './modules/island.js';
-import { createPlayer, updatePlayerPosition, triggerShootAnimation, updatePlayerWeapon } from './modules/player.js';
-import { createEnemy, spawnWave, updateEnemies, triggerEnemyHitAnimation, dismemberEnemyPart, triggerEnemyDeathAnimation, updateBoats, createEnemyDrops } from './modules/enemies.js';
-import { createProjectile, createAmmoPickup, updateProjectiles, updateAmmoPickups, createMuzzleFlash, createEnemyProjectile } from './modules/projectiles.js';
+import { createIsland, clearIsland, createSandbagEmplacement } from './modules/island.js';
+import { createPlayer, updatePlayerPosition, updatePlayerWeapon, cancelReloadAnimation, triggerBandageAnimation, cancelBandageAnimation, setPlayerStance, setCameraMode, CAMERA_MODES } from './modules/player.js';
+import { createEnemy, updateEnemies, updateBoats } from './modules/enemies.js';
+import { AI_STATES, markLineOfSightDirty } from './modules/enemyAI.js';
+import { buildNavGrid, markNavGridDirty, isWalkable } from './modules/navigation.js';
+import { updateFires, clearFires } from './modules/fire.js';
+import { updateProjectiles, createMuzzleFlash, createEnemyProjectile, updateEnemyProjectiles } from './modules/projectiles.js';
 import { GameState } from './modules/gameState.js';
-import { WEAPONS, AMMO_TYPES, WEAPON_CONFIG, createWeaponPickup, createMP41AmmoPickup, updateWeaponPickups, updateMP41AmmoPickups } from './modules/weapons.js';
+import { WEAPON_CONFIG, getWeaponForSlot, getAmmoTypeName } from './modules/weapons.js';
+import { updateGrenades, updateGrenadePreview, hideGrenadePreview, MAX_THROW_DISTANCE } from './modules/grenades.js';
+import { getVehicleName, updateBossVehicles } from './modules/vehicles.js';
+import { loadWaveDefinitions, getDirectorSettings, WAVE_EVENT_TYPES } from './modules/waveDefinitions.js';
+import { configureDirector, resetDirector, getDirectorReport } from './modules/director.js';
+import { getArmoryStock, purchaseArmoryItem, ARMORY_CATEGORIES } from './modules/armory.js';
+import { MODIFIERS, PERK_DEFINITIONS } from './modules/perks.js';
+import { MEDICAL_ITEMS } from './modules/medical.js';
+import { STANCES, STANCE_CONFIG } from './modules/stances.js';
+import { createMatch, clearMatch, fireWeapon, getMuzzlePosition, reloadWeapon, getGrenadeThrow, throwGrenade, handleExplosion, handlePlayerBulletHit, updatePickups, prepareNextWave, spawnWaveEnemies, updateWaveCycle, endIntermission, choosePerk } from './modules/match.js';
+import { createViewmodel, updateViewmodel, renderViewmodel, resizeViewmodel, triggerViewmodelRecoil } from './modules/viewmodel.js';
+import { CONTROL_SCHEMES, MIN_SENSITIVITY, MAX_SENSITIVITY, getControlSettings, isMouselook, updateControlSettings, applyMouselook, getMouselookAim } from './modules/controls.js';
+import { createTimestep, advanceTimestep, saveInterpolationStates, applyInterpolation, restoreInterpolation } from './modules/timestep.js';
+import { RANDOM_STREAMS, getRandomStream, setRandomSeed, getRandomSeed } from './modules/random.js';
+
+// Random stream for effects and recoil shake
+const fxRandom = getRandomStream(RANDOM_STREAMS.FX);
 
 // Game constants
 const ISLAND_RADIUS = 50;
-const ENEMY_SPAWN_RADIUS = 40;
-const MAX_ENEMIES = 20;
-const BASE_ENEMY_HEALTH = 2;
-const BASE_ENEMY_SPEED = 0.15;
-const PLAYER_DAMAGE = 1;
 const MOVEMENT_SPEED = 0.15;
-const AMMO_DROP_CHANCE = 0.4; // 40% chance of ammo drop on enemy kill
-const AMMO_DROP_AMOUNT = 10;
 const AUTO_FIRE_RATE = 200; // Time between shots in milliseconds
 const HEADSHOT_SCORE_BONUS = 50; // Bonus score for headshots
-const DISMEMBERMENT_CHANCE = 0.7; // Chance of dismemberment on hit (70%)
+const AIM_RECOIL_MULTIPLIER = 0.6; // Recoil while aiming down the sights - the weapon is shouldered
+const INJURY_COLORS = ['rgba(102, 255, 102, 0.6)', '#ffcc00', '#ff3333']; // Body diagram colors by wound level
+const DEBUG_AI_ENEMY_LIMIT = 8; // Closest enemies listed in the debug overlay
+const WAVE_DEFINITIONS_URL = 'data/waves.json'; // Designer wave list
+const SANDBAG_PLACE_DISTANCE = 2.5; // How far in front of the player sandbags are placed
+const SANDBAG_MIN_SPACING = 2.5; // Closest two emplacements can be to each other
+
+// Lighting for wave modifiers
+const DAY_SKY_COLOR = 0x87ceeb; // Sky blue
+const NIGHT_SKY_COLOR = 0x0a1020;
+const FOG_COLOR = 0xaab4bb;
+const NIGHT_FOG_COLOR = 0x141a24;
+const FOG_NEAR = 8; // Fog starts thinning the view at this distance
+const FOG_FAR = 40; // Nothing is visible past this distance in fog
+const NIGHT_AMBIENT_INTENSITY = 0.15;
+const NIGHT_SUN_INTENSITY = 0.25; // Moonlight
 
-// FPS capping constants
-const TARGET_FPS = 60;
-const FRAME_INTERVAL = 1000 / TARGET_FPS;
-let lastFrameTime = 0;
+// Fixed-timestep simulation, drawn between steps
+const timestep = createTimestep();
+let simulationStepCount = 0; // Steps run, for work done every other step
 
 // Main game setup
 let scene, camera, renderer, controls;
+let ambientLight, sunLight;
 let gameState;
 let player, island;
-let enemies = [];
-let projectiles = [];
-let enemyProjectiles = [];
-let ammoPickups = [];
-let weaponPickups = [];
-let mp41AmmoPickups = [];
+let match = null; // The match being played - enemies, pickups and the wave cycle (see match.js)
+let sandbagEmplacements = []; // Sandbag emplacements bought in the armory
+let lastStaminaDisplay = null; // Stamina bar state last drawn, so it is only redrawn when it changes
+let lastAimDisplay = null; // Crosshair and scope state last drawn
+let viewmodel = null; // First-person weapon, drawn over the world
+let preferredCameraMode = CAMERA_MODES.THIRD_PERSON; // Camera mode picked with V, restored after a death
+let isAimingGrenade = false; // G held - showing the throw arc
 let keyState = {};
 let raycaster = new THREE.Raycaster();
 let groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
 let clock = new THREE.Clock();
 let prevTime = 0;
 let isMouseDown = false;
-let lastFireTime = 0;
 // Add recoil tracking variables
 let currentRecoil = 0;
 let maxRecoil = 0.1;
@@ -94,7 +120,7 @@ function init() {
   
   // Create scene
   scene = new THREE.Scene();
-  scene.background = new THREE.Color(0x87ceeb); // Sky blue
+  scene.background = new THREE.Color(DAY_SKY_COLOR);
   
   // Create camera
   camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
@@ -105,6 +131,9 @@ function init() {
     camera.aspect = window.innerWidth / window.innerHeight;
     camera.updateProjectionMatrix();
     renderer.setSize(window.innerWidth, window.innerHeight);
+    if (viewmodel) {
+      resizeViewmodel(viewmodel, camera.aspect);
+    }
   });
   
   // Initialize game state
@@ -116,7 +145,6 @@ function init() {
   gameState.showDebugInfo = false;
   
   // Make critical functions available globally
-  window.handleEnemyHit = handleEnemyHit;
   window.updateUI = updateUI;
   window.updateHealthDisplay = updateHealthDisplay;
   window.createEnemyProjectile = createEnemyProjectile;
@@ -128,20 +156,61 @@ function init() {
   // Create lighting
   setupLighting();
   
+  // First-person weapon viewmodel, lit to match the world
+  viewmodel = createViewmodel(ambientLight, sunLight);
+  
+  // Seed every random stream - from the title screen, or a fresh seed - before the island is built
+  setRandomSeed(window.matchSeed);
+  
   // Create the island environment
   island = createIsland(scene);
   
+  // Bake the enemy navigation grid from the island's obstacles
+  buildNavGrid(scene);
+  
   // Create player
   player = createPlayer(scene);
   
+  // Start the match - its rules live in match.js, and what the player sees and hears of them here
+  match = createMatch({
+    scene: scene,
+    gameState: gameState,
+    player: player,
+    hooks: {
+      onShotFired: handleShotFired,
+      onReloadStarted: handleReloadStarted,
+      onEnemyHit: showEnemyHit,
+      onEnemyKilled: () => updateUI(),
+      onVehicleHit: handleVehicleHit,
+      onVehicleDestroyed: handleVehicleDestroyed,
+      onExplosion: handleGrenadeExplosion,
+      onPlayerDamaged: handlePlayerDamaged,
+      onPlayerKilled: handlePlayerKilled,
+      onBleedingStarted: handleBleedingStarted,
+      onPlayerWounded: () => updateInjuryDisplay(),
+      onAmmoCollected: handleAmmoCollected,
+      onSupplyCrateCollected: handleSupplyCrateCollected,
+      onMedicalCollected: handleMedicalCollected,
+      onWeaponCollected: handleWeaponCollected,
+      onWaveEvent: handleWaveEvent,
+      onWaveCompleted: (rewards) => showWaveCompletedMessage(gameState.wave, rewards),
+      onIntermissionStarted: handleIntermissionStarted,
+      onIntermissionTick: () => updateIntermissionTimer(),
+      onIntermissionEnded: handleIntermissionEnded
+    }
+  });
+  
   // Setup game UI
   setupGameUI();
   
   // Setup input listeners
   setupInputListeners();
   
-  // Start the first wave
-  spawnNewWave();
+  // Load the designer wave list, then start the first wave (procedural waves are used if it can't be loaded)
+  loadWaveDefinitions(WAVE_DEFINITIONS_URL).then(() => {
+    configureDirector(getDirectorSettings());
+    spawnNewWave();
+  });
   
   // Create debug overlay (hidden by default)
   createDebugOverlay();
@@ -149,22 +218,45 @@ function init() {
 
 function setupLighting() {
   // Ambient light
-  const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
+  ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
   scene.add(ambientLight);
   
   // Directional light (sun)
-  const dirLight = new THREE.DirectionalLight(0xffffff, 0.8);
-  dirLight.position.set(50, 50, 0);
-  dirLight.castShadow = true;
-  dirLight.shadow.mapSize.width = 2048;
-  dirLight.shadow.mapSize.height = 2048;
-  dirLight.shadow.camera.near = 1;
-  dirLight.shadow.camera.far = 150;
-  dirLight.shadow.camera.left = -75;
-  dirLight.shadow.camera.right = 75;
-  dirLight.shadow.camera.top = 75;
-  dirLight.shadow.camera.bottom = -75;
-  scene.add(dirLight);
+  sunLight = new THREE.DirectionalLight(0xffffff, 0.8);
+  sunLight.position.set(50, 50, 0);
+  sunLight.castShadow = true;
+  sunLight.shadow.mapSize.width = 2048;
+  sunLight.shadow.mapSize.height = 2048;
+  sunLight.shadow.camera.near = 1;
+  sunLight.shadow.camera.far = 150;
+  sunLight.shadow.camera.left = -75;
+  sunLight.shadow.camera.right = 75;
+  sunLight.shadow.camera.top = 75;
+  sunLight.shadow.camera.bottom = -75;
+  scene.add(sunLight);
+}
+
+/**
+ * Sets the sky, lighting and fog for a wave's modifiers
+ * @param {Object} modifiers - Wave modifiers ({ fog, night })
+ */
+function applyWaveModifiers(modifiers) {
+  const { fog = false, night = false } = modifiers || {};
+  
+  // Night dims the sun to moonlight and darkens the sky
+  ambientLight.intensity = night ? NIGHT_AMBIENT_INTENSITY : 0.5;
+  ambientLight.color.set(night ? 0x8899cc : 0xffffff);
+  sunLight.intensity = night ? NIGHT_SUN_INTENSITY : 0.8;
+  sunLight.color.set(night ? 0xaabbff : 0xffffff);
+  
+  // Fog hides boats until they are close, and the sky fades into it
+  const skyColor = fog ? (night ? NIGHT_FOG_COLOR : FOG_COLOR) : (night ? NIGHT_SKY_COLOR : DAY_SKY_COLOR);
+  scene.background = new THREE.Color(skyColor);
+  scene.fog = fog ? new THREE.Fog(skyColor, FOG_NEAR, FOG_FAR) : null;
+  
+  if (fog || night) {
+    console.log(`Wave modifiers: ${[fog && 'fog', night && 'night'].filter(Boolean).join(', ')}`);
+  }
 }
 
 function setupGameUI() {
@@ -187,12 +279,106 @@ function setupGameUI() {
     <div style="margin-bottom: 8px"><span style="font-weight: bold">Score:</span> <span id="score" style="color: #ffcc00">0</span></div>
     <div style="margin-bottom: 8px"><span style="font-weight: bold">Wave:</span> <span id="wave" style="color: #ff9900">1</span></div>
     <div style="margin-bottom: 8px"><span style="font-weight: bold">Enemies:</span> <span id="enemiesRemaining" style="color: #ff5555">0</span></div>
-    <div style="margin-bottom: 8px"><span style="font-weight: bold">Health:</span> <span id="health" style="color: #66ff66">100</span></div>
-    <div style="margin-bottom: 8px"><span style="font-weight: bold">Ammo:</span> <span id="ammo" style="color: #99ccff">50</span></div>
-    <div><span style="font-weight: bold">Weapon:</span> <span id="currentWeapon" style="color: #ffffff">M1 Garand</span> <span style="font-size: 14px; color: #aaaaaa">(Press 1-2 to switch)</span></div>
+    <div style="margin-bottom: 8px"><span style="font-weight: bold">Health:</span> <span id="health" style="color: #66ff66">100</span>
+      <span style="display: inline-block; width: 80px; height: 8px; margin-left: 10px; vertical-align: middle; background-color: rgba(0, 0, 0, 0.6); border: 1px solid #222; border-radius: 3px; overflow: hidden">
+        <span id="staminaFill" style="display: block; height: 100%; width: 100%; background-color: #e0c060"></span>
+      </span>
+    </div>
+    <div style="margin-bottom: 8px"><span style="font-weight: bold">Ammo:</span> <span id="ammo" style="color: #99ccff">8 / 42</span></div>
+    <div style="margin-bottom: 8px"><span style="font-weight: bold">Grenades:</span> <span id="grenades" style="color: #99cc66">3</span></div>
+    <div style="margin-bottom: 8px"><span style="font-weight: bold">Dressings:</span> <span id="fieldDressings" style="color: #f5f0e0">1</span> <span style="font-size: 14px; color: #aaaaaa">(H to apply)</span></div>
+    <div style="margin-bottom: 8px"><span style="font-weight: bold">War Bonds:</span> <span id="warBonds" style="color: #d4b45c">0</span></div>
+    <div><span style="font-weight: bold">Weapon:</span> <span id="currentWeapon" style="color: #ffffff">M1 Garand</span> <span style="font-size: 14px; color: #aaaaaa">(1-9 / wheel to switch)</span></div>
   `;
   document.body.appendChild(hud);
   
+  // Body diagram showing the player's wounds, drawn from behind as the camera sees the player
+  const injuryDiagram = document.createElement('div');
+  injuryDiagram.id = 'injuryDiagram';
+  injuryDiagram.style.position = 'absolute';
+  injuryDiagram.style.bottom = '20px';
+  injuryDiagram.style.left = '20px';
+  injuryDiagram.style.padding = '10px';
+  injuryDiagram.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+  injuryDiagram.style.borderRadius = '8px';
+  injuryDiagram.style.boxShadow = '0 0 10px rgba(0, 0, 0, 0.5)';
+  injuryDiagram.style.fontFamily = 'Arial, sans-serif';
+  injuryDiagram.style.pointerEvents = 'none';
+  injuryDiagram.innerHTML = `
+    <div style="position: relative; width: 50px; height: 100px; margin: 0 auto">
+      <div data-zone="head" style="position: absolute; left: 17px; top: 0; width: 16px; height: 16px; border-radius: 50%"></div>
+      <div data-zone="torso" style="position: absolute; left: 14px; top: 18px; width: 22px; height: 38px; border-radius: 3px"></div>
+      <div data-zone="rightArm" style="position: absolute; left: 2px; top: 18px; width: 10px; height: 34px; border-radius: 3px"></div>
+      <div data-zone="leftArm" style="position: absolute; left: 38px; top: 18px; width: 10px; height: 34px; border-radius: 3px"></div>
+      <div data-zone="rightLeg" style="position: absolute; left: 14px; top: 58px; width: 10px; height: 42px; border-radius: 3px"></div>
+      <div data-zone="leftLeg" style="position: absolute; left: 26px; top: 58px; width: 10px; height: 42px; border-radius: 3px"></div>
+    </div>
+    <div id="bleedingIndicator" style="display: none; margin-top: 6px; color: #ff3333; font-size: 12px; font-weight: bold; text-align: center">BLEEDING</div>
+  `;
+  document.body.appendChild(injuryDiagram);
+  updateInjuryDisplay();
+  
+  // Boss vehicle health bar, shown while armor is on the beach
+  const bossHealthBar = document.createElement('div');
+  bossHealthBar.id = 'bossHealthBar';
+  bossHealthBar.style.position = 'absolute';
+  bossHealthBar.style.top = '20px';
+  bossHealthBar.style.left = '50%';
+  bossHealthBar.style.transform = 'translateX(-50%)';
+  bossHealthBar.style.width = '400px';
+  bossHealthBar.style.color = 'white';
+  bossHealthBar.style.fontFamily = 'Arial, sans-serif';
+  bossHealthBar.style.textAlign = 'center';
+  bossHealthBar.style.textShadow = '2px 2px 3px rgba(0, 0, 0, 0.8)';
+  bossHealthBar.style.pointerEvents = 'none';
+  bossHealthBar.style.display = 'none';
+  bossHealthBar.innerHTML = `
+    <div style="margin-bottom: 4px; font-size: 18px; font-weight: bold"><span id="bossName">Panzer II</span> <span id="bossStatus" style="color: #ffcc00; font-size: 14px"></span></div>
+    <div style="height: 14px; background-color: rgba(0, 0, 0, 0.6); border: 2px solid #222; border-radius: 4px; overflow: hidden">
+      <div id="bossHealthFill" style="height: 100%; width: 100%; background-color: #cc2222; transition: width 0.2s"></div>
+    </div>
+  `;
+  document.body.appendChild(bossHealthBar);
+  
+  // Armory panel, shown between waves
+  const armoryPanel = document.createElement('div');
+  armoryPanel.id = 'armoryPanel';
+  armoryPanel.style.position = 'absolute';
+  armoryPanel.style.top = '50%';
+  armoryPanel.style.right = '20px';
+  armoryPanel.style.transform = 'translateY(-50%)';
+  armoryPanel.style.width = '380px';
+  armoryPanel.style.maxHeight = '80%';
+  armoryPanel.style.overflowY = 'auto';
+  armoryPanel.style.color = 'white';
+  armoryPanel.style.fontFamily = 'Arial, sans-serif';
+  armoryPanel.style.fontSize = '15px';
+  armoryPanel.style.backgroundColor = 'rgba(30, 32, 20, 0.92)';
+  armoryPanel.style.border = '2px solid #8b7d4b';
+  armoryPanel.style.borderRadius = '8px';
+  armoryPanel.style.padding = '15px';
+  armoryPanel.style.boxShadow = '0 0 15px rgba(0, 0, 0, 0.7)';
+  armoryPanel.style.zIndex = '200';
+  armoryPanel.style.pointerEvents = 'auto'; // Catches clicks so buying doesn't fire the rifle
+  armoryPanel.style.display = 'none';
+  armoryPanel.innerHTML = `
+    <div style="font-family: Impact, sans-serif; font-size: 30px; color: #d4b45c; text-align: center; letter-spacing: 2px">ARMORY</div>
+    <div id="armoryBonds" style="text-align: center; margin: 6px 0 12px 0; font-size: 17px"></div>
+    <div id="armoryItems"></div>
+    <div id="armoryTimer" style="text-align: center; margin-top: 12px; color: #cccccc"></div>
+    <button id="armoryReadyButton" style="display: block; width: 100%; margin-top: 8px; padding: 10px; font-size: 18px; font-weight: bold; cursor: pointer; background-color: #4a6b2a; color: white; border: none; border-radius: 5px">READY (Enter)</button>
+  `;
+  document.body.appendChild(armoryPanel);
+  
+  // Buy buttons are rebuilt on every purchase, so listen on the list instead
+  document.getElementById('armoryItems').addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-item]');
+    if (button && !button.disabled) {
+      buyArmoryItem(button.dataset.item);
+    }
+  });
+  document.getElementById('armoryReadyButton').addEventListener('click', finishShopping);
+  
   // Add crosshair cursor
   const crosshair = document.createElement('div');
   crosshair.id = 'crosshair';
@@ -214,6 +400,77 @@ function setupGameUI() {
   
   document.body.appendChild(crosshair);
   
+  // Scope view - black all round a circle of glass with a post-and-crosshair reticle, shown when scoped in
+  const scopeOverlay = document.createElement('div');
+  scopeOverlay.id = 'scopeOverlay';
+  scopeOverlay.style.position = 'absolute';
+  scopeOverlay.style.top = '0';
+  scopeOverlay.style.left = '0';
+  scopeOverlay.style.width = '100%';
+  scopeOverlay.style.height = '100%';
+  scopeOverlay.style.overflow = 'hidden';
+  scopeOverlay.style.pointerEvents = 'none';
+  scopeOverlay.style.zIndex = '90'; // Under the HUD and crosshair
+  scopeOverlay.style.display = 'none';
+  scopeOverlay.innerHTML = `
+    <div id="scopeReticle" style="position: absolute; width: 0; height: 0">
+      <div style="position: absolute; left: -30vmin; top: -1px; width: 60vmin; height: 2px; background-color: rgba(0, 0, 0, 0.85)"></div>
+      <div style="position: absolute; left: -3px; top: 0; width: 6px; height: 35vmin; background-color: rgba(0, 0, 0, 0.85); clip-path: polygon(50% 0, 100% 3%, 100% 100%, 0 100%, 0 3%)"></div>
+    </div>
+    <div id="scopeBreath" style="position: absolute; bottom: 12%; width: 100%; text-align: center; color: #cccccc; font-family: Arial, sans-serif; font-size: 16px; text-shadow: 1px 1px 2px rgba(0, 0, 0, 0.8)"></div>
+  `;
+  document.body.appendChild(scopeOverlay);
+  
+  // Control settings panel, opened with O
+  const controlsPanel = document.createElement('div');
+  controlsPanel.id = 'controlsPanel';
+  controlsPanel.style.position = 'absolute';
+  controlsPanel.style.top = '50%';
+  controlsPanel.style.left = '50%';
+  controlsPanel.style.transform = 'translate(-50%, -50%)';
+  controlsPanel.style.width = '320px';
+  controlsPanel.style.color = 'white';
+  controlsPanel.style.fontFamily = 'Arial, sans-serif';
+  controlsPanel.style.fontSize = '15px';
+  controlsPanel.style.backgroundColor = 'rgba(30, 32, 20, 0.92)';
+  controlsPanel.style.border = '2px solid #8b7d4b';
+  controlsPanel.style.borderRadius = '8px';
+  controlsPanel.style.padding = '15px';
+  controlsPanel.style.boxShadow = '0 0 15px rgba(0, 0, 0, 0.7)';
+  controlsPanel.style.zIndex = '300';
+  controlsPanel.style.pointerEvents = 'auto'; // Catches clicks so changing settings doesn't fire the rifle
+  controlsPanel.style.display = 'none';
+  controlsPanel.innerHTML = `
+    <div style="font-family: Impact, sans-serif; font-size: 26px; color: #d4b45c; text-align: center; letter-spacing: 2px; margin-bottom: 12px">CONTROLS</div>
+    <div style="display: flex; gap: 8px; margin-bottom: 6px">
+      <button data-scheme="${CONTROL_SCHEMES.CURSOR}" style="flex: 1; padding: 8px; font-size: 15px; cursor: pointer; color: white; border: none; border-radius: 5px">Cursor Aim</button>
+      <button data-scheme="${CONTROL_SCHEMES.MOUSELOOK}" style="flex: 1; padding: 8px; font-size: 15px; cursor: pointer; color: white; border: none; border-radius: 5px">Mouselook</button>
+    </div>
+    <div id="controlsSchemeHint" style="font-size: 13px; color: #aaaaaa; margin-bottom: 12px"></div>
+    <div style="margin-bottom: 4px">Sensitivity: <span id="controlsSensitivityValue" style="color: #ffcc00"></span></div>
+    <input id="controlsSensitivity" type="range" min="${MIN_SENSITIVITY}" max="${MAX_SENSITIVITY}" step="0.1" style="width: 100%; margin-bottom: 10px">
+    <label style="display: block; margin-bottom: 12px; cursor: pointer"><input id="controlsInvertY" type="checkbox"> Invert Y</label>
+    <div style="font-size: 13px; color: #aaaaaa; text-align: center">Press O to close</div>
+  `;
+  document.body.appendChild(controlsPanel);
+  
+  controlsPanel.querySelectorAll('button[data-scheme]').forEach(button => {
+    button.addEventListener('click', () => changeControlSettings({ scheme: button.dataset.scheme }));
+  });
+  document.getElementById('controlsSensitivity').addEventListener('input', (event) => {
+    changeControlSettings({ sensitivity: event.target.value });
+  });
+  document.getElementById('controlsInvertY').addEventListener('change', (event) => {
+    changeControlSettings({ invertY: event.target.checked });
+  });
+  renderControlsPanel();
+  
+  // Mouselook saved from last time starts with its aim and crosshair in place
+  if (isMouselook()) {
+    gameState.mousePosition = getMouselookAim();
+  }
+  updateCrosshairPosition();
+  
   // Game over screen
   const gameOverScreen = document.createElement('div');
   gameOverScreen.id = 'gameOverScreen';
@@ -261,30 +518,115 @@ function setupInputListeners() {
       toggleDebugOverlay(showDebugInfo);
     }
     
-    // Handle weapon switching
-    if (event.code === 'Digit1') {
-      if (gameState.switchWeapon(WEAPONS.M1_GARAND)) {
-        updatePlayerWeapon(player, WEAPONS.M1_GARAND);
-        showNotification('Switched to M1 Garand');
+    // Switch between third-person and first-person camera
+    if (event.code === 'KeyV' && !event.repeat) {
+      toggleCameraMode();
+    }
+    
+    // Open or close the control settings
+    if (event.code === 'KeyO' && !event.repeat) {
+      toggleControlsPanel();
+    }
+    
+    // Ready up - skip the rest of the intermission
+    if (event.code === 'Enter' && match.isIntermission) {
+      finishShopping();
+    }
+    
+    // Handle manual reload
+    if (event.code === 'KeyR') {
+      reloadWeapon(match);
+    }
+    
+    // Apply a field dressing
+    if (event.code === 'KeyH' && !event.repeat) {
+      useFieldDressing();
+    }
+    
+    // Crouch or go prone - pressing the same key again stands back up
+    if ((event.code === 'KeyC' || event.code === 'KeyZ') && !event.repeat) {
+      toggleStance(event.code === 'KeyC' ? STANCES.CROUCHING : STANCES.PRONE);
+    }
+    
+    // Start aiming a grenade - it is thrown when G is released
+    if (event.code === 'KeyG' && !event.repeat && !gameState.isBandaging) {
+      if (gameState.grenades > 0) {
+        isAimingGrenade = true;
+      } else {
+        showNotification('No grenades left');
       }
-    } else if (event.code === 'Digit2') {
-      if (gameState.hasMP41 && gameState.switchWeapon(WEAPONS.MP41)) {
-        updatePlayerWeapon(player, WEAPONS.MP41);
-        showNotification('Switched to MP41');
-      } else if (!gameState.hasMP41) {
-        showNotification('You don\'t have an MP41 yet');
+    }
+    
+    // Number keys pick a perk while a choice is on screen, instead of switching weapons
+    const choiceMatch = match.isIntermission && match.perkChoices.length > 0 && event.code.match(/^Digit([1-9])$/);
+    if (choiceMatch) {
+      const perkId = match.perkChoices[parseInt(choiceMatch[1], 10) - 1];
+      if (perkId) {
+        pickPerk(perkId);
+      }
+      return;
+    }
+    
+    // Handle weapon switching - number keys select the weapon registered to that slot
+    const slotMatch = event.code.match(/^Digit([1-9])$/);
+    if (slotMatch) {
+      const config = getWeaponForSlot(parseInt(slotMatch[1], 10));
+      if (config) {
+        if (gameState.ownsWeapon(config.id)) {
+          equipWeapon(config.id);
+        } else {
+          showNotification(`You don't have the ${config.name} yet`);
+        }
       }
     }
   });
   
+  // Mouse wheel cycles through owned weapons
+  document.addEventListener('wheel', (event) => {
+    if (gameState.isGameOver || event.deltaY === 0) return;
+    
+    // Between waves, and over the armory, perk choice or control settings, the wheel scrolls menus
+    if (match.isIntermission) return;
+    if (event.target.closest && event.target.closest('#armoryPanel, #perkChoice, #controlsPanel')) return;
+    
+    const nextWeapon = gameState.cycleWeapon(event.deltaY > 0 ? 1 : -1);
+    if (nextWeapon) {
+      onWeaponEquipped(nextWeapon);
+    }
+  });
+  
   document.addEventListener('keyup', (event) => {
     keyState[event.code] = false;
+    
+    // Release G to throw the grenade
+    if (event.code === 'KeyG' && isAimingGrenade) {
+      isAimingGrenade = false;
+      hideGrenadePreview();
+      if (throwGrenade(match, getGrenadeTarget())) {
+        updateUI();
+      }
+    }
   });
   
   // Mouse input for shooting
   document.addEventListener('mousedown', (event) => {
     if (gameState.isGameOver) return;
     
+    // Clicks in the armory, perk choice and control settings are for menus, not shooting
+    if (event.target.closest && event.target.closest('#armoryPanel, #perkChoice, #controlsPanel')) return;
+    
+    // With mouselook, the first click captures the mouse instead of firing
+    if (event.button === 0 && isMouselook() && !document.pointerLockElement) {
+      renderer.domElement.requestPointerLock();
+      return;
+    }
+    
+    // Right mouse button aims down the sights while held
+    if (event.button === 2) {
+      gameState.isAiming = true;
+      return;
+    }
+    
     if (event.button === 0) { // Left mouse button
       gameState.mouseDown = true;
       
@@ -299,10 +641,27 @@ function setupInputListeners() {
     if (event.button === 0) { // Left mouse button
       gameState.mouseDown = false;
     }
+    if (event.button === 2) {
+      gameState.isAiming = false;
+    }
+  });
+  
+  // Right click is for aiming, not the browser's menu
+  document.addEventListener('contextmenu', (event) => {
+    event.preventDefault();
   });
   
   // Mouse movement for aiming
   document.addEventListener('mousemove', (event) => {
+    // Mouselook - the captured mouse turns the player and raises or lowers the aim
+    if (isMouselook()) {
+      if (document.pointerLockElement === renderer.domElement && player && !gameState.isGameOver) {
+        gameState.mousePosition = applyMouselook(player, event.movementX, event.movementY);
+        updateCrosshairPosition();
+      }
+      return;
+    }
+    
     // Calculate normalized device coordinates
     const x = (event.clientX / window.innerWidth) * 2 - 1;
     const y = -(event.clientY / window.innerHeight) * 2 + 1;
@@ -311,6 +670,9 @@ function setupInputListeners() {
     gameState.mousePosition = new THREE.Vector2(x, y);
   });
   
+  document.addEventListener('pointerlockchange', () => {
+    console.log(document.pointerLockElement ? "Mouse captured for mouselook" : "Mouse released");
+  });
 }
 
 /**
@@ -318,166 +680,311 @@ function setupInputListeners() {
  * @param {boolean} isAutomatic - Whether the current weapon is automatic
  */
 function shoot(isAutomatic = false) {
-  // Don't shoot if game is over
-  if (gameState.isGameOver) return;
+  // Aim from the muzzle along the ray from the camera through the mouse position - swaying if an arm is wounded
+  raycaster.setFromCamera(gameState.getAimPosition(), camera);
+  fireWeapon(match, getMuzzlePosition(player), raycaster.ray.direction);
+}
+
+/**
+ * Handles a shot leaving the barrel - sound, recoil and muzzle flash
+ * @param {Object} weaponConfig - Config of the weapon that fired
+ * @param {THREE.Vector3} gunPosition - Muzzle position
+ * @param {THREE.Vector3} direction - Direction of the shot after spread
+ */
+function handleShotFired(weaponConfig, gunPosition, direction) {
+  // Play the weapon's firing sound
+  if (weaponConfig.sound && window.gameAudio && window.gameAudio.playSound) {
+    window.gameAudio.playSound(weaponConfig.sound);
+  }
   
-  // Check if player has ammo
-  if (gameState.getCurrentAmmo() <= 0) {
-    console.log("Out of ammo!");
-    return;
+  // Last round fired - eject the clip
+  if (gameState.getCurrentAmmo() === 0 && weaponConfig.enBloc && window.gameAudio && window.gameAudio.playSound) {
+    window.gameAudio.playSound('garandPing');
   }
   
-  // Don't shoot too rapidly unless weapon is automatic
-  const now = Date.now();
-  const currentWeaponConfig = WEAPON_CONFIG[gameState.currentWeapon];
-  const weaponFireRate = currentWeaponConfig ? currentWeaponConfig.fireRate : 200;
+  // Add recoil to the next shot
+  addRecoilEffect();
   
-  if (now - lastFireTime < weaponFireRate) {
-    return;
+  // Always create muzzle flash for visual feedback
+  createMuzzleFlash(scene, gunPosition, direction);
+  
+  updateUI();
+}
+
+/**
+ * Finds the point on the ground under the cursor to throw a grenade at
+ * @returns {THREE.Vector3} - Target point
+ */
+function getGrenadeTarget() {
+  raycaster.setFromCamera(gameState.mousePosition, camera);
+  const target = new THREE.Vector3();
+  if (!raycaster.ray.intersectPlane(groundPlane, target)) {
+    // Cursor above the horizon - throw as far as possible in that direction
+    target.copy(raycaster.ray.direction).setY(0).normalize()
+      .multiplyScalar(MAX_THROW_DISTANCE)
+      .add(player.position);
   }
+  return target;
+}
+
+/**
+ * Plays a grenade or tank shell going off - the blast damage is dealt by the match
+ * @param {THREE.Vector3} position - Center of the explosion
+ * @param {Object} grenade - The grenade (or shell) that exploded
+ */
+function handleGrenadeExplosion(position, grenade) {
+  const label = grenade.type === 'shell' ? 'Tank shell' : `${grenade.type} grenade`;
+  console.log(`${label} exploded at ${position.x.toFixed(2)}, ${position.z.toFixed(2)}`);
   
-  // Update last fire time
-  lastFireTime = now;
+  if (window.gameAudio && window.gameAudio.playSound) {
+    window.gameAudio.playSound('explosion');
+  }
+}
+
+/**
+ * Shows a bullet hit on a boss vehicle
+ * @param {Object} vehicleHit - Hit from raycastVehicles: { vehicle, zone, point, distance }
+ * @param {boolean} becameImmobilized - Whether this hit disabled the vehicle's tracks
+ */
+function handleVehicleHit(vehicleHit, becameImmobilized) {
+  const { vehicle, zone, point } = vehicleHit;
+  console.log(`${vehicle.name} hit in the ${zone}: ${Math.round(vehicle.health)} / ${vehicle.maxHealth}`);
+  
+  // Sparks off the armor, a proper hit marker on the weak points
+  createMuzzleFlash(scene, point, new THREE.Vector3(0, 1, 0));
+  if (zone === 'grille' || zone === 'track') {
+    showHitMarker(false);
+  }
   
-  // Use ammo
-  gameState.useAmmo(1);
+  if (becameImmobilized) {
+    showNotification(`${vehicle.name.toUpperCase()} IMMOBILIZED!`);
+  }
   
-  // Update UI
+  updateBossHealthBar();
+}
+
+/**
+ * Announces a destroyed boss vehicle
+ * @param {Object} vehicle - The destroyed vehicle
+ */
+function handleVehicleDestroyed(vehicle) {
+  showNotification(`${vehicle.name.toUpperCase()} DESTROYED! +${vehicle.stats.scoreBonus}`, 3000);
+  updateBossHealthBar();
   updateUI();
+}
+
+/**
+ * Shows what the player got from a destroyed vehicle's supply crate
+ * @param {Object} contents - { healed, ammo, grenades } restocked
+ */
+function handleSupplyCrateCollected(contents) {
+  const message = `Supply crate: +${contents.healed} health, +${contents.ammo} ammo, +${contents.grenades} grenades`;
+  console.log(message);
   
-  // Create raycaster for bullet path from the camera through the mouse position
-  raycaster.setFromCamera(gameState.mousePosition, camera);
+  showPickupNotification(message);
+  createHealingEffect(player.position.clone());
+  updateUI();
+}
+
+/**
+ * Shows the health of the boss vehicle still fighting, or hides the bar when there is none
+ */
+function updateBossHealthBar() {
+  const bar = document.getElementById('bossHealthBar');
+  if (!bar) return;
   
-  // Get the exact position of the weapon
-  const weaponGroup = player.userData.weaponGroup;
-  const weaponPosition = new THREE.Vector3();
-  weaponGroup.getWorldPosition(weaponPosition);
+  const vehicle = match.bossVehicles.find(v => !v.isDestroyed);
+  if (!vehicle) {
+    bar.style.display = 'none';
+    return;
+  }
   
-  // Get exact muzzle position
-  const gunPosition = weaponPosition.clone();
-  gunPosition.y += 0.1; // Adjust to barrel position
+  bar.style.display = 'block';
+  document.getElementById('bossName').textContent = vehicle.name;
+  document.getElementById('bossStatus').textContent = vehicle.isImmobilized ? 'TRACKS DISABLED' : '';
+  document.getElementById('bossHealthFill').style.width = `${(vehicle.health / vehicle.maxHealth) * 100}%`;
+}
+
+/**
+ * Shows the player taking damage
+ */
+function handlePlayerDamaged() {
+  updateHealthDisplay();
   
-  // Get shoot direction from raycaster pointing through the mouse cursor
-  const direction = raycaster.ray.direction.clone().normalize();
+  // Show hit vignette effect
+  showPlayerHitEffect();
+}
+
+/**
+ * Handles the player being killed in action
+ */
+function handlePlayerKilled() {
+  console.log("Player died! Showing killed in action animation");
+  showGameOver();
+}
+
+/**
+ * Switches the player into a stance, or back to standing if they are already in it
+ * @param {string} stance - Stance from STANCES
+ */
+function toggleStance(stance) {
+  if (!player || gameState.isGameOver) return;
   
-  // Add recoil to the next shot
-  addRecoilEffect();
+  setPlayerStance(player, player.userData.stance === stance ? STANCES.STANDING : stance);
+}
+
+/**
+ * Switches between the third-person and first-person camera
+ */
+function toggleCameraMode() {
+  if (!player || gameState.isGameOver) return;
   
-  // Trigger animation
-  triggerShootAnimation(player);
+  preferredCameraMode = player.userData.cameraMode === CAMERA_MODES.FIRST_PERSON ?
+    CAMERA_MODES.THIRD_PERSON : CAMERA_MODES.FIRST_PERSON;
+  setCameraMode(player, preferredCameraMode);
+  showNotification(preferredCameraMode === CAMERA_MODES.FIRST_PERSON ? 'First-person view' : 'Third-person view');
+}
+
+/**
+ * Opens or closes the control settings panel
+ */
+function toggleControlsPanel() {
+  const controlsPanel = document.getElementById('controlsPanel');
+  if (!controlsPanel) return;
   
-  // Direct hit check for improved hit detection
-  const hit = checkDirectHit(gunPosition, direction);
-  if (hit && hit.object && hit.object.parent && hit.object.parent.userData && hit.object.parent.userData.isEnemy) {
-    // We hit an enemy directly
-    const enemy = hit.object.parent.userData.enemyObject || hit.object.userData.parentEnemy;
-    const hitPoint = hit.point.clone();
-    
-    // Get the body part that was hit
-    const hitBodyPart = hit.object.userData.bodyPart || 'body';
-    
-    // Call hit function with appropriate parameters
-    handleEnemyHit(enemy, hitPoint, direction, hitBodyPart);
-  } else {
-    // No direct hit, create a projectile
-    const projectile = createProjectile(scene, gunPosition, direction, !gameState.showBulletTracers);
-    projectiles.push(projectile);
-  }
+  const isOpen = controlsPanel.style.display === 'none';
+  controlsPanel.style.display = isOpen ? 'block' : 'none';
   
-  // Always create muzzle flash for visual feedback
-  createMuzzleFlash(scene, gunPosition, direction);
+  // The settings need the cursor back
+  if (isOpen) {
+    releasePointerLock();
+    renderControlsPanel();
+  }
 }
 
-// New function to check for direct hits based on cursor position
-function checkDirectHit(origin, direction) {
-  // Cast a ray directly from the gun in the shooting direction
-  // Use separate raycaster instance to avoid interference with the main raycaster
-  const shootRaycaster = new THREE.Raycaster();
-  shootRaycaster.set(origin, direction);
+/**
+ * Applies a change from the control settings panel
+ * @param {Object} changes - Settings to change ({ scheme, sensitivity, invertY })
+ */
+function changeControlSettings(changes) {
+  const previousScheme = getControlSettings().scheme;
+  const settings = updateControlSettings(changes);
+  
+  // Switching scheme moves the aim to where the new scheme expects it
+  if (settings.scheme !== previousScheme) {
+    if (settings.scheme === CONTROL_SCHEMES.MOUSELOOK) {
+      gameState.mousePosition = getMouselookAim();
+      showNotification('Mouselook: click to capture the mouse, A/D strafe');
+    } else {
+      releasePointerLock();
+      gameState.mousePosition = new THREE.Vector2(0, 0);
+      showNotification('Cursor aim: A/D turn');
+    }
+    updateCrosshairPosition();
+  }
   
-  // Debug log for shooting
-  console.log(`Shooting from ${origin.x.toFixed(2)}, ${origin.y.toFixed(2)}, ${origin.z.toFixed(2)} in direction ${direction.x.toFixed(2)}, ${direction.y.toFixed(2)}, ${direction.z.toFixed(2)}`);
+  renderControlsPanel();
+}
+
+/**
+ * Shows the current control settings in the settings panel
+ */
+function renderControlsPanel() {
+  const settings = getControlSettings();
   
-  // Prepare a list of all meshes to check for hit detection
-  const hitTargets = [];
+  document.querySelectorAll('#controlsPanel button[data-scheme]').forEach(button => {
+    const isSelected = button.dataset.scheme === settings.scheme;
+    button.style.backgroundColor = isSelected ? '#4a6b2a' : '#444444';
+    button.style.fontWeight = isSelected ? 'bold' : 'normal';
+  });
   
-  // Add all enemey meshes and their children for more accurate hit detection
-  for (const enemy of enemies) {
-    // Skip dead enemies
-    if (enemy.isDead || enemy.health <= 0 || !enemy.object) continue;
-    
-    // Add the entire enemy hierarchy for hit detection
-    enemy.object.traverse(function(child) {
-      if (child.isMesh) {
-        // Store reference back to the enemy object for hit handling
-        child.userData.parentEnemy = enemy;
-        hitTargets.push(child);
-      }
-    });
+  const hint = document.getElementById('controlsSchemeHint');
+  if (hint) {
+    hint.textContent = settings.scheme === CONTROL_SCHEMES.MOUSELOOK ?
+      'Click to capture the mouse - it turns you and A/D strafe. Esc releases it.' :
+      'Aim with the cursor - A/D turn you.';
   }
   
-  // If no valid targets, return early
-  if (hitTargets.length === 0) {
-    console.log("No valid enemies to check for hits");
-    return;
+  const sensitivity = document.getElementById('controlsSensitivity');
+  if (sensitivity) {
+    sensitivity.value = settings.sensitivity;
   }
+  const sensitivityValue = document.getElementById('controlsSensitivityValue');
+  if (sensitivityValue) {
+    sensitivityValue.textContent = settings.sensitivity.toFixed(1);
+  }
+  const invertY = document.getElementById('controlsInvertY');
+  if (invertY) {
+    invertY.checked = settings.invertY;
+  }
+}
+
+/**
+ * Puts the crosshair where shots go - the screen center for cursor aim, the aim height for mouselook
+ */
+function updateCrosshairPosition() {
+  const crosshair = document.getElementById('crosshair');
+  if (!crosshair) return;
   
-  console.log(`Checking for hits against ${hitTargets.length} meshes`);
-  
-  // Get intersections with all potential targets
-  const intersects = shootRaycaster.intersectObjects(hitTargets, false);
+  const aimY = isMouselook() ? gameState.mousePosition.y : 0;
+  crosshair.style.top = `${(1 - aimY) / 2 * 100}%`;
+}
+
+/**
+ * Gives the mouse back to the player (for menus, the armory and the game over screen)
+ */
+function releasePointerLock() {
+  if (document.pointerLockElement) {
+    document.exitPointerLock();
+  }
+}
+
+/**
+ * Warns the player that a wound has started bleeding
+ */
+function handleBleedingStarted() {
+  showNotification('Bleeding! Press H to apply a field dressing');
+}
+
+/**
+ * Handles the player bleeding out
+ */
+function handleBledOut() {
+  showGameOver();
+}
+
+/**
+ * Equips a weapon the player owns
+ * @param {string} weaponType - Weapon id from WEAPONS enum
+ */
+function equipWeapon(weaponType) {
+  if (weaponType === gameState.currentWeapon) return;
   
-  if (intersects.length > 0) {
-    // We hit something!
-    const hit = intersects[0];
-    const hitObject = hit.object;
-    
-    console.log(`Hit detected at distance ${hit.distance.toFixed(2)}`);
-    
-    // Get the parent enemy from the hit object's userData
-    const enemy = hitObject.userData.parentEnemy;
-    
-    if (enemy) {
-      // Determine which body part was hit based on the mesh name or position
-      let bodyPart = 'body'; // Default to body
-      
-      // Try to determine the body part from the mesh name
-      const meshName = hitObject.name.toLowerCase();
-      if (meshName.includes('head')) {
-        bodyPart = 'head';
-      } else if (meshName.includes('arm') && meshName.includes('left')) {
-        bodyPart = 'leftArm';
-      } else if (meshName.includes('arm') && meshName.includes('right')) {
-        bodyPart = 'rightArm';
-      } else if (meshName.includes('leg') && meshName.includes('left')) {
-        bodyPart = 'leftLeg';
-      } else if (meshName.includes('leg') && meshName.includes('right')) {
-        bodyPart = 'rightLeg';
-      } else {
-        // If we can't determine from name, try to use the hit height
-        const hitHeight = hit.point.y - enemy.object.position.y;
-        if (hitHeight > 1.5) {
-          bodyPart = 'head';
-        } else if (hitHeight < 0) {
-          bodyPart = Math.random() < 0.5 ? 'leftLeg' : 'rightLeg';
-        } else if (Math.abs(hit.point.x - enemy.object.position.x) > 0.4) {
-          bodyPart = hit.point.x > enemy.object.position.x ? 'rightArm' : 'leftArm';
-        }
-      }
-      
-      console.log(`Hit enemy at part: ${bodyPart}`);
-      
-      // Return the hit information
-      return hit;
-    } else {
-      console.log("Hit object has no parent enemy reference");
-    }
-  } else {
-    console.log("No direct hits detected");
+  if (gameState.switchWeapon(weaponType)) {
+    onWeaponEquipped(weaponType);
+  }
+}
+
+/**
+ * Updates the player model and HUD after the equipped weapon changes
+ * @param {string} weaponType - Weapon id from WEAPONS enum
+ */
+function onWeaponEquipped(weaponType) {
+  cancelReloadAnimation(player);
+  updatePlayerWeapon(player, weaponType);
+  updateUI();
+  showNotification(`Switched to ${WEAPON_CONFIG[weaponType].name}`);
+}
+
+/**
+ * Plays the reload sound and shows the magazine being swapped
+ */
+function handleReloadStarted() {
+  if (window.gameAudio && window.gameAudio.playSound) {
+    window.gameAudio.playSound('reload');
   }
   
-  // Return undefined if no hit was found
-  return undefined;
+  updateUI();
 }
 
 /**
@@ -505,15 +1012,24 @@ function isChildOf(child, parent) {
 // Add recoil effect to camera
 function addRecoilEffect() {
   // Enhanced camera shake with more realistic recoil
-  const recoilAmount = 0.05 + (currentRecoil * 0.5); // Base recoil + additional based on accumulated recoil
+  // Base recoil + additional based on accumulated recoil, softened by perks, a low stance and a shouldered weapon
+  const aimRecoilMultiplier = gameState.isAimingDownSights() ? AIM_RECOIL_MULTIPLIER : 1;
+  const recoilAmount = gameState.modifiers.apply(MODIFIERS.RECOIL, 0.05 + (currentRecoil * 0.5)) *
+    STANCE_CONFIG[player.userData.stance].recoilMultiplier * aimRecoilMultiplier;
   const originalPosition = camera.position.clone();
   
+  // Kick the first-person weapon back as hard as the stance and perks allow
+  if (player.userData.cameraMode === CAMERA_MODES.FIRST_PERSON) {
+    triggerViewmodelRecoil(viewmodel, gameState.modifiers.apply(MODIFIERS.RECOIL, 1) *
+      STANCE_CONFIG[player.userData.stance].recoilMultiplier * aimRecoilMultiplier);
+  }
+  
   // Apply immediate recoil - more vertical than horizontal
   camera.position.y -= recoilAmount * 0.7;
   camera.position.z += recoilAmount * 0.3; // Slight backward push
   
   // Add slight random horizontal shake
-  camera.position.x += (Math.random() - 0.5) * recoilAmount * 0.4;
+  camera.position.x += (fxRandom() - 0.5) * recoilAmount * 0.4;
   
   // Recover from recoil after a short delay
   setTimeout(() => {
@@ -521,51 +1037,51 @@ function addRecoilEffect() {
   }, 100);
 }
 
+/**
+ * Sets up the next wave and announces it, landing its enemies once the announcement is over
+ */
 function spawnNewWave() {
-  // Clear any remaining enemies
-  for (const enemy of enemies) {
-    if (enemy.object) {
-      scene.remove(enemy.object);
-    }
-  }
-  enemies = [];
+  const definition = prepareNextWave(match);
+  updateBossHealthBar();
   
-  // Increment wave and update difficulty
-  gameState.nextWave();
+  // Set the scene for the wave's modifiers while it's announced
+  applyWaveModifiers(definition.modifiers);
   
-  // Show wave announcement before spawning enemies
   showWaveAnnouncement(gameState.wave, () => {
-    // After animation completes, spawn the enemies
-    const newEnemies = spawnWave(
-      scene, 
-      gameState.wave, 
-      MAX_ENEMIES, 
-      ENEMY_SPAWN_RADIUS, 
-      BASE_ENEMY_HEALTH, 
-      BASE_ENEMY_SPEED
-    );
-    
-    // Add all new enemies to the array
-    enemies.push(...newEnemies);
-    
-    // Set the initial enemy count for this wave
-    gameState.enemiesRemainingInWave = enemies.length;
+    spawnWaveEnemies(match);
+    updateBossHealthBar();
     console.log(`Wave ${gameState.wave} started with ${gameState.enemiesRemainingInWave} enemies`);
-    
-    // Mark wave as active
-    gameState.isWaveActive = true;
   });
   
   // Update UI
   updateUI();
 }
 
+/**
+ * Shows the current wave's scripted event
+ * @param {Object} event - The event from the wave's definition
+ */
+function handleWaveEvent(event) {
+  console.log(`Wave ${gameState.wave} event: ${event.type}`);
+  
+  switch (event.type) {
+    case WAVE_EVENT_TYPES.MESSAGE:
+      showNotification(event.text, 3000);
+      break;
+    case WAVE_EVENT_TYPES.REINFORCEMENTS:
+      showNotification(event.text || 'ENEMY REINFORCEMENTS SPOTTED!', 3000);
+      updateUI();
+      break;
+  }
+}
+
 /**
  * Shows a wave announcement
  * @param {number} waveNumber - The wave number
  * @param {Function} callback - Function to call when animation completes
+ * @param {Object} definition - Wave definition, for boss and weather subtitles
  */
-function showWaveAnnouncement(waveNumber, callback) {
+function showWaveAnnouncement(waveNumber, callback, definition = match.waveDefinition) {
   console.log(`Showing wave ${waveNumber} announcement`);
   
   // Create announcement container
@@ -599,7 +1115,14 @@ function showWaveAnnouncement(waveNumber, callback) {
   subtitleText.style.opacity = '0.9';
   
   // Customize subtitle based on wave number
-  if (waveNumber === 1) {
+  if (definition && definition.vehicle) {
+    subtitleText.textContent = `ARMOR INBOUND - ${getVehicleName(definition.vehicle).toUpperCase()} LANDING ON THE BEACH`;
+    subtitleText.style.color = '#ffcc00';
+  } else if (definition && definition.modifiers.night) {
+    subtitleText.textContent = 'NIGHT LANDING - WATCH FOR MUZZLE FLASHES';
+  } else if (definition && definition.modifiers.fog) {
+    subtitleText.textContent = 'FOG ON THE WATER - BOATS APPROACHING UNSEEN';
+  } else if (waveNumber === 1) {
     subtitleText.textContent = 'ENEMY BOATS APPROACHING THE ISLAND';
   } else if (waveNumber < 5) {
     subtitleText.textContent = `${waveNumber} NAZI BOATS SPOTTED ON THE HORIZON`;
@@ -637,129 +1160,17 @@ function showWaveAnnouncement(waveNumber, callback) {
   }, 100);
 }
 
-function handleEnemyHit(enemy, hitPoint, hitDirection, bodyPart) {
-  // Ensure hitDirection is a Vector3
-  const direction = hitDirection instanceof THREE.Vector3 ? 
-    hitDirection.clone() : 
-    new THREE.Vector3(0, 0, -1); // Default direction if not provided
-  
-  // Apply damage based on body part
-  let damage = 0;
-  let isHeadshot = false;
-  
-  // Different damage amounts for different body parts
-  switch(bodyPart) {
-    case 'head':
-      damage = PLAYER_DAMAGE * 100; // Instant kill for headshot
-      isHeadshot = true;
-      showHitMarker(true); // Show red hit marker for headshot
-      showHeadshotMessage(); // Show headshot message
-      
-      // Add 40% chance for head detachment on headshot
-      if (Math.random() < 0.4) {
-        console.log("Head detachment triggered by headshot!");
-        // Explicitly dismember head with blood pool
-        try {
-          const success = dismemberEnemyPart(enemy, scene, 'head', hitPoint, direction);
-          
-          if (success) {
-            // Get world position of the enemy for blood pool
-            const worldPos = new THREE.Vector3();
-            enemy.object.getWorldPosition(worldPos);
-            worldPos.y = 0.02; // Place slightly above ground
-            
-            // Create blood pool under detached head
-            window.createSmallBloodPool(scene, worldPos, 'head');
-          }
-        } catch (error) {
-          console.error("Error during head detachment:", error);
-        }
-      }
-      break;
-    case 'body':
-      damage = PLAYER_DAMAGE * 50; // High damage for body shot
-      showHitMarker(false); // Show white hit marker for body shot
-      break;
-    case 'leftArm':
-    case 'rightArm':
-      damage = PLAYER_DAMAGE * 30; // Medium damage for arm shots
-      showHitMarker(false);
-      break;
-    case 'leftLeg':
-    case 'rightLeg':
-      damage = PLAYER_DAMAGE * 25; // Lower damage for leg shots
-      showHitMarker(false);
-      break;
-    default:
-      damage = PLAYER_DAMAGE * 25; // Default damage
-      showHitMarker(false);
-  }
-  
-  // Debug log for hit
-  console.log(`Enemy hit at ${bodyPart} for ${damage} damage. Current health: ${enemy.health}`);
-  
-  // Apply damage to enemy
-  enemy.health -= damage;
-  
-  // Trigger hit animation
-  triggerEnemyHitAnimation(enemy);
-  
-  // Check if enemy is dead
-  if (enemy.health <= 0 && !enemy.isDead) {
-    // Mark as dead
-    enemy.isDead = true;
-    // Initialize dead time tracking if not already set
-    enemy.deadTime = 0;
-    enemy.removalDelay = 10; // Remove after 10 seconds
-    
-    console.log("Enemy killed!");
-    
-    // Update the enemy count for the current wave
-    if (gameState.enemiesRemainingInWave > 0) {
-      gameState.enemiesRemainingInWave--;
-      console.log(`Enemies remaining in wave: ${gameState.enemiesRemainingInWave}`);
-    }
-    
-    // Trigger death animation
-    triggerEnemyDeathAnimation(enemy, scene, isHeadshot);
-    
-    // Update score
-    gameState.score += isHeadshot ? 150 : 100;
-    updateUI();
-    
-    // Drop ammo with configured chance (40%)
-    if (Math.random() < AMMO_DROP_CHANCE) {
-      const ammoPickup = createAmmoPickup(scene, enemy.object.position.clone(), AMMO_DROP_AMOUNT);
-      ammoPickups.push(ammoPickup);
-      console.log(`Ammo dropped: ${AMMO_DROP_AMOUNT} rounds`);
-    }
-    
-    // Create drops when enemy dies
-    if (enemy.isDead) {
-      const drops = createEnemyDrops(scene, enemy.object.position, gameState.wave, isHeadshot);
-      
-      // Add new pickups to arrays
-      weaponPickups = weaponPickups.concat(drops.weaponPickups);
-      mp41AmmoPickups = mp41AmmoPickups.concat(drops.mp41AmmoPickups);
-    }
-  }
-  
-  // Apply dismemberment with random chance (but only if not already done for head)
-  if (!isHeadshot || bodyPart !== 'head') {
-    if (Math.random() < DISMEMBERMENT_CHANCE) {
-      try {
-        const success = dismemberEnemyPart(enemy, scene, bodyPart, hitPoint, direction);
-        console.log(`Dismemberment attempt for ${bodyPart}: ${success ? 'successful' : 'failed'}`);
-      } catch (error) {
-        console.error("Error during dismemberment:", error);
-      }
-    }
+/**
+ * Shows a hit on an enemy - a hit marker, red with a message for a headshot
+ * @param {Object} enemy - The enemy that was hit
+ * @param {string} bodyPart - Body part that was hit
+ * @param {boolean} isHeadshot - Whether the hit was a headshot
+ */
+function showEnemyHit(enemy, bodyPart, isHeadshot) {
+  showHitMarker(isHeadshot);
+  if (isHeadshot) {
+    showHeadshotMessage();
   }
-  
-  // Make the console available globally for debugging
-  window.gameConsole = console;
-  
-  return isHeadshot;
 }
 
 /**
@@ -819,48 +1230,63 @@ function updateUI() {
   // Update enemies remaining
   document.getElementById('enemiesRemaining').textContent = gameState.enemiesRemainingInWave;
   
-  // Update health
-  document.getElementById('health').textContent = gameState.health;
+  // Update health and wounds
+  updateHealthDisplay();
+  updateInjuryDisplay();
   
   // Update ammo display based on current weapon
   const ammoDisplay = document.getElementById('ammo');
   if (ammoDisplay) {
-    // Get current weapon ammo
-    const currentAmmo = gameState.getCurrentAmmo();
-    
-    // Set color based on ammo level
-    if (currentAmmo <= 5) {
+    // Get loaded and reserve rounds for the current weapon
+    const loadedRounds = gameState.getLoadedRounds();
+    const reserveAmmo = gameState.getReserveAmmo();
+    const magazineSize = gameState.getMagazineSize();
+    
+    // Set color based on how full the magazine is
+    if (gameState.isReloading) {
+      ammoDisplay.style.color = '#aaaaaa'; // Grey while reloading
+    } else if (loadedRounds <= magazineSize * 0.25) {
       ammoDisplay.style.color = '#ff3333'; // Red for low ammo
-    } else if (currentAmmo <= 15) {
+    } else if (loadedRounds <= magazineSize * 0.5) {
       ammoDisplay.style.color = '#ffcc00'; // Yellow for medium ammo
     } else {
       ammoDisplay.style.color = '#99ccff'; // Default blue
     }
     
-    // Display weapon type along with ammo
-    let ammoText = `${currentAmmo}`;
+    // Display loaded / reserve, e.g. "8 / 42"
+    let ammoText = `${loadedRounds} / ${reserveAmmo}`;
     
-    // Add weapon type if it's MP41
-    if (gameState.currentWeapon === WEAPONS.MP41) {
-      ammoText += ' MP41';
+    if (gameState.isReloading) {
+      ammoText += ' RELOADING';
     }
     
     ammoDisplay.textContent = ammoText;
   }
   
+  // Update grenade count
+  const grenadeDisplay = document.getElementById('grenades');
+  if (grenadeDisplay) {
+    grenadeDisplay.textContent = gameState.grenades;
+  }
+  
+  // Update field dressings
+  const fieldDressingDisplay = document.getElementById('fieldDressings');
+  if (fieldDressingDisplay) {
+    fieldDressingDisplay.textContent = gameState.fieldDressings;
+  }
+  
+  // Update war bonds
+  const warBondsDisplay = document.getElementById('warBonds');
+  if (warBondsDisplay) {
+    warBondsDisplay.textContent = gameState.warBonds;
+  }
+  
   // Update current weapon display
   const weaponDisplay = document.getElementById('currentWeapon');
   if (weaponDisplay) {
-    let weaponName = 'M1 Garand';
-    let weaponColor = '#ffffff';
-    
-    if (gameState.currentWeapon === WEAPONS.MP41) {
-      weaponName = 'MP41';
-      weaponColor = '#ff9900'; // Orange for MP41
-    }
-    
-    weaponDisplay.textContent = weaponName;
-    weaponDisplay.style.color = weaponColor;
+    const currentWeaponConfig = WEAPON_CONFIG[gameState.currentWeapon];
+    weaponDisplay.textContent = currentWeaponConfig.name;
+    weaponDisplay.style.color = currentWeaponConfig.hudColor;
   }
 }
 
@@ -869,6 +1295,13 @@ function showGameOver() {
   
   // Set game over state immediately to prevent movement
   gameState.isGameOver = true;
+  releasePointerLock();
+  gameState.isAiming = false;
+  
+  // Pull back to third person to see the player fall
+  if (player) {
+    setCameraMode(player, CAMERA_MODES.THIRD_PERSON);
+  }
   
   // Play KIA music
   if (typeof window.gameAudio !== 'undefined') {
@@ -908,7 +1341,8 @@ function createEmergencyGameOverScreen() {
   emergencyScreen.innerHTML = `
     <h1 style="font-size: 48px; margin-bottom: 20px; color: #ff0000;">GAME OVER</h1>
     <div style="margin-bottom: 10px;">Final Score: <span style="color: #ffcc00;">${gameState.score}</span></div>
-    <div style="margin-bottom: 30px;">Waves Survived: <span style="color: #ffcc00;">${gameState.wave}</span></div>
+    <div style="margin-bottom: 10px;">Waves Survived: <span style="color: #ffcc00;">${gameState.wave}</span></div>
+    <div style="margin-bottom: 30px;">Seed: <span style="color: #ffcc00;">${getRandomSeed()}</span></div>
     <button id="emergencyRestartButton" style="padding: 15px 30px; margin-top: 20px; font-size: 24px; cursor: pointer; background-color: #ff3333; color: white; border: none; border-radius: 5px;">Restart Game</button>
   `;
   
@@ -982,7 +1416,8 @@ function showKilledInActionAnimation(callback) {
   statsContainer.style.textAlign = 'center';
   statsContainer.innerHTML = `
     <div style="margin-bottom: 10px">Final Score: <span style="color: #ffcc00">${gameState.score}</span></div>
-    <div style="margin-bottom: 20px">Waves Survived: <span style="color: #ffcc00">${gameState.wave}</span></div>
+    <div style="margin-bottom: 10px">Waves Survived: <span style="color: #ffcc00">${gameState.wave}</span></div>
+    <div style="margin-bottom: 20px">Seed: <span style="color: #ffcc00">${getRandomSeed()}</span></div>
   `;
   
   // Create redeploy button
@@ -1096,6 +1531,10 @@ function restartGame() {
   // Reset game state
   gameState.reset();
   gameState.isPlayerDeathAnimationPlayed = false;
+  
+  // Replay the same seed, island included, so the seed on the game over screen always describes
+  // the match just played
+  setRandomSeed(getRandomSeed());
   gameState.isKilledInActionScreenShown = false;
   
   // Clean up all UI overlays that might be present
@@ -1106,6 +1545,7 @@ function restartGame() {
     'hitEffect',
     'waveAnnouncement',
     'waveCompletedMessage',
+    'perkChoice',
     'deathStatsContainer',
     'redeployButton'
   ];
@@ -1137,25 +1577,40 @@ function restartGame() {
     }
   });
   
-  // Clear existing objects
-  for (const enemy of enemies) {
-    if (enemy.object) scene.remove(enemy.object);
-  }
-  for (const projectile of projectiles) {
-    if (projectile.object) scene.remove(projectile.object);
-  }
-  for (const pickup of ammoPickups) {
-    if (pickup.object) scene.remove(pickup.object);
+  // Clear the enemies, projectiles, pickups, grenades and boss vehicles, and drop any unpicked perk choice
+  clearMatch(match);
+  updateBossHealthBar();
+  
+  // Hide the throw preview
+  isAimingGrenade = false;
+  hideGrenadePreview();
+  
+  // Put out any fires
+  clearFires(scene);
+  
+  // Start the director afresh
+  resetDirector();
+  
+  // Close the armory and tear down the sandbags bought in it
+  closeArmory();
+  for (const emplacement of sandbagEmplacements) {
+    scene.remove(emplacement);
   }
+  sandbagEmplacements = [];
   
-  // Reset arrays
-  enemies = [];
-  projectiles = [];
-  enemyProjectiles = []; // Also clear enemy projectiles
-  ammoPickups = [];
+  // Build the seed's island again, with every felled tree standing, and bake a fresh grid from it
+  clearIsland(scene);
+  island = createIsland(scene);
+  buildNavGrid(scene);
+  markLineOfSightDirty();
   
   // Show player model again
   if (player) {
+    cancelReloadAnimation(player);
+    cancelBandageAnimation(player);
+    setPlayerStance(player, STANCES.STANDING);
+    setCameraMode(player, preferredCameraMode);
+    updatePlayerWeapon(player, gameState.currentWeapon); // Back to the starting weapon
     player.visible = true;
     console.log("Player model restored");
   }
@@ -1169,166 +1624,205 @@ function restartGame() {
   console.log("Game restarted successfully");
 }
 
-// Animation loop
-function animate(time) {
-  // Request next frame immediately, but we'll only update/render if enough time has passed
+// Animation loop - the simulation advances in fixed steps, and each frame draws a blend of the last two
+function animate() {
   requestAnimationFrame(animate);
   
-  // Check if we should skip this frame (FPS cap)
-  const now = performance.now();
-  const elapsed = now - lastFrameTime;
-  
-  // Only update and render if enough time has passed (enforce 60 FPS cap)
-  if (elapsed >= FRAME_INTERVAL) {
-    // Adjust lastFrameTime to account for any potential drift
-    lastFrameTime = now - (elapsed % FRAME_INTERVAL);
-    
-    // Calculate delta time
-    const currentTime = now / 1000; // Convert to seconds
-    const deltaTime = Math.min(0.1, currentTime - lastTime); // Cap at 0.1 to prevent large jumps
-    lastTime = currentTime;
-    
-    // Check if player died this frame
-    if (gameState.health <= 0 && !gameState.isGameOver) {
-      // Player just died - trigger game over
-      showGameOver();
-      gameState.isGameOver = true; // Set immediately to prevent movement
-      return; // Skip the rest of the update
-    }
-    
-    // Update player position only if not game over
-    if (!gameState.isGameOver) {
-      // Update player position based on keyboard input
-      updatePlayerPosition(player, camera, deltaTime);
-    }
-    
-    // Performance optimization: Track FPS more accurately
-    frameCount++;
-    const elapsedTime = currentTime - lastFpsUpdate;
-    
-    if (elapsedTime >= 1.0) { // Update FPS counter every second
-      const fps = Math.round(frameCount / elapsedTime);
-      frameCount = 0;
-      lastFpsUpdate = currentTime;
-      
-      // Add to FPS history
-      fpsHistory.push(fps);
-      if (fpsHistory.length > fpsHistoryMaxLength) {
-        fpsHistory.shift(); // Remove oldest entry
-      }
-      
-      // Calculate average FPS from history
-      const avgFps = fpsHistory.reduce((sum, value) => sum + value, 0) / fpsHistory.length;
-      
-      // Log FPS every 5 seconds for debugging
-      if (Math.floor(currentTime) % 5 === 0 && !fpsLogged) {
-        console.log(`Current FPS: ${fps}, Average FPS: ${avgFps.toFixed(1)}`);
-        fpsLogged = true;
-      } else if (Math.floor(currentTime) % 5 !== 0) {
-        fpsLogged = false;
-      }
-      
-      // If average FPS is critically low, reduce visual effects
-      if (avgFps < 25) {
-        if (!gameState.reducedEffects) {
-          console.log("Performance mode activated: Reducing visual effects");
-          gameState.reducedEffects = true;
-        }
-      } else if (avgFps > 40 && gameState.reducedEffects) {
-        console.log("Performance mode deactivated: Restoring visual effects");
-        gameState.reducedEffects = false;
-      }
-    }
-    
-    // Handle auto-firing
-    if (gameState.autoFire && gameState.mouseDown) {
-      const currentTime = performance.now();
-      if (currentTime - lastShotTime > shootingCooldown) {
-        shoot();
-        lastShotTime = currentTime;
-      }
-    }
-    
-    // Recover from recoil when not firing
-    if (performance.now() - lastShotTime > 200) {
-      if (currentRecoil > 0) {
-        currentRecoil = Math.max(0, currentRecoil - (deltaTime * 2)); // Recover faster
-      }
-    }
+  // Time since the last frame, whatever the display's refresh rate
+  const currentTime = performance.now() / 1000; // Convert to seconds
+  const frameTime = Math.min(0.1, currentTime - lastTime); // Cap at 0.1 to prevent large jumps
+  lastTime = currentTime;
+  
+  // Run as many fixed steps as that time covers, remembering where everything was before each
+  // so the frame can be drawn between the last two
+  const alpha = advanceTimestep(timestep, frameTime, (stepTime) => {
+    saveInterpolationStates([camera, ...scene.children]);
+    simulationStep(stepTime);
+  });
+  
+  // Performance optimization: Track FPS more accurately
+  frameCount++;
+  const elapsedTime = currentTime - lastFpsUpdate;
+  
+  if (elapsedTime >= 1.0) { // Update FPS counter every second
+    const fps = Math.round(frameCount / elapsedTime);
+    frameCount = 0;
+    lastFpsUpdate = currentTime;
     
-    // Update enemies
-    if (gameState.isPlaying && !gameState.isGameOver) {
-      // Get player position for enemy updates
-      const playerPosition = camera.position.clone();
-      
-      // Update boats
-      updateBoats(scene, deltaTime);
-      
-      // Update enemy positions with shooting behavior
-      updateEnemies(enemies, playerPosition, deltaTime, scene, enemyProjectiles);
-      
-      // Update enemy projectiles
-      enemyProjectiles = updateEnemyProjectiles(enemyProjectiles, camera.position, deltaTime, scene);
-      
-      // Check if wave is complete based on the enemy counter
-      if (gameState.isWaveActive && gameState.enemiesRemainingInWave === 0) {
-        console.log("Wave completed! All enemies defeated.");
-        gameState.isWaveActive = false;
-        
-        // Show wave completed message
-        showWaveCompletedMessage(gameState.wave);
-        
-        // Wait a moment before starting the next wave
-        setTimeout(() => {
-          spawnNewWave();
-        }, 3000);
-      }
+    // Add to FPS history
+    fpsHistory.push(fps);
+    if (fpsHistory.length > fpsHistoryMaxLength) {
+      fpsHistory.shift(); // Remove oldest entry
     }
     
-    // Update projectiles with the new hit detection
-    projectiles = updateProjectiles(projectiles, enemies, scene, deltaTime);
-    
-    // Update ammo pickups
-    ammoPickups = updateAmmoPickups(ammoPickups, player, scene, (amount) => {
-      // Callback when ammo is collected
-      gameState.addAmmo(amount);
-      
-      // Play pickup sound (if available)
-      console.log(`Picked up ${amount} ammo!`);
-      
-      // Show ammo pickup message
-      showAmmoPickupMessage(amount);
-      
-      // Update UI
-      updateUI();
-    });
+    // Calculate average FPS from history
+    const avgFps = fpsHistory.reduce((sum, value) => sum + value, 0) / fpsHistory.length;
     
-    // Update weapon pickups
-    if (weaponPickups.length > 0) {
-      weaponPickups = updateWeaponPickups(weaponPickups, player, scene, handleWeaponCollected, keyState);
+    // Log FPS every 5 seconds for debugging
+    if (Math.floor(currentTime) % 5 === 0 && !fpsLogged) {
+      console.log(`Current FPS: ${fps}, Average FPS: ${avgFps.toFixed(1)}`);
+      fpsLogged = true;
+    } else if (Math.floor(currentTime) % 5 !== 0) {
+      fpsLogged = false;
     }
     
-    // Update MP41 ammo pickups
-    if (mp41AmmoPickups.length > 0) {
-      mp41AmmoPickups = updateMP41AmmoPickups(mp41AmmoPickups, player, scene, handleAmmoCollected, keyState);
+    // If average FPS is critically low, reduce visual effects
+    if (avgFps < 25) {
+      if (!gameState.reducedEffects) {
+        console.log("Performance mode activated: Reducing visual effects");
+        gameState.reducedEffects = true;
+      }
+    } else if (avgFps > 40 && gameState.reducedEffects) {
+      console.log("Performance mode deactivated: Restoring visual effects");
+      gameState.reducedEffects = false;
     }
-    
-    // Update particles with reduced processing for better performance
-    if (!gameState.reducedEffects || frameCount % 2 === 0) {
-      updateParticles(particles, deltaTime);
+  }
+  
+  // HUD readouts follow the latest step
+  if (!gameState.isGameOver) {
+    updateStaminaDisplay();
+    updateAimDisplay();
+  }
+  
+  // Show the throw arc while G is held
+  if (isAimingGrenade && !gameState.isGameOver) {
+    const { origin, velocity } = getGrenadeThrow(player, getGrenadeTarget());
+    updateGrenadePreview(scene, origin, velocity);
+  }
+  
+  // Update debug info
+  updateDebugOverlay();
+  
+  // Render the scene between the last two steps, then put everything back where the simulation left it
+  applyInterpolation([camera, ...scene.children], alpha);
+  renderer.render(scene, camera);
+  
+  // In first person, draw the weapon over the world
+  if (player && player.userData.cameraMode === CAMERA_MODES.FIRST_PERSON) {
+    updateViewmodel(viewmodel, player, gameState.getAimPosition(), frameTime);
+    renderViewmodel(renderer, viewmodel);
+  }
+  restoreInterpolation();
+}
+
+/**
+ * Advances the game by one fixed step - input, the player, enemies, projectiles and pickups all
+ * move by the same amount of time, so the game plays the same at any frame rate
+ * @param {number} deltaTime - Length of the step in seconds (SIMULATION_STEP)
+ */
+function simulationStep(deltaTime) {
+  gameState.simTime += deltaTime;
+  
+  // Check if player died this step
+  if (gameState.health <= 0 && !gameState.isGameOver) {
+    // Player just died - trigger game over
+    showGameOver();
+    gameState.isGameOver = true; // Set immediately to prevent movement
+    return; // Skip the rest of the step
+  }
+  
+  // Update player position only if not game over
+  if (!gameState.isGameOver) {
+    // Update player position based on keyboard input
+    updatePlayerPosition(player, camera, deltaTime);
+  }
+  
+  // Finish any reload in progress
+  if (gameState.updateReload(deltaTime)) {
+    updateUI();
+  }
+  
+  // Finish any field dressing being applied
+  if (gameState.isBandaging) {
+    const healed = gameState.updateFieldDressing(deltaTime);
+    if (!gameState.isBandaging) {
+      handleFieldDressingApplied(healed);
     }
-    
-    // Render the scene
-    renderer.render(scene, camera);
   }
   
-  // Handle auto-firing for automatic weapons
+  // Bleeding wounds drain health until dressed - but not while the armory is open
+  if (gameState.bleedRate > 0 && !match.isIntermission && gameState.updateBleeding(deltaTime, handleBledOut) > 0) {
+    updateHealthDisplay();
+  }
+  
+  // Handle auto-firing, timed by the simulation clock
+  const simTimeMs = gameState.simTime * 1000;
+  if (gameState.autoFire && gameState.mouseDown) {
+    if (simTimeMs - lastShotTime > shootingCooldown) {
+      shoot();
+      lastShotTime = simTimeMs;
+    }
+  }
+  
+  // Hold the trigger on an automatic weapon to keep firing - shoot() keeps to its fire rate
   if (gameState.mouseDown && !gameState.isGameOver) {
     const currentWeaponConfig = WEAPON_CONFIG[gameState.currentWeapon];
     if (currentWeaponConfig && currentWeaponConfig.automatic) {
       shoot(true);
     }
   }
+  
+  // Recover from recoil when not firing
+  if (simTimeMs - lastShotTime > 200) {
+    if (currentRecoil > 0) {
+      currentRecoil = Math.max(0, currentRecoil - (deltaTime * 2)); // Recover faster
+    }
+  }
+  
+  // Update enemies
+  if (gameState.isPlaying && !gameState.isGameOver) {
+    // Enemies aim at and check line of sight to the player's torso - lower when crouching or prone,
+    // so low cover like sandbags can hide the player completely
+    const playerPosition = player.position.clone();
+    playerPosition.y += STANCE_CONFIG[player.userData.stance].targetHeight;
+    
+    // Update boats
+    updateBoats(scene, deltaTime);
+    
+    // Update enemy positions with shooting behavior
+    updateEnemies(match.enemies, playerPosition, deltaTime, scene, match.enemyProjectiles, {
+      grenades: match.grenades,
+      time: gameState.simTime
+    });
+    
+    // Update boss vehicles - landing, driving, turret fire and wrecks
+    if (match.bossVehicles.length > 0) {
+      updateBossVehicles(match.bossVehicles, {
+        playerPosition: playerPosition,
+        deltaTime: deltaTime,
+        scene: scene,
+        projectiles: match.enemyProjectiles,
+        onShellExplode: (position, shell) => handleExplosion(match, position, shell)
+      });
+    }
+    
+    // Update enemy projectiles
+    match.enemyProjectiles = updateEnemyProjectiles(match.enemyProjectiles, player, deltaTime, scene,
+      (zone, damageMultiplier) => handlePlayerBulletHit(match, zone, damageMultiplier));
+    
+    // The wave's scripted event, clearing the wave, the armory and the countdown to the next wave
+    updateWaveCycle(match, deltaTime);
+  }
+  
+  // Update projectiles with the new hit detection
+  match.projectiles = updateProjectiles(match.projectiles, match.enemies, scene, deltaTime);
+  
+  // Update grenades in flight and detonate expired fuses
+  match.grenades = updateGrenades(match.grenades, deltaTime, scene, (position, grenade) => handleExplosion(match, position, grenade));
+  
+  // Update flamethrower flames and burning grass
+  updateFires(scene, deltaTime, player.position);
+  
+  // Pick up ammo, supply crates, medkits, field dressings and weapons
+  updatePickups(match, keyState);
+  
+  // Update particles - every other step, twice as far, when effects are reduced for performance
+  simulationStepCount++;
+  if (!gameState.reducedEffects) {
+    updateParticles(particles, deltaTime);
+  } else if (simulationStepCount % 2 === 0) {
+    updateParticles(particles, deltaTime * 2);
+  }
 }
 
 /**
@@ -1367,19 +1861,95 @@ function showHeadshotMessage() {
 function updateHealthDisplay() {
   const healthElement = document.getElementById('health');
   if (healthElement) {
-    healthElement.textContent = gameState.playerHealth;
+    // Bleeding drains health a fraction at a time, so round up to whole points
+    healthElement.textContent = Math.ceil(gameState.health);
     
     // Visual feedback - make health red when low
-    if (gameState.playerHealth < 30) {
+    if (gameState.health < 30) {
       healthElement.style.color = 'red';
-    } else if (gameState.playerHealth < 60) {
+    } else if (gameState.health < 60) {
       healthElement.style.color = 'orange';
     } else {
-      healthElement.style.color = 'white';
+      healthElement.style.color = '#66ff66';
     }
   }
 }
 
+/**
+ * Updates the stamina bar beside the health display
+ */
+function updateStaminaDisplay() {
+  const staminaFill = document.getElementById('staminaFill');
+  if (!staminaFill) return;
+  
+  // Only touch the DOM when the bar visibly changes
+  const percent = Math.round(gameState.stamina / gameState.getMaxStamina() * 100);
+  const shown = `${percent}:${gameState.isExhausted}`;
+  if (shown === lastStaminaDisplay) return;
+  
+  lastStaminaDisplay = shown;
+  staminaFill.style.width = `${percent}%`;
+  staminaFill.style.backgroundColor = gameState.isExhausted ? '#ff6633' : '#e0c060'; // Orange while out of breath
+}
+
+/**
+ * Tightens the crosshair while aiming down the sights, and swaps it for the scope view when scoped in
+ */
+function updateAimDisplay() {
+  const crosshair = document.getElementById('crosshair');
+  const scopeOverlay = document.getElementById('scopeOverlay');
+  if (!crosshair || !scopeOverlay) return;
+  
+  const isAiming = gameState.isAimingDownSights();
+  const isScoped = gameState.isScopedIn() && player.userData.aimBlend > 0.9;
+  let breathStatus = 'Hold Shift to steady your aim';
+  if (gameState.isHoldingBreath) {
+    breathStatus = 'Holding breath';
+  } else if (gameState.breathRecoveryTime > 0) {
+    breathStatus = 'Out of breath';
+  }
+  
+  // Only touch the DOM when the state changes
+  const shown = `${isAiming}:${isScoped}:${breathStatus}`;
+  if (shown !== lastAimDisplay) {
+    lastAimDisplay = shown;
+    crosshair.style.display = isScoped ? 'none' : 'block';
+    crosshair.style.width = isAiming ? '12px' : '20px';
+    crosshair.style.height = isAiming ? '12px' : '20px';
+    scopeOverlay.style.display = isScoped ? 'block' : 'none';
+    document.getElementById('scopeBreath').textContent = breathStatus;
+  }
+  if (!isScoped) return;
+  
+  // The scope follows the aim, drifting with it unless the player holds their breath
+  const aimPosition = gameState.getAimPosition();
+  const left = (aimPosition.x + 1) / 2 * 100;
+  const top = (1 - aimPosition.y) / 2 * 100;
+  scopeOverlay.style.background = `radial-gradient(circle at ${left}% ${top}%, transparent 0, transparent 34vmin, rgba(0, 0, 0, 0.97) 35vmin)`;
+  const reticle = document.getElementById('scopeReticle');
+  reticle.style.left = `${left}%`;
+  reticle.style.top = `${top}%`;
+}
+
+/**
+ * Updates the body diagram to show the player's wounds
+ */
+function updateInjuryDisplay() {
+  const diagram = document.getElementById('injuryDiagram');
+  if (!diagram) return;
+  
+  // Unhurt parts stay green, wounded ones turn yellow then red
+  diagram.querySelectorAll('[data-zone]').forEach(part => {
+    const level = gameState.injuries[part.dataset.zone] || 0;
+    part.style.backgroundColor = INJURY_COLORS[Math.min(level, INJURY_COLORS.length - 1)];
+  });
+  
+  const bleedingIndicator = document.getElementById('bleedingIndicator');
+  if (bleedingIndicator) {
+    bleedingIndicator.style.display = gameState.bleedRate > 0 ? 'block' : 'none';
+  }
+}
+
 /**
  * Updates all particle effects
  * @param {Array} particles - Array of particle objects
@@ -1460,14 +2030,250 @@ function showAmmoPickupMessage(amount) {
   }, 1000);
 }
 
+/**
+ * Opens the armory for the intermission the match has started
+ */
+function handleIntermissionStarted() {
+  console.log(`Intermission: ${gameState.warBonds} war bonds to spend`);
+  
+  // Shopping needs the cursor
+  releasePointerLock();
+  gameState.isAiming = false;
+  
+  const armoryPanel = document.getElementById('armoryPanel');
+  if (armoryPanel) {
+    armoryPanel.style.display = 'block';
+  }
+  renderArmory();
+  updateIntermissionTimer();
+  
+  if (match.perkChoices.length > 0) {
+    showPerkChoice();
+  }
+}
+
+/**
+ * Ends the intermission early when the player is done shopping
+ */
+function finishShopping() {
+  if (!match.isIntermission) return;
+  if (match.perkChoices.length > 0) {
+    showNotification('Choose a perk first');
+    return;
+  }
+  
+  endIntermission(match);
+}
+
+/**
+ * Closes the armory and sends in the next wave once the intermission is over
+ */
+function handleIntermissionEnded() {
+  console.log("Intermission over - next wave incoming");
+  closeArmory();
+  spawnNewWave();
+}
+
+/**
+ * Hides the armory without starting a wave (e.g. on restart)
+ */
+function closeArmory() {
+  const armoryPanel = document.getElementById('armoryPanel');
+  if (armoryPanel) {
+    armoryPanel.style.display = 'none';
+  }
+}
+
+/**
+ * Shows the seconds left before the next wave
+ */
+function updateIntermissionTimer() {
+  const timer = document.getElementById('armoryTimer');
+  if (timer) {
+    timer.textContent = `Next wave in ${Math.ceil(match.intermissionTimeLeft)}s`;
+  }
+}
+
+/**
+ * Shows the perks on offer for clearing a milestone wave
+ */
+function showPerkChoice() {
+  // Create or get the perk choice container
+  let perkChoice = document.getElementById('perkChoice');
+  if (!perkChoice) {
+    perkChoice = document.createElement('div');
+    perkChoice.id = 'perkChoice';
+    perkChoice.style.position = 'absolute';
+    perkChoice.style.top = '50%';
+    perkChoice.style.left = '40%';
+    perkChoice.style.transform = 'translate(-50%, -50%)';
+    perkChoice.style.color = 'white';
+    perkChoice.style.fontFamily = 'Arial, sans-serif';
+    perkChoice.style.textAlign = 'center';
+    perkChoice.style.textShadow = '2px 2px 3px rgba(0, 0, 0, 0.8)';
+    perkChoice.style.zIndex = '300';
+    perkChoice.style.pointerEvents = 'auto';
+    document.body.appendChild(perkChoice);
+    
+    // Cards are rebuilt for every choice, so listen on the container
+    perkChoice.addEventListener('click', (event) => {
+      const card = event.target.closest('button[data-perk]');
+      if (card) {
+        pickPerk(card.dataset.perk);
+      }
+    });
+  }
+  
+  const cards = match.perkChoices.map((perkId, index) => {
+    const perk = PERK_DEFINITIONS[perkId];
+    const nextRank = gameState.getPerkStacks(perkId) + 1;
+    const rank = perk.maxStacks > 1 ? `Rank ${nextRank} of ${perk.maxStacks}` : '';
+    return `
+      <button data-perk="${perkId}" style="width: 190px; margin: 0 8px; padding: 18px 12px; cursor: pointer; color: white; background-color: rgba(30, 32, 20, 0.92); border: 2px solid #d4b45c; border-radius: 8px; font-family: Arial, sans-serif; vertical-align: top">
+        <div style="font-size: 14px; color: #aaaaaa">[${index + 1}]</div>
+        <div style="font-size: 20px; font-weight: bold; color: #d4b45c; margin: 6px 0">${perk.name}</div>
+        <div style="font-size: 15px">${perk.description}</div>
+        <div style="font-size: 12px; color: #99cc66; margin-top: 6px">${rank}</div>
+      </button>
+    `;
+  }).join('');
+  
+  perkChoice.innerHTML = `
+    <div style="font-family: Impact, sans-serif; font-size: 40px; color: #d4b45c; margin-bottom: 15px">FIELD PROMOTION - CHOOSE A PERK</div>
+    <div>${cards}</div>
+  `;
+  perkChoice.style.display = 'block';
+}
+
+/**
+ * Gives the player the perk they picked and lets the intermission carry on
+ * @param {string} perkId - Perk id from the choices on offer
+ */
+function pickPerk(perkId) {
+  if (!choosePerk(match, perkId)) return;
+  
+  const perkChoice = document.getElementById('perkChoice');
+  if (perkChoice) {
+    perkChoice.style.display = 'none';
+  }
+  
+  showNotification(`Perk gained: ${PERK_DEFINITIONS[perkId].name}`);
+  renderArmory();
+  updateUI();
+}
+
+/**
+ * Rebuilds the armory's item list for the player's current balance and purchases
+ */
+function renderArmory() {
+  const bonds = document.getElementById('armoryBonds');
+  const items = document.getElementById('armoryItems');
+  if (!bonds || !items) return;
+  
+  bonds.innerHTML = `<span style="color: #d4b45c; font-weight: bold">${gameState.warBonds} WAR BONDS</span>` +
+    (match.lastWaveWarBonds > 0 ? ` <span style="color: #99cc66; font-size: 14px">(+${match.lastWaveWarBonds} this wave)</span>` : '');
+  
+  // Group the stock under a heading per category
+  const headings = {
+    [ARMORY_CATEGORIES.WEAPONS]: 'Weapon Upgrades',
+    [ARMORY_CATEGORIES.SUPPLIES]: 'Supplies',
+    [ARMORY_CATEGORIES.FORTIFICATIONS]: 'Fortifications',
+    [ARMORY_CATEGORIES.PERKS]: 'Perks'
+  };
+  const stock = getArmoryStock(gameState);
+  let html = '';
+  for (const [category, heading] of Object.entries(headings)) {
+    const categoryItems = stock.filter(item => item.category === category);
+    if (categoryItems.length === 0) continue;
+    
+    html += `<div style="margin: 10px 0 4px 0; font-weight: bold; color: #d4b45c; border-bottom: 1px solid #5a5236">${heading}</div>`;
+    for (const item of categoryItems) {
+      html += `
+        <div style="display: flex; justify-content: space-between; align-items: center; padding: 4px 0; opacity: ${item.available ? 1 : 0.5}">
+          <div>
+            <div>${item.name}</div>
+            <div style="font-size: 12px; color: #aaaaaa">${item.available ? item.description : item.reason}</div>
+          </div>
+          <button data-item="${item.id}" ${item.available ? '' : 'disabled'} style="min-width: 60px; padding: 5px 8px; cursor: ${item.available ? 'pointer' : 'default'}; background-color: ${item.available ? '#8b7d4b' : '#444444'}; color: white; border: none; border-radius: 4px">${item.price > 0 ? item.price : '-'}</button>
+        </div>
+      `;
+    }
+  }
+  items.innerHTML = html;
+}
+
+/**
+ * Buys an armory item and applies anything that needs the scene
+ * @param {string} itemId - Item id from getArmoryStock
+ */
+function buyArmoryItem(itemId) {
+  const options = {};
+  if (itemId === 'sandbags') {
+    options.emplacement = findEmplacementSpot();
+  }
+  
+  const result = purchaseArmoryItem(gameState, itemId, options);
+  if (!result.success) {
+    showNotification(result.message);
+    return;
+  }
+  
+  // Sandbags go up straight away so the player can see where they landed
+  if (options.emplacement) {
+    sandbagEmplacements.push(createSandbagEmplacement(scene, options.emplacement));
+    markNavGridDirty();
+    markLineOfSightDirty();
+  }
+  if (itemId === 'medkit') {
+    createHealingEffect(player.position.clone());
+  }
+  if (itemId.startsWith('upgrade:')) {
+    updatePlayerWeapon(player, gameState.currentWeapon); // Shows a newly fitted scope
+  }
+  
+  if (window.gameAudio && window.gameAudio.playSound) {
+    window.gameAudio.playSound('purchase');
+  }
+  
+  showNotification(result.message);
+  renderArmory();
+  updateUI();
+}
+
+/**
+ * Finds open ground in front of the player for a sandbag emplacement
+ * @returns {Object|null} - { x, z, rotation } facing away from the player, or null if there's no room
+ */
+function findEmplacementSpot() {
+  // "In front" is the way the camera looks
+  const forward = new THREE.Vector3();
+  camera.getWorldDirection(forward);
+  forward.y = 0;
+  if (forward.lengthSq() === 0) return null;
+  forward.normalize();
+  
+  const position = player.position.clone().addScaledVector(forward, SANDBAG_PLACE_DISTANCE);
+  position.y = 0;
+  if (!isWalkable(position)) return null;
+  
+  // Keep emplacements from piling on top of each other
+  for (const emplacement of sandbagEmplacements) {
+    if (emplacement.position.distanceTo(position) < SANDBAG_MIN_SPACING) return null;
+  }
+  
+  return {
+    x: position.x,
+    z: position.z,
+    rotation: Math.atan2(forward.x, forward.z)
+  };
+}
+
 /**
  * Shows a wave completed message
  * @param {number} waveNumber - The completed wave number
+ * @param {Object} rewards - The wave completion rewards from restoreWaveCompletion()
  */
-function showWaveCompletedMessage(waveNumber) {
-  // Apply wave completion rewards
-  const rewards = gameState.restoreWaveCompletion();
-  
+function showWaveCompletedMessage(waveNumber, rewards) {
   // Update UI after rewards
   updateUI();
   
@@ -1504,6 +2310,7 @@ function showWaveCompletedMessage(waveNumber) {
         <span style="color: #ff5555;">+${rewards.healthRestored} HEALTH</span>
         ${rewards.healthRestored > 0 ? '<span style="margin: 0 10px;">|</span>' : ''}
         <span style="color: #ffff55;">+${rewards.ammoRestored} AMMO</span>
+        ${rewards.grenadesRestored > 0 ? `<span style="margin: 0 10px;">|</span><span style="color: #99cc66;">+${rewards.grenadesRestored} GRENADE</span>` : ''}
       </div>
       <div style="font-size: 22px; margin-top: 5px; opacity: 0.8;">Wave Completion Bonus</div>
     </div>
@@ -1605,13 +2412,13 @@ function createHealingEffect(position) {
     );
     
     // Random size
-    const size = 0.2 + Math.random() * 0.4;
+    const size = 0.2 + fxRandom() * 0.4;
     sprite.scale.set(size, size, size);
     
     // Position around the player in a spiral
-    const angle = Math.random() * Math.PI * 2;
-    const radius = 0.5 + Math.random() * 1.5;
-    const height = Math.random() * 2;
+    const angle = fxRandom() * Math.PI * 2;
+    const radius = 0.5 + fxRandom() * 1.5;
+    const height = fxRandom() * 2;
     
     sprite.position.set(
       position.x + Math.cos(angle) * radius,
@@ -1626,13 +2433,13 @@ function createHealingEffect(position) {
     particles.push({
       object: sprite,
       velocity: new THREE.Vector3(
-        (Math.random() - 0.5) * 0.05,
-        0.05 + Math.random() * 0.1,
-        (Math.random() - 0.5) * 0.05
+        (fxRandom() - 0.5) * 0.05,
+        0.05 + fxRandom() * 0.1,
+        (fxRandom() - 0.5) * 0.05
       ),
       opacity: 0.8,
       life: 1.0,
-      decay: 0.01 + Math.random() * 0.02
+      decay: 0.01 + fxRandom() * 0.02
     });
   }
 }
@@ -1655,17 +2462,17 @@ function createAmmoRestorationEffect(position) {
     );
     
     // Random size
-    const size = 0.1 + Math.random() * 0.2;
+    const size = 0.1 + fxRandom() * 0.2;
     sprite.scale.set(size, size, size);
     
     // Position in a circular pattern around player's gun
-    const angle = Math.random() * Math.PI * 2;
-    const radius = 0.3 + Math.random() * 0.7;
+    const angle = fxRandom() * Math.PI * 2;
+    const radius = 0.3 + fxRandom() * 0.7;
     
     // Offset to position near player's gun
     sprite.position.set(
       position.x + Math.cos(angle) * radius + 0.5,
-      position.y + 1 + Math.random() * 0.5,
+      position.y + 1 + fxRandom() * 0.5,
       position.z + Math.sin(angle) * radius + 0.5
     );
     
@@ -1677,173 +2484,16 @@ function createAmmoRestorationEffect(position) {
       object: sprite,
       velocity: new THREE.Vector3(
         Math.cos(angle) * 0.03,
-        0.05 + Math.random() * 0.1,
+        0.05 + fxRandom() * 0.1,
         Math.sin(angle) * 0.03
       ),
       opacity: 0.8,
       life: 1.0,
-      decay: 0.02 + Math.random() * 0.03
+      decay: 0.02 + fxRandom() * 0.03
     });
   }
 }
 
-/**
- * Updates enemy projectiles and handles player hits
- * @param {Array} projectiles - Array of projectile objects
- * @param {THREE.Vector3} playerPosition - Current player position
- * @param {number} deltaTime - Time since last frame
- * @param {THREE.Scene} scene - The scene
- * @returns {Array} - Updated projectiles array
- */
-function updateEnemyProjectiles(projectiles, playerPosition, deltaTime, scene) {
-  // Keep track of projectiles to keep
-  const updatedProjectiles = [];
-  
-  // Update each projectile
-  for (let i = 0; i < projectiles.length; i++) {
-    const projectile = projectiles[i];
-    
-    // Update projectile and get whether to keep it
-    const shouldKeep = projectile.update(deltaTime);
-    
-    if (shouldKeep) {
-      // First check if this projectile hits a tree
-      let treeHit = false;
-      
-      // Create a ray for tree hit detection
-      const ray = new THREE.Raycaster(
-        projectile.startPoint || projectile.position,
-        projectile.direction,
-        0,   // Near plane
-        100  // Far plane - long enough to reach across the map
-      );
-      
-      // Check tree collisions
-      scene.traverse((object) => {
-        if (!treeHit && object.userData && object.userData.isTreePart && object.isMesh) {
-          const intersects = ray.intersectObject(object, false);
-          if (intersects.length > 0) {
-            treeHit = true;
-            console.log("Enemy bullet hit tree part:", object.userData);
-            
-            // Remove the hit tree part
-            if (object.parent) {
-              object.parent.remove(object);
-            }
-            
-            // If this was the trunk, remove the whole tree
-            if (object.userData.isTrunk) {
-              console.log("Enemy bullet hit trunk - destroying whole tree");
-              // Find the tree group (parent) and remove it
-              let treeGroup = object.parent;
-              while (treeGroup && !treeGroup.userData.isTree) {
-                treeGroup = treeGroup.parent;
-              }
-              
-              if (treeGroup && treeGroup.parent) {
-                // Add falling effect and wood particles
-                if (typeof window.createWoodParticles === 'function') {
-                  window.createWoodParticles(scene, treeGroup.position.clone());
-                }
-                treeGroup.parent.remove(treeGroup);
-              }
-            } else if (object.userData.isFoliage) {
-              // Create leaf particles
-              if (typeof window.createLeafParticles === 'function') {
-                window.createLeafParticles(scene, intersects[0].point.clone());
-              }
-            }
-            
-            // Remove the projectile
-            projectile.remove(scene);
-            return;
-          }
-        }
-      });
-      
-      if (treeHit) {
-        // Skip player hit check if we hit a tree
-        continue;
-      }
-      
-      // Check if this projectile hit the player using line segment
-      let hitPlayer = false;
-      
-      // Check if player was hit
-      if (typeof projectile.checkPlayerHit === 'function') {
-        // Use checkPlayerHit method if available
-        hitPlayer = projectile.checkPlayerHit(playerPosition, 0.5); // Player radius of 0.5
-      } else {
-        // Fallback to simplified distance check
-        const playerY = 1.0; // Approximate player height for hit detection
-        
-        // Check distance from shot line to player
-        const shotStart = projectile.startPoint || projectile.position;
-        const shotEnd = projectile.endPoint || projectile.position.clone().add(projectile.direction.clone().multiplyScalar(100));
-        
-        // Create a vector from shot start to end
-        const shotVector = new THREE.Vector3().subVectors(shotEnd, shotStart);
-        const shotLength = shotVector.length();
-        shotVector.normalize();
-        
-        // Create a vector from shot start to player
-        const playerVector = new THREE.Vector3().subVectors(
-          new THREE.Vector3(playerPosition.x, playerY, playerPosition.z),
-          shotStart
-        );
-        
-        // Calculate projection length
-        const projectionLength = playerVector.dot(shotVector);
-        
-        // Only check hits if the projection is within the shot length
-        if (projectionLength >= 0 && projectionLength <= shotLength) {
-          // Calculate closest point on the shot line to player
-          const closestPoint = new THREE.Vector3()
-            .copy(shotStart)
-            .add(shotVector.clone().multiplyScalar(projectionLength));
-          
-          // Check distance from closest point to player
-          const distanceToPlayer = closestPoint.distanceTo(
-            new THREE.Vector3(playerPosition.x, playerY, playerPosition.z)
-          );
-          
-          // If close enough, count as a hit
-          if (distanceToPlayer < 0.5) { // Player radius
-            hitPlayer = true;
-            console.log("Hit! Distance:", distanceToPlayer);
-          }
-        }
-      }
-      
-      // Handle player hit
-      if (hitPlayer) {
-        // Player was hit!
-        console.log("Player hit by enemy bullet!");
-        
-        // Apply damage to player
-        if (gameState && !gameState.isGameOver) {
-          gameState.takeDamage(2, function() {
-            console.log("Player died! Showing killed in action animation");
-            showGameOver();
-          }); // Reduced from 5 to 2 damage per bullet hit
-          updateHealthDisplay();
-          
-          // Show hit vignette effect
-          showPlayerHitEffect();
-        }
-      }
-      
-      // Keep the projectile
-      updatedProjectiles.push(projectile);
-    } else {
-      // Remove the projectile from the scene
-      projectile.remove(scene);
-    }
-  }
-  
-  return updatedProjectiles;
-}
-
 /**
  * Shows a vignette effect when player is hit
  */
@@ -1932,7 +2582,7 @@ function createDebugOverlay() {
   debugContainer.style.position = 'absolute';
   debugContainer.style.top = '10px';
   debugContainer.style.right = '10px';
-  debugContainer.style.width = '300px';
+  debugContainer.style.width = '360px';
   debugContainer.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
   debugContainer.style.color = '#00ff00';
   debugContainer.style.fontFamily = 'monospace';
@@ -1957,10 +2607,19 @@ function createDebugOverlay() {
       <div id="debugFPS">FPS: 0</div>
       <div id="debugEntities">Entities: 0 enemies, 0 projectiles</div>
     </div>
+    <div style="margin-top: 10px;">
+      <h3 style="margin: 0 0 5px 0; color: #ffffff;">ENEMY AI</h3>
+      <div id="debugAIStates">No enemies</div>
+      <div id="debugAIEnemies" style="white-space: pre;"></div>
+    </div>
+    <div style="margin-top: 10px;">
+      <h3 style="margin: 0 0 5px 0; color: #ffffff;">DIRECTOR</h3>
+      <div id="debugDirector" style="white-space: pre;">No wave cleared yet</div>
+    </div>
     <div style="margin-top: 10px;">
       <h3 style="margin: 0 0 5px 0; color: #ffffff;">CONTROLS</h3>
       <div>T - Toggle Bullet Tracers</div>
-      <div>F1 - Toggle Debug Info</div>
+      <div>\` - Toggle Debug Info</div>
     </div>
   `;
   
@@ -2001,7 +2660,7 @@ function updateDebugOverlay() {
   // Update bullet count
   const bulletCountElem = document.getElementById('debugBulletCount');
   if (bulletCountElem) {
-    bulletCountElem.textContent = `Active Bullets: ${projectiles.length} (Player), ${enemyProjectiles.length} (Enemy)`;
+    bulletCountElem.textContent = `Active Bullets: ${match.projectiles.length} (Player), ${match.enemyProjectiles.length} (Enemy)`;
   }
   
   // Update FPS
@@ -2023,9 +2682,86 @@ function updateDebugOverlay() {
   // Update entity count
   const entitiesElem = document.getElementById('debugEntities');
   if (entitiesElem) {
-    const aliveEnemies = enemies.filter(e => !e.isDead).length;
-    entitiesElem.textContent = `Entities: ${aliveEnemies}/${enemies.length} enemies, ${projectiles.length + enemyProjectiles.length} projectiles`;
+    const aliveEnemies = match.enemies.filter(e => !e.isDead).length;
+    entitiesElem.textContent = `Entities: ${aliveEnemies}/${match.enemies.length} enemies, ${match.projectiles.length + match.enemyProjectiles.length} projectiles`;
+  }
+  
+  // Update enemy AI states
+  updateDebugEnemyAI();
+  
+  // Update the spawn director's reasoning
+  updateDebugDirector();
+}
+
+/**
+ * Shows how the director scored the last wave and what it changed for the next one
+ */
+function updateDebugDirector() {
+  const directorElem = document.getElementById('debugDirector');
+  const report = getDirectorReport();
+  if (!directorElem || !report) return;
+  
+  const { metrics, scores, adjustments } = report;
+  const formatScore = (score) => score === null ? '  n/a' : (score >= 0 ? '+' : '') + score.toFixed(2);
+  const formatMetric = (value, digits) => value === null ? '-' : value.toFixed(digits);
+  
+  const lines = [
+    `Wave ${report.wave}: performance ${formatScore(report.performance)}, skill ${formatScore(report.skill)}`,
+    `  Health lost   ${formatMetric(metrics.healthLost, 0).padStart(6)}  ${formatScore(scores.healthLost)}`,
+    `  Accuracy      ${formatMetric(metrics.accuracy, 2).padStart(6)}  ${formatScore(scores.accuracy)}`,
+    `  Headshots     ${formatMetric(metrics.headshotRatio, 2).padStart(6)}  ${formatScore(scores.headshotRatio)}`,
+    `  Sec/enemy     ${formatMetric(metrics.secondsPerEnemy, 1).padStart(6)}  ${formatScore(scores.secondsPerEnemy)}`,
+    `  Ammo reserve  ${formatMetric(metrics.ammoReserve, 0).padStart(6)}  ${formatScore(scores.ammoReserve)}`
+  ];
+  
+  if (adjustments) {
+    lines.push(
+      `Wave ${adjustments.nextWave}: size ${adjustments.originalSize} -> ${adjustments.waveSize}, ` +
+      `specialists x${adjustments.specialistBias.toFixed(2)}`,
+      `  Landing spread ${Math.round(adjustments.landingSpread * 100)}%, drops x${adjustments.dropRate.toFixed(2)}`
+    );
+  }
+  
+  directorElem.textContent = lines.join('\n');
+}
+
+/**
+ * Shows how many enemies are in each AI state, plus the squad, role and state of the closest enemies
+ */
+function updateDebugEnemyAI() {
+  const statesElem = document.getElementById('debugAIStates');
+  const enemiesElem = document.getElementById('debugAIEnemies');
+  if (!statesElem || !enemiesElem || !player) return;
+  
+  // Only enemies that have landed are running their state machine
+  const activeEnemies = match.enemies.filter(e => !e.isDead && (!e.boat || e.disembarked));
+  if (activeEnemies.length === 0) {
+    statesElem.textContent = 'No enemies ashore';
+    enemiesElem.innerHTML = '';
+    return;
+  }
+  
+  // Count enemies per state
+  const counts = {};
+  for (const state of Object.values(AI_STATES)) {
+    counts[state] = 0;
+  }
+  for (const enemy of activeEnemies) {
+    counts[enemy.aiState]++;
   }
+  statesElem.textContent = Object.entries(counts)
+    .filter(([, count]) => count > 0)
+    .map(([state, count]) => `${state}: ${count}`)
+    .join(', ');
+  
+  // List the closest enemies with their state, health and distance
+  const closest = activeEnemies
+    .map(enemy => ({ enemy, distance: enemy.object.position.distanceTo(player.position) }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, DEBUG_AI_ENEMY_LIMIT);
+  enemiesElem.innerHTML = closest
+    .map(({ enemy, distance }) => `<div>${enemy.squad ? `S${enemy.squad.id} ${enemy.squadRole.padEnd(8)} ` : ''}${(enemy.enemyType || 'rifleman').padEnd(12)}${enemy.isBuffed ? '*' : ' '} ${enemy.aiState.padEnd(11)} HP ${Math.ceil(enemy.health)}/${enemy.maxHealth} ${distance.toFixed(1)}m${enemy.canSeePlayer ? '' : ' (no LOS)'}</div>`)
+    .join('');
 }
 
 /**
@@ -2082,10 +2818,10 @@ function createPlayerDeathEffect(callback) {
     // Create explosion particles
     for (let i = 0; i < particleCount; i++) {
       // Create various sized blood particles
-      const size = 0.03 + Math.random() * 0.15; 
+      const size = 0.03 + fxRandom() * 0.15; 
       const geometry = new THREE.SphereGeometry(size, 4, 4);
       const material = new THREE.MeshBasicMaterial({ 
-        color: bloodColors[Math.floor(Math.random() * bloodColors.length)],
+        color: bloodColors[Math.floor(fxRandom() * bloodColors.length)],
         transparent: true,
         opacity: 0.9
       });
@@ -2094,28 +2830,28 @@ function createPlayerDeathEffect(callback) {
       bloodDrop.position.copy(playerPosition);
       
       // Add small random offset
-      bloodDrop.position.x += (Math.random() - 0.5) * 0.3;
-      bloodDrop.position.y += (Math.random() - 0.5) * 0.3;
-      bloodDrop.position.z += (Math.random() - 0.5) * 0.3;
+      bloodDrop.position.x += (fxRandom() - 0.5) * 0.3;
+      bloodDrop.position.y += (fxRandom() - 0.5) * 0.3;
+      bloodDrop.position.z += (fxRandom() - 0.5) * 0.3;
       
       scene.add(bloodDrop);
       bloodParticles.push(bloodDrop);
       
       // Calculate velocity - exploding in all directions
       const velocity = new THREE.Vector3(
-        (Math.random() - 0.5) * 0.8,
-        Math.random() * 0.5 + 0.2, // More upward bias
-        (Math.random() - 0.5) * 0.8
+        (fxRandom() - 0.5) * 0.8,
+        fxRandom() * 0.5 + 0.2, // More upward bias
+        (fxRandom() - 0.5) * 0.8
       );
       
       // Store velocity with the particle
       bloodDrop.userData.velocity = velocity;
       bloodDrop.userData.rotationVelocity = new THREE.Vector3(
-        (Math.random() - 0.5) * 0.2,
-        (Math.random() - 0.5) * 0.2,
-        (Math.random() - 0.5) * 0.2
+        (fxRandom() - 0.5) * 0.2,
+        (fxRandom() - 0.5) * 0.2,
+        (fxRandom() - 0.5) * 0.2
       );
-      bloodDrop.userData.lifetime = 1.5 + Math.random() * 2; // 1.5-3.5 seconds
+      bloodDrop.userData.lifetime = 1.5 + fxRandom() * 2; // 1.5-3.5 seconds
     }
     
     // Dismember player parts
@@ -2158,7 +2894,7 @@ function createPlayerDeathEffect(callback) {
           bloodParticles.splice(i, 1);
           
           // Create blood splatter on ground if hit ground
-          if (particle.position.y < 0 && Math.random() < 0.3) {
+          if (particle.position.y < 0 && fxRandom() < 0.3) {
             createBloodSplatter(scene, particle.position.clone());
           }
         }
@@ -2190,7 +2926,7 @@ function createPlayerDeathEffect(callback) {
           velocity.y = -velocity.y * 0.4; // Bounce with energy loss
           
           // Create blood splatter
-          if (Math.random() < 0.5) {
+          if (fxRandom() < 0.5) {
             createBloodSplatter(scene, part.position.clone());
           }
           
@@ -2315,15 +3051,15 @@ function dismemberPlayer(player, scene) {
     
     // Add physics properties
     part.userData.velocity = new THREE.Vector3(
-      (Math.random() - 0.5) * 0.3,
-      Math.random() * 0.2 + 0.1,
-      (Math.random() - 0.5) * 0.3
+      (fxRandom() - 0.5) * 0.3,
+      fxRandom() * 0.2 + 0.1,
+      (fxRandom() - 0.5) * 0.3
     );
     
     part.userData.rotationVelocity = new THREE.Vector3(
-      (Math.random() - 0.5) * 0.2,
-      (Math.random() - 0.5) * 0.2,
-      (Math.random() - 0.5) * 0.2
+      (fxRandom() - 0.5) * 0.2,
+      (fxRandom() - 0.5) * 0.2,
+      (fxRandom() - 0.5) * 0.2
     );
   });
   
@@ -2337,11 +3073,11 @@ function dismemberPlayer(player, scene) {
  */
 function createBloodSplatter(scene, position) {
   // Create fewer splatter particles for better performance
-  const particleCount = 3 + Math.floor(Math.random() * 3);
+  const particleCount = 3 + Math.floor(fxRandom() * 3);
   
   for (let i = 0; i < particleCount; i++) {
     // Create a small red sphere for blood
-    const size = 0.02 + Math.random() * 0.04;
+    const size = 0.02 + fxRandom() * 0.04;
     const geometry = new THREE.SphereGeometry(size, 3, 3);
     const material = new THREE.MeshBasicMaterial({ 
       color: 0xbb0a1e,
@@ -2352,9 +3088,9 @@ function createBloodSplatter(scene, position) {
     
     // Position at splatter origin with random offset
     particle.position.copy(position);
-    particle.position.x += (Math.random() - 0.5) * 0.3;
+    particle.position.x += (fxRandom() - 0.5) * 0.3;
     particle.position.y = 0.01; // Just above ground
-    particle.position.z += (Math.random() - 0.5) * 0.3;
+    particle.position.z += (fxRandom() - 0.5) * 0.3;
     
     // Add to scene
     scene.add(particle);
@@ -2367,7 +3103,7 @@ function createBloodSplatter(scene, position) {
       if (particle.parent === scene) {
         scene.remove(particle);
       }
-    }, 3000 + Math.random() * 7000); // 3-10 seconds
+    }, 3000 + fxRandom() * 7000); // 3-10 seconds
   }
 }
 
@@ -2410,24 +3146,82 @@ function playSound(soundType, volume = 1.0) {
  * @param {string} weaponType - Type of weapon collected
  */
 function handleWeaponCollected(weaponType) {
-  gameState.collectWeapon(weaponType);
-  updatePlayerWeapon(player, weaponType);
+  updateUI();
   
   // Show pickup notification
-  showPickupNotification(`Picked up ${weaponType.toUpperCase()}`);
+  showPickupNotification(`Picked up ${WEAPON_CONFIG[weaponType].name}`);
 }
 
 /**
  * Handles when ammo is collected
  * @param {number} amount - Amount of ammo collected
- * @param {string} ammoType - Type of ammo collected
+ * @param {string} ammoType - Type of ammo collected, or nothing for the current weapon's
  */
 function handleAmmoCollected(amount, ammoType) {
-  gameState.addAmmo(amount, ammoType);
+  updateUI();
   
   // Show pickup notification
-  const weaponName = ammoType === AMMO_TYPES.MP41 ? 'MP41' : 'Standard';
-  showPickupNotification(`Picked up ${amount} ${weaponName} ammo`);
+  if (ammoType) {
+    showPickupNotification(`Picked up ${amount} ${getAmmoTypeName(ammoType)} ammo`);
+  } else {
+    console.log(`Picked up ${amount} ammo!`);
+    showAmmoPickupMessage(amount);
+  }
+}
+
+/**
+ * Starts applying a field dressing if the player has one and is hurt
+ */
+function useFieldDressing() {
+  if (gameState.isGameOver || gameState.isBandaging) return;
+  
+  if (gameState.fieldDressings <= 0) {
+    showNotification('No field dressings left');
+    return;
+  }
+  if (gameState.health >= 100 && !gameState.isWounded()) {
+    showNotification('Not wounded');
+    return;
+  }
+  
+  if (gameState.startFieldDressing()) {
+    triggerBandageAnimation(player, gameState.getFieldDressingTime());
+    console.log(`Applying field dressing (${gameState.fieldDressings} left)`);
+    updateUI();
+  }
+}
+
+/**
+ * Heals the player once a field dressing has been applied
+ * @param {number} healed - Health the dressing restored
+ */
+function handleFieldDressingApplied(healed) {
+  console.log(`Field dressing applied: +${Math.round(healed)} health`);
+  createHealingEffect(player.position.clone());
+  if (window.gameAudio && window.gameAudio.playSound) {
+    window.gameAudio.playSound('healing');
+  }
+  showPickupNotification(`Wounds dressed: +${Math.round(healed)} health`);
+  updateUI();
+}
+
+/**
+ * Handles picking up a medkit or field dressing
+ * @param {string} type - Pickup type from MEDICAL_ITEMS
+ * @param {number} healed - Health a medkit restored
+ */
+function handleMedicalCollected(type, healed) {
+  if (type === MEDICAL_ITEMS.MEDKIT) {
+    createHealingEffect(player.position.clone());
+    if (window.gameAudio && window.gameAudio.playSound) {
+      window.gameAudio.playSound('healing');
+    }
+    showPickupNotification(`Medkit: +${healed} health`);
+  } else {
+    showPickupNotification(`Picked up a field dressing (${gameState.fieldDressings})`);
+  }
+  
+  updateUI();
 }
 
 /**
@@ -0,0 +1,232 @@
+/**
+ * Armory module - the between-wave shop where the player spends war bonds on
+ * weapon upgrades, supplies, sandbag emplacements and perks
+ */
+import { WEAPON_CONFIG } from './weapons.js';
+import { PERK_DEFINITIONS } from './perks.js';
+
+// Constants for earning war bonds
+const WAR_BONDS_PER_POINT = 0.1; // Bonds per point of score earned during the wave
+const WAVE_CLEAR_BONDS = 50; // Flat bonus for clearing a wave
+const UNTOUCHED_BONDS = 25; // Bonus for clearing a wave without losing any health
+
+// Shop categories, in the order the armory lists them
+export const ARMORY_CATEGORIES = {
+  WEAPONS: 'weapons',
+  SUPPLIES: 'supplies',
+  FORTIFICATIONS: 'fortifications',
+  PERKS: 'perks'
+};
+
+// Upgrade tracks every owned weapon can buy into, priced per level
+export const WEAPON_UPGRADES = {
+  magazine: {
+    name: 'Extended Magazine',
+    description: '+25% magazine capacity',
+    bonusPerLevel: 0.25, // Fraction of the base magazine added per level
+    prices: [120, 200],
+    needsBoxMagazine: true // An en-bloc clip holds what it holds
+  },
+  reload: {
+    name: 'Reload Drill',
+    description: '15% faster reloads',
+    bonusPerLevel: 0.15, // Fraction of the base reload time saved per level
+    prices: [100, 180]
+  },
+  armorPiercing: {
+    name: 'AP Rounds',
+    description: '+30% damage against armor',
+    bonusPerLevel: 0.3, // Extra damage to vehicles per level
+    prices: [100, 180]
+  },
+  scope: {
+    name: 'Sniper Scope',
+    description: 'Telescopic sight - hold right click to look through it',
+    bonusPerLevel: 0,
+    prices: [250],
+    needsScope: true // Only weapons whose descriptor has a scope to fit
+  }
+};
+
+// Supplies and fortifications, bought as often as the player can afford them
+export const ARMORY_SUPPLIES = {
+  ammo_crate: {
+    category: ARMORY_CATEGORIES.SUPPLIES,
+    name: 'Ammo Crate',
+    description: '2 magazines for every weapon you own',
+    price: 50,
+    magazines: 2 // Magazines added per owned weapon
+  },
+  medkit: {
+    category: ARMORY_CATEGORIES.SUPPLIES,
+    name: 'Medkit',
+    description: 'Restore 50 health',
+    price: 60,
+    heal: 50
+  },
+  field_dressing: {
+    category: ARMORY_CATEGORIES.SUPPLIES,
+    name: 'Field Dressing',
+    description: 'Carry one more dressing to apply with H',
+    price: 40
+  },
+  sandbags: {
+    category: ARMORY_CATEGORIES.FORTIFICATIONS,
+    name: 'Sandbag Emplacement',
+    description: 'Chest-high cover placed in front of you',
+    price: 80,
+    maxOwned: 4 // Emplacements the player can have on the island at once
+  }
+};
+
+/**
+ * Works out how many war bonds a cleared wave earns
+ * @param {Object} waveStats - The wave's stats from GameState
+ * @param {number} score - Player's score now
+ * @returns {number} - War bonds earned
+ */
+export function getWaveWarBonds(waveStats, score) {
+  const scoreEarned = Math.max(0, score - waveStats.scoreAtStart);
+  let bonds = Math.round(scoreEarned * WAR_BONDS_PER_POINT) + WAVE_CLEAR_BONDS;
+  if (waveStats.damageTaken === 0) {
+    bonds += UNTOUCHED_BONDS;
+  }
+  return bonds;
+}
+
+/**
+ * Lists everything the armory sells and whether the player can buy it right now
+ * @param {GameState} gameState - Current game state
+ * @returns {Array<Object>} - Items ({ id, category, name, description, price, available, reason })
+ */
+export function getArmoryStock(gameState) {
+  const stock = [];
+  
+  // Weapon upgrades, one line per owned weapon and upgrade track
+  for (const weaponType of gameState.getOwnedWeapons()) {
+    const config = WEAPON_CONFIG[weaponType];
+    for (const [upgrade, track] of Object.entries(WEAPON_UPGRADES)) {
+      if (track.needsBoxMagazine && config.enBloc) continue;
+      if (track.needsScope && !config.scope) continue;
+      
+      const level = gameState.getWeaponUpgradeLevel(weaponType, upgrade);
+      const maxed = level >= track.prices.length;
+      stock.push(createStockEntry(gameState, {
+        id: `upgrade:${weaponType}:${upgrade}`,
+        category: ARMORY_CATEGORIES.WEAPONS,
+        name: `${config.name} ${track.name}${maxed || track.prices.length === 1 ? '' : ` ${toRoman(level + 1)}`}`,
+        description: track.description,
+        price: maxed ? 0 : track.prices[level]
+      }, maxed ? 'Fully upgraded' : null));
+    }
+  }
+  
+  // Supplies and sandbags
+  for (const [id, item] of Object.entries(ARMORY_SUPPLIES)) {
+    let reason = null;
+    if (id === 'medkit' && gameState.health >= 100) {
+      reason = 'Already at full health';
+    } else if (id === 'field_dressing' && !gameState.canCarryFieldDressing()) {
+      reason = 'Pouch is full';
+    } else if (id === 'sandbags' && gameState.emplacements.length >= item.maxOwned) {
+      reason = `Limit of ${item.maxOwned} reached`;
+    }
+    stock.push(createStockEntry(gameState, {
+      id: id,
+      category: item.category,
+      name: item.name,
+      description: item.description,
+      price: item.price
+    }, reason));
+  }
+  
+  // Perks with a price - the rest only come from milestone choices
+  for (const [id, perk] of Object.entries(PERK_DEFINITIONS)) {
+    if (!perk.price) continue;
+    
+    stock.push(createStockEntry(gameState, {
+      id: `perk:${id}`,
+      category: ARMORY_CATEGORIES.PERKS,
+      name: perk.name,
+      description: perk.description,
+      price: perk.price
+    }, gameState.getPerkStacks(id) >= perk.maxStacks ? 'Owned' : null));
+  }
+  
+  return stock;
+}
+
+/**
+ * Buys an item from the armory, spending the player's war bonds
+ * @param {GameState} gameState - Current game state
+ * @param {string} itemId - Item id from getArmoryStock
+ * @param {Object} options - Extra details some items need
+ * @param {Object} options.emplacement - Where to put a sandbag emplacement ({ x, z, rotation })
+ * @returns {Object} - { success, message }
+ */
+export function purchaseArmoryItem(gameState, itemId, options = {}) {
+  const entry = getArmoryStock(gameState).find(item => item.id === itemId);
+  if (!entry) {
+    return { success: false, message: 'Not sold here' };
+  }
+  if (!entry.available) {
+    return { success: false, message: entry.reason };
+  }
+  if (itemId === 'sandbags' && !options.emplacement) {
+    return { success: false, message: 'No room for sandbags there' };
+  }
+  
+  gameState.spendWarBonds(entry.price);
+  const [kind, target, upgrade] = itemId.split(':');
+  
+  switch (kind) {
+    case 'upgrade':
+      gameState.upgradeWeapon(target, upgrade);
+      break;
+    case 'perk':
+      gameState.addPerk(target);
+      break;
+    case 'ammo_crate':
+      // Each owned weapon's ammo type gets its share
+      for (const weaponType of gameState.getOwnedWeapons()) {
+        gameState.addAmmo(gameState.getMagazineSize(weaponType) * ARMORY_SUPPLIES.ammo_crate.magazines,
+          WEAPON_CONFIG[weaponType].ammoType);
+      }
+      break;
+    case 'medkit':
+      gameState.heal(ARMORY_SUPPLIES.medkit.heal);
+      break;
+    case 'field_dressing':
+      gameState.addFieldDressings(1);
+      break;
+    case 'sandbags':
+      gameState.addEmplacement(options.emplacement);
+      break;
+  }
+  
+  console.log(`Armory: bought ${entry.name} for ${entry.price} war bonds (${gameState.warBonds} left)`);
+  return { success: true, message: `Bought ${entry.name}` };
+}
+
+/**
+ * Fills in whether a stock entry can be bought
+ * @param {GameState} gameState - Current game state
+ * @param {Object} entry - Item details
+ * @param {string|null} reason - Why the item can't be bought regardless of price, or null
+ * @returns {Object} - The entry with available and reason set
+ */
+function createStockEntry(gameState, entry, reason) {
+  if (!reason && gameState.warBonds < entry.price) {
+    reason = 'Not enough war bonds';
+  }
+  return { ...entry, available: !reason, reason: reason };
+}
+
+/**
+ * Formats an upgrade level as a Roman numeral
+ * @param {number} level - Level from 1 to 3
+ * @returns {string} - e.g. "II"
+ */
+function toRoman(level) {
+  return ['I', 'II', 'III'][level - 1] || String(level);
+}
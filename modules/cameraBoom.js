@@ -0,0 +1,138 @@
+/**
+ * Camera boom module - keeps the third-person camera out of the bunker, trees, rocks and hills by
+ * pulling it in toward the player's head, and fades foliage that comes between the camera and the player
+ */
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
+
+// Constants for the boom
+const BOOM_MARGIN = 0.3; // Distance the camera keeps from whatever blocks the boom
+const MIN_BOOM_LENGTH = 0.1; // Shortest the boom gets, as a fraction of its full length
+const BOOM_SHORTEN_SPEED = 20; // How quickly the boom pulls in when something gets in the way
+const BOOM_EXTEND_SPEED = 3; // How quickly it eases back out once the way is clear
+const BLOCKER_REFRESH_INTERVAL = 0.5; // Seconds between re-gathering blockers, as trees fall and vehicles land
+
+// Constants for fading foliage
+const FADED_FOLIAGE_OPACITY = 0.35; // Opacity of leaves between the camera and the player
+const FOLIAGE_FADE_SPEED = 6; // How quickly leaves fade out and back in
+
+const boomRaycaster = new THREE.Raycaster();
+let blockers = [];
+let blockerScene = null;
+let blockerRefreshTime = 0;
+const fadedMaterials = new Map(); // Foliage material -> its opacity and transparency before fading
+
+/**
+ * Pulls the third-person camera in along its boom when something solid stands between it and
+ * the player's head, and fades any leaves in the way
+ * @param {THREE.Object3D} player - The player object
+ * @param {THREE.Vector3} head - Where the boom starts (the player's eyes)
+ * @param {THREE.Vector3} desiredPosition - Where the camera would sit with nothing in the way
+ * @param {number} deltaTime - Time since last frame
+ * @returns {THREE.Vector3} - Where the camera should sit
+ */
+export function updateCameraBoom(player, head, desiredPosition, deltaTime) {
+  const boom = new THREE.Vector3().subVectors(desiredPosition, head);
+  const fullLength = boom.length();
+  const scene = player.parent;
+  if (!scene || fullLength === 0) {
+    fadeFoliage(new Set(), deltaTime);
+    return desiredPosition.clone();
+  }
+  
+  refreshBlockers(scene, deltaTime);
+  
+  // Cast from the head out to the camera - the first solid hit is as far as the boom can reach
+  const direction = boom.clone().divideScalar(fullLength);
+  boomRaycaster.set(head, direction);
+  boomRaycaster.far = fullLength;
+  const intersects = boomRaycaster.intersectObjects(blockers, true);
+  const solidHit = intersects.find(hit => !isFoliage(hit.object));
+  const targetLength = solidHit ?
+    Math.max(MIN_BOOM_LENGTH, (solidHit.distance - BOOM_MARGIN) / fullLength) : 1;
+  
+  // Snap in quickly so the wall is barely seen from inside, then drift back out gently
+  const userData = player.userData;
+  const speed = targetLength < userData.boomLength ? BOOM_SHORTEN_SPEED : BOOM_EXTEND_SPEED;
+  userData.boomLength += (targetLength - userData.boomLength) * Math.min(1, deltaTime * speed);
+  const boomDistance = userData.boomLength * fullLength;
+  
+  // Leaves between the camera and the head fade so the player stays in view
+  const occludingMaterials = new Set();
+  for (const hit of intersects) {
+    if (hit.distance < boomDistance && isFoliage(hit.object)) {
+      occludingMaterials.add(hit.object.material);
+    }
+  }
+  fadeFoliage(occludingMaterials, deltaTime);
+  
+  return head.clone().addScaledVector(direction, boomDistance);
+}
+
+/**
+ * Lets the boom out to full length and fades leaves back in, for when the camera leaves third person
+ * @param {THREE.Object3D} player - The player object
+ * @param {number} deltaTime - Time since last frame
+ */
+export function relaxCameraBoom(player, deltaTime) {
+  player.userData.boomLength = 1;
+  fadeFoliage(new Set(), deltaTime);
+}
+
+/**
+ * Re-gathers what the boom can hit every so often - the bunker, rocks, trees, vehicles, hills and bushes
+ * @param {THREE.Scene} scene - The scene
+ * @param {number} deltaTime - Time since last frame
+ */
+function refreshBlockers(scene, deltaTime) {
+  blockerRefreshTime -= deltaTime;
+  if (scene === blockerScene && blockerRefreshTime > 0) return;
+  
+  blockers = [];
+  scene.traverse((object) => {
+    if (!(object.userData.collidable || object.userData.blocksLineOfSight)) return;
+    if (object.userData.isEnemy) return;
+    if (object.parent && object.parent.userData.isEnemy) return;
+    blockers.push(object);
+  });
+  blockerScene = scene;
+  blockerRefreshTime = BLOCKER_REFRESH_INTERVAL;
+}
+
+/**
+ * Whether a mesh the boom hit is leaves the camera can see through
+ * @param {THREE.Object3D} object - The mesh that was hit
+ * @returns {boolean} - True for tree foliage and bushes
+ */
+function isFoliage(object) {
+  return Boolean(object.userData.isFoliage || (object.parent && object.parent.userData.isBush));
+}
+
+/**
+ * Eases occluding foliage toward see-through and everything else back to how it was
+ * @param {Set<THREE.Material>} occludingMaterials - Materials of the leaves in the way this frame
+ * @param {number} deltaTime - Time since last frame
+ */
+function fadeFoliage(occludingMaterials, deltaTime) {
+  const fadeBlend = Math.min(1, deltaTime * FOLIAGE_FADE_SPEED);
+  
+  // Start fading leaves that have just come into the way
+  occludingMaterials.forEach((material) => {
+    if (fadedMaterials.has(material)) return;
+    fadedMaterials.set(material, { opacity: material.opacity, transparent: material.transparent });
+    material.transparent = true;
+    material.needsUpdate = true;
+  });
+  
+  fadedMaterials.forEach((original, material) => {
+    const targetOpacity = occludingMaterials.has(material) ? FADED_FOLIAGE_OPACITY : original.opacity;
+    material.opacity += (targetOpacity - material.opacity) * fadeBlend;
+    
+    // Fully faded back in - hand the material back as it was
+    if (!occludingMaterials.has(material) && Math.abs(material.opacity - original.opacity) < 0.01) {
+      material.opacity = original.opacity;
+      material.transparent = original.transparent;
+      material.needsUpdate = true;
+      fadedMaterials.delete(material);
+    }
+  });
+}
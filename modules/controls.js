@@ -0,0 +1,138 @@
+/**
+ * Controls module - the cursor-aim and mouselook control schemes and their settings
+ */
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
+
+// Control schemes the player can pick between
+export const CONTROL_SCHEMES = {
+  CURSOR: 'cursor', // Aim with the mouse cursor, A/D turn the player
+  MOUSELOOK: 'mouselook' // Pointer lock - the mouse turns the player, A/D strafe
+};
+
+// Constants for settings
+const SETTINGS_STORAGE_KEY = 'naziIsland.controls'; // localStorage key the settings are saved under
+export const MIN_SENSITIVITY = 0.2;
+export const MAX_SENSITIVITY = 3.0;
+const DEFAULT_SETTINGS = {
+  scheme: CONTROL_SCHEMES.CURSOR,
+  sensitivity: 1.0,
+  invertY: false
+};
+
+// Constants for mouselook
+const TURN_PER_PIXEL = 0.0025; // Radians the player turns per pixel of mouse movement at sensitivity 1
+const AIM_HEIGHT_PER_PIXEL = 0.002; // Screen heights (in NDC) the aim moves per pixel at sensitivity 1
+const DEFAULT_AIM_HEIGHT = 0.25; // Aim starts a little above the player, out over the ground ahead
+const MIN_AIM_HEIGHT = -0.5;
+const MAX_AIM_HEIGHT = 0.9;
+
+let settings = loadControlSettings();
+let aimHeight = DEFAULT_AIM_HEIGHT;
+
+/**
+ * Gets the current control settings
+ * @returns {Object} - Copy of the settings ({ scheme, sensitivity, invertY })
+ */
+export function getControlSettings() {
+  return { ...settings };
+}
+
+/**
+ * Whether the mouselook scheme is selected
+ * @returns {boolean} - True if the mouse turns the player
+ */
+export function isMouselook() {
+  return settings.scheme === CONTROL_SCHEMES.MOUSELOOK;
+}
+
+/**
+ * Changes control settings and saves them for the next session
+ * @param {Object} changes - Settings to change ({ scheme, sensitivity, invertY })
+ * @returns {Object} - The settings after the change
+ */
+export function updateControlSettings(changes) {
+  const updated = sanitizeSettings({ ...settings, ...changes });
+  
+  // A new scheme starts with the aim back in its resting place
+  if (updated.scheme !== settings.scheme) {
+    aimHeight = DEFAULT_AIM_HEIGHT;
+    console.log(`Control scheme: ${updated.scheme}`);
+  }
+  
+  settings = updated;
+  saveControlSettings();
+  return getControlSettings();
+}
+
+/**
+ * Turns the player and raises or lowers the aim from a pointer-locked mouse movement
+ * @param {THREE.Object3D} player - The player object
+ * @param {number} movementX - Pixels the mouse moved right
+ * @param {number} movementY - Pixels the mouse moved down
+ * @returns {THREE.Vector2} - New aim position in normalized device coordinates
+ */
+export function applyMouselook(player, movementX, movementY) {
+  const sensitivity = settings.sensitivity;
+  
+  // Mouse right turns right (negative rotation, as the D key does in the cursor scheme)
+  player.rotation.y -= movementX * TURN_PER_PIXEL * sensitivity;
+  
+  // Mouse up raises the aim, unless the player wants it inverted
+  const aimChange = movementY * AIM_HEIGHT_PER_PIXEL * sensitivity;
+  aimHeight += settings.invertY ? aimChange : -aimChange;
+  aimHeight = THREE.MathUtils.clamp(aimHeight, MIN_AIM_HEIGHT, MAX_AIM_HEIGHT);
+  
+  return getMouselookAim();
+}
+
+/**
+ * Gets the mouselook aim position - centered across the screen, at the aim height
+ * @returns {THREE.Vector2} - Aim position in normalized device coordinates
+ */
+export function getMouselookAim() {
+  return new THREE.Vector2(0, aimHeight);
+}
+
+/**
+ * Reads saved control settings, falling back to the defaults
+ * @returns {Object} - Control settings
+ */
+function loadControlSettings() {
+  try {
+    const saved = typeof localStorage !== 'undefined' ? localStorage.getItem(SETTINGS_STORAGE_KEY) : null;
+    if (saved) {
+      return sanitizeSettings(JSON.parse(saved));
+    }
+  } catch (error) {
+    console.warn('Could not load control settings:', error);
+  }
+  return { ...DEFAULT_SETTINGS };
+}
+
+/**
+ * Saves the control settings to localStorage
+ */
+function saveControlSettings() {
+  try {
+    if (typeof localStorage !== 'undefined') {
+      localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    }
+  } catch (error) {
+    console.warn('Could not save control settings:', error);
+  }
+}
+
+/**
+ * Replaces missing or bad values (a hand-edited save, an unknown scheme) with the defaults
+ * @param {Object} candidate - Settings to check
+ * @returns {Object} - Settings safe to use
+ */
+function sanitizeSettings(candidate) {
+  const sensitivity = Number(candidate.sensitivity);
+  return {
+    scheme: Object.values(CONTROL_SCHEMES).includes(candidate.scheme) ? candidate.scheme : DEFAULT_SETTINGS.scheme,
+    sensitivity: Number.isFinite(sensitivity) ?
+      THREE.MathUtils.clamp(sensitivity, MIN_SENSITIVITY, MAX_SENSITIVITY) : DEFAULT_SETTINGS.sensitivity,
+    invertY: Boolean(candidate.invertY)
+  };
+}
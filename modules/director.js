@@ -0,0 +1,215 @@
+/**
+ * Director module - watches how the player handled the last wave and adjusts the next one
+ */
+
+// Targets for an "about right" wave - doing better than these makes the next wave harder
+const PERFORMANCE_TARGETS = {
+  healthLost: 30, // Health lost over the wave
+  accuracy: 0.35, // Hits per shot fired
+  headshotRatio: 0.2, // Headshot kills per kill
+  secondsPerEnemy: 4, // Time to clear the wave divided by its size
+  ammoReserve: 60 // Rounds left in reserve across all weapons
+};
+
+// How much each measurement counts toward the overall performance
+const PERFORMANCE_WEIGHTS = {
+  healthLost: 0.35,
+  accuracy: 0.2,
+  headshotRatio: 0.1,
+  secondsPerEnemy: 0.2,
+  ammoReserve: 0.15
+};
+
+const MIN_SHOTS_FOR_ACCURACY = 5; // Too few shots to judge accuracy below this
+const SKILL_SMOOTHING = 0.5; // How far one wave moves the running skill estimate (0-1)
+
+// Designer-set limits on how far the director can push a wave (overridable from data/waves.json)
+const DEFAULT_DIRECTOR_BOUNDS = {
+  minSizeMultiplier: 0.75, // Smallest a wave can shrink to for a struggling player
+  maxSizeMultiplier: 1.4, // Largest a wave can grow to for a dominant player
+  maxWaveSize: 28, // Hard cap on enemies in one wave
+  minSpecialistBias: 0.5, // Fewest specialists, as a multiplier on their spawn weights
+  maxSpecialistBias: 2.0, // Most specialists
+  minLandingSpread: 0.4, // Boats land within this fraction of the full circle for a struggling player
+  minDropRate: 0.75, // Drop chance multiplier for a dominant player
+  maxDropRate: 1.5 // Drop chance multiplier for a struggling player
+};
+
+// Director state
+let bounds = { ...DEFAULT_DIRECTOR_BOUNDS };
+let skill = 0; // Running estimate of how the player is doing, -1 (struggling) to 1 (dominant)
+let lastReport = null; // Why the last wave was adjusted, for the debug overlay
+
+/**
+ * Sets the director's bounds, falling back to the defaults for anything left out
+ * @param {Object} settings - Bounds from the wave file's "director" block
+ */
+export function configureDirector(settings) {
+  bounds = { ...DEFAULT_DIRECTOR_BOUNDS, ...(settings || {}) };
+}
+
+/**
+ * Forgets everything the director has learned about the player (e.g. on restart)
+ */
+export function resetDirector() {
+  skill = 0;
+  lastReport = null;
+}
+
+/**
+ * Scores the player's performance on the wave they just cleared
+ * @param {Object} waveStats - The wave's stats from GameState
+ * @param {number} ammoReserve - Rounds the player has left in reserve
+ * @returns {Object} - Report of the measurements and resulting skill estimate
+ */
+export function evaluateWave(waveStats, ammoReserve) {
+  const metrics = {
+    healthLost: waveStats.damageTaken,
+    accuracy: waveStats.shotsFired >= MIN_SHOTS_FOR_ACCURACY ? waveStats.shotsHit / waveStats.shotsFired : null,
+    headshotRatio: waveStats.kills > 0 ? waveStats.headshotKills / waveStats.kills : null,
+    secondsPerEnemy: waveStats.enemies > 0 ? waveStats.time / waveStats.enemies : null,
+    ammoReserve: ammoReserve
+  };
+  
+  // Each measurement scores -1 (struggling) to 1 (dominant) against its target
+  const scores = {
+    healthLost: compareToTarget(PERFORMANCE_TARGETS.healthLost - metrics.healthLost, PERFORMANCE_TARGETS.healthLost),
+    accuracy: metrics.accuracy === null ? null :
+      compareToTarget(metrics.accuracy - PERFORMANCE_TARGETS.accuracy, PERFORMANCE_TARGETS.accuracy),
+    headshotRatio: metrics.headshotRatio === null ? null :
+      compareToTarget(metrics.headshotRatio - PERFORMANCE_TARGETS.headshotRatio, PERFORMANCE_TARGETS.headshotRatio),
+    secondsPerEnemy: metrics.secondsPerEnemy === null ? null :
+      compareToTarget(PERFORMANCE_TARGETS.secondsPerEnemy - metrics.secondsPerEnemy, PERFORMANCE_TARGETS.secondsPerEnemy),
+    ammoReserve: compareToTarget(metrics.ammoReserve - PERFORMANCE_TARGETS.ammoReserve, PERFORMANCE_TARGETS.ammoReserve)
+  };
+  
+  // Weighted average of whatever could be measured
+  let weightedSum = 0;
+  let totalWeight = 0;
+  for (const [key, score] of Object.entries(scores)) {
+    if (score === null) continue;
+    weightedSum += score * PERFORMANCE_WEIGHTS[key];
+    totalWeight += PERFORMANCE_WEIGHTS[key];
+  }
+  const performance = totalWeight > 0 ? weightedSum / totalWeight : 0;
+  
+  // Move the running estimate toward this wave's performance so one fluke doesn't swing it
+  skill += (performance - skill) * SKILL_SMOOTHING;
+  
+  lastReport = {
+    wave: waveStats.wave,
+    metrics: metrics,
+    scores: scores,
+    performance: performance,
+    skill: skill,
+    adjustments: null
+  };
+  console.log(`Director: wave ${waveStats.wave} performance ${performance.toFixed(2)}, skill now ${skill.toFixed(2)}`);
+  return lastReport;
+}
+
+/**
+ * Adjusts a wave definition for the player's skill within the director's bounds
+ * @param {Object} definition - Wave definition from getWaveDefinition
+ * @returns {Object} - Adjusted copy of the definition
+ */
+export function applyDirector(definition) {
+  const adjustments = getAdjustments();
+  const boats = definition.boats.map(boat => ({ ...boat }));
+  
+  // Grow or shrink rolled crews; hand-picked crews are left as the designer wrote them
+  const originalSize = boats.reduce((sum, boat) => sum + boat.size, 0);
+  let waveSize = originalSize;
+  for (const boat of boats) {
+    if (boat.crew) continue;
+    const size = Math.max(1, Math.round(boat.size * adjustments.sizeMultiplier));
+    const allowed = Math.max(1, Math.min(size, bounds.maxWaveSize - (waveSize - boat.size)));
+    waveSize += allowed - boat.size;
+    boat.size = allowed;
+  }
+  
+  // Pull the landings into a narrower arc so the player can face one way
+  if (adjustments.landingSpread < 1 && boats.length > 1) {
+    const center = getMeanAngle(boats);
+    for (const boat of boats) {
+      boat.angle = center + wrapAngle(boat.angle - center) * adjustments.landingSpread;
+    }
+  }
+  
+  if (lastReport) {
+    lastReport.adjustments = { ...adjustments, originalSize, waveSize, nextWave: definition.wave };
+  }
+  if (skill !== 0) {
+    console.log(`Director: wave ${definition.wave} size ${originalSize} -> ${waveSize}, ` +
+      `specialists x${adjustments.specialistBias.toFixed(2)}, spread ${Math.round(adjustments.landingSpread * 100)}%, ` +
+      `drops x${adjustments.dropRate.toFixed(2)}`);
+  }
+  
+  return {
+    ...definition,
+    boats: boats,
+    specialistBias: adjustments.specialistBias,
+    dropRate: adjustments.dropRate
+  };
+}
+
+/**
+ * Gets the director's latest report for the debug overlay
+ * @returns {Object|null} - Measurements, skill and adjustments, or null before the first wave is cleared
+ */
+export function getDirectorReport() {
+  return lastReport;
+}
+
+/**
+ * Works out the adjustments for the current skill estimate
+ * @returns {Object} - { sizeMultiplier, specialistBias, landingSpread, dropRate }
+ */
+function getAdjustments() {
+  // Scale each adjustment from neutral toward its bound in the direction of the player's skill
+  const toward = (low, high) => skill >= 0 ? 1 + skill * (high - 1) : 1 - skill * (low - 1);
+  
+  return {
+    sizeMultiplier: toward(bounds.minSizeMultiplier, bounds.maxSizeMultiplier),
+    specialistBias: toward(bounds.minSpecialistBias, bounds.maxSpecialistBias),
+    // Only a struggling player gets a narrower landing - everyone else is attacked from all sides
+    landingSpread: skill >= 0 ? 1 : 1 + skill * (1 - bounds.minLandingSpread),
+    // Drops run the other way: more for a struggling player, fewer for a dominant one
+    dropRate: toward(bounds.maxDropRate, bounds.minDropRate)
+  };
+}
+
+/**
+ * Scores a measurement against its target
+ * @param {number} margin - How far the measurement beat the target (negative if it fell short)
+ * @param {number} target - The target, used to scale the margin
+ * @returns {number} - Score from -1 to 1
+ */
+function compareToTarget(margin, target) {
+  return Math.max(-1, Math.min(1, margin / target));
+}
+
+/**
+ * Finds the average direction boats are landing from
+ * @param {Array} boats - Boats with angles in radians
+ * @returns {number} - Mean angle in radians
+ */
+function getMeanAngle(boats) {
+  let x = 0;
+  let z = 0;
+  for (const boat of boats) {
+    x += Math.cos(boat.angle);
+    z += Math.sin(boat.angle);
+  }
+  // Boats spread evenly round the island have no mean direction, so keep the first boat's
+  return (Math.abs(x) < 1e-6 && Math.abs(z) < 1e-6) ? boats[0].angle : Math.atan2(z, x);
+}
+
+/**
+ * Wraps an angle to the range -PI..PI
+ * @param {number} angle - Angle in radians
+ * @returns {number} - Wrapped angle
+ */
+function wrapAngle(angle) {
+  return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
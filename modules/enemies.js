@@ -2,7 +2,33 @@
  * Enemies module for creating and managing Nazi enemies
  */
 import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
-import { WEAPONS, createWeaponPickup, createMP41AmmoPickup } from './weapons.js';
+import { getRegisteredWeapons, createWeaponPickup, createWeaponAmmoPickup } from './weapons.js';
+import {
+  AI_STATES,
+  AI_STATE_ANIMATIONS,
+  initEnemyAI,
+  beginDisembark,
+  updateEnemyAI,
+  STICK_GRENADES_PER_ENEMY,
+  LOS_CHECK_INTERVAL
+} from './enemyAI.js';
+import { createSquad, updateSquads } from './squads.js';
+import { rollMedicalDrops } from './medical.js';
+import {
+  ENEMY_TYPES,
+  applyEnemyArchetype,
+  rollBoatCrew,
+  assignMG42Assistants,
+  updateOfficerBuffs,
+  getArchetypePose,
+  updateArchetypeVisuals
+} from './enemyTypes.js';
+import { RANDOM_STREAMS, getRandomStream } from './random.js';
+
+// Random streams - spawns and strafing, drops, and death and blood effects
+const aiRandom = getRandomStream(RANDOM_STREAMS.AI);
+const lootRandom = getRandomStream(RANDOM_STREAMS.LOOT);
+const fxRandom = getRandomStream(RANDOM_STREAMS.FX);
 
 // Make functions available globally
 window.createSmallBloodPool = createSmallBloodPool;
@@ -10,25 +36,45 @@ window.createSmallBloodPool = createSmallBloodPool;
 // Global array to track active boats
 let activeBoats = [];
 
-// Constants for MP41 drops
-const MP41_DROP_CHANCE = 0.15; // 15% chance for enemy to drop MP41 after wave 3
-const MP41_AMMO_DROP_CHANCE = 0.3; // 30% chance for enemy to drop MP41 ammo after wave 3
-const MP41_AMMO_DROP_AMOUNT = 16; // Amount of MP41 ammo dropped
+// Balance constants - the defaults, overridden per run by configureEnemyBalance() for balance sweeps
+export const ENEMY_BALANCE_DEFAULTS = {
+  SHOOTING_COOLDOWN_MULTIPLIER: 1, // Scales every archetype's pause between shots
+  CLOSE_RANGE_ACCURACY: 0.9, // Accuracy (0-1) of a shot at close range, before archetype bonuses
+  ACCURACY_FALLOFF: 0.02, // Accuracy lost per unit of distance past close range
+  ELITE_WEAPON_DROP_MULTIPLIER: 2, // Elite enemies' weapon drop chance, relative to a rifleman's
+  ELITE_AMMO_DROP_MULTIPLIER: 1.5, // Elite enemies' ammo drop chance, relative to a rifleman's
+  ELITE_AMMO_AMOUNT_MULTIPLIER: 2 // Rounds in an elite's ammo drop, relative to a rifleman's
+};
+let enemyBalance = { ...ENEMY_BALANCE_DEFAULTS };
+
+// Constants for state poses
+const CROUCH_DROP = 0.3; // How far crouching enemies sink behind cover
+const AIM_ARM_ANGLES = { left: -1.1, right: -1.3 }; // Rifle raised to the shoulder
+const CHARGE_ARM_ANGLE = -0.9; // Rifle held out in front while charging
 
 // Make enemy drop functions available globally
 window.createEnemyDrops = createEnemyDrops;
 
+/**
+ * Sets the enemy balance constants, falling back to the defaults for anything left out
+ * @param {Object} overrides - Values by ENEMY_BALANCE_DEFAULTS name
+ */
+export function configureEnemyBalance(overrides) {
+  enemyBalance = { ...ENEMY_BALANCE_DEFAULTS, ...(overrides || {}) };
+}
+
 /**
  * Creates a single enemy with improved model
  * @param {THREE.Scene} scene - The scene to add the enemy to
  * @param {number} spawnRadius - Distance from center to spawn
  * @param {number} health - Enemy health
  * @param {number} speed - Enemy movement speed
+ * @param {string} type - Enemy archetype from ENEMY_TYPES (defaults to a rifleman)
  * @returns {Object} - The enemy object
  */
-export function createEnemy(scene, spawnRadius, health, speed) {
+export function createEnemy(scene, spawnRadius, health, speed, type = ENEMY_TYPES.RIFLEMAN) {
   // Random angle around the circle
-  const angle = Math.random() * Math.PI * 2;
+  const angle = aiRandom() * Math.PI * 2;
   // Position on the circle
   const x = Math.cos(angle) * spawnRadius;
   const z = Math.sin(angle) * spawnRadius;
@@ -59,9 +105,16 @@ export function createEnemy(scene, spawnRadius, health, speed) {
     attackCooldownDuration: 2.0, // seconds
     lastShootTime: 0,
     shootingCooldown: 1.5, // REDUCED: seconds between shots (from 3.0 to 1.5)
-    strafeDirection: Math.random() > 0.5 ? 1 : -1, // Random initial strafe direction
+    strafeDirection: aiRandom() > 0.5 ? 1 : -1, // Random initial strafe direction
     strafeTimer: 0,
-    strafeDuration: 2 + Math.random() * 3, // Random strafe duration between 2-5 seconds
+    strafeDuration: 2 + aiRandom() * 3, // Random strafe duration between 2-5 seconds
+    grenades: STICK_GRENADES_PER_ENEMY,
+    canSeePlayer: true,
+    canShootPlayer: true, // Whether the last shot's path from the muzzle was clear
+    playerHiddenTime: 0, // Seconds the player has been out of sight
+    losCheckTimer: aiRandom() * LOS_CHECK_INTERVAL, // Stagger checks across enemies
+    firingPosition: null, // Spot with a clear shot when the player is behind cover
+    repositionTimer: 0,
     userData: {
       // These will be set when the body parts are created
       head: null,
@@ -84,6 +137,25 @@ export function createEnemy(scene, spawnRadius, health, speed) {
   // Create enemy body parts
   createEnemyBodyParts(enemy);
   
+  // Remember limb rest positions for the walking animation
+  for (const part of ['leftArm', 'rightArm', 'leftLeg', 'rightLeg']) {
+    if (enemy.userData[part]) {
+      enemy.userData[`${part}Pos`] = enemy.userData[part].position.clone();
+    }
+  }
+  enemy.userData.animationTime = 0;
+  
+  // Turn the rifleman into a sniper, gunner, officer or flamethrower trooper
+  applyEnemyArchetype(enemy, type);
+  
+  // Marksmanship from the balance constants, read by the AI when it fires
+  enemy.shootingCooldown *= enemyBalance.SHOOTING_COOLDOWN_MULTIPLIER;
+  enemy.closeRangeAccuracy = enemyBalance.CLOSE_RANGE_ACCURACY;
+  enemy.accuracyFalloff = enemyBalance.ACCURACY_FALLOFF;
+  
+  // Start the state machine - boat enemies switch to disembarking when they land
+  initEnemyAI(enemy, AI_STATES.ADVANCE);
+  
   return enemy;
 }
 
@@ -117,8 +189,9 @@ function createEnemyBodyParts(enemy) {
   body.name = "body";
   enemyContainer.add(body);
   
-  // Store reference to body mesh
+  // Store reference to body mesh and its color for the hit flash
   enemy.userData.body = body;
+  enemy.userData.bodyColor = bodyMaterial.color.clone();
   
   // Add belt
   const beltGeometry = new THREE.BoxGeometry(0.85, 0.15, 0.65);
@@ -212,6 +285,7 @@ function createEnemyBodyParts(enemy) {
   const helmetGroup = new THREE.Group();
   helmetGroup.position.set(0, 0.3, 0);
   headGroup.add(helmetGroup);
+  enemy.userData.helmet = helmetGroup;
   
   // Main helmet dome
   const helmetGeometry = new THREE.SphereGeometry(0.42, 16, 16, 0, Math.PI * 2, 0, Math.PI / 2);
@@ -370,6 +444,7 @@ function createEnemyBodyParts(enemy) {
   const gunGroup = new THREE.Group();
   gunGroup.position.set(0.55, 0.6, 0.3);
   enemyContainer.add(gunGroup);
+  enemy.userData.gun = gunGroup;
   
   // Gun body (wooden stock)
   const gunBodyGeometry = new THREE.BoxGeometry(0.08, 0.12, 1.0);
@@ -409,7 +484,7 @@ function createEnemyBodyParts(enemy) {
   gunGroup.add(scope);
   
   // Add backpack to some soldiers (randomly)
-  if (Math.random() > 0.5) {
+  if (fxRandom() > 0.5) {
     const backpackGeometry = new THREE.BoxGeometry(0.6, 0.6, 0.2);
     const backpackMaterial = new THREE.MeshStandardMaterial({
       color: 0x2b3d35, // Dark green-gray
@@ -441,12 +516,14 @@ function createEnemyBodyParts(enemy) {
  * @param {THREE.Scene} scene - The scene to add the boat to
  * @param {number} spawnAngle - Angle around the island to spawn the boat
  * @param {number} spawnDistance - Distance from island center to spawn
- * @param {number} enemyCount - Number of enemies to place on the boat
+ * @param {Array<string>} crewTypes - Archetype of each enemy to place on the boat, leader first
  * @param {number} health - Health for each enemy
  * @param {number} speed - Speed for each enemy
  * @returns {Object} - The boat object with enemies
  */
-function createBoat(scene, spawnAngle, spawnDistance, enemyCount, health, speed) {
+function createBoat(scene, spawnAngle, spawnDistance, crewTypes, health, speed) {
+  const enemyCount = crewTypes.length;
+  
   // Calculate spawn position
   const x = Math.cos(spawnAngle) * spawnDistance;
   const z = Math.sin(spawnAngle) * spawnDistance;
@@ -518,12 +595,12 @@ function createBoat(scene, spawnAngle, spawnDistance, enemyCount, health, speed)
   
   for (let i = 0; i < enemyCount; i++) {
     // Create enemy without adding to scene
-    const enemy = createEnemyForBoat(scene, health, speed);
+    const enemy = createEnemyForBoat(scene, health, speed, crewTypes[i]);
     
     // Position enemy in the boat
     const enemyObject = enemy.object;
     enemyObject.position.set(
-      (Math.random() - 0.5) * 1.5, // Random position across boat width
+      (aiRandom() - 0.5) * 1.5, // Random position across boat width
       0.8, // Standing on boat
       -2.5 + (i + 1) * enemySpacing // Distributed along boat length
     );
@@ -540,6 +617,10 @@ function createBoat(scene, spawnAngle, spawnDistance, enemyCount, health, speed)
     enemies.push(enemy);
   }
   
+  // The boat's soldiers fight as one squad once ashore, MG42 gunners paired with an assistant
+  assignMG42Assistants(enemies);
+  createSquad(enemies);
+  
   // Create boat object
   const boat = {
     object: boatGroup,
@@ -551,6 +632,8 @@ function createBoat(scene, spawnAngle, spawnDistance, enemyCount, health, speed)
     ),
     speed: 0.15, // Boat movement speed
     angle: spawnAngle,
+    launchDelay: 0, // Seconds to wait before heading for shore
+    sailingTime: 0, // Seconds under way, for the bobbing
     hasReachedShore: false,
     enemiesDisembarked: false,
     removalTimer: 0,
@@ -565,15 +648,16 @@ function createBoat(scene, spawnAngle, spawnDistance, enemyCount, health, speed)
  * @param {THREE.Scene} scene - The scene
  * @param {number} health - Enemy health
  * @param {number} speed - Enemy speed
+ * @param {string} type - Enemy archetype from ENEMY_TYPES
  * @returns {Object} - The enemy object
  */
-function createEnemyForBoat(scene, health, speed) {
+function createEnemyForBoat(scene, health, speed, type) {
   // Create a temporary group to act as a scene
   const tempGroup = new THREE.Group();
   
   // Use the existing createEnemy function but with a dummy spawn radius
   // We'll position the enemy manually later
-  const enemy = createEnemy(tempGroup, 0, health, speed);
+  const enemy = createEnemy(tempGroup, 0, health, speed, type);
   
   // Remove the enemy from the temp group (it will be added to the boat)
   if (enemy.object.parent === tempGroup) {
@@ -586,28 +670,14 @@ function createEnemyForBoat(scene, health, speed) {
 /**
  * Spawns a wave of enemies using boats
  * @param {THREE.Scene} scene - The scene
- * @param {number} wave - Current wave number
- * @param {number} maxEnemies - Maximum enemies allowed
+ * @param {Object} definition - Wave definition from getWaveDefinition
  * @param {number} spawnRadius - Distance from center to spawn boats
  * @param {number} baseHealth - Base enemy health
  * @param {number} baseSpeed - Base enemy speed
  * @returns {Array} - Array of enemy objects
  */
-export function spawnWave(scene, wave, maxEnemies, spawnRadius, baseHealth, baseSpeed) {
-  // Calculate number of enemies for this wave (increasing with wave number)
-  const enemiesForWave = Math.min(Math.floor(wave * 2 + 3), maxEnemies);
-  console.log(`Spawning wave ${wave} with ${enemiesForWave} enemies`);
-  
-  // Scale difficulty with wave number
-  const healthMultiplier = 1 + (wave - 1) * 0.2; // +20% health per wave
-  const speedMultiplier = 1 + (wave - 1) * 0.1; // +10% speed per wave
-  
-  // Calculate enemy health and speed based on wave
-  const health = Math.round(baseHealth * healthMultiplier);
-  const speed = baseSpeed * speedMultiplier;
-  
-  // Create array to hold all enemies
-  const allEnemies = [];
+export function spawnWave(scene, definition, spawnRadius, baseHealth, baseSpeed) {
+  console.log(`Spawning wave ${definition.wave} (${definition.source}) with ${definition.boats.length} boats`);
   
   // Clear any existing boats
   for (const boat of activeBoats) {
@@ -617,28 +687,46 @@ export function spawnWave(scene, wave, maxEnemies, spawnRadius, baseHealth, base
   }
   activeBoats = [];
   
-  // Determine number of boats based on wave and enemy count
-  const boatsForWave = Math.min(Math.ceil(wave / 2) + 1, Math.ceil(enemiesForWave / 3));
-  console.log(`Spawning ${boatsForWave} boats for wave ${wave}`);
+  return spawnBoats(scene, definition, definition.boats, spawnRadius, baseHealth, baseSpeed);
+}
+
+/**
+ * Launches boats for a wave - its opening landing or reinforcements arriving later
+ * @param {THREE.Scene} scene - The scene
+ * @param {Object} definition - Wave definition, for the wave number, enemy scaling and specialist bias
+ * @param {Array} boats - Boats to launch ({ angle, delay, size, crew })
+ * @param {number} spawnRadius - Distance from center to spawn boats
+ * @param {number} baseHealth - Base enemy health
+ * @param {number} baseSpeed - Base enemy speed
+ * @returns {Array} - Array of enemy objects
+ */
+export function spawnBoats(scene, definition, boats, spawnRadius, baseHealth, baseSpeed) {
+  const wave = definition.wave;
   
-  // Calculate enemies per boat (distribute evenly)
-  const baseEnemiesPerBoat = Math.floor(enemiesForWave / boatsForWave);
-  let remainingEnemies = enemiesForWave - (baseEnemiesPerBoat * boatsForWave);
+  // Calculate enemy health and speed for this wave
+  const health = Math.round(baseHealth * definition.healthMultiplier);
+  const speed = baseSpeed * definition.speedMultiplier;
   
-  // Spawn boats around the island
-  const angleStep = (Math.PI * 2) / boatsForWave;
+  // Create array to hold all enemies
+  const allEnemies = [];
   const spawnDistance = spawnRadius * 1.5; // Spawn boats further out
   
-  for (let i = 0; i < boatsForWave; i++) {
-    // Calculate enemies for this boat (distribute remaining enemies)
-    const enemiesForBoat = baseEnemiesPerBoat + (remainingEnemies > 0 ? 1 : 0);
-    if (remainingEnemies > 0) remainingEnemies--;
-    
-    // Calculate spawn angle (distribute evenly around island)
-    const spawnAngle = i * angleStep;
+  // Archetypes rolled so far, so per-wave caps hold across boats
+  const waveCounts = {};
+  
+  for (const boatDefinition of boats) {
+    // Designer crews are used as written, otherwise roll the crew's archetypes
+    let crewTypes = boatDefinition.crew;
+    if (crewTypes) {
+      for (const type of crewTypes) {
+        waveCounts[type] = (waveCounts[type] || 0) + 1;
+      }
+    } else {
+      crewTypes = rollBoatCrew(wave, boatDefinition.size, waveCounts, definition.specialistBias);
+    }
     
-    // Create boat with enemies
-    const boat = createBoat(scene, spawnAngle, spawnDistance, enemiesForBoat, health, speed);
+    const boat = createBoat(scene, boatDefinition.angle, spawnDistance, crewTypes, health, speed);
+    boat.launchDelay = boatDefinition.delay || 0;
     
     // Add boat to active boats
     activeBoats.push(boat);
@@ -653,6 +741,8 @@ export function spawnWave(scene, wave, maxEnemies, spawnRadius, baseHealth, base
     }
   }
   
+  console.log(`Wave ${wave} composition:`, waveCounts);
+  
   return allEnemies;
 }
 
@@ -684,22 +774,22 @@ function createSplashEffect(scene, position) {
     
     // Random initial position near splash center
     particle.position.set(
-      splashPosition.x + (Math.random() - 0.5) * 2,
+      splashPosition.x + (fxRandom() - 0.5) * 2,
       splashPosition.y,
-      splashPosition.z + (Math.random() - 0.5) * 2
+      splashPosition.z + (fxRandom() - 0.5) * 2
     );
     
     // Random velocity
     const velocity = new THREE.Vector3(
-      (Math.random() - 0.5) * 0.2,
-      0.1 + Math.random() * 0.2,
-      (Math.random() - 0.5) * 0.2
+      (fxRandom() - 0.5) * 0.2,
+      0.1 + fxRandom() * 0.2,
+      (fxRandom() - 0.5) * 0.2
     );
     
     // Store velocity in userData
     particle.userData.velocity = velocity;
     particle.userData.lifetime = 0;
-    particle.userData.maxLifetime = 1 + Math.random() * 0.5; // 1-1.5 seconds
+    particle.userData.maxLifetime = 1 + fxRandom() * 0.5; // 1-1.5 seconds
     
     particles.add(particle);
   }
@@ -794,19 +884,27 @@ export function updateBoats(scene, deltaTime) {
   for (let i = activeBoats.length - 1; i >= 0; i--) {
     const boat = activeBoats[i];
     
+    // Boats with a landing delay wait out at sea
+    if (boat.launchDelay > 0) {
+      boat.launchDelay -= deltaTime;
+      continue;
+    }
+    
     if (!boat.hasReachedShore) {
       // Move boat toward shore
       const direction = new THREE.Vector3()
         .subVectors(boat.targetPosition, boat.object.position)
         .normalize();
       
-      boat.object.position.x += direction.x * boat.speed;
-      boat.object.position.z += direction.z * boat.speed;
+      boat.object.position.x += direction.x * boat.speed * deltaTime * 60; // Normalize by 60fps
+      boat.object.position.z += direction.z * boat.speed * deltaTime * 60;
       
-      // Add gentle bobbing motion
-      boat.object.position.y = 0.1 + Math.sin(Date.now() * 0.002) * 0.05;
-      boat.object.rotation.x = Math.sin(Date.now() * 0.001) * 0.02;
-      boat.object.rotation.z = Math.cos(Date.now() * 0.001) * 0.02;
+      // Add gentle bobbing motion - on the simulation clock, as it moves the soldiers aboard and
+      // where they step off
+      boat.sailingTime += deltaTime;
+      boat.object.position.y = 0.1 + Math.sin(boat.sailingTime * 2) * 0.05;
+      boat.object.rotation.x = Math.sin(boat.sailingTime) * 0.02;
+      boat.object.rotation.z = Math.cos(boat.sailingTime) * 0.02;
       
       // Check if boat has reached shore
       const distanceToShore = boat.object.position.distanceTo(boat.targetPosition);
@@ -878,30 +976,11 @@ function disembarkEnemies(boat, scene) {
     // Mark as disembarked
     enemy.disembarked = true;
     
-    // Stagger disembarkation with a small delay
-    setTimeout(() => {
-      // Add a small random offset to prevent enemies from stacking
-      const randomOffset = new THREE.Vector3(
-        (Math.random() - 0.5) * 2,
-        0,
-        (Math.random() - 0.5) * 2
-      );
-      
-      // Move enemy toward island center
-      const direction = new THREE.Vector3(
-        -Math.cos(boat.angle),
-        0,
-        -Math.sin(boat.angle)
-      ).normalize();
-      
-      // Set enemy position slightly away from boat toward island
-      enemyObject.position.add(
-        direction.multiplyScalar(2).add(randomOffset)
-      );
-      
-      // Make enemy face the island center
-      enemyObject.rotation.y = boat.angle;
-    }, i * 300); // Stagger disembarkation by 300ms per enemy
+    // Make enemy face the island center
+    enemyObject.rotation.y = boat.angle;
+    
+    // Wade ashore, staggered so enemies don't stack up
+    beginDisembark(enemy, boat.angle, i);
   }
 }
 
@@ -912,8 +991,27 @@ function disembarkEnemies(boat, scene) {
  * @param {number} deltaTime - Time since last frame
  * @param {THREE.Scene} scene - The scene
  * @param {Array} projectiles - Array to store new projectiles
+ * @param {Object} options - Extra update options
+ * @param {Array} options.grenades - Array to store thrown stick grenades
+ * @param {number} options.time - Simulation clock in seconds, for shot cooldowns
  */
-export function updateEnemies(enemies, playerPosition, deltaTime, scene, projectiles = []) {
+export function updateEnemies(enemies, playerPosition, deltaTime, scene, projectiles = [], options = {}) {
+  // Frame data shared by every enemy's state machine
+  const context = {
+    playerPosition,
+    deltaTime,
+    scene,
+    projectiles,
+    grenades: options.grenades,
+    time: options.time
+  };
+  
+  // Age squad callouts and replace fallen squad leaders
+  updateSquads(enemies, deltaTime);
+  
+  // Soldiers near an officer fight harder
+  updateOfficerBuffs(enemies);
+  
   // Process each enemy
   for (let i = enemies.length - 1; i >= 0; i--) {
     const enemy = enemies[i];
@@ -944,103 +1042,14 @@ export function updateEnemies(enemies, playerPosition, deltaTime, scene, project
     // Store original position for collision detection
     const originalPosition = enemyObject.position.clone();
     
-    // Calculate direction to player
-    const directionToPlayer = new THREE.Vector3()
-      .subVectors(playerPosition, enemyObject.position)
-      .normalize();
+    // Let the enemy's state machine decide what to do this frame
+    updateEnemyAI(enemy, context);
     
-    // Calculate distance to player
-    const distanceToPlayer = enemyObject.position.distanceTo(playerPosition);
-    
-    // Update enemy behavior based on distance to player
-    if (distanceToPlayer < 30) { // Enemy is close enough to engage
-      // Make enemy face player
-      enemyObject.lookAt(playerPosition.x, enemyObject.position.y, playerPosition.z);
-      
-      // Determine if enemy should move or shoot
-      if (distanceToPlayer > 15) { // Move toward player if too far
-        // Move toward player
-        enemyObject.position.x += directionToPlayer.x * enemy.speed * deltaTime * 60;
-        enemyObject.position.z += directionToPlayer.z * enemy.speed * deltaTime * 60;
-        
-        // Animate walking
-        animateEnemyWalking(enemy, deltaTime);
-      } else { // Within shooting range
-        // Stop walking animation
-        if (enemy.userData.leftLeg) {
-          enemy.userData.leftLeg.rotation.x = 0;
-        }
-        if (enemy.userData.rightLeg) {
-          enemy.userData.rightLeg.rotation.x = 0;
-        }
-        
-        // Determine if enemy should strafe
-        enemy.strafeTimer += deltaTime;
-        if (enemy.strafeTimer > enemy.strafeDuration) {
-          // Change strafe direction
-          enemy.strafeDirection = -enemy.strafeDirection;
-          enemy.strafeTimer = 0;
-          enemy.strafeDuration = 2 + Math.random() * 3; // New random duration
-        }
-        
-        // Strafe perpendicular to player direction
-        const strafeDirection = new THREE.Vector3(
-          -directionToPlayer.z, 
-          0, 
-          directionToPlayer.x
-        ).normalize();
-        
-        // Apply strafe movement
-        enemyObject.position.x += strafeDirection.x * enemy.speed * 0.5 * enemy.strafeDirection * deltaTime * 60;
-        enemyObject.position.z += strafeDirection.z * enemy.speed * 0.5 * enemy.strafeDirection * deltaTime * 60;
-        
-        // Animate walking for strafing
-        animateEnemyWalking(enemy, deltaTime * 0.5); // Slower animation for strafing
-        
-        // Check if enemy can shoot
-        const currentTime = Date.now() / 1000; // Current time in seconds
-        if (currentTime - enemy.lastShootTime > enemy.shootingCooldown) {
-          // Enemy can shoot
-          enemy.lastShootTime = currentTime;
-          
-          // Create projectile
-          if (typeof window.createEnemyProjectile === 'function') {
-            // Get muzzle position
-            const muzzlePosition = new THREE.Vector3();
-            if (enemy.userData.rightArm) {
-              // Position at the end of the right arm
-              const rightArm = enemy.userData.rightArm;
-              muzzlePosition.copy(rightArm.position)
-                .add(new THREE.Vector3(0, 0, -0.5)) // Offset to end of arm
-                .applyMatrix4(enemyObject.matrixWorld); // Convert to world space
-            } else {
-              // Fallback to enemy position
-              muzzlePosition.copy(enemyObject.position)
-                .add(new THREE.Vector3(0, 1.5, 0)); // Offset to approximate arm height
-            }
-            
-            // Calculate direction to player with some inaccuracy
-            const accuracy = 0.9 - Math.min(0.4, (distanceToPlayer - 5) * 0.02); // Accuracy decreases with distance
-            const shootDirection = new THREE.Vector3()
-              .subVectors(playerPosition, muzzlePosition)
-              .normalize();
-            
-            // Create projectile
-            const projectile = window.createEnemyProjectile(scene, muzzlePosition, shootDirection, accuracy);
-            if (projectile) {
-              projectiles.push(projectile);
-            }
-            
-            // Create muzzle flash
-            if (typeof window.createMuzzleFlash === 'function') {
-              window.createMuzzleFlash(scene, muzzlePosition, shootDirection);
-            }
-          }
-        }
-      }
-    } else {
-      // Enemy is too far, just wander randomly
-      // Implement random wandering behavior here if desired
+    // Animate walking at the current state's stride
+    enemy.userData.isWalking = enemy.isMoving;
+    if (enemy.isMoving) {
+      const animation = AI_STATE_ANIMATIONS[enemy.aiState];
+      animateEnemyWalking(enemy, deltaTime * animation.stride);
     }
     
     // Check for collisions with environment
@@ -1217,14 +1226,28 @@ function updateEnemyAnimations(enemy, deltaTime) {
     
     // Slight body bounce with increased amplitude
     const bounceHeight = Math.abs(Math.sin(userData.animationTime * 2)) * 0.1; // Increased from 0.05 to 0.1
-    enemy.object.position.y = bounceHeight;
+    enemy.object.position.y = (enemy.groundHeight || 0) + bounceHeight;
     
     // Debug log to confirm animation is running
-    if (Math.random() < 0.0005) { // Very occasional log to avoid flooding console
+    if (fxRandom() < 0.0005) { // Very occasional log to avoid flooding console
       console.log("Enemy walking animation active", legAngle);
     }
   }
   
+  // Stand still between strides
+  if (!userData.isWalking) {
+    enemy.object.position.y = enemy.groundHeight || 0;
+  }
+  
+  // Pose for the current AI state, which some archetypes override
+  const animation = AI_STATE_ANIMATIONS[enemy.aiState];
+  if (animation) {
+    applyEnemyPose(enemy, getArchetypePose(enemy, animation.pose));
+  }
+  
+  // Scope glint, bipod and pilot light
+  updateArchetypeVisuals(enemy, deltaTime);
+  
   // Hit animation
   if (userData.isHit) {
     userData.hitTime += deltaTime * 10;
@@ -1250,6 +1273,50 @@ function updateEnemyAnimations(enemy, deltaTime) {
   }
 }
 
+/**
+ * Applies the pose of an enemy's AI state on top of the walking animation
+ * @param {Object} enemy - The enemy object
+ * @param {string} pose - Pose name from AI_STATE_ANIMATIONS ('walk', 'crouch', 'aim' or 'charge'), or 'crouchAim'
+ */
+function applyEnemyPose(enemy, pose) {
+  const userData = enemy.userData;
+  const parts = userData.dismemberedParts;
+  
+  // Crouching enemies sink low behind cover, snipers and gunners to steady their aim. On a hilltop
+  // they stay on the ground they're perched on, or their rifle would end up below the crest.
+  if ((pose === 'crouch' || pose === 'crouchAim') && !enemy.perchHill) {
+    enemy.object.position.y -= CROUCH_DROP;
+  }
+  
+  // Work out where the arms should be, leaving the walking swing alone otherwise
+  let leftArmAngle = null;
+  let rightArmAngle = null;
+  if (pose === 'aim' || pose === 'crouchAim') {
+    leftArmAngle = AIM_ARM_ANGLES.left;
+    rightArmAngle = AIM_ARM_ANGLES.right;
+  } else if (pose === 'charge') {
+    leftArmAngle = CHARGE_ARM_ANGLE;
+    rightArmAngle = CHARGE_ARM_ANGLE;
+  } else if (!userData.isWalking) {
+    leftArmAngle = 0;
+    rightArmAngle = 0;
+  }
+  
+  // Skip missing limbs and the arm that is mid-throw
+  if (leftArmAngle !== null && !parts.leftArm && userData.leftArm) {
+    userData.leftArm.rotation.x = leftArmAngle;
+  }
+  if (rightArmAngle !== null && !parts.rightArm && userData.rightArm && !userData.isThrowing) {
+    userData.rightArm.rotation.x = rightArmAngle;
+  }
+  
+  // Legs come to rest when the enemy stops
+  if (!userData.isWalking) {
+    if (!parts.leftLeg && userData.leftLeg) userData.leftLeg.rotation.x = 0;
+    if (!parts.rightLeg && userData.rightLeg) userData.rightLeg.rotation.x = 0;
+  }
+}
+
 /**
  * Triggers the hit animation for an enemy
  * @param {Object} enemy - The enemy object
@@ -1306,26 +1373,26 @@ export function triggerEnemyDeathAnimation(enemy, scene, isHeadshot) {
   // Set initial velocities based on death type
   if (isHeadshot) {
     // Headshot - strong backwards velocity with dramatic fall
-    physics.body.velocity.z = -0.15 - Math.random() * 0.1; // Much stronger backward force (was -0.05)
-    physics.body.velocity.y = 0.08 + Math.random() * 0.05; // More upward force for more dramatic fall (was 0.02)
-    physics.body.rotationVelocity.x = -0.12 - Math.random() * 0.06; // Stronger rotation (was -0.04)
+    physics.body.velocity.z = -0.15 - fxRandom() * 0.1; // Much stronger backward force (was -0.05)
+    physics.body.velocity.y = 0.08 + fxRandom() * 0.05; // More upward force for more dramatic fall (was 0.02)
+    physics.body.rotationVelocity.x = -0.12 - fxRandom() * 0.06; // Stronger rotation (was -0.04)
   } else {
     // Random death direction with more dramatic fall
-    const fallDirection = Math.random() > 0.5 ? -1 : 1;
-    const fallSideways = Math.random() > 0.6; // 40% chance to fall sideways
+    const fallDirection = fxRandom() > 0.5 ? -1 : 1;
+    const fallSideways = fxRandom() > 0.6; // 40% chance to fall sideways
     
     if (fallSideways) {
       // Sideways fall - more dramatic
-      physics.body.velocity.x = fallDirection * (0.1 + Math.random() * 0.05); // Stronger (was 0.03)
-      physics.body.rotationVelocity.z = fallDirection * (0.09 + Math.random() * 0.04); // Stronger (was 0.03)
+      physics.body.velocity.x = fallDirection * (0.1 + fxRandom() * 0.05); // Stronger (was 0.03)
+      physics.body.rotationVelocity.z = fallDirection * (0.09 + fxRandom() * 0.04); // Stronger (was 0.03)
     } else {
       // Forward/backward fall - more dramatic
-      physics.body.velocity.z = fallDirection * (0.12 + Math.random() * 0.08); // Stronger (was 0.04)
-      physics.body.rotationVelocity.x = fallDirection * (0.08 + Math.random() * 0.06); // Stronger (was 0.03)
+      physics.body.velocity.z = fallDirection * (0.12 + fxRandom() * 0.08); // Stronger (was 0.04)
+      physics.body.rotationVelocity.x = fallDirection * (0.08 + fxRandom() * 0.06); // Stronger (was 0.03)
     }
     
     // More upward velocity for more dramatic fall and bounce
-    physics.body.velocity.y = 0.06 + Math.random() * 0.04; // Increased (was 0.01)
+    physics.body.velocity.y = 0.06 + fxRandom() * 0.04; // Increased (was 0.01)
   }
   
   // Immediately apply initial rotation to make death more obvious
@@ -1347,14 +1414,14 @@ export function triggerEnemyDeathAnimation(enemy, scene, isHeadshot) {
     // Create physics properties for this limb
     physics.limbs[partName] = {
       velocity: new THREE.Vector3(
-        physics.body.velocity.x + (Math.random() - 0.5) * 0.15, // More random motion (was 0.02)
-        physics.body.velocity.y + (Math.random() - 0.5) * 0.15, // More random motion (was 0.02)
-        physics.body.velocity.z + (Math.random() - 0.5) * 0.15  // More random motion (was 0.02)
+        physics.body.velocity.x + (fxRandom() - 0.5) * 0.15, // More random motion (was 0.02)
+        physics.body.velocity.y + (fxRandom() - 0.5) * 0.15, // More random motion (was 0.02)
+        physics.body.velocity.z + (fxRandom() - 0.5) * 0.15  // More random motion (was 0.02)
       ),
       rotationVelocity: new THREE.Vector3(
-        (Math.random() - 0.5) * 0.25, // More rotation (was 0.1)
-        (Math.random() - 0.5) * 0.25, // More rotation (was 0.1)
-        (Math.random() - 0.5) * 0.25  // More rotation (was 0.1)
+        (fxRandom() - 0.5) * 0.25, // More rotation (was 0.1)
+        (fxRandom() - 0.5) * 0.25, // More rotation (was 0.1)
+        (fxRandom() - 0.5) * 0.25  // More rotation (was 0.1)
       ),
       angularDamping: 0.92,
       linearDamping: 0.95,
@@ -1433,12 +1500,12 @@ function updateBodyPhysics(enemyObject, physics) {
       physics.velocity.y = -physics.velocity.y * 0.4; // Less energy loss for more bounce (was 0.3)
       
       // Add some horizontal velocity on bounce for more realistic motion
-      physics.velocity.x += (Math.random() - 0.5) * 0.04;
-      physics.velocity.z += (Math.random() - 0.5) * 0.04;
+      physics.velocity.x += (fxRandom() - 0.5) * 0.04;
+      physics.velocity.z += (fxRandom() - 0.5) * 0.04;
       
       // Add some rotational impulse for more dramatic effect
-      physics.rotationVelocity.x += (Math.random() - 0.5) * 0.02;
-      physics.rotationVelocity.z += (Math.random() - 0.5) * 0.02;
+      physics.rotationVelocity.x += (fxRandom() - 0.5) * 0.02;
+      physics.rotationVelocity.z += (fxRandom() - 0.5) * 0.02;
     } else {
       physics.velocity.y = 0;
     }
@@ -1634,9 +1701,9 @@ export function dismemberEnemyPart(enemy, scene, bodyPart, hitPoint, hitDirectio
     
     // Create rotation velocity
     const rotationVelocity = new THREE.Vector3(
-      (Math.random() - 0.5) * 2,
-      (Math.random() - 0.5) * 2,
-      (Math.random() - 0.5) * 2
+      (fxRandom() - 0.5) * 2,
+      (fxRandom() - 0.5) * 2,
+      (fxRandom() - 0.5) * 2
     );
     
     // Get world position of the part before removing it
@@ -1719,8 +1786,8 @@ export function dismemberEnemyPart(enemy, scene, bodyPart, hitPoint, hitDirectio
     
     // For head, apply a random rotation as it gets blown off
     if (bodyPart === 'head') {
-      dismemberedPart.rotation.x += (Math.random() - 0.5) * 0.5;
-      dismemberedPart.rotation.y += (Math.random() - 0.5) * 0.5;
+      dismemberedPart.rotation.x += (fxRandom() - 0.5) * 0.5;
+      dismemberedPart.rotation.y += (fxRandom() - 0.5) * 0.5;
       
       // Add stronger impulse for head detachment
       velocity.multiplyScalar(1.5);
@@ -1849,7 +1916,7 @@ function createBloodEffect(scene, enemyObject, attachmentPoint, hitDirection, is
   // Create blood particles
   for (let i = 0; i < particleCount; i++) {
     // Create a small sphere for blood droplet
-    const size = Math.random() * 0.1 + 0.02; // Larger blood droplets
+    const size = fxRandom() * 0.1 + 0.02; // Larger blood droplets
     const geometry = new THREE.SphereGeometry(size, 4, 4);
     const material = new THREE.MeshBasicMaterial({ 
       color: 0xbb0a1e,
@@ -1861,22 +1928,22 @@ function createBloodEffect(scene, enemyObject, attachmentPoint, hitDirection, is
     bloodDrop.position.copy(worldPos);
     
     // Add small random offset
-    bloodDrop.position.x += (Math.random() - 0.5) * 0.1;
-    bloodDrop.position.y += (Math.random() - 0.5) * 0.1;
-    bloodDrop.position.z += (Math.random() - 0.5) * 0.1;
+    bloodDrop.position.x += (fxRandom() - 0.5) * 0.1;
+    bloodDrop.position.y += (fxRandom() - 0.5) * 0.1;
+    bloodDrop.position.z += (fxRandom() - 0.5) * 0.1;
     
     scene.add(bloodDrop);
     
     // Calculate velocity - mostly in hit direction but with spread
     const spreadFactor = 0.7; // Increased spread
-    const velocity = safeHitDirection.clone().multiplyScalar(0.3 + Math.random() * 0.4); // Increased velocity
-    velocity.x += (Math.random() - 0.5) * spreadFactor;
-    velocity.y += (Math.random() - 0.5) * spreadFactor + 0.3; // Add upward component
-    velocity.z += (Math.random() - 0.5) * spreadFactor;
+    const velocity = safeHitDirection.clone().multiplyScalar(0.3 + fxRandom() * 0.4); // Increased velocity
+    velocity.x += (fxRandom() - 0.5) * spreadFactor;
+    velocity.y += (fxRandom() - 0.5) * spreadFactor + 0.3; // Add upward component
+    velocity.z += (fxRandom() - 0.5) * spreadFactor;
     
     // Animate blood droplet
     let timeElapsed = 0;
-    let lifespan = 1 + Math.random() * 3; // 1-4 seconds - changed from const to let
+    let lifespan = 1 + fxRandom() * 3; // 1-4 seconds - changed from const to let
     const gravity = 0.015;
     
     const animate = () => {
@@ -1933,11 +2000,11 @@ function createBloodEffect(scene, enemyObject, attachmentPoint, hitDirection, is
  */
 function createBloodSplatter(scene, position) {
   // Create fewer splatter particles for better performance
-  const particleCount = 3 + Math.floor(Math.random() * 3); // Reduced from typical 5-10
+  const particleCount = 3 + Math.floor(fxRandom() * 3); // Reduced from typical 5-10
   
   for (let i = 0; i < particleCount; i++) {
     // Create a small red sphere for blood
-    const size = 0.02 + Math.random() * 0.04; // Smaller particles
+    const size = 0.02 + fxRandom() * 0.04; // Smaller particles
     const geometry = new THREE.SphereGeometry(size, 3, 3); // Simplified geometry
     const material = new THREE.MeshBasicMaterial({ 
       color: 0xbb0a1e,
@@ -1948,15 +2015,15 @@ function createBloodSplatter(scene, position) {
     
     // Position at splatter origin with random offset
     particle.position.copy(position);
-    particle.position.x += (Math.random() - 0.5) * 0.3;
+    particle.position.x += (fxRandom() - 0.5) * 0.3;
     particle.position.y = 0.01; // Just above ground
-    particle.position.z += (Math.random() - 0.5) * 0.3;
+    particle.position.z += (fxRandom() - 0.5) * 0.3;
     
     // Add to scene
     scene.add(particle);
     
     // Particle lifetime - changed from const to let so it can be modified
-    let lifetime = 2.0 + Math.random() * 2.0; // seconds
+    let lifetime = 2.0 + fxRandom() * 2.0; // seconds
     
     // Animate fade out
     const animate = () => {
@@ -2044,35 +2111,35 @@ function createBloodPool(scene, position) {
  */
 function createImpactBloodSplatter(scene, position) {
   // Create several small blood splatters
-  const splatCount = 3 + Math.floor(Math.random() * 3);
+  const splatCount = 3 + Math.floor(fxRandom() * 3);
   
   for (let i = 0; i < splatCount; i++) {
     // Random size and position offset
-    const size = 0.05 + Math.random() * 0.15;
+    const size = 0.05 + fxRandom() * 0.15;
     const offset = new THREE.Vector3(
-      (Math.random() - 0.5) * 0.3,
+      (fxRandom() - 0.5) * 0.3,
       0,
-      (Math.random() - 0.5) * 0.3
+      (fxRandom() - 0.5) * 0.3
     );
     
     const geometry = new THREE.CircleGeometry(size, 8);
     const material = new THREE.MeshBasicMaterial({
       color: 0xbb0a1e,
       transparent: true,
-      opacity: 0.7 + Math.random() * 0.3
+      opacity: 0.7 + fxRandom() * 0.3
     });
     
     const splatter = new THREE.Mesh(geometry, material);
     splatter.position.copy(position).add(offset);
     splatter.position.y = 0.01; // Slightly above ground
     splatter.rotation.x = -Math.PI / 2; // Lay flat on ground
-    splatter.rotation.z = Math.random() * Math.PI * 2; // Random rotation
+    splatter.rotation.z = fxRandom() * Math.PI * 2; // Random rotation
     
     scene.add(splatter);
     
     // Fade out over time
     let age = 0;
-    const lifespan = 5 + Math.random() * 5; // 5-10 seconds
+    const lifespan = 5 + fxRandom() * 5; // 5-10 seconds
     
     const animate = () => {
       age += 0.016;
@@ -2116,9 +2183,9 @@ function createBloodSpurt(scene, position, direction) {
   const spurtDirection = safeDirection.clone().negate(); // Spurt in opposite direction of hit
   
   // Add some randomness to the direction
-  spurtDirection.x += (Math.random() - 0.5) * 0.3;
-  spurtDirection.y += (Math.random() - 0.5) * 0.3 + 0.2; // Slight upward bias
-  spurtDirection.z += (Math.random() - 0.5) * 0.3;
+  spurtDirection.x += (fxRandom() - 0.5) * 0.3;
+  spurtDirection.y += (fxRandom() - 0.5) * 0.3 + 0.2; // Slight upward bias
+  spurtDirection.z += (fxRandom() - 0.5) * 0.3;
   spurtDirection.normalize();
   
   // Create spurt particles
@@ -2127,7 +2194,7 @@ function createBloodSpurt(scene, position, direction) {
   // Function to emit a single blood particle
   const emitParticle = () => {
     // Create a small red sphere for blood
-    const size = 0.03 + Math.random() * 0.07;
+    const size = 0.03 + fxRandom() * 0.07;
     const geometry = new THREE.SphereGeometry(size, 4, 4); // Reduced geometry complexity
     const material = new THREE.MeshBasicMaterial({ 
       color: 0xbb0a1e,
@@ -2138,22 +2205,22 @@ function createBloodSpurt(scene, position, direction) {
     
     // Position at spurt origin with small random offset
     particle.position.copy(position);
-    particle.position.x += (Math.random() - 0.5) * 0.1;
-    particle.position.y += (Math.random() - 0.5) * 0.1;
-    particle.position.z += (Math.random() - 0.5) * 0.1;
+    particle.position.x += (fxRandom() - 0.5) * 0.1;
+    particle.position.y += (fxRandom() - 0.5) * 0.1;
+    particle.position.z += (fxRandom() - 0.5) * 0.1;
     
     // Add to scene
     scene.add(particle);
     spurtParticles.push(particle);
     
     // Calculate velocity - mostly in spurt direction but with spread
-    const particleVelocity = spurtDirection.clone().multiplyScalar(0.2 + Math.random() * 0.3);
-    particleVelocity.x += (Math.random() - 0.5) * 0.2;
-    particleVelocity.y += (Math.random() - 0.5) * 0.2;
-    particleVelocity.z += (Math.random() - 0.5) * 0.2;
+    const particleVelocity = spurtDirection.clone().multiplyScalar(0.2 + fxRandom() * 0.3);
+    particleVelocity.x += (fxRandom() - 0.5) * 0.2;
+    particleVelocity.y += (fxRandom() - 0.5) * 0.2;
+    particleVelocity.z += (fxRandom() - 0.5) * 0.2;
     
     // Particle lifetime - changed from const to let
-    let lifetime = 400 + Math.random() * 300; // Reduced from 500-1000ms to 400-700ms
+    let lifetime = 400 + fxRandom() * 300; // Reduced from 500-1000ms to 400-700ms
     const particleStartTime = Date.now();
     
     // Animate particle
@@ -2180,7 +2247,7 @@ function createBloodSpurt(scene, position, direction) {
       if (particle.position.y < 0) {
         particle.position.y = 0;
         // Only create splatter for some particles to reduce load
-        if (Math.random() < 0.3) {
+        if (fxRandom() < 0.3) {
           try {
             createBloodSplatter(scene, particle.position.clone());
           } catch (error) {
@@ -2207,7 +2274,7 @@ function createBloodSpurt(scene, position, direction) {
     }
     
     // Emit 1-2 particles each time (reduced from 1-3)
-    const count = 1 + Math.floor(Math.random() * 2);
+    const count = 1 + Math.floor(fxRandom() * 2);
     for (let i = 0; i < count; i++) {
       try {
         emitParticle();
@@ -2345,55 +2412,61 @@ function animateEnemyWalking(enemy, deltaTime) {
  * @param {THREE.Vector3} position - Position where enemy died
  * @param {number} wave - Current wave number
  * @param {boolean} isElite - Whether the enemy was an elite
+ * @param {number} dropRate - Multiplier on every drop chance (from the director)
  * @returns {Object} - Object containing arrays of created pickups
  */
-export function createEnemyDrops(scene, position, wave, isElite = false) {
+export function createEnemyDrops(scene, position, wave, isElite = false, dropRate = 1) {
   const drops = {
     ammoPickups: [],
     weaponPickups: [],
-    mp41AmmoPickups: []
+    weaponAmmoPickups: [],
+    medicalPickups: rollMedicalDrops(scene, getDropPosition(position), isElite, dropRate)
   };
   
   // Standard ammo drop chance (existing logic)
   // This would be handled elsewhere in your game
   
-  // After wave 3, enemies can drop MP41 weapons and ammo
-  if (wave >= 3) {
-    // MP41 weapon drop chance (15% base, increased for elite enemies)
-    const mp41Chance = isElite ? MP41_DROP_CHANCE * 2 : MP41_DROP_CHANCE;
+  // Each registered weapon with a drop table can leave the weapon and its ammo behind
+  getRegisteredWeapons().forEach(config => {
+    const dropTable = config.drops;
+    if (!dropTable || wave < dropTable.minWave) return;
     
-    if (Math.random() < mp41Chance) {
-      // Create MP41 weapon pickup
-      const dropPosition = position.clone();
-      dropPosition.y = 0.1; // Place slightly above ground
-      
-      // Add random offset to prevent drops from stacking
-      dropPosition.x += (Math.random() - 0.5) * 0.5;
-      dropPosition.z += (Math.random() - 0.5) * 0.5;
-      
-      const weaponPickup = createWeaponPickup(scene, dropPosition, WEAPONS.MP41);
+    // Weapon drop chance, doubled for elite enemies
+    const weaponChance = (isElite ? dropTable.weaponChance * enemyBalance.ELITE_WEAPON_DROP_MULTIPLIER :
+      dropTable.weaponChance) * dropRate;
+    
+    if (lootRandom() < weaponChance) {
+      const weaponPickup = createWeaponPickup(scene, getDropPosition(position), config.id);
       drops.weaponPickups.push(weaponPickup);
     }
     
-    // MP41 ammo drop chance (30% base, increased for elite enemies)
-    const mp41AmmoChance = isElite ? MP41_AMMO_DROP_CHANCE * 1.5 : MP41_AMMO_DROP_CHANCE;
+    // Ammo drop chance, increased for elite enemies
+    const ammoChance = (isElite ? dropTable.ammoChance * enemyBalance.ELITE_AMMO_DROP_MULTIPLIER :
+      dropTable.ammoChance) * dropRate;
     
-    if (Math.random() < mp41AmmoChance) {
-      // Create MP41 ammo pickup
-      const dropPosition = position.clone();
-      dropPosition.y = 0.1; // Place slightly above ground
-      
-      // Add random offset to prevent drops from stacking
-      dropPosition.x += (Math.random() - 0.5) * 0.5;
-      dropPosition.z += (Math.random() - 0.5) * 0.5;
-      
+    if (lootRandom() < ammoChance) {
       // Determine ammo amount, elite enemies drop more
-      const ammoAmount = isElite ? MP41_AMMO_DROP_AMOUNT * 2 : MP41_AMMO_DROP_AMOUNT;
+      const ammoAmount = isElite ? dropTable.ammoAmount * enemyBalance.ELITE_AMMO_AMOUNT_MULTIPLIER : dropTable.ammoAmount;
       
-      const ammoPickup = createMP41AmmoPickup(scene, dropPosition, ammoAmount);
-      drops.mp41AmmoPickups.push(ammoPickup);
+      const ammoPickup = createWeaponAmmoPickup(scene, getDropPosition(position), ammoAmount, config.ammoType);
+      drops.weaponAmmoPickups.push(ammoPickup);
     }
-  }
+  });
   
   return drops;
-} 
\ No newline at end of file
+} 
+
+/**
+ * Picks a spot near a dead enemy for a drop
+ * @param {THREE.Vector3} position - Position where enemy died
+ * @returns {THREE.Vector3} - Drop position
+ */
+function getDropPosition(position) {
+  const dropPosition = position.clone();
+  dropPosition.y = 0.1; // Place slightly above ground
+  
+  // Add random offset to prevent drops from stacking
+  dropPosition.x += (lootRandom() - 0.5) * 0.5;
+  dropPosition.z += (lootRandom() - 0.5) * 0.5;
+  return dropPosition;
+}
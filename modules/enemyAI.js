@@ -0,0 +1,1226 @@
+/**
+ * Enemy AI module - a finite state machine that drives each enemy's behavior
+ */
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
+import { createGrenade, solveThrowVelocity, GRENADE_TYPES } from './grenades.js';
+import { findPath, getNavGrid, isWalkable } from './navigation.js';
+import { reportPlayerSighting, getSquadCallout, shouldFlank, getFlankPosition } from './squads.js';
+import { getShotCooldown, getAccuracyBonus } from './enemyTypes.js';
+import { emitFlames, isInFlameCone, igniteGrass } from './fire.js';
+import { RANDOM_STREAMS, getRandomStream } from './random.js';
+
+// Enemy decisions draw from the AI stream, so a seeded match replays the same
+const aiRandom = getRandomStream(RANDOM_STREAMS.AI);
+
+// Enemy AI states
+export const AI_STATES = {
+  DISEMBARK: 'disembark', // Wading ashore from a landing boat
+  ADVANCE: 'advance', // Closing in on the player
+  TAKE_COVER: 'takeCover', // Crouching behind a rock, tree or the bunker
+  SUPPRESS: 'suppress', // Strafing and firing at a visible player
+  FLANK: 'flank', // Moving to a spot with a clear shot at a hidden player
+  RETREAT: 'retreat', // Falling back when badly wounded
+  SEARCH: 'search', // Checking the player's last known position
+  MELEE_CHARGE: 'meleeCharge' // Rushing a player who got too close
+};
+
+// Animation hooks for each state: stride scales the walking cycle and pose is applied on top of it
+export const AI_STATE_ANIMATIONS = {
+  [AI_STATES.DISEMBARK]: { stride: 1.0, pose: 'walk' },
+  [AI_STATES.ADVANCE]: { stride: 1.0, pose: 'walk' },
+  [AI_STATES.TAKE_COVER]: { stride: 1.3, pose: 'crouch' },
+  [AI_STATES.SUPPRESS]: { stride: 0.5, pose: 'aim' },
+  [AI_STATES.FLANK]: { stride: 1.2, pose: 'walk' },
+  [AI_STATES.RETREAT]: { stride: 1.4, pose: 'walk' },
+  [AI_STATES.SEARCH]: { stride: 0.8, pose: 'aim' },
+  [AI_STATES.MELEE_CHARGE]: { stride: 1.8, pose: 'charge' }
+};
+
+// Constants for engagement ranges
+const SHOOTING_RANGE = 15; // Enemies open fire inside this range (unless their archetype says otherwise)
+const ADVANCE_RESUME_MARGIN = 3; // Suppressing enemies advance again once the player is this far out of range
+const PLAYABLE_RADIUS = 45; // Keep enemies on the island
+const ARRIVAL_DISTANCE = 0.3; // Close enough to count as arrived at a destination
+
+// Constants for path following
+const REPATH_INTERVAL = 0.5; // Minimum seconds between path queries for a moving destination
+const REPATH_GOAL_TOLERANCE = 1.5; // Destination movement that triggers a new path query
+const WAYPOINT_REACHED_DISTANCE = 0.5; // Close enough to a waypoint to head for the next one
+
+// Constants for disembarking
+const DISEMBARK_STAGGER = 0.3; // Seconds between each enemy leaving a boat
+const DISEMBARK_WADE_DISTANCE = 2; // Distance waded inland before advancing
+
+// Constants for suppressing fire
+const SUPPRESS_BURST_SHOTS = 3; // Shots fired before considering a move to cover
+const SUPPRESS_COVER_CHANCE = 0.4; // Chance to take cover after each burst
+const STRAFE_SPEED_MULTIPLIER = 0.5; // Enemies strafe slower than they walk
+const HOLD_LOST_SIGHT_TIME = 3; // Snipers and gunners wait this long for the player to reappear before moving
+
+// Constants for archetype behavior
+const SNIPER_PERCH_MIN_RANGE = 10; // Snipers won't perch on a hill closer to the player than this
+const MG42_ASSISTANT_DISTANCE = 2.5; // Assistant gunners stay this close to their gunner
+const FLAME_IGNITE_INTERVAL = 0.3; // Seconds between grass ignitions while spraying
+const FLAME_AIM_DROP = 0.4; // Flames are aimed at the player's legs rather than their torso
+
+// Constants for taking cover
+const COVER_SEARCH_RADIUS = 12; // How far an enemy will run to reach cover
+const COVER_OFFSET = 1.2; // Distance to crouch behind the edge of an obstacle (clear of the nav grid's padding)
+const COVER_EYE_HEIGHT = 1.0; // Eye height while crouched behind cover
+const COVER_MIN_TIME = 2; // Shortest time spent crouched in cover
+const COVER_MAX_TIME = 4; // Longest time spent crouched in cover
+const COVER_MOVE_TIMEOUT = 6; // Give up on cover that takes too long to reach
+const COVER_SPEED_MULTIPLIER = 1.3; // Enemies run for cover
+
+// Constants for flanking and searching
+const FLANK_TIMEOUT = 8; // Seconds before a flank turns into a search
+const SQUAD_FLANK_TIMEOUT = 15; // Squad flankers take a longer way round
+const SEARCH_TIMEOUT = 10; // Seconds before a search is abandoned
+const SEARCH_SPEED_MULTIPLIER = 0.8; // Enemies move carefully while searching
+
+// Constants for retreating
+const RETREAT_HEALTH_FRACTION = 0.5; // Enemies below this fraction of their health are wounded
+const RETREAT_DURATION = 5; // Seconds spent falling back
+const RETREAT_DISTANCE = 6; // How far ahead a retreating enemy picks its next destination
+const RETREAT_SPEED_MULTIPLIER = 1.4; // Wounded enemies scramble away
+
+// Constants for melee charges
+const MELEE_CHARGE_RANGE = 5; // Enemies charge a player closer than this
+const MELEE_BREAKOFF_RANGE = 8; // Charges are abandoned once the player gets this far away
+const MELEE_STRIKE_RANGE = 1.5; // Reach of a rifle-butt strike
+const MELEE_DAMAGE = 15; // Damage dealt by each strike
+const MELEE_SPEED_MULTIPLIER = 1.8; // Charging enemies sprint
+
+// Constants for enemy stick grenades
+export const STICK_GRENADES_PER_ENEMY = 1; // Stick grenades each enemy carries
+const STICK_GRENADE_COVER_TIME = 4.0; // Seconds the player can hide before enemies throw
+const STICK_GRENADE_MIN_RANGE = 6; // Too close to throw safely
+const STICK_GRENADE_MAX_RANGE = 22; // Too far to throw accurately
+const STICK_GRENADE_SPREAD = 3; // Landing inaccuracy in units
+
+// Constants for line of sight and repositioning
+export const LOS_CHECK_INTERVAL = 0.5; // Seconds between line-of-sight checks per enemy
+const ENEMY_EYE_HEIGHT = 1.6; // Height enemies look from
+const REPOSITION_SEARCH_INTERVAL = 1.5; // Seconds between searches for a new firing spot
+const REPOSITION_SPEED_MULTIPLIER = 1.2; // Enemies hustle when moving to a firing spot
+const FIRING_SPOT_DISTANCES = [3, 6, 9]; // Distances from the enemy to try firing spots
+const FIRING_SPOT_DIRECTIONS = 8; // Directions around the enemy to try firing spots
+const FIRING_SPOT_MIN_RANGE = 5; // Closest a firing spot may be to the player
+const FIRING_SPOT_MAX_RANGE = 15; // Furthest a firing spot may be from the player (shooting range)
+
+// Constants for rifle fire - close range accuracy and the falloff rate are balance constants in enemies.js
+const ACCURACY_FALLOFF_START = 5; // Shots get less accurate past this distance
+const MAX_ACCURACY_FALLOFF = 0.4; // Most accuracy distance can take away
+
+// Shared raycaster for line-of-sight checks
+const losRaycaster = new THREE.Raycaster();
+
+// The objects that block line of sight, gathered again only after the environment changes
+let lineOfSightBlockers = null;
+let lineOfSightScene = null;
+let lineOfSightDirty = false;
+
+// Enter, update and exit handlers for each state. Update returns the next state, or null to stay put.
+const STATE_HANDLERS = {
+  [AI_STATES.DISEMBARK]: {
+    update: updateDisembark
+  },
+  [AI_STATES.ADVANCE]: {
+    update: updateAdvance
+  },
+  [AI_STATES.TAKE_COVER]: {
+    enter: enterTakeCover,
+    update: updateTakeCover,
+    exit: (enemy) => { enemy.coverPosition = null; }
+  },
+  [AI_STATES.SUPPRESS]: {
+    enter: enterSuppress,
+    update: updateSuppress,
+    exit: (enemy) => {
+      enemy.isFlaming = false;
+      enemy.burstShotsLeft = 0;
+    }
+  },
+  [AI_STATES.FLANK]: {
+    enter: enterFlank,
+    update: updateFlank,
+    exit: (enemy) => {
+      enemy.firingPosition = null;
+      enemy.isSquadFlanking = false;
+    }
+  },
+  [AI_STATES.RETREAT]: {
+    update: updateRetreat
+  },
+  [AI_STATES.SEARCH]: {
+    update: updateSearch
+  },
+  [AI_STATES.MELEE_CHARGE]: {
+    enter: (enemy) => { enemy.attackCooldownTime = 0; },
+    update: updateMeleeCharge
+  }
+};
+
+// States in which enemies will lob a stick grenade at a hiding player
+const GRENADE_THROWING_STATES = [
+  AI_STATES.ADVANCE,
+  AI_STATES.TAKE_COVER,
+  AI_STATES.SUPPRESS,
+  AI_STATES.FLANK,
+  AI_STATES.SEARCH
+];
+
+/**
+ * Adds the state machine fields to a newly created enemy
+ * @param {Object} enemy - The enemy
+ * @param {string} initialState - State to start in (one of AI_STATES)
+ */
+export function initEnemyAI(enemy, initialState = AI_STATES.ADVANCE) {
+  enemy.aiState = initialState;
+  enemy.aiStateTime = 0;
+  enemy.maxHealth = enemy.health;
+  enemy.lastHealth = enemy.health;
+  enemy.lastKnownPlayerPosition = null;
+  enemy.coverPosition = null;
+  enemy.coverDuration = 0;
+  enemy.coverTime = 0;
+  enemy.shotsFired = 0;
+  enemy.hasRetreated = false;
+  enemy.isSquadFlanking = false;
+  enemy.hasFlanked = false;
+  enemy.isMoving = false;
+  enemy.disembarkDelay = 0;
+  enemy.disembarkTarget = null;
+  enemy.path = null;
+  enemy.pathGoal = null;
+  enemy.pathVersion = 0;
+  enemy.repathTimer = 0;
+  enemy.lostSightTime = 0;
+  enemy.perchHill = null;
+  enemy.perchSearchTimer = 0;
+  enemy.groundHeight = 0;
+}
+
+/**
+ * Prepares an enemy that has just left its boat to wade ashore
+ * @param {Object} enemy - The enemy, already placed in the scene at its world position
+ * @param {number} boatAngle - Angle of the boat around the island
+ * @param {number} order - Position of the enemy in the disembark queue
+ */
+export function beginDisembark(enemy, boatAngle, order) {
+  // Head toward the island center with a small random offset to prevent stacking
+  const inland = new THREE.Vector3(-Math.cos(boatAngle), 0, -Math.sin(boatAngle));
+  const randomOffset = new THREE.Vector3(
+    (aiRandom() - 0.5) * 2,
+    0,
+    (aiRandom() - 0.5) * 2
+  );
+  
+  enemy.disembarkTarget = enemy.object.position.clone()
+    .add(inland.multiplyScalar(DISEMBARK_WADE_DISTANCE))
+    .add(randomOffset);
+  enemy.disembarkTarget.y = 0;
+  
+  // Stagger the enemies so they don't all jump out at once
+  enemy.disembarkDelay = order * DISEMBARK_STAGGER;
+  setEnemyState(enemy, AI_STATES.DISEMBARK);
+}
+
+/**
+ * Runs one frame of an enemy's state machine
+ * @param {Object} enemy - The enemy
+ * @param {Object} context - Shared frame data
+ * @param {THREE.Vector3} context.playerPosition - Player's torso position
+ * @param {number} context.deltaTime - Time since last frame
+ * @param {THREE.Scene} context.scene - The scene
+ * @param {Array} context.projectiles - Array to store new projectiles
+ * @param {Array} context.grenades - Array to store thrown stick grenades
+ * @param {number} context.time - Simulation clock in seconds
+ */
+export function updateEnemyAI(enemy, context) {
+  const { playerPosition, deltaTime, scene } = context;
+  const enemyObject = enemy.object;
+  
+  // Gather what the enemy knows about the player this frame
+  const toPlayer = new THREE.Vector3(
+    playerPosition.x - enemyObject.position.x,
+    0,
+    playerPosition.z - enemyObject.position.z
+  );
+  const situation = {
+    ...context,
+    distanceToPlayer: toPlayer.length(),
+    directionToPlayer: toPlayer.normalize(),
+    tookDamage: enemy.health < enemy.lastHealth
+  };
+  enemy.lastHealth = enemy.health;
+  enemy.isMoving = false;
+  enemy.aiStateTime += deltaTime;
+  
+  if (enemy.aiState !== AI_STATES.DISEMBARK) {
+    // Keep track of whether the player is visible or behind cover
+    updateEnemyLineOfSight(enemy, playerPosition, deltaTime, scene);
+    if (enemy.canSeePlayer) {
+      enemy.lastKnownPlayerPosition = playerPosition.clone();
+      reportPlayerSighting(enemy, playerPosition);
+    } else {
+      // A squadmate who can see the player calls out where they are
+      const callout = getSquadCallout(enemy);
+      if (callout) enemy.lastKnownPlayerPosition = callout.clone();
+    }
+    
+    // Interrupts that take priority over whatever the enemy is doing
+    const interrupt = getInterruptState(enemy, situation);
+    if (interrupt) {
+      setEnemyState(enemy, interrupt, situation);
+    }
+  }
+  
+  // Run the current state and follow any transition it asks for
+  const handler = STATE_HANDLERS[enemy.aiState];
+  const nextState = handler.update(enemy, situation);
+  if (nextState && nextState !== enemy.aiState) {
+    setEnemyState(enemy, nextState, situation);
+  }
+  
+  // Flush the player out with a stick grenade if they hide for too long
+  if (GRENADE_THROWING_STATES.includes(enemy.aiState)) {
+    updateEnemyGrenadeThrow(enemy, playerPosition, situation.distanceToPlayer, deltaTime, scene, context.grenades);
+  }
+  
+  // Ground under where the enemy ended up, so the body and the next sight check stand on it
+  enemy.groundHeight = enemy.perchHill ? getHillHeight(enemy.perchHill, enemyObject.position) : 0;
+}
+
+/**
+ * Moves an enemy into a new state, running the exit and enter handlers
+ * @param {Object} enemy - The enemy
+ * @param {string} newState - State to enter (one of AI_STATES)
+ * @param {Object} situation - Frame data from updateEnemyAI (optional)
+ */
+function setEnemyState(enemy, newState, situation = null) {
+  const previous = STATE_HANDLERS[enemy.aiState];
+  if (previous && previous.exit) previous.exit(enemy, situation);
+  
+  enemy.aiState = newState;
+  enemy.aiStateTime = 0;
+  enemy.path = null;
+  
+  const next = STATE_HANDLERS[newState];
+  if (next.enter) next.enter(enemy, situation);
+}
+
+/**
+ * Checks for situations that override the current state
+ * @param {Object} enemy - The enemy
+ * @param {Object} situation - Frame data from updateEnemyAI
+ * @returns {string|null} - State to switch to, or null to carry on
+ */
+function getInterruptState(enemy, situation) {
+  // Badly wounded enemies fall back, once
+  if (isEnemyWounded(enemy) && !enemy.hasRetreated) {
+    enemy.hasRetreated = true;
+    return AI_STATES.RETREAT;
+  }
+  
+  // Rush a player who gets too close, unless already fleeing (flamethrowers burn them instead)
+  const noMelee = enemy.archetype && enemy.archetype.noMelee;
+  if (!noMelee && situation.distanceToPlayer < MELEE_CHARGE_RANGE &&
+      enemy.aiState !== AI_STATES.MELEE_CHARGE &&
+      enemy.aiState !== AI_STATES.RETREAT) {
+    return AI_STATES.MELEE_CHARGE;
+  }
+  
+  return null;
+}
+
+/**
+ * Checks whether an enemy is hurt badly enough to retreat
+ * @param {Object} enemy - The enemy
+ * @returns {boolean} - True if low on health or missing a limb
+ */
+function isEnemyWounded(enemy) {
+  if (enemy.health < enemy.maxHealth * RETREAT_HEALTH_FRACTION) return true;
+  
+  const parts = enemy.userData.dismemberedParts;
+  return !!parts && (parts.leftArm || parts.rightArm || parts.leftLeg || parts.rightLeg);
+}
+
+/**
+ * Gets how close an enemy needs to be before opening fire
+ * @param {Object} enemy - The enemy
+ * @returns {number} - The archetype's range, or the default shooting range
+ */
+function getShootingRange(enemy) {
+  return enemy.shootingRange || SHOOTING_RANGE;
+}
+
+/**
+ * Checks whether an enemy fights from a fixed spot instead of strafing and diving for cover
+ * @param {Object} enemy - The enemy
+ * @returns {boolean} - True for snipers, MG42 gunners and their assistants
+ */
+function isHoldingPosition(enemy) {
+  if (enemy.assistsGunner && !enemy.assistsGunner.isDead) return true;
+  return !!(enemy.archetype && enemy.archetype.holdsPosition);
+}
+
+/**
+ * Disembark: wait for a turn to leave the boat, then wade ashore
+ * @param {Object} enemy - The enemy
+ * @param {Object} situation - Frame data from updateEnemyAI
+ * @returns {string|null} - Next state
+ */
+function updateDisembark(enemy, situation) {
+  if (enemy.aiStateTime < enemy.disembarkDelay) return null;
+  if (!enemy.disembarkTarget) return AI_STATES.ADVANCE;
+  
+  const arrived = followPathTo(enemy, enemy.disembarkTarget, 1.0, situation.deltaTime, true);
+  return arrived ? AI_STATES.ADVANCE : null;
+}
+
+/**
+ * Advance: walk toward the player until in shooting range
+ * @param {Object} enemy - The enemy
+ * @param {Object} situation - Frame data from updateEnemyAI
+ * @returns {string|null} - Next state
+ */
+function updateAdvance(enemy, situation) {
+  const { playerPosition, distanceToPlayer, deltaTime } = situation;
+  
+  // Snipers climb a hill within range of the player before engaging
+  if (enemy.archetype && enemy.archetype.perchOnHills && moveToSniperPerch(enemy, situation)) {
+    return null;
+  }
+  
+  if (distanceToPlayer <= getShootingRange(enemy)) {
+    // Squad flankers peel off while the rest of the squad pins the player down
+    if (shouldFlank(enemy)) return AI_STATES.FLANK;
+    return enemy.canSeePlayer ? AI_STATES.SUPPRESS : AI_STATES.FLANK;
+  }
+  
+  faceTowards(enemy, playerPosition);
+  followPathTo(enemy, playerPosition, 1.0, deltaTime);
+  return null;
+}
+
+/**
+ * Walks a sniper to the top of a hill within range of the player
+ * @param {Object} enemy - The sniper
+ * @param {Object} situation - Frame data from updateEnemyAI
+ * @returns {boolean} - True while still heading for the perch, false once there or if no hill is in range
+ */
+function moveToSniperPerch(enemy, situation) {
+  const { playerPosition, deltaTime, scene } = situation;
+  const range = getShootingRange(enemy);
+  
+  // Give up a perch the player has moved out of range of
+  if (enemy.perchHill && distance2D(enemy.perchHill.position, playerPosition) > range) {
+    enemy.perchHill = null;
+  }
+  
+  // Look for a new perch now and then (scanning the scene every frame is wasteful)
+  enemy.perchSearchTimer -= deltaTime;
+  if (!enemy.perchHill && enemy.perchSearchTimer <= 0) {
+    enemy.perchHill = findSniperPerch(enemy.object.position, playerPosition, range, scene);
+    enemy.perchSearchTimer = REPOSITION_SEARCH_INTERVAL;
+  }
+  if (!enemy.perchHill) return false;
+  
+  const arrived = followPathTo(enemy, enemy.perchHill.position, 1.0, deltaTime, true);
+  return !arrived;
+}
+
+/**
+ * Finds the closest hill a sniper can shoot at the player from
+ * @param {THREE.Vector3} fromPosition - Sniper's current position
+ * @param {THREE.Vector3} playerPosition - Player's position
+ * @param {number} range - Sniper's shooting range
+ * @param {THREE.Scene} scene - The scene
+ * @returns {THREE.Object3D|null} - The hill, or null if none is in range
+ */
+function findSniperPerch(fromPosition, playerPosition, range, scene) {
+  let bestHill = null;
+  let bestDistance = Infinity;
+  
+  scene.traverse((object) => {
+    if (!object.userData.isHill) return;
+    
+    // Far enough from the player to be safe, close enough to hit them
+    const toPlayer = distance2D(object.position, playerPosition);
+    if (toPlayer > range || toPlayer < SNIPER_PERCH_MIN_RANGE) return;
+    
+    const distance = distance2D(object.position, fromPosition);
+    if (distance < bestDistance) {
+      bestHill = object;
+      bestDistance = distance;
+    }
+  });
+  
+  return bestHill;
+}
+
+/**
+ * Gets the height of a hill's slope under a position
+ * @param {THREE.Mesh} hill - Cone-shaped hill centered at ground level
+ * @param {THREE.Vector3} position - Position to test
+ * @returns {number} - Ground height, or 0 off the hill
+ */
+function getHillHeight(hill, position) {
+  const { radius, height } = hill.geometry.parameters;
+  const distance = distance2D(hill.position, position);
+  
+  // Half the cone is buried, so the peak sits at half its height
+  return Math.max(0, hill.position.y + height / 2 - (distance / radius) * height);
+}
+
+/**
+ * Measures the distance between two points on the ground
+ * @param {THREE.Vector3} a - First point
+ * @param {THREE.Vector3} b - Second point
+ * @returns {number} - Horizontal distance
+ */
+function distance2D(a, b) {
+  return Math.hypot(a.x - b.x, a.z - b.z);
+}
+
+/**
+ * Suppress: reset the burst count, and start setting up a machine gun
+ * @param {Object} enemy - The enemy
+ */
+function enterSuppress(enemy) {
+  enemy.shotsFired = 0;
+  enemy.lostSightTime = 0;
+  enemy.canShootPlayer = true; // Until a shot from here says otherwise
+  enemy.setupTimer = (enemy.archetype && enemy.archetype.setupTime) || 0;
+}
+
+/**
+ * Suppress: strafe and fire at the player while they are in sight
+ * @param {Object} enemy - The enemy
+ * @param {Object} situation - Frame data from updateEnemyAI
+ * @returns {string|null} - Next state
+ */
+function updateSuppress(enemy, situation) {
+  const { playerPosition, distanceToPlayer, deltaTime } = situation;
+  const holdsPosition = isHoldingPosition(enemy);
+  
+  if (distanceToPlayer > getShootingRange(enemy) + ADVANCE_RESUME_MARGIN) return AI_STATES.ADVANCE;
+  
+  // Lost sight, or the player is in view but the shot is blocked (a muzzle below the crest of a
+  // hill) - work around the obstacle, or go looking if there's no way around.
+  // Snipers and gunners give the player a moment to pop back out first.
+  if (!enemy.canSeePlayer || !enemy.canShootPlayer) {
+    enemy.lostSightTime += deltaTime;
+    if (holdsPosition && enemy.lostSightTime < HOLD_LOST_SIGHT_TIME) return null;
+    return findFiringPosition(enemy.object.position, playerPosition, situation.scene)
+      ? AI_STATES.FLANK
+      : AI_STATES.SEARCH;
+  }
+  enemy.lostSightTime = 0;
+  
+  // Getting shot makes enemies dive for cover
+  if (situation.tookDamage && !holdsPosition) return AI_STATES.TAKE_COVER;
+  
+  faceTowards(enemy, playerPosition);
+  
+  // Assistant gunners stick by their MG42, everyone who holds position stays put
+  if (enemy.assistsGunner && !enemy.assistsGunner.isDead) {
+    followGunner(enemy, situation);
+  } else if (!holdsPosition) {
+    strafe(enemy, situation);
+  }
+  
+  // Machine guns need their bipod set up before they can fire
+  if (enemy.setupTimer > 0) {
+    enemy.setupTimer -= deltaTime;
+    return null;
+  }
+  
+  // After each burst, sometimes fall back behind cover
+  if (fireAtPlayer(enemy, situation)) {
+    enemy.shotsFired++;
+    if (enemy.shotsFired >= SUPPRESS_BURST_SHOTS) {
+      enemy.shotsFired = 0;
+      if (!holdsPosition && aiRandom() < SUPPRESS_COVER_CHANCE) return AI_STATES.TAKE_COVER;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Strafes sideways relative to the player, reversing at obstacles and the shoreline
+ * @param {Object} enemy - The enemy
+ * @param {Object} situation - Frame data from updateEnemyAI
+ */
+function strafe(enemy, situation) {
+  const { directionToPlayer, deltaTime } = situation;
+  
+  // Determine if enemy should strafe
+  enemy.strafeTimer += deltaTime;
+  if (enemy.strafeTimer > enemy.strafeDuration) {
+    // Change strafe direction
+    enemy.strafeDirection = -enemy.strafeDirection;
+    enemy.strafeTimer = 0;
+    enemy.strafeDuration = 2 + aiRandom() * 3; // New random duration
+  }
+  
+  // Strafe perpendicular to player direction
+  const strafeDirection = new THREE.Vector3(
+    -directionToPlayer.z,
+    0,
+    directionToPlayer.x
+  ).normalize();
+  const strafeSpeed = enemy.speed * STRAFE_SPEED_MULTIPLIER * enemy.strafeDirection * deltaTime * 60;
+  const strafeTarget = enemy.object.position.clone().addScaledVector(strafeDirection, strafeSpeed);
+  
+  // Turn around rather than strafing into an obstacle or the sea
+  if (isWalkable(strafeTarget)) {
+    enemy.object.position.x = strafeTarget.x;
+    enemy.object.position.z = strafeTarget.z;
+    enemy.isMoving = true;
+  } else {
+    enemy.strafeDirection = -enemy.strafeDirection;
+    enemy.strafeTimer = 0;
+  }
+}
+
+/**
+ * Keeps an assistant gunner beside their MG42
+ * @param {Object} enemy - The assistant
+ * @param {Object} situation - Frame data from updateEnemyAI
+ */
+function followGunner(enemy, situation) {
+  const gunnerPosition = enemy.assistsGunner.object.position;
+  const distance = Math.hypot(
+    gunnerPosition.x - enemy.object.position.x,
+    gunnerPosition.z - enemy.object.position.z
+  );
+  if (distance > MG42_ASSISTANT_DISTANCE) {
+    followPathTo(enemy, gunnerPosition, 1.0, situation.deltaTime);
+  }
+}
+
+/**
+ * Take cover: pick a spot behind nearby cover on entry
+ * @param {Object} enemy - The enemy
+ * @param {Object} situation - Frame data from updateEnemyAI
+ */
+function enterTakeCover(enemy, situation) {
+  enemy.coverPosition = situation
+    ? findCoverPosition(enemy.object.position, situation.playerPosition, situation.scene)
+    : null;
+  enemy.coverDuration = COVER_MIN_TIME + aiRandom() * (COVER_MAX_TIME - COVER_MIN_TIME);
+  enemy.coverTime = 0;
+}
+
+/**
+ * Take cover: run to the cover spot and crouch there for a while
+ * @param {Object} enemy - The enemy
+ * @param {Object} situation - Frame data from updateEnemyAI
+ * @returns {string|null} - Next state
+ */
+function updateTakeCover(enemy, situation) {
+  const { playerPosition, distanceToPlayer, deltaTime } = situation;
+  
+  // Nowhere to hide - keep shooting
+  if (!enemy.coverPosition) return AI_STATES.SUPPRESS;
+  
+  const toCover = Math.hypot(
+    enemy.coverPosition.x - enemy.object.position.x,
+    enemy.coverPosition.z - enemy.object.position.z
+  );
+  
+  if (toCover > ARRIVAL_DISTANCE) {
+    if (enemy.aiStateTime > COVER_MOVE_TIMEOUT) return AI_STATES.SUPPRESS;
+    followPathTo(enemy, enemy.coverPosition, COVER_SPEED_MULTIPLIER, deltaTime, true);
+    return null;
+  }
+  
+  // Crouched in cover, watching the player
+  faceTowards(enemy, playerPosition);
+  enemy.coverTime += deltaTime;
+  if (enemy.coverTime < enemy.coverDuration) return null;
+  
+  // Pop back out and re-engage
+  if (distanceToPlayer > getShootingRange(enemy)) return AI_STATES.ADVANCE;
+  return AI_STATES.SUPPRESS;
+}
+
+/**
+ * Flank: move to a spot with a clear line of fire at a hidden player
+ * @param {Object} enemy - The enemy
+ * @param {Object} situation - Frame data from updateEnemyAI
+ * @returns {string|null} - Next state
+ */
+function updateFlank(enemy, situation) {
+  const { playerPosition, distanceToPlayer, deltaTime, scene } = situation;
+  
+  // Squad flankers keep going until they reach the player's side or rear
+  if (enemy.isSquadFlanking) {
+    return updateSquadFlank(enemy, situation);
+  }
+  
+  // Found a shot
+  if (enemy.canSeePlayer && distanceToPlayer <= getShootingRange(enemy)) return AI_STATES.SUPPRESS;
+  if (enemy.aiStateTime > FLANK_TIMEOUT) return AI_STATES.SEARCH;
+  
+  // Look for a new spot periodically, since the player may move
+  enemy.repositionTimer -= deltaTime;
+  if (!enemy.firingPosition || enemy.repositionTimer <= 0) {
+    enemy.firingPosition = findFiringPosition(enemy.object.position, playerPosition, scene);
+    enemy.repositionTimer = REPOSITION_SEARCH_INTERVAL;
+  }
+  
+  // With no clear spot nearby, close in on the player instead.
+  // Once arrived, wait for the next line of sight check to confirm the shot.
+  const destination = enemy.firingPosition || enemy.lastKnownPlayerPosition || playerPosition;
+  followPathTo(enemy, destination, REPOSITION_SPEED_MULTIPLIER, deltaTime, true);
+  return null;
+}
+
+/**
+ * Flank: squad flankers head for the player's side, everyone else for the nearest clear shot
+ * @param {Object} enemy - The enemy
+ */
+function enterFlank(enemy) {
+  enemy.firingPosition = null;
+  enemy.repositionTimer = 0;
+  
+  // Each soldier only makes one wide flanking run, later flanks are local repositioning
+  if (shouldFlank(enemy)) {
+    enemy.isSquadFlanking = true;
+    enemy.hasFlanked = true;
+  }
+}
+
+/**
+ * Flank: circle round to a flanking spot picked relative to the squad's suppressing element
+ * @param {Object} enemy - The enemy
+ * @param {Object} situation - Frame data from updateEnemyAI
+ * @returns {string|null} - Next state
+ */
+function updateSquadFlank(enemy, situation) {
+  const { playerPosition, deltaTime } = situation;
+  
+  // Follow the player using the squad's callouts
+  enemy.repositionTimer -= deltaTime;
+  if (!enemy.firingPosition || enemy.repositionTimer <= 0) {
+    enemy.firingPosition = getFlankPosition(enemy, enemy.lastKnownPlayerPosition || playerPosition);
+    enemy.repositionTimer = REPOSITION_SEARCH_INTERVAL;
+  }
+  
+  // No way round, or it's taking too long - fall back to finding any clear shot
+  if (!enemy.firingPosition || enemy.aiStateTime > SQUAD_FLANK_TIMEOUT) {
+    enemy.isSquadFlanking = false;
+    enemy.firingPosition = null;
+    enemy.aiStateTime = 0;
+    return null;
+  }
+  
+  const arrived = followPathTo(enemy, enemy.firingPosition, REPOSITION_SPEED_MULTIPLIER, deltaTime, true);
+  if (arrived) {
+    enemy.isSquadFlanking = false;
+    enemy.firingPosition = null;
+    enemy.aiStateTime = 0;
+    return enemy.canSeePlayer ? AI_STATES.SUPPRESS : null;
+  }
+  return null;
+}
+
+/**
+ * Retreat: fall back away from the player for a few seconds
+ * @param {Object} enemy - The enemy
+ * @param {Object} situation - Frame data from updateEnemyAI
+ * @returns {string|null} - Next state
+ */
+function updateRetreat(enemy, situation) {
+  const { directionToPlayer, deltaTime } = situation;
+  
+  if (enemy.aiStateTime > RETREAT_DURATION) {
+    return enemy.canSeePlayer ? AI_STATES.TAKE_COVER : AI_STATES.SEARCH;
+  }
+  
+  // Head away from the player, staying on the island
+  const destination = enemy.object.position.clone().addScaledVector(directionToPlayer, -RETREAT_DISTANCE);
+  const distanceFromCenter = Math.hypot(destination.x, destination.z);
+  if (distanceFromCenter > PLAYABLE_RADIUS) {
+    destination.multiplyScalar(PLAYABLE_RADIUS / distanceFromCenter);
+  }
+  destination.y = 0;
+  
+  followPathTo(enemy, destination, RETREAT_SPEED_MULTIPLIER, deltaTime, true);
+  return null;
+}
+
+/**
+ * Search: check the player's last known position
+ * @param {Object} enemy - The enemy
+ * @param {Object} situation - Frame data from updateEnemyAI
+ * @returns {string|null} - Next state
+ */
+function updateSearch(enemy, situation) {
+  const { distanceToPlayer, deltaTime } = situation;
+  
+  if (enemy.canSeePlayer) {
+    return distanceToPlayer <= getShootingRange(enemy) ? AI_STATES.SUPPRESS : AI_STATES.ADVANCE;
+  }
+  if (!enemy.lastKnownPlayerPosition || enemy.aiStateTime > SEARCH_TIMEOUT) return AI_STATES.ADVANCE;
+  
+  const arrived = followPathTo(enemy, enemy.lastKnownPlayerPosition, SEARCH_SPEED_MULTIPLIER, deltaTime, true);
+  if (arrived) {
+    // Nothing here - forget it and head for the player again
+    enemy.lastKnownPlayerPosition = null;
+    return AI_STATES.ADVANCE;
+  }
+  return null;
+}
+
+/**
+ * Melee charge: sprint at a nearby player and strike with the rifle butt
+ * @param {Object} enemy - The enemy
+ * @param {Object} situation - Frame data from updateEnemyAI
+ * @returns {string|null} - Next state
+ */
+function updateMeleeCharge(enemy, situation) {
+  const { playerPosition, distanceToPlayer, deltaTime } = situation;
+  
+  if (distanceToPlayer > MELEE_BREAKOFF_RANGE) return AI_STATES.ADVANCE;
+  
+  faceTowards(enemy, playerPosition);
+  enemy.attackCooldownTime = Math.max(0, enemy.attackCooldownTime - deltaTime);
+  
+  if (distanceToPlayer > MELEE_STRIKE_RANGE) {
+    moveEnemyToward(enemy, playerPosition, MELEE_SPEED_MULTIPLIER, deltaTime);
+    return null;
+  }
+  
+  // In reach - strike when the cooldown allows
+  if (enemy.attackCooldownTime <= 0) {
+    enemy.attackCooldownTime = enemy.attackCooldownDuration;
+    enemy.isAttacking = true;
+    enemy.attackTime = 0;
+    if (typeof window.damagePlayer === 'function') {
+      window.damagePlayer(MELEE_DAMAGE);
+    }
+  }
+  return null;
+}
+
+/**
+ * Turns an enemy to face a point on the ground
+ * @param {Object} enemy - The enemy
+ * @param {THREE.Vector3} target - Point to face
+ */
+function faceTowards(enemy, target) {
+  const enemyObject = enemy.object;
+  enemyObject.lookAt(target.x, enemyObject.position.y, target.z);
+}
+
+/**
+ * Moves an enemy along a navigation path around obstacles toward a destination
+ * @param {Object} enemy - The enemy
+ * @param {THREE.Vector3} destination - Where to go
+ * @param {number} speedMultiplier - Multiplier on the enemy's walking speed
+ * @param {number} deltaTime - Time since last frame
+ * @param {boolean} faceMovement - Turn to face the direction of travel
+ * @returns {boolean} - True once the enemy has arrived
+ */
+function followPathTo(enemy, destination, speedMultiplier, deltaTime, faceMovement = false) {
+  const enemyObject = enemy.object;
+  const grid = getNavGrid();
+  const gridVersion = grid ? grid.version : 0;
+  
+  // Query a new path when there is none, the grid was rebuilt or the destination has moved
+  enemy.repathTimer -= deltaTime;
+  const goalMoved = !enemy.pathGoal ||
+    Math.hypot(destination.x - enemy.pathGoal.x, destination.z - enemy.pathGoal.z) > REPATH_GOAL_TOLERANCE;
+  if (!enemy.path || enemy.pathVersion !== gridVersion || (goalMoved && enemy.repathTimer <= 0)) {
+    // Unreachable destinations fall back to walking straight at them
+    enemy.path = findPath(enemyObject.position, destination) || [];
+    enemy.pathGoal = destination.clone();
+    enemy.pathVersion = gridVersion;
+    enemy.repathTimer = REPATH_INTERVAL;
+  }
+  
+  // Drop waypoints that have been reached
+  while (enemy.path.length > 0 &&
+    Math.hypot(enemy.path[0].x - enemyObject.position.x, enemy.path[0].z - enemyObject.position.z) < WAYPOINT_REACHED_DISTANCE) {
+    enemy.path.shift();
+  }
+  
+  // Steer for the next waypoint, or straight at the destination on the final leg
+  const target = enemy.path.length > 0 ? enemy.path[0] : destination;
+  moveEnemyToward(enemy, target, speedMultiplier, deltaTime, faceMovement);
+  
+  return Math.hypot(destination.x - enemyObject.position.x, destination.z - enemyObject.position.z) < ARRIVAL_DISTANCE;
+}
+
+/**
+ * Moves an enemy in a straight line toward a destination
+ * @param {Object} enemy - The enemy
+ * @param {THREE.Vector3} destination - Where to go
+ * @param {number} speedMultiplier - Multiplier on the enemy's walking speed
+ * @param {number} deltaTime - Time since last frame
+ * @param {boolean} faceMovement - Turn to face the direction of travel
+ * @returns {boolean} - True once the enemy has arrived
+ */
+function moveEnemyToward(enemy, destination, speedMultiplier, deltaTime, faceMovement = false) {
+  const enemyObject = enemy.object;
+  const toDestination = new THREE.Vector3(
+    destination.x - enemyObject.position.x,
+    0,
+    destination.z - enemyObject.position.z
+  );
+  const distance = toDestination.length();
+  if (distance < ARRIVAL_DISTANCE) return true;
+  
+  if (faceMovement) faceTowards(enemy, destination);
+  
+  // Don't overshoot the destination on the last step
+  const moveSpeed = Math.min(distance, enemy.speed * speedMultiplier * deltaTime * 60);
+  toDestination.normalize();
+  enemyObject.position.x += toDestination.x * moveSpeed;
+  enemyObject.position.z += toDestination.z * moveSpeed;
+  enemy.isMoving = true;
+  
+  return false;
+}
+
+/**
+ * Fires at the player if the shooting cooldown allows and the shot is clear
+ * @param {Object} enemy - The enemy
+ * @param {Object} situation - Frame data from updateEnemyAI
+ * @returns {boolean} - True if a shot was fired
+ */
+function fireAtPlayer(enemy, situation) {
+  const { playerPosition, distanceToPlayer, scene, projectiles } = situation;
+  const enemyObject = enemy.object;
+  const archetype = enemy.archetype;
+  
+  if (archetype && archetype.usesFlamethrower) {
+    return sprayFlames(enemy, situation);
+  }
+  
+  // Check if enemy can shoot (rapid fire within a machine gun burst, faster near an officer)
+  const currentTime = situation.time; // Simulation clock in seconds
+  if (currentTime - enemy.lastShootTime <= getShotCooldown(enemy)) return false;
+  
+  // Get muzzle position
+  const muzzlePosition = new THREE.Vector3();
+  if (enemy.userData.rightArm) {
+    // Position at the end of the right arm
+    const rightArm = enemy.userData.rightArm;
+    muzzlePosition.copy(rightArm.position)
+      .add(new THREE.Vector3(0, 0, -0.5)) // Offset to end of arm
+      .applyMatrix4(enemyObject.matrixWorld); // Convert to world space
+  } else {
+    // Fallback to enemy position
+    muzzlePosition.copy(enemyObject.position)
+      .add(new THREE.Vector3(0, 1.5, 0)); // Offset to approximate arm height
+  }
+  
+  // Make sure the shot isn't blocked by the bunker, rocks or hills before firing. The muzzle sits
+  // lower than the eyes, so this is kept apart from canSeePlayer, which the sight checks own.
+  enemy.canShootPlayer = hasLineOfSight(muzzlePosition, playerPosition, scene);
+  if (!enemy.canShootPlayer) return false;
+  if (typeof window.createEnemyProjectile !== 'function') return false;
+  
+  // Enemy can shoot
+  enemy.lastShootTime = currentTime;
+  
+  // Calculate direction to player with some inaccuracy
+  const baseAccuracy = enemy.closeRangeAccuracy -
+    Math.min(MAX_ACCURACY_FALLOFF, (distanceToPlayer - ACCURACY_FALLOFF_START) * enemy.accuracyFalloff); // Accuracy decreases with distance
+  const accuracy = Math.min(0.99, baseAccuracy + getAccuracyBonus(enemy));
+  const shootDirection = new THREE.Vector3()
+    .subVectors(playerPosition, muzzlePosition)
+    .normalize();
+  
+  // Create projectile
+  const projectile = window.createEnemyProjectile(scene, muzzlePosition, shootDirection, accuracy);
+  if (projectile) {
+    projectile.damageMultiplier = archetype ? archetype.damageMultiplier : 1;
+    if (projectiles) projectiles.push(projectile);
+  }
+  
+  // Count down the machine gun burst, starting a new one after the pause
+  if (archetype && archetype.burstSize) {
+    enemy.burstShotsLeft = enemy.burstShotsLeft > 0 ? enemy.burstShotsLeft - 1 : archetype.burstSize - 1;
+  }
+  
+  // Create muzzle flash
+  if (typeof window.createMuzzleFlash === 'function') {
+    window.createMuzzleFlash(scene, muzzlePosition, shootDirection);
+  }
+  
+  return true;
+}
+
+/**
+ * Sprays the flamethrower in bursts, burning the player and setting the grass alight
+ * @param {Object} enemy - The flamethrower trooper
+ * @param {Object} situation - Frame data from updateEnemyAI
+ * @returns {boolean} - True when a new burst of flame starts
+ */
+function sprayFlames(enemy, situation) {
+  const { playerPosition, distanceToPlayer, deltaTime, scene } = situation;
+  const archetype = enemy.archetype;
+  let startedBurst = false;
+  
+  // Spray for a while, then pause to let the pressure build back up
+  enemy.flameTimer += deltaTime;
+  if (enemy.isFlaming) {
+    if (enemy.flameTimer >= archetype.flameDuration) {
+      enemy.isFlaming = false;
+      enemy.flameTimer = 0;
+    }
+  } else if (enemy.flameTimer >= archetype.flameCooldown && distanceToPlayer <= archetype.shootingRange) {
+    enemy.isFlaming = true;
+    enemy.flameTimer = 0;
+    enemy.igniteTimer = 0;
+    startedBurst = true;
+  }
+  if (!enemy.isFlaming) return false;
+  
+  // Flames come from the wand's nozzle, aimed low at the player's legs
+  const nozzlePosition = new THREE.Vector3();
+  if (enemy.userData.nozzle) {
+    enemy.userData.nozzle.getWorldPosition(nozzlePosition);
+  } else {
+    nozzlePosition.copy(enemy.object.position).add(new THREE.Vector3(0, 1.2, 0));
+  }
+  const aimPoint = playerPosition.clone();
+  aimPoint.y -= FLAME_AIM_DROP;
+  const sprayDirection = new THREE.Vector3().subVectors(aimPoint, nozzlePosition).normalize();
+  
+  emitFlames(scene, nozzlePosition, sprayDirection);
+  
+  // Burn a player caught in the cone, unless they're behind something solid
+  const inCone = isInFlameCone(
+    nozzlePosition, sprayDirection, playerPosition, archetype.shootingRange, archetype.flameConeAngle
+  );
+  if (inCone && hasLineOfSight(nozzlePosition, playerPosition, scene) &&
+      typeof window.damagePlayer === 'function') {
+    window.damagePlayer(archetype.flameDamage * deltaTime);
+  }
+  
+  // Set the grass alight somewhere along the spray
+  enemy.igniteTimer -= deltaTime;
+  if (enemy.igniteTimer <= 0) {
+    enemy.igniteTimer = FLAME_IGNITE_INTERVAL;
+    const reach = Math.min(distanceToPlayer, archetype.shootingRange) * (0.4 + aiRandom() * 0.6);
+    const spread = (aiRandom() - 0.5) * 2 * archetype.flameConeAngle;
+    const groundDirection = new THREE.Vector3(sprayDirection.x, 0, sprayDirection.z)
+      .normalize()
+      .applyAxisAngle(new THREE.Vector3(0, 1, 0), spread);
+    igniteGrass(scene, enemy.object.position.clone().addScaledVector(groundDirection, reach));
+  }
+  
+  return startedBurst;
+}
+
+/**
+ * Gets the environment objects that block line of sight, gathering them from the scene the first time
+ * and again after markLineOfSightDirty()
+ * @param {THREE.Scene} scene - The scene containing environment objects
+ * @returns {Array<THREE.Object3D>} - Rocks, trees, hills, the bunker, sandbags and landed vehicles
+ *   (bushes can be seen through); shared, so copy it before changing it
+ */
+export function getLineOfSightBlockers(scene) {
+  if (lineOfSightBlockers && lineOfSightScene === scene && !lineOfSightDirty) {
+    return lineOfSightBlockers;
+  }
+  
+  const blockers = [];
+  scene.traverse((object) => {
+    if (!(object.userData.collidable || object.userData.blocksLineOfSight)) return;
+    if (object.userData.isBush || object.userData.isEnemy) return;
+    if (object.parent && object.parent.userData.isEnemy) return;
+    blockers.push(object);
+  });
+  
+  lineOfSightBlockers = blockers;
+  lineOfSightScene = scene;
+  lineOfSightDirty = false;
+  return blockers;
+}
+
+/**
+ * Flags the line-of-sight blockers to be gathered again, e.g. after a tree falls or sandbags go up
+ */
+export function markLineOfSightDirty() {
+  lineOfSightDirty = true;
+}
+
+/**
+ * Checks whether anything in the environment blocks the view between two points
+ * @param {THREE.Vector3} from - Start point (e.g. an enemy's eyes)
+ * @param {THREE.Vector3} to - End point (e.g. the player's torso)
+ * @param {THREE.Scene} scene - The scene containing environment objects
+ * @param {Array<THREE.Object3D>} blockers - Optional pre-gathered blockers when checking many rays
+ * @returns {boolean} - True if nothing solid is in the way
+ */
+export function hasLineOfSight(from, to, scene, blockers = getLineOfSightBlockers(scene)) {
+  const direction = new THREE.Vector3().subVectors(to, from);
+  const distance = direction.length();
+  if (distance === 0) return true;
+  direction.normalize();
+  
+  losRaycaster.set(from, direction);
+  losRaycaster.far = distance;
+  const intersects = losRaycaster.intersectObjects(blockers, true);
+  
+  return intersects.length === 0;
+}
+
+/**
+ * Periodically refreshes whether an enemy can see the player
+ * @param {Object} enemy - The enemy
+ * @param {THREE.Vector3} targetPosition - Player's torso position
+ * @param {number} deltaTime - Time since last frame
+ * @param {THREE.Scene} scene - The scene
+ */
+function updateEnemyLineOfSight(enemy, targetPosition, deltaTime, scene) {
+  // Line of sight checks are expensive, so only refresh them periodically
+  enemy.losCheckTimer -= deltaTime;
+  if (enemy.losCheckTimer > 0) return;
+  
+  enemy.losCheckTimer = LOS_CHECK_INTERVAL;
+  const eyePosition = enemy.object.position.clone();
+  eyePosition.y = enemy.groundHeight +
+    (enemy.aiState === AI_STATES.TAKE_COVER ? COVER_EYE_HEIGHT : ENEMY_EYE_HEIGHT);
+  enemy.canSeePlayer = hasLineOfSight(eyePosition, targetPosition, scene);
+}
+
+/**
+ * Searches around an enemy for a spot with a clear shot at the player
+ * @param {THREE.Vector3} fromPosition - Enemy's current position
+ * @param {THREE.Vector3} targetPosition - Player's torso position
+ * @param {THREE.Scene} scene - The scene
+ * @returns {THREE.Vector3|null} - Closest firing spot, or null if none was found
+ */
+function findFiringPosition(fromPosition, targetPosition, scene) {
+  const blockers = getLineOfSightBlockers(scene);
+  
+  // Try the closest rings first so enemies take the shortest detour
+  for (const distance of FIRING_SPOT_DISTANCES) {
+    // Randomize the starting angle so a squad doesn't all pick the same spot
+    const startAngle = aiRandom() * Math.PI * 2;
+    
+    for (let i = 0; i < FIRING_SPOT_DIRECTIONS; i++) {
+      const angle = startAngle + (i / FIRING_SPOT_DIRECTIONS) * Math.PI * 2;
+      const candidate = new THREE.Vector3(
+        fromPosition.x + Math.cos(angle) * distance,
+        0,
+        fromPosition.z + Math.sin(angle) * distance
+      );
+      
+      // Stay on open ground and within shooting range
+      if (Math.hypot(candidate.x, candidate.z) > PLAYABLE_RADIUS || !isWalkable(candidate)) continue;
+      const rangeToPlayer = Math.hypot(candidate.x - targetPosition.x, candidate.z - targetPosition.z);
+      if (rangeToPlayer < FIRING_SPOT_MIN_RANGE || rangeToPlayer > FIRING_SPOT_MAX_RANGE) continue;
+      
+      const eyePosition = candidate.clone();
+      eyePosition.y = ENEMY_EYE_HEIGHT;
+      if (hasLineOfSight(eyePosition, targetPosition, scene, blockers)) {
+        return candidate;
+      }
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Finds the closest spot behind a rock, tree or the bunker that hides an enemy from the player
+ * @param {THREE.Vector3} fromPosition - Enemy's current position
+ * @param {THREE.Vector3} targetPosition - Player's torso position
+ * @param {THREE.Scene} scene - The scene
+ * @returns {THREE.Vector3|null} - Cover spot, or null if there is no cover nearby
+ */
+function findCoverPosition(fromPosition, targetPosition, scene) {
+  const blockers = getLineOfSightBlockers(scene);
+  let bestPosition = null;
+  let bestDistance = Infinity;
+  
+  for (const obstacle of blockers) {
+    // Only solid obstacles with a known footprint make usable cover
+    if (!obstacle.userData.collidable || !obstacle.userData.collisionRadius) continue;
+    
+    const distance = Math.hypot(obstacle.position.x - fromPosition.x, obstacle.position.z - fromPosition.z);
+    if (distance > COVER_SEARCH_RADIUS || distance >= bestDistance) continue;
+    
+    // Crouch on the far side of the obstacle from the player
+    const awayFromPlayer = new THREE.Vector3(
+      obstacle.position.x - targetPosition.x,
+      0,
+      obstacle.position.z - targetPosition.z
+    ).normalize();
+    const candidate = new THREE.Vector3(obstacle.position.x, 0, obstacle.position.z)
+      .addScaledVector(awayFromPlayer, obstacle.userData.collisionRadius + COVER_OFFSET);
+    if (Math.hypot(candidate.x, candidate.z) > PLAYABLE_RADIUS || !isWalkable(candidate)) continue;
+    
+    // Make sure the obstacle actually hides a crouching enemy
+    const eyePosition = candidate.clone();
+    eyePosition.y = COVER_EYE_HEIGHT;
+    if (hasLineOfSight(eyePosition, targetPosition, scene, blockers)) continue;
+    
+    bestPosition = candidate;
+    bestDistance = distance;
+  }
+  
+  return bestPosition;
+}
+
+/**
+ * Throws a stick grenade at a player who has stayed out of sight too long
+ * @param {Object} enemy - The enemy that may throw
+ * @param {THREE.Vector3} targetPosition - Player's torso position
+ * @param {number} distanceToPlayer - Distance from the enemy to the player
+ * @param {number} deltaTime - Time since last frame
+ * @param {THREE.Scene} scene - The scene
+ * @param {Array} grenades - Array to store the thrown grenade
+ */
+function updateEnemyGrenadeThrow(enemy, targetPosition, distanceToPlayer, deltaTime, scene, grenades) {
+  if (!grenades || enemy.grenades <= 0) return;
+  
+  if (enemy.canSeePlayer) {
+    enemy.playerHiddenTime = 0;
+    return;
+  }
+  
+  enemy.playerHiddenTime += deltaTime;
+  if (enemy.playerHiddenTime < STICK_GRENADE_COVER_TIME) return;
+  if (distanceToPlayer < STICK_GRENADE_MIN_RANGE || distanceToPlayer > STICK_GRENADE_MAX_RANGE) return;
+  
+  // Release from above the enemy's throwing shoulder
+  const releasePosition = enemy.object.position.clone();
+  releasePosition.y += 2.0;
+  
+  // Aim at the ground by the player with some inaccuracy
+  const landingPosition = targetPosition.clone();
+  landingPosition.x += (aiRandom() - 0.5) * STICK_GRENADE_SPREAD;
+  landingPosition.z += (aiRandom() - 0.5) * STICK_GRENADE_SPREAD;
+  landingPosition.y = 0;
+  
+  const velocity = solveThrowVelocity(releasePosition, landingPosition);
+  grenades.push(createGrenade(scene, releasePosition, velocity, {
+    type: GRENADE_TYPES.STICK,
+    owner: 'enemy'
+  }));
+  
+  enemy.grenades--;
+  enemy.playerHiddenTime = 0;
+  
+  // Throwing arm swing (the pose animation leaves the arm alone while throwing)
+  if (enemy.userData.rightArm) {
+    enemy.userData.isThrowing = true;
+    enemy.userData.rightArm.rotation.x = -Math.PI * 0.8;
+    setTimeout(() => {
+      enemy.userData.isThrowing = false;
+      if (enemy.userData.rightArm) enemy.userData.rightArm.rotation.x = 0;
+    }, 300);
+  }
+}
@@ -0,0 +1,582 @@
+/**
+ * Enemy types module - archetype stats, models and wave composition
+ */
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
+import { RANDOM_STREAMS, getRandomStream } from './random.js';
+
+// Random streams - crew rolls, and the pilot light flicker
+const aiRandom = getRandomStream(RANDOM_STREAMS.AI);
+const fxRandom = getRandomStream(RANDOM_STREAMS.FX);
+
+// Enemy archetype IDs
+export const ENEMY_TYPES = {
+  RIFLEMAN: 'rifleman',
+  SNIPER: 'sniper',
+  MG42: 'mg42',
+  OFFICER: 'officer',
+  FLAMETHROWER: 'flamethrower'
+};
+
+// Stats and behavior flags for each archetype. Multipliers scale the wave's base health and speed.
+export const ENEMY_ARCHETYPES = {
+  [ENEMY_TYPES.RIFLEMAN]: {
+    name: 'Rifleman',
+    healthMultiplier: 1,
+    speedMultiplier: 1,
+    shootingRange: 15,
+    shootingCooldown: 1.5,
+    accuracyBonus: 0,
+    damageMultiplier: 1,
+    minWave: 1,
+    weight: 10
+  },
+  [ENEMY_TYPES.SNIPER]: {
+    name: 'Sniper',
+    healthMultiplier: 0.8,
+    speedMultiplier: 0.8,
+    shootingRange: 35,
+    shootingCooldown: 3.5,
+    accuracyBonus: 0.3,
+    damageMultiplier: 4,
+    holdsPosition: true, // Doesn't strafe or dive for cover
+    perchOnHills: true, // Climbs a hill within range before engaging
+    poses: { suppress: 'crouchAim' },
+    minWave: 3,
+    weight: 2,
+    maxPerWave: 2
+  },
+  [ENEMY_TYPES.MG42]: {
+    name: 'MG42 Gunner',
+    healthMultiplier: 1.5,
+    speedMultiplier: 0.7,
+    shootingRange: 20,
+    shootingCooldown: 2.5, // Pause between bursts
+    burstSize: 10,
+    burstInterval: 0.08, // Seconds between rounds within a burst
+    assistedCooldownMultiplier: 0.6, // Assistant feeding belts shortens the pause
+    setupTime: 1.5, // Seconds to deploy the bipod after stopping
+    accuracyBonus: -0.15,
+    damageMultiplier: 0.75,
+    holdsPosition: true,
+    poses: { suppress: 'crouchAim' },
+    minWave: 4,
+    weight: 2,
+    maxPerWave: 2
+  },
+  [ENEMY_TYPES.OFFICER]: {
+    name: 'Officer',
+    healthMultiplier: 2,
+    speedMultiplier: 1,
+    shootingRange: 12,
+    shootingCooldown: 1.0, // Pistol
+    accuracyBonus: 0,
+    damageMultiplier: 1,
+    elite: true, // Drops better loot
+    buffRadius: 10,
+    minWave: 2,
+    weight: 0, // Never rolled as a regular slot - officers lead boats instead
+    maxPerWave: 3
+  },
+  [ENEMY_TYPES.FLAMETHROWER]: {
+    name: 'Flamethrower Trooper',
+    healthMultiplier: 1.5,
+    speedMultiplier: 1.1,
+    shootingRange: 7,
+    usesFlamethrower: true,
+    flameDuration: 2, // Seconds of continuous spray
+    flameCooldown: 1.5, // Seconds between sprays
+    flameConeAngle: 0.35, // Half-angle of the flame cone in radians
+    flameDamage: 20, // Damage per second to a player caught in the cone
+    noMelee: true, // Would rather burn the player than club them
+    minWave: 5,
+    weight: 2,
+    maxPerWave: 2
+  }
+};
+
+// Constants for officers
+const OFFICER_BOAT_CHANCE = 0.4; // Chance each boat of 3+ soldiers is led by an officer
+const OFFICER_BUFF_COOLDOWN_MULTIPLIER = 0.75; // Soldiers near an officer fire faster
+const OFFICER_BUFF_ACCURACY_BONUS = 0.1; // ...and more accurately
+
+// Constants for the sniper's scope glint
+const SCOPE_GLINT_PULSE_SPEED = 6; // Glint flashes per second (roughly)
+
+/**
+ * Looks up an archetype's stats
+ * @param {string} type - Enemy type from ENEMY_TYPES
+ * @returns {Object} - The archetype (riflemen for unknown types)
+ */
+export function getEnemyArchetype(type) {
+  return ENEMY_ARCHETYPES[type] || ENEMY_ARCHETYPES[ENEMY_TYPES.RIFLEMAN];
+}
+
+/**
+ * Applies an archetype's stats and model to a freshly built rifleman
+ * @param {Object} enemy - The enemy, with body parts already created
+ * @param {string} type - Enemy type from ENEMY_TYPES
+ */
+export function applyEnemyArchetype(enemy, type) {
+  const archetype = getEnemyArchetype(type);
+  
+  enemy.enemyType = ENEMY_ARCHETYPES[type] ? type : ENEMY_TYPES.RIFLEMAN;
+  enemy.archetype = archetype;
+  enemy.health = enemy.health * archetype.healthMultiplier;
+  enemy.speed = enemy.speed * archetype.speedMultiplier;
+  enemy.shootingCooldown = archetype.shootingCooldown;
+  enemy.shootingRange = archetype.shootingRange;
+  enemy.isBuffed = false;
+  
+  // Archetype-specific firing state
+  enemy.burstShotsLeft = 0;
+  enemy.setupTimer = 0;
+  enemy.isFlaming = false;
+  enemy.flameTimer = 0;
+  enemy.igniteTimer = 0;
+  
+  switch (enemy.enemyType) {
+    case ENEMY_TYPES.SNIPER:
+      buildSniperModel(enemy);
+      break;
+    case ENEMY_TYPES.MG42:
+      buildMG42Model(enemy);
+      break;
+    case ENEMY_TYPES.OFFICER:
+      buildOfficerModel(enemy);
+      break;
+    case ENEMY_TYPES.FLAMETHROWER:
+      buildFlamethrowerModel(enemy);
+      break;
+  }
+}
+
+/**
+ * Rolls the archetypes for one boat's crew
+ * @param {number} wave - Current wave number
+ * @param {number} crewSize - Number of soldiers in the boat
+ * @param {Object} waveCounts - Archetype counts so far this wave, updated in place (for per-wave caps)
+ * @param {number} specialistBias - Multiplier on every specialist's spawn weight (from the director)
+ * @returns {Array<string>} - Enemy types, officer first so they lead the squad, MG42 assistants right after their gunner
+ */
+export function rollBoatCrew(wave, crewSize, waveCounts, specialistBias = 1) {
+  const crew = [];
+  
+  // Larger boats may be led by an officer
+  const officer = ENEMY_ARCHETYPES[ENEMY_TYPES.OFFICER];
+  if (crewSize >= 3 && wave >= officer.minWave && hasWaveRoom(ENEMY_TYPES.OFFICER, waveCounts) &&
+      aiRandom() < OFFICER_BOAT_CHANCE) {
+    crew.push(ENEMY_TYPES.OFFICER);
+    waveCounts[ENEMY_TYPES.OFFICER] = (waveCounts[ENEMY_TYPES.OFFICER] || 0) + 1;
+  }
+  
+  while (crew.length < crewSize) {
+    let type = pickWeightedType(wave, waveCounts, specialistBias);
+    
+    // An MG42 team needs room for the gunner and an assistant
+    if (type === ENEMY_TYPES.MG42 && crewSize - crew.length < 2) {
+      type = ENEMY_TYPES.RIFLEMAN;
+    }
+    
+    crew.push(type);
+    waveCounts[type] = (waveCounts[type] || 0) + 1;
+    if (type === ENEMY_TYPES.MG42) {
+      crew.push(ENEMY_TYPES.RIFLEMAN); // Assistant gunner
+    }
+  }
+  
+  return crew;
+}
+
+/**
+ * Pairs MG42 gunners with the rifleman who boarded right behind them
+ * @param {Array} crew - A boat's enemies, in the order returned by rollBoatCrew
+ */
+export function assignMG42Assistants(crew) {
+  for (let i = 0; i < crew.length - 1; i++) {
+    if (crew[i].enemyType === ENEMY_TYPES.MG42 && crew[i + 1].enemyType === ENEMY_TYPES.RIFLEMAN) {
+      crew[i].assistant = crew[i + 1];
+      crew[i + 1].assistsGunner = crew[i];
+    }
+  }
+}
+
+/**
+ * Picks a weighted random archetype that is unlocked and under its per-wave cap
+ * @param {number} wave - Current wave number
+ * @param {Object} waveCounts - Archetype counts so far this wave
+ * @param {number} specialistBias - Multiplier on every archetype's weight except the rifleman's
+ * @returns {string} - Enemy type
+ */
+function pickWeightedType(wave, waveCounts, specialistBias) {
+  const candidates = Object.entries(ENEMY_ARCHETYPES).filter(([type, archetype]) =>
+    archetype.weight > 0 && wave >= archetype.minWave && hasWaveRoom(type, waveCounts)
+  );
+  const getWeight = (type, archetype) =>
+    type === ENEMY_TYPES.RIFLEMAN ? archetype.weight : archetype.weight * specialistBias;
+  
+  const totalWeight = candidates.reduce((sum, [type, archetype]) => sum + getWeight(type, archetype), 0);
+  let roll = aiRandom() * totalWeight;
+  for (const [type, archetype] of candidates) {
+    roll -= getWeight(type, archetype);
+    if (roll <= 0) return type;
+  }
+  
+  return ENEMY_TYPES.RIFLEMAN;
+}
+
+/**
+ * Checks an archetype's per-wave cap
+ * @param {string} type - Enemy type
+ * @param {Object} waveCounts - Archetype counts so far this wave
+ * @returns {boolean} - True if another one may spawn
+ */
+function hasWaveRoom(type, waveCounts) {
+  const cap = ENEMY_ARCHETYPES[type].maxPerWave;
+  return cap === undefined || (waveCounts[type] || 0) < cap;
+}
+
+/**
+ * Marks the soldiers standing near a living officer as buffed
+ * @param {Array} enemies - Array of enemy objects
+ */
+export function updateOfficerBuffs(enemies) {
+  const officers = enemies.filter(enemy =>
+    !enemy.isDead && enemy.enemyType === ENEMY_TYPES.OFFICER && (!enemy.boat || enemy.disembarked)
+  );
+  
+  for (const enemy of enemies) {
+    enemy.isBuffed = false;
+    if (enemy.isDead || enemy.enemyType === ENEMY_TYPES.OFFICER) continue;
+    
+    for (const officer of officers) {
+      if (enemy.object.position.distanceTo(officer.object.position) <= officer.archetype.buffRadius) {
+        enemy.isBuffed = true;
+        break;
+      }
+    }
+  }
+}
+
+/**
+ * Gets the time an enemy must wait before its next shot
+ * @param {Object} enemy - The enemy
+ * @returns {number} - Seconds between shots, including bursts and officer buffs
+ */
+export function getShotCooldown(enemy) {
+  const archetype = enemy.archetype || getEnemyArchetype(enemy.enemyType);
+  let cooldown = enemy.shootingCooldown;
+  
+  // Rapid fire within a machine gun burst, with a shorter pause if the assistant is feeding belts
+  if (archetype.burstSize) {
+    if (enemy.burstShotsLeft > 0) return archetype.burstInterval;
+    if (enemy.assistant && !enemy.assistant.isDead) {
+      cooldown *= archetype.assistedCooldownMultiplier;
+    }
+  }
+  
+  return enemy.isBuffed ? cooldown * OFFICER_BUFF_COOLDOWN_MULTIPLIER : cooldown;
+}
+
+/**
+ * Gets an enemy's bonus to shot accuracy
+ * @param {Object} enemy - The enemy
+ * @returns {number} - Bonus added to the base accuracy (may be negative)
+ */
+export function getAccuracyBonus(enemy) {
+  const archetype = enemy.archetype || getEnemyArchetype(enemy.enemyType);
+  return archetype.accuracyBonus + (enemy.isBuffed ? OFFICER_BUFF_ACCURACY_BONUS : 0);
+}
+
+/**
+ * Gets the pose override an archetype uses in a given AI state
+ * @param {Object} enemy - The enemy
+ * @param {string} defaultPose - Pose the AI state normally uses
+ * @returns {string} - Pose name
+ */
+export function getArchetypePose(enemy, defaultPose) {
+  const poses = enemy.archetype && enemy.archetype.poses;
+  return (poses && poses[enemy.aiState]) || defaultPose;
+}
+
+/**
+ * Animates archetype equipment - the sniper's scope glint, the MG42 bipod and the pilot light
+ * @param {Object} enemy - The enemy
+ * @param {number} deltaTime - Time since last frame
+ */
+export function updateArchetypeVisuals(enemy, deltaTime) {
+  const userData = enemy.userData;
+  
+  // Scope glints while the sniper has the player in his sights
+  if (userData.scopeGlint) {
+    const aiming = enemy.aiState === 'suppress' && enemy.canSeePlayer;
+    userData.scopeGlint.visible = aiming;
+    if (aiming) {
+      userData.glintTime = (userData.glintTime || 0) + deltaTime;
+      const pulse = Math.max(0, Math.sin(userData.glintTime * SCOPE_GLINT_PULSE_SPEED));
+      userData.scopeGlint.scale.setScalar(0.5 + pulse * 2.5);
+      userData.scopeGlint.material.opacity = 0.3 + pulse * 0.7;
+    }
+  }
+  
+  // Bipod legs swing down once the gun is set up, and fold when moving
+  if (userData.bipodLegs) {
+    const deployed = enemy.aiState === 'suppress' && enemy.setupTimer <= 0;
+    const target = deployed ? 0 : -Math.PI / 2;
+    for (const leg of userData.bipodLegs) {
+      leg.rotation.x += (target - leg.rotation.x) * Math.min(1, deltaTime * 8);
+    }
+  }
+  
+  // Pilot light flickers, flaring while spraying
+  if (userData.pilotLight) {
+    const flicker = 0.8 + fxRandom() * 0.4;
+    userData.pilotLight.scale.setScalar((enemy.isFlaming ? 2 : 1) * flicker);
+  }
+}
+
+/**
+ * Recolors every mesh in a part that uses the given material color
+ * @param {THREE.Object3D} part - Part to recolor
+ * @param {number} color - New color
+ */
+function recolorPart(part, color) {
+  part.traverse((child) => {
+    if (child.isMesh && child.material && child.material.color) {
+      child.material.color.set(color);
+    }
+  });
+}
+
+/**
+ * Re-tints the uniform (body, arms and shoulders share one material)
+ * @param {Object} enemy - The enemy
+ * @param {number} color - Uniform color
+ */
+function setUniformColor(enemy, color) {
+  enemy.userData.body.material.color.set(color);
+  enemy.userData.bodyColor.set(color);
+}
+
+/**
+ * Sniper: camouflage smock and helmet cover, long-barreled rifle with a big scope and a glint
+ * @param {Object} enemy - The enemy
+ */
+function buildSniperModel(enemy) {
+  const userData = enemy.userData;
+  setUniformColor(enemy, 0x5b5b3a);
+  if (userData.helmet) recolorPart(userData.helmet, 0x6b6b3a);
+  
+  const gun = userData.gun;
+  const metalMaterial = new THREE.MeshStandardMaterial({
+    color: 0x1d1d1d,
+    metalness: 0.7,
+    roughness: 0.3
+  });
+  
+  // Extended barrel
+  const barrelGeometry = new THREE.CylinderGeometry(0.025, 0.025, 0.5, 8);
+  const barrel = new THREE.Mesh(barrelGeometry, metalMaterial);
+  barrel.rotation.x = Math.PI / 2;
+  barrel.position.set(0, 0.03, 1.2);
+  gun.add(barrel);
+  
+  // Long telescopic sight
+  const scopeGeometry = new THREE.CylinderGeometry(0.045, 0.045, 0.45, 10);
+  const scope = new THREE.Mesh(scopeGeometry, metalMaterial);
+  scope.rotation.x = Math.PI / 2;
+  scope.position.set(0, 0.15, 0.3);
+  gun.add(scope);
+  
+  // Glint on the front lens, only shown while aiming at the player
+  const glintMaterial = new THREE.MeshBasicMaterial({
+    color: 0xffffff,
+    transparent: true,
+    opacity: 0.8,
+    blending: THREE.AdditiveBlending,
+    depthWrite: false
+  });
+  const glint = new THREE.Mesh(new THREE.SphereGeometry(0.06, 8, 8), glintMaterial);
+  glint.position.set(0, 0.15, 0.55);
+  glint.visible = false;
+  gun.add(glint);
+  userData.scopeGlint = glint;
+}
+
+/**
+ * MG42 gunner: swaps the rifle for a machine gun with a folding bipod and ammo belt
+ * @param {Object} enemy - The enemy
+ */
+function buildMG42Model(enemy) {
+  const userData = enemy.userData;
+  const rifle = userData.gun;
+  
+  const mgGroup = new THREE.Group();
+  mgGroup.position.copy(rifle.position);
+  rifle.parent.add(mgGroup);
+  rifle.visible = false;
+  userData.gun = mgGroup;
+  
+  const metalMaterial = new THREE.MeshStandardMaterial({
+    color: 0x262626,
+    metalness: 0.8,
+    roughness: 0.35
+  });
+  
+  // Receiver
+  const receiver = new THREE.Mesh(new THREE.BoxGeometry(0.12, 0.16, 0.6), metalMaterial);
+  mgGroup.add(receiver);
+  
+  // Perforated barrel jacket
+  const jacket = new THREE.Mesh(new THREE.CylinderGeometry(0.055, 0.055, 0.7, 10), metalMaterial);
+  jacket.rotation.x = Math.PI / 2;
+  jacket.position.set(0, 0.02, 0.65);
+  mgGroup.add(jacket);
+  
+  // Stock
+  const stockMaterial = new THREE.MeshStandardMaterial({ color: 0x1a1a1a, roughness: 0.8 });
+  const stock = new THREE.Mesh(new THREE.BoxGeometry(0.08, 0.14, 0.35), stockMaterial);
+  stock.position.set(0, -0.03, -0.45);
+  mgGroup.add(stock);
+  
+  // Ammo belt hanging from the feed tray
+  const beltMaterial = new THREE.MeshStandardMaterial({ color: 0xb08d3c, metalness: 0.6, roughness: 0.4 });
+  const belt = new THREE.Mesh(new THREE.BoxGeometry(0.25, 0.05, 0.08), beltMaterial);
+  belt.position.set(-0.15, 0.02, 0.1);
+  belt.rotation.z = 0.4;
+  mgGroup.add(belt);
+  
+  // Bipod legs pivot at the top so they can fold forward under the jacket
+  const legGeometry = new THREE.CylinderGeometry(0.015, 0.015, 0.45, 6);
+  legGeometry.translate(0, -0.225, 0);
+  userData.bipodLegs = [];
+  for (const side of [-1, 1]) {
+    const leg = new THREE.Mesh(legGeometry, metalMaterial);
+    leg.position.set(side * 0.04, 0, 0.85);
+    leg.rotation.z = side * 0.3;
+    leg.rotation.x = -Math.PI / 2; // Folded
+    mgGroup.add(leg);
+    userData.bipodLegs.push(leg);
+  }
+}
+
+/**
+ * Officer: long coat, peaked cap with silver cord, epaulettes and a pistol
+ * @param {Object} enemy - The enemy
+ */
+function buildOfficerModel(enemy) {
+  const userData = enemy.userData;
+  setUniformColor(enemy, 0x4a5a4f);
+  
+  // Peaked cap instead of a helmet
+  if (userData.helmet) {
+    userData.helmet.visible = false;
+    const capGroup = new THREE.Group();
+    capGroup.position.copy(userData.helmet.position);
+    userData.helmet.parent.add(capGroup);
+    
+    const capMaterial = new THREE.MeshStandardMaterial({ color: 0x4a5a4f, roughness: 0.7 });
+    const crown = new THREE.Mesh(new THREE.CylinderGeometry(0.42, 0.36, 0.22, 16), capMaterial);
+    crown.position.y = 0.05;
+    capGroup.add(crown);
+    
+    const visorMaterial = new THREE.MeshStandardMaterial({ color: 0x111111, roughness: 0.3, metalness: 0.3 });
+    const visor = new THREE.Mesh(new THREE.BoxGeometry(0.5, 0.04, 0.22), visorMaterial);
+    visor.position.set(0, -0.05, 0.38);
+    visor.rotation.x = 0.2;
+    capGroup.add(visor);
+    
+    const silverMaterial = new THREE.MeshStandardMaterial({ color: 0xd4d4d4, roughness: 0.3, metalness: 0.8 });
+    const cord = new THREE.Mesh(new THREE.BoxGeometry(0.5, 0.03, 0.03), silverMaterial);
+    cord.position.set(0, -0.02, 0.4);
+    capGroup.add(cord);
+    
+    userData.cap = capGroup;
+  }
+  
+  // Silver epaulettes on the shoulders
+  const epauletteMaterial = new THREE.MeshStandardMaterial({ color: 0xc0c0c0, roughness: 0.3, metalness: 0.8 });
+  for (const side of [-1, 1]) {
+    const epaulette = new THREE.Mesh(new THREE.BoxGeometry(0.25, 0.05, 0.3), epauletteMaterial);
+    epaulette.position.set(side * 0.45, 1.57, 0);
+    enemy.object.add(epaulette);
+  }
+  
+  // Coat skirt below the belt
+  const coat = new THREE.Mesh(new THREE.BoxGeometry(0.9, 0.5, 0.68), userData.body.material);
+  coat.position.set(0, -0.1, 0);
+  enemy.object.add(coat);
+  
+  // Pistol instead of a rifle
+  const rifle = userData.gun;
+  rifle.visible = false;
+  const pistolGroup = new THREE.Group();
+  pistolGroup.position.set(rifle.position.x, rifle.position.y - 0.1, rifle.position.z + 0.1);
+  rifle.parent.add(pistolGroup);
+  const pistolMaterial = new THREE.MeshStandardMaterial({ color: 0x222222, metalness: 0.7, roughness: 0.3 });
+  const slide = new THREE.Mesh(new THREE.BoxGeometry(0.05, 0.06, 0.22), pistolMaterial);
+  pistolGroup.add(slide);
+  const grip = new THREE.Mesh(new THREE.BoxGeometry(0.05, 0.14, 0.06), pistolMaterial);
+  grip.position.set(0, -0.08, -0.07);
+  grip.rotation.x = -0.3;
+  pistolGroup.add(grip);
+  userData.gun = pistolGroup;
+}
+
+/**
+ * Flamethrower trooper: fuel tanks on the back, hose and a flame wand with a pilot light
+ * @param {Object} enemy - The enemy
+ */
+function buildFlamethrowerModel(enemy) {
+  const userData = enemy.userData;
+  const rifle = userData.gun;
+  
+  // Fuel and pressure tanks
+  const tankMaterial = new THREE.MeshStandardMaterial({ color: 0x3a3a2a, metalness: 0.5, roughness: 0.5 });
+  for (const side of [-1, 1]) {
+    const tank = new THREE.Mesh(new THREE.CylinderGeometry(0.15, 0.15, 0.8, 12), tankMaterial);
+    tank.position.set(side * 0.18, 1.0, -0.5);
+    tank.castShadow = true;
+    enemy.object.add(tank);
+  }
+  const pressureTank = new THREE.Mesh(new THREE.SphereGeometry(0.12, 10, 10), tankMaterial);
+  pressureTank.position.set(0, 1.25, -0.55);
+  enemy.object.add(pressureTank);
+  
+  // Flame wand instead of a rifle
+  rifle.visible = false;
+  const wandGroup = new THREE.Group();
+  wandGroup.position.copy(rifle.position);
+  rifle.parent.add(wandGroup);
+  
+  const wandMaterial = new THREE.MeshStandardMaterial({ color: 0x2d2d2d, metalness: 0.7, roughness: 0.4 });
+  const wand = new THREE.Mesh(new THREE.CylinderGeometry(0.04, 0.05, 0.9, 8), wandMaterial);
+  wand.rotation.x = Math.PI / 2;
+  wand.position.z = 0.3;
+  wandGroup.add(wand);
+  
+  // Hose from the tanks to the wand
+  const hoseMaterial = new THREE.MeshStandardMaterial({ color: 0x111111, roughness: 0.9 });
+  const hose = new THREE.Mesh(new THREE.CylinderGeometry(0.03, 0.03, 0.9, 6), hoseMaterial);
+  hose.position.set(-0.15, 0.2, -0.4);
+  hose.rotation.x = 0.9;
+  wandGroup.add(hose);
+  
+  // Nozzle tip with a pilot light; flames spray from here
+  const nozzle = new THREE.Object3D();
+  nozzle.position.set(0, 0, 0.78);
+  wandGroup.add(nozzle);
+  userData.nozzle = nozzle;
+  
+  const pilotMaterial = new THREE.MeshBasicMaterial({
+    color: 0x66aaff,
+    transparent: true,
+    opacity: 0.9,
+    blending: THREE.AdditiveBlending,
+    depthWrite: false
+  });
+  const pilotLight = new THREE.Mesh(new THREE.SphereGeometry(0.04, 6, 6), pilotMaterial);
+  nozzle.add(pilotLight);
+  userData.pilotLight = pilotLight;
+  
+  userData.gun = wandGroup;
+}
@@ -0,0 +1,252 @@
+/**
+ * Fire module - flamethrower flames and burning grass patches
+ */
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
+import { isWalkable } from './navigation.js';
+import { RANDOM_STREAMS, getRandomStream } from './random.js';
+
+// Random streams - grass fire spread, and the look of the flames
+const aiRandom = getRandomStream(RANDOM_STREAMS.AI);
+const fxRandom = getRandomStream(RANDOM_STREAMS.FX);
+
+// Constants for flamethrower flames
+const FLAME_SPEED = 12; // Units per second flames travel from the nozzle
+const FLAME_LIFETIME = 0.55; // Seconds a flame puff lasts (sets the visual reach)
+const FLAME_SPREAD = 0.25; // Sideways jitter of each puff
+const MAX_FLAME_PARTICLES = 120; // Cap on puffs alive at once
+
+// Constants for burning grass
+const GRASS_FIRE_DURATION = 8; // Seconds a patch of grass burns
+const GRASS_FIRE_RADIUS = 1.2; // Player takes damage inside this radius
+const GRASS_FIRE_DAMAGE = 6; // Damage per second while standing in fire
+const GRASS_FIRE_SPREAD_INTERVAL = 2.5; // Seconds between chances to spread
+const GRASS_FIRE_SPREAD_CHANCE = 0.35; // Chance to ignite a neighboring patch each interval
+const GRASS_FIRE_SPREAD_DISTANCE = 1.8; // How far fire jumps when it spreads
+const GRASS_FIRE_MIN_SPACING = 1.0; // Don't stack patches on top of each other
+const MAX_GRASS_FIRES = 40; // Cap on burning patches
+
+// Active flames and fires
+let flameParticles = [];
+let grassFires = [];
+
+// Shared flame geometry (materials are per-particle so they can fade independently)
+const flameGeometry = new THREE.SphereGeometry(0.25, 6, 6);
+const flameTongueGeometry = new THREE.ConeGeometry(0.3, 1, 6);
+
+/**
+ * Sprays a puff of flame from a nozzle
+ * @param {THREE.Scene} scene - The scene
+ * @param {THREE.Vector3} origin - Nozzle position
+ * @param {THREE.Vector3} direction - Normalized spray direction
+ */
+export function emitFlames(scene, origin, direction) {
+  if (flameParticles.length >= MAX_FLAME_PARTICLES) return;
+  
+  const material = new THREE.MeshBasicMaterial({
+    color: fxRandom() > 0.5 ? 0xff6600 : 0xffaa00,
+    transparent: true,
+    opacity: 0.9,
+    blending: THREE.AdditiveBlending,
+    depthWrite: false
+  });
+  const puff = new THREE.Mesh(flameGeometry, material);
+  puff.position.copy(origin);
+  scene.add(puff);
+  
+  // Jitter the direction so the spray forms a cone
+  const velocity = direction.clone();
+  velocity.x += (fxRandom() - 0.5) * FLAME_SPREAD;
+  velocity.y += (fxRandom() - 0.5) * FLAME_SPREAD * 0.5;
+  velocity.z += (fxRandom() - 0.5) * FLAME_SPREAD;
+  velocity.normalize().multiplyScalar(FLAME_SPEED);
+  
+  flameParticles.push({
+    object: puff,
+    velocity: velocity,
+    lifetime: 0
+  });
+}
+
+/**
+ * Checks whether a point is inside a flamethrower's cone
+ * @param {THREE.Vector3} origin - Nozzle position
+ * @param {THREE.Vector3} direction - Normalized spray direction
+ * @param {THREE.Vector3} target - Point to test
+ * @param {number} range - Reach of the flames
+ * @param {number} halfAngle - Half the cone's opening angle in radians
+ * @returns {boolean} - True if the target is within range and inside the cone
+ */
+export function isInFlameCone(origin, direction, target, range, halfAngle) {
+  const toTarget = new THREE.Vector3().subVectors(target, origin);
+  const distance = toTarget.length();
+  if (distance > range) return false;
+  if (distance === 0) return true;
+  
+  return toTarget.normalize().dot(direction) >= Math.cos(halfAngle);
+}
+
+/**
+ * Sets a patch of grass on fire
+ * @param {THREE.Scene} scene - The scene
+ * @param {THREE.Vector3} position - Where the flames touched the ground
+ * @returns {boolean} - True if a new fire was started
+ */
+export function igniteGrass(scene, position) {
+  if (grassFires.length >= MAX_GRASS_FIRES) return false;
+  
+  // Only open grass burns - not the sea, rocks or the bunker
+  const ground = new THREE.Vector3(position.x, 0, position.z);
+  if (!isWalkable(ground)) return false;
+  
+  // An existing fire nearby just keeps burning
+  for (const fire of grassFires) {
+    if (fire.position.distanceTo(ground) < GRASS_FIRE_MIN_SPACING) {
+      fire.age = Math.min(fire.age, GRASS_FIRE_DURATION * 0.5);
+      return false;
+    }
+  }
+  
+  const fireGroup = new THREE.Group();
+  fireGroup.position.copy(ground);
+  
+  // Scorched ground
+  const scorchGeometry = new THREE.CircleGeometry(GRASS_FIRE_RADIUS, 12);
+  const scorchMaterial = new THREE.MeshBasicMaterial({
+    color: 0x1a1208,
+    transparent: true,
+    opacity: 0.7,
+    depthWrite: false
+  });
+  const scorch = new THREE.Mesh(scorchGeometry, scorchMaterial);
+  scorch.rotation.x = -Math.PI / 2;
+  scorch.position.y = 0.02;
+  fireGroup.add(scorch);
+  
+  // Tongues of flame that flicker while the grass burns
+  const tongues = [];
+  for (let i = 0; i < 3; i++) {
+    const tongueMaterial = new THREE.MeshBasicMaterial({
+      color: i === 0 ? 0xffcc33 : 0xff5500,
+      transparent: true,
+      opacity: 0.8,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false
+    });
+    const tongue = new THREE.Mesh(flameTongueGeometry, tongueMaterial);
+    tongue.position.set((fxRandom() - 0.5) * 0.8, 0.5, (fxRandom() - 0.5) * 0.8);
+    tongue.userData.phase = fxRandom() * Math.PI * 2;
+    fireGroup.add(tongue);
+    tongues.push(tongue);
+  }
+  
+  scene.add(fireGroup);
+  grassFires.push({
+    object: fireGroup,
+    position: ground,
+    tongues: tongues,
+    scorch: scorch,
+    age: 0,
+    spreadTimer: GRASS_FIRE_SPREAD_INTERVAL
+  });
+  return true;
+}
+
+/**
+ * Updates flame puffs and burning grass, and burns a player standing in the fire
+ * @param {THREE.Scene} scene - The scene
+ * @param {number} deltaTime - Time since last frame
+ * @param {THREE.Vector3} playerPosition - Player's position on the ground
+ */
+export function updateFires(scene, deltaTime, playerPosition) {
+  // Flame puffs drift out, grow and fade
+  for (let i = flameParticles.length - 1; i >= 0; i--) {
+    const flame = flameParticles[i];
+    flame.lifetime += deltaTime;
+    
+    if (flame.lifetime >= FLAME_LIFETIME) {
+      scene.remove(flame.object);
+      flame.object.material.dispose();
+      flameParticles.splice(i, 1);
+      continue;
+    }
+    
+    const progress = flame.lifetime / FLAME_LIFETIME;
+    flame.object.position.addScaledVector(flame.velocity, deltaTime);
+    flame.object.scale.setScalar(1 + progress * 2.5);
+    flame.object.material.opacity = 0.9 * (1 - progress);
+  }
+  
+  // Grass burns out, flickers and spreads
+  for (let i = grassFires.length - 1; i >= 0; i--) {
+    const fire = grassFires[i];
+    fire.age += deltaTime;
+    
+    if (fire.age >= GRASS_FIRE_DURATION) {
+      removeGrassFire(scene, fire);
+      grassFires.splice(i, 1);
+      continue;
+    }
+    
+    // Flicker, dying down over the last quarter of the burn
+    const strength = Math.min(1, (GRASS_FIRE_DURATION - fire.age) / (GRASS_FIRE_DURATION * 0.25));
+    for (const tongue of fire.tongues) {
+      const flicker = 0.75 + Math.sin(fire.age * 12 + tongue.userData.phase) * 0.25;
+      tongue.scale.set(strength, strength * flicker * 1.4, strength);
+      tongue.position.y = 0.5 * strength * flicker;
+    }
+    
+    // Occasionally catch the grass next door
+    fire.spreadTimer -= deltaTime;
+    if (fire.spreadTimer <= 0) {
+      fire.spreadTimer = GRASS_FIRE_SPREAD_INTERVAL;
+      if (aiRandom() < GRASS_FIRE_SPREAD_CHANCE) {
+        const angle = aiRandom() * Math.PI * 2;
+        igniteGrass(scene, new THREE.Vector3(
+          fire.position.x + Math.cos(angle) * GRASS_FIRE_SPREAD_DISTANCE,
+          0,
+          fire.position.z + Math.sin(angle) * GRASS_FIRE_SPREAD_DISTANCE
+        ));
+      }
+    }
+  }
+  
+  // Burn the player, once per frame however many patches overlap
+  if (playerPosition && typeof window.damagePlayer === 'function') {
+    const standingInFire = grassFires.some(fire =>
+      Math.hypot(fire.position.x - playerPosition.x, fire.position.z - playerPosition.z) < GRASS_FIRE_RADIUS
+    );
+    if (standingInFire) {
+      window.damagePlayer(GRASS_FIRE_DAMAGE * deltaTime);
+    }
+  }
+}
+
+/**
+ * Removes all flames and burning grass (e.g. on restart)
+ * @param {THREE.Scene} scene - The scene
+ */
+export function clearFires(scene) {
+  for (const flame of flameParticles) {
+    scene.remove(flame.object);
+    flame.object.material.dispose();
+  }
+  for (const fire of grassFires) {
+    removeGrassFire(scene, fire);
+  }
+  flameParticles = [];
+  grassFires = [];
+}
+
+/**
+ * Removes a burnt-out grass fire and frees its materials
+ * @param {THREE.Scene} scene - The scene
+ * @param {Object} fire - The grass fire
+ */
+function removeGrassFire(scene, fire) {
+  scene.remove(fire.object);
+  fire.scorch.geometry.dispose();
+  fire.scorch.material.dispose();
+  for (const tongue of fire.tongues) {
+    tongue.material.dispose();
+  }
+}
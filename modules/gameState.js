@@ -2,26 +2,227 @@
  * Game state management class
  */
 import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
-import { WEAPONS, AMMO_TYPES } from './weapons.js';
+import { AMMO_TYPES, WEAPON_CONFIG, getRegisteredWeapons } from './weapons.js';
+import { WEAPON_UPGRADES } from './armory.js';
+import { ModifierStack, MODIFIERS, PERK_DEFINITIONS } from './perks.js';
+import { PLAYER_HIT_ZONES, HIT_ZONE_CONFIG, LIMBS } from './injuries.js';
+
+// Grenade inventory limits
+const STARTING_GRENADES = 3;
+const MAX_GRENADES = 4;
+
+// Field dressings carried by the player
+const STARTING_FIELD_DRESSINGS = 1;
+const MAX_FIELD_DRESSINGS = 3;
+const FIELD_DRESSING_HEAL = 30; // Health restored by one dressing
+const FIELD_DRESSING_TIME = 2.5; // Seconds spent applying a dressing
+
+// Wounds and bleeding
+const MAX_WOUND_LEVEL = 2; // Hits a body part can take before it can't get any worse
+const HEAVY_HIT_DAMAGE = 15; // A hit this hard starts the player bleeding
+const BLEED_PER_HEAVY_HIT = 1.5; // Health lost per second for each heavy hit
+const MAX_BLEED_RATE = 4.5; // Fastest the player can bleed, in health per second
+const LEG_WOUND_SLOWDOWN = 0.2; // Movement speed lost per level of leg wounds
+const MIN_MOVEMENT_MULTIPLIER = 0.4; // Slowest badly wounded legs can make the player
+const ARM_WOUND_SWAY = 0.02; // Aim sway per level of arm wounds, as a fraction of half the screen
+const AIM_SWAY_SPEED = 1.3; // How fast the aim drifts, in radians per second
+
+// Stamina for sprinting and jumping
+const MAX_STAMINA = 100;
+const SPRINT_STAMINA_COST = 20; // Stamina per second of sprinting
+const JUMP_STAMINA_COST = 15; // Stamina per jump
+const STAMINA_REGEN_DELAY = 0.8; // Seconds after sprinting or jumping before stamina refills
+const WALKING_STAMINA_REGEN = 12; // Stamina per second refilled while walking
+const RESTING_STAMINA_REGEN = 25; // Stamina per second refilled while standing still
+const EXHAUSTION_RECOVERY = 0.5; // Fraction of full stamina an exhausted player must get back to recover
+const EXHAUSTED_MOVEMENT_MULTIPLIER = 0.7; // Movement speed while exhausted
+const BREATHING_SWAY = 0.025; // Aim sway from heavy breathing while exhausted, as a fraction of half the screen
+const BREATHING_SPEED = 3.5; // How fast an exhausted player breathes, in radians per second
+
+// Aiming down sights and holding breath on a scope
+const SCOPE_SWAY = 0.05; // Drift of a scoped aim, as a fraction of half the screen (the view is zoomed in)
+const SCOPE_SWAY_SPEED = 0.9; // How fast the scope drifts, in radians per second
+const HELD_BREATH_SWAY = 0.1; // Fraction of the scope sway left while holding breath
+const WINDED_SCOPE_SWAY = 2; // Scope sway multiplier while getting breath back after holding it too long
+const BREATH_HOLD_DURATION = 4; // Seconds the player can hold their breath
+const BREATH_RECOVERY_TIME = 3; // Seconds gasping after holding breath until it ran out
 
 export class GameState {
   constructor() {
     this.score = 0;
-    this.wave = 1;
+    this.wave = 0; // No wave fought yet - nextWave() brings in wave 1
     this.health = 100;
-    this.ammo = 50;
     this.isGameOver = false;
     this.mousePosition = new THREE.Vector2(0, 0);
     this.isPlaying = true;
     this.isWaveActive = false;
     this.reducedEffects = false;
+    this.simTime = 0; // Seconds of simulation run, advanced by each fixed step and never reset
     this.enemiesRemainingInWave = 0;
     
     // Weapon system properties
-    this.currentWeapon = WEAPONS.M1_GARAND;
-    this.hasMP41 = false;
-    this.mp41Ammo = 0;
     this.autoFireActive = false;
+    this.resetWeapons();
+    
+    // Grenades carried by the player
+    this.grenades = STARTING_GRENADES;
+    
+    // Field dressings carried by the player
+    this.resetFieldDressings();
+    
+    // Wounds and bleeding from enemy fire
+    this.resetInjuries();
+    
+    // Stamina for sprinting and jumping
+    this.resetStamina();
+    
+    // Aiming down sights and holding breath
+    this.resetAiming();
+    
+    // War bonds and everything bought with them in the armory
+    this.resetArmory();
+    
+    // Perks and the modifiers they add
+    this.resetPerks();
+    
+    // How the player is doing this wave, for the spawn director
+    this.startWaveStats(this.wave, 0);
+  }
+  
+  /**
+   * Refill the field dressing pouch to its starting count
+   */
+  resetFieldDressings() {
+    this.fieldDressings = STARTING_FIELD_DRESSINGS;
+    this.isBandaging = false;
+    this.bandageTimeRemaining = 0;
+  }
+  
+  /**
+   * Heal every wound and stop any bleeding
+   */
+  resetInjuries() {
+    // Wound level keyed by zone from PLAYER_HIT_ZONES (0 = unhurt)
+    this.injuries = {};
+    for (const zone of Object.values(PLAYER_HIT_ZONES)) {
+      this.injuries[zone] = 0;
+    }
+    // Health lost per second until a field dressing is applied
+    this.bleedRate = 0;
+  }
+  
+  /**
+   * Refill stamina and recover from exhaustion
+   */
+  resetStamina() {
+    this.stamina = MAX_STAMINA;
+    // Out of breath after running stamina dry - no sprinting or jumping until partly recovered
+    this.isExhausted = false;
+    this.staminaRegenDelay = 0;
+  }
+  
+  /**
+   * Lower the sights and get the player's breath back
+   */
+  resetAiming() {
+    // Right mouse held - aiming down the sights
+    this.isAiming = false;
+    this.isHoldingBreath = false;
+    this.breathHoldRemaining = BREATH_HOLD_DURATION;
+    // Seconds left gasping after a held breath ran out - no holding it again until then
+    this.breathRecoveryTime = 0;
+  }
+  
+  /**
+   * Clear the war bond balance and every armory purchase
+   */
+  resetArmory() {
+    this.warBonds = 0;
+    // Upgrade levels keyed by weapon id, then upgrade track: { m1_garand: { reload: 1 } }
+    this.weaponUpgrades = {};
+    // Sandbag emplacements placed on the island: { x, z, rotation }
+    this.emplacements = [];
+  }
+  
+  /**
+   * Clear every perk and the modifiers they added
+   */
+  resetPerks() {
+    // Perk ids, once per rank
+    this.perks = [];
+    // Everything that modifies the player's stats, read through modifiers.apply()
+    this.modifiers = new ModifierStack();
+  }
+  
+  /**
+   * Start tracking a new wave's stats
+   * @param {number} wave - Wave number
+   * @param {number} enemies - Enemies in the wave (vehicles included)
+   */
+  startWaveStats(wave, enemies) {
+    this.waveStats = {
+      wave: wave,
+      enemies: enemies,
+      time: 0, // Seconds the wave has been fought
+      scoreAtStart: this.score, // For working out the wave's war bonds
+      shotsFired: 0,
+      shotsHit: 0,
+      kills: 0,
+      headshotKills: 0,
+      damageTaken: 0
+    };
+  }
+  
+  /**
+   * Record a shot fired by the player
+   */
+  recordShot() {
+    this.waveStats.shotsFired++;
+  }
+  
+  /**
+   * Record a shot that hit an enemy or vehicle
+   */
+  recordHit() {
+    this.waveStats.shotsHit++;
+  }
+  
+  /**
+   * Record an enemy killed by the player
+   * @param {boolean} isHeadshot - Whether the kill was a headshot
+   */
+  recordKill(isHeadshot) {
+    this.waveStats.kills++;
+    if (isHeadshot) this.waveStats.headshotKills++;
+  }
+  
+  /**
+   * Rebuild the weapon inventory and ammo reserves from the weapon registry
+   */
+  resetWeapons() {
+    // Inventory keyed by weapon id: { owned, loadedRounds }
+    this.inventory = {};
+    // Reserve rounds keyed by ammo type
+    this.ammoReserves = {};
+    this.currentWeapon = null;
+    
+    getRegisteredWeapons().forEach(config => {
+      this.inventory[config.id] = {
+        owned: config.startsOwned,
+        loadedRounds: config.startsOwned ? config.magazineSize : 0
+      };
+      
+      this.ammoReserves[config.ammoType] = (this.ammoReserves[config.ammoType] || 0) +
+        (config.startsOwned ? config.startingReserve : 0);
+      
+      // Start with the first owned weapon equipped
+      if (config.startsOwned && !this.currentWeapon) {
+        this.currentWeapon = config.id;
+      }
+    });
+    
+    this.isReloading = false;
+    this.reloadTimeRemaining = 0;
   }
   
   /**
@@ -38,6 +239,17 @@ export class GameState {
    * @param {Function} onDeath - Optional callback when player dies
    */
   takeDamage(damage, onDeath) {
+    // Perks such as the flak vest soak up part of every hit
+    this.loseHealth(this.modifiers.apply(MODIFIERS.DAMAGE_TAKEN, damage), onDeath);
+  }
+  
+  /**
+   * Reduce player health with no damage reduction (e.g. from bleeding)
+   * @param {number} damage - Health to lose
+   * @param {Function} onDeath - Optional callback when player dies
+   */
+  loseHealth(damage, onDeath) {
+    this.waveStats.damageTaken += Math.min(damage, this.health);
     this.health = Math.max(0, this.health - damage);
     if (this.health <= 0 && !this.isGameOver) {
       this.isGameOver = true;
@@ -51,26 +263,17 @@ export class GameState {
   }
   
   /**
-   * Use ammo
+   * Use ammo from the loaded magazine of the current weapon
    * @param {number} amount - Amount of ammo to use
    * @returns {boolean} - Whether ammo was successfully used
    */
   useAmmo(amount) {
-    // Check which ammo type to use based on current weapon
-    if (this.currentWeapon === WEAPONS.MP41) {
-      if (this.mp41Ammo >= amount) {
-        this.mp41Ammo -= amount;
-        return true;
-      }
-      return false;
-    } else {
-      // Standard ammo for rifle
-      if (this.ammo >= amount) {
-        this.ammo -= amount;
-        return true;
-      }
-      return false;
+    const loaded = this.getLoadedRounds();
+    if (loaded >= amount) {
+      this.inventory[this.currentWeapon].loadedRounds = loaded - amount;
+      return true;
     }
+    return false;
   }
   
   /**
@@ -79,19 +282,134 @@ export class GameState {
    * @param {string} ammoType - Type of ammo to add (from AMMO_TYPES)
    */
   addAmmo(amount, ammoType = AMMO_TYPES.STANDARD) {
-    if (ammoType === AMMO_TYPES.MP41) {
-      this.mp41Ammo += amount;
-    } else {
-      this.ammo += amount;
-    }
+    this.ammoReserves[ammoType] = (this.ammoReserves[ammoType] || 0) + amount;
+  }
+  
+  /**
+   * Get reserve rounds across every ammo type
+   * @returns {number} - Total reserve rounds
+   */
+  getTotalReserveAmmo() {
+    return Object.values(this.ammoReserves).reduce((sum, rounds) => sum + rounds, 0);
   }
   
   /**
    * Get current ammo count based on equipped weapon
-   * @returns {number} - Current ammo count
+   * @returns {number} - Rounds loaded in the current weapon
    */
   getCurrentAmmo() {
-    return this.currentWeapon === WEAPONS.MP41 ? this.mp41Ammo : this.ammo;
+    return this.getLoadedRounds();
+  }
+  
+  /**
+   * Get rounds loaded in a weapon's magazine
+   * @param {string} weaponType - Weapon type from WEAPONS enum (defaults to current weapon)
+   * @returns {number} - Loaded round count
+   */
+  getLoadedRounds(weaponType = this.currentWeapon) {
+    const slot = this.inventory[weaponType];
+    return slot ? slot.loadedRounds : 0;
+  }
+  
+  /**
+   * Get reserve ammo available to reload a weapon
+   * @param {string} weaponType - Weapon type from WEAPONS enum (defaults to current weapon)
+   * @returns {number} - Reserve round count
+   */
+  getReserveAmmo(weaponType = this.currentWeapon) {
+    const config = WEAPON_CONFIG[weaponType];
+    return config ? (this.ammoReserves[config.ammoType] || 0) : 0;
+  }
+  
+  /**
+   * Check whether the player owns a weapon
+   * @param {string} weaponType - Weapon type from WEAPONS enum
+   * @returns {boolean} - True if the weapon is in the inventory
+   */
+  ownsWeapon(weaponType) {
+    const slot = this.inventory[weaponType];
+    return !!(slot && slot.owned);
+  }
+  
+  /**
+   * Get the weapons the player owns, ordered by slot
+   * @returns {Array<string>} - Owned weapon ids
+   */
+  getOwnedWeapons() {
+    return getRegisteredWeapons()
+      .filter(config => this.ownsWeapon(config.id))
+      .map(config => config.id);
+  }
+  
+  /**
+   * Check whether the current weapon can be reloaded
+   * @returns {boolean} - True if not already reloading, magazine not full (empty, for an en-bloc clip)
+   *   and reserve available
+   */
+  canReload() {
+    const config = WEAPON_CONFIG[this.currentWeapon];
+    const loaded = this.getLoadedRounds();
+    
+    // An en-bloc clip can't be topped up - it only comes out once it's empty
+    if (config.enBloc && loaded > 0) return false;
+    
+    return !this.isReloading &&
+      !this.isBandaging &&
+      loaded < this.getMagazineSize() &&
+      this.getReserveAmmo() > 0;
+  }
+  
+  /**
+   * Begin reloading the current weapon
+   * @returns {boolean} - Whether a reload was started
+   */
+  startReload() {
+    if (!this.canReload()) {
+      return false;
+    }
+    
+    this.isReloading = true;
+    this.reloadTimeRemaining = this.getReloadTime() / 1000;
+    return true;
+  }
+  
+  /**
+   * Advance an in-progress reload
+   * @param {number} deltaTime - Time since last frame in seconds
+   * @returns {boolean} - True on the frame the reload completes
+   */
+  updateReload(deltaTime) {
+    if (!this.isReloading) return false;
+    
+    this.reloadTimeRemaining -= deltaTime;
+    if (this.reloadTimeRemaining > 0) return false;
+    
+    this.finishReload();
+    return true;
+  }
+  
+  /**
+   * Move rounds from reserve into the current weapon's magazine - the rounds left in a partly spent
+   * magazine go back to reserve first, and a fresh one is filled from it
+   */
+  finishReload() {
+    const config = WEAPON_CONFIG[this.currentWeapon];
+    this.ammoReserves[config.ammoType] += this.getLoadedRounds();
+    
+    const roundsToLoad = Math.min(this.getMagazineSize(), this.getReserveAmmo());
+    this.ammoReserves[config.ammoType] -= roundsToLoad;
+    this.inventory[this.currentWeapon].loadedRounds = roundsToLoad;
+    
+    this.isReloading = false;
+    this.reloadTimeRemaining = 0;
+  }
+  
+  /**
+   * Abort an in-progress reload without loading any rounds
+   */
+  cancelReload() {
+    this.isReloading = false;
+    this.reloadTimeRemaining = 0;
   }
   
   /**
@@ -100,44 +418,531 @@ export class GameState {
    * @returns {boolean} - Whether switch was successful
    */
   switchWeapon(weaponType) {
-    if (weaponType === WEAPONS.MP41 && !this.hasMP41) {
+    if (!this.ownsWeapon(weaponType)) {
       return false;
     }
     
+    // Switching weapons interrupts any reload in progress
+    if (weaponType !== this.currentWeapon) {
+      this.cancelReload();
+    }
+    
     this.currentWeapon = weaponType;
     return true;
   }
   
+  /**
+   * Cycle to the next or previous owned weapon
+   * @param {number} direction - 1 for next, -1 for previous
+   * @returns {string|null} - The newly equipped weapon, or null if nothing changed
+   */
+  cycleWeapon(direction) {
+    const owned = this.getOwnedWeapons();
+    if (owned.length < 2) {
+      return null;
+    }
+    
+    const index = owned.indexOf(this.currentWeapon);
+    const nextWeapon = owned[(index + direction + owned.length) % owned.length];
+    return this.switchWeapon(nextWeapon) ? nextWeapon : null;
+  }
+  
   /**
    * Collect a weapon
    * @param {string} weaponType - Weapon type from WEAPONS enum
+   * @returns {boolean} - Whether the weapon was newly added to the inventory
    */
   collectWeapon(weaponType) {
-    if (weaponType === WEAPONS.MP41) {
-      this.hasMP41 = true;
-      // Switch to the MP41 automatically when picked up
-      this.currentWeapon = WEAPONS.MP41;
+    const slot = this.inventory[weaponType];
+    if (!slot) {
+      return false;
+    }
+    
+    const isNew = !slot.owned;
+    slot.owned = true;
+    
+    // Switch to the collected weapon automatically when picked up
+    this.cancelReload();
+    this.currentWeapon = weaponType;
+    return isNew;
+  }
+  
+  /**
+   * Use one grenade
+   * @returns {boolean} - Whether the player had a grenade to throw
+   */
+  useGrenade() {
+    if (this.grenades <= 0) {
+      return false;
     }
+    this.grenades--;
+    return true;
+  }
+  
+  /**
+   * Add grenades, up to the carrying limit
+   * @param {number} amount - Number of grenades to add
+   * @returns {number} - Number actually added
+   */
+  addGrenades(amount) {
+    const added = Math.max(0, Math.min(amount, this.getMaxGrenades() - this.grenades));
+    this.grenades += added;
+    return added;
+  }
+  
+  /**
+   * Add field dressings, up to the carrying limit
+   * @param {number} amount - Number of dressings to add
+   * @returns {number} - Number actually added
+   */
+  addFieldDressings(amount) {
+    const added = Math.max(0, Math.min(amount, MAX_FIELD_DRESSINGS - this.fieldDressings));
+    this.fieldDressings += added;
+    return added;
+  }
+  
+  /**
+   * Check whether the pouch has room for another field dressing
+   * @returns {boolean} - True if below the carrying limit
+   */
+  canCarryFieldDressing() {
+    return this.fieldDressings < MAX_FIELD_DRESSINGS;
+  }
+  
+  /**
+   * Begin applying a field dressing - the player can't shoot or reload until it is done
+   * @returns {boolean} - Whether a dressing was started
+   */
+  startFieldDressing() {
+    if (this.isBandaging || this.fieldDressings <= 0 || (this.health >= 100 && !this.isWounded())) {
+      return false;
+    }
+    
+    // Both hands are needed, so any reload in progress is abandoned
+    this.cancelReload();
+    this.fieldDressings--;
+    this.isBandaging = true;
+    this.bandageTimeRemaining = FIELD_DRESSING_TIME;
+    return true;
+  }
+  
+  /**
+   * Advance a field dressing being applied
+   * @param {number} deltaTime - Time since last frame in seconds
+   * @returns {number} - Health restored on the frame the dressing is finished, otherwise 0
+   */
+  updateFieldDressing(deltaTime) {
+    if (!this.isBandaging) return 0;
+    
+    this.bandageTimeRemaining -= deltaTime;
+    if (this.bandageTimeRemaining > 0) return 0;
+    
+    // A finished dressing stops the bleeding and patches up every wound
+    this.isBandaging = false;
+    this.bandageTimeRemaining = 0;
+    this.resetInjuries();
+    return this.heal(FIELD_DRESSING_HEAL);
+  }
+  
+  /**
+   * Get how long applying a field dressing takes
+   * @returns {number} - Seconds
+   */
+  getFieldDressingTime() {
+    return FIELD_DRESSING_TIME;
+  }
+  
+  /**
+   * Get how many grenades the player can carry
+   * @returns {number} - Grenade carrying limit
+   */
+  getMaxGrenades() {
+    return Math.round(this.modifiers.apply(MODIFIERS.MAX_GRENADES, MAX_GRENADES));
+  }
+  
+  /**
+   * Wound a part of the player after a bullet hit, starting a bleed if the hit was heavy
+   * @param {string} zone - Zone from PLAYER_HIT_ZONES
+   * @param {number} damage - Damage the hit dealt, before perks
+   * @returns {boolean} - Whether the hit started or worsened bleeding
+   */
+  injure(zone, damage) {
+    this.injuries[zone] = Math.min(MAX_WOUND_LEVEL, (this.injuries[zone] || 0) + 1);
+    
+    // A hit is only heavy if it still is once perks such as the flak vest have soaked up their part
+    const damageTaken = this.modifiers.apply(MODIFIERS.DAMAGE_TAKEN, damage);
+    if (damageTaken < HEAVY_HIT_DAMAGE || this.bleedRate >= MAX_BLEED_RATE) return false;
+    this.bleedRate = Math.min(MAX_BLEED_RATE, this.bleedRate + BLEED_PER_HEAVY_HIT);
+    return true;
+  }
+  
+  /**
+   * Check whether the player has any wound a field dressing would help
+   * @returns {boolean} - True if bleeding or any part is wounded
+   */
+  isWounded() {
+    return this.bleedRate > 0 || Object.values(this.injuries).some(level => level > 0);
+  }
+  
+  /**
+   * Drain health from bleeding wounds
+   * @param {number} deltaTime - Time since last frame in seconds
+   * @param {Function} onDeath - Optional callback when player bleeds out
+   * @returns {number} - Health lost this frame
+   */
+  updateBleeding(deltaTime, onDeath) {
+    if (this.bleedRate <= 0 || this.isGameOver) return 0;
+    
+    // Perks such as sulfa powder slow the bleeding
+    const lost = Math.min(this.health, this.modifiers.apply(MODIFIERS.BLEED_RATE, this.bleedRate) * deltaTime);
+    this.loseHealth(lost, onDeath);
+    return lost;
+  }
+  
+  /**
+   * Get the total wound level across both arms or both legs
+   * @param {string} limb - Limb group from LIMBS
+   * @returns {number} - Sum of the wound levels
+   */
+  getLimbWounds(limb) {
+    let wounds = 0;
+    for (const [zone, level] of Object.entries(this.injuries)) {
+      if (HIT_ZONE_CONFIG[zone].limb === limb) wounds += level;
+    }
+    return wounds;
+  }
+  
+  /**
+   * Get how much leg wounds and exhaustion slow the player down
+   * @returns {number} - Multiplier on movement speed
+   */
+  getMovementMultiplier() {
+    const woundMultiplier = Math.max(MIN_MOVEMENT_MULTIPLIER, 1 - this.getLimbWounds(LIMBS.LEG) * LEG_WOUND_SLOWDOWN);
+    // Exhaustion slows the player on top of any leg wounds
+    return woundMultiplier * (this.isExhausted ? EXHAUSTED_MOVEMENT_MULTIPLIER : 1);
+  }
+  
+  /**
+   * Check whether the player can sprint
+   * @returns {boolean} - False while either leg is wounded or the player is out of breath
+   */
+  canSprint() {
+    return this.getLimbWounds(LIMBS.LEG) === 0 && !this.isExhausted && this.stamina > 0;
+  }
+  
+  /**
+   * Get how far arm wounds make the aim drift
+   * @returns {number} - Sway amplitude as a fraction of half the screen
+   */
+  getAimSway() {
+    return this.getLimbWounds(LIMBS.ARM) * ARM_WOUND_SWAY;
+  }
+  
+  /**
+   * Check whether the player is aiming down the sights
+   * @returns {boolean} - True while right mouse is held and the hands are free
+   */
+  isAimingDownSights() {
+    return this.isAiming && !this.isReloading && !this.isBandaging;
+  }
+  
+  /**
+   * Check whether the player is looking through a scope
+   * @returns {boolean} - True while aiming a weapon with a scope fitted in the armory
+   */
+  isScopedIn() {
+    return this.isAimingDownSights() && this.getWeaponUpgradeLevel(this.currentWeapon, 'scope') > 0;
+  }
+  
+  /**
+   * Get how far a scoped aim drifts
+   * @returns {number} - Sway amplitude as a fraction of half the screen (0 when not scoped)
+   */
+  getScopeSway() {
+    if (!this.isScopedIn()) return 0;
+    if (this.isHoldingBreath) return SCOPE_SWAY * HELD_BREATH_SWAY;
+    return SCOPE_SWAY * (this.breathRecoveryTime > 0 ? WINDED_SCOPE_SWAY : 1);
+  }
+  
+  /**
+   * Hold breath to steady a scope, or let it out and recover
+   * @param {number} deltaTime - Time since last frame in seconds
+   * @param {boolean} wantsToHold - Whether the hold breath key is down
+   */
+  updateBreathHold(deltaTime, wantsToHold) {
+    if (wantsToHold && this.isScopedIn() && this.breathRecoveryTime <= 0 && this.breathHoldRemaining > 0) {
+      this.isHoldingBreath = true;
+      this.breathHoldRemaining = Math.max(0, this.breathHoldRemaining - deltaTime);
+      
+      // Held too long - gasp for air, with a shakier scope until the breath comes back
+      if (this.breathHoldRemaining === 0) {
+        this.isHoldingBreath = false;
+        this.breathRecoveryTime = BREATH_RECOVERY_TIME;
+        console.log("Player ran out of breath");
+      }
+      return;
+    }
+    
+    this.isHoldingBreath = false;
+    if (this.breathRecoveryTime > 0) {
+      this.breathRecoveryTime = Math.max(0, this.breathRecoveryTime - deltaTime);
+      if (this.breathRecoveryTime === 0) {
+        this.breathHoldRemaining = BREATH_HOLD_DURATION;
+      }
+      return;
+    }
+    
+    // Letting a breath out early refills it as fast as it was used
+    this.breathHoldRemaining = Math.min(BREATH_HOLD_DURATION, this.breathHoldRemaining + deltaTime);
+  }
+  
+  /**
+   * Get where the player is actually aiming - the mouse position plus any sway
+   * @returns {THREE.Vector2} - Aim position in normalized device coordinates
+   */
+  getAimPosition() {
+    const sway = this.getAimSway();
+    const scopeSway = this.getScopeSway();
+    if (sway === 0 && scopeSway === 0 && !this.isExhausted) return this.mousePosition;
+    
+    // Wounded arms drift in a slow figure of eight around the cursor
+    const seconds = this.simTime;
+    const time = seconds * AIM_SWAY_SPEED;
+    const aimPosition = new THREE.Vector2(
+      this.mousePosition.x + Math.sin(time) * sway,
+      this.mousePosition.y + Math.sin(time * 2) * sway * 0.5
+    );
+    
+    // Heavy breathing heaves the aim up and down
+    if (this.isExhausted) {
+      aimPosition.y += Math.sin(seconds * BREATHING_SPEED) * BREATHING_SWAY;
+      aimPosition.x += Math.sin(seconds * BREATHING_SPEED * 0.5) * BREATHING_SWAY * 0.3;
+    }
+    
+    // A scope wanders in a slow loop unless the player holds their breath
+    if (scopeSway > 0) {
+      aimPosition.x += Math.sin(seconds * SCOPE_SWAY_SPEED) * scopeSway;
+      aimPosition.y += Math.sin(seconds * SCOPE_SWAY_SPEED * 1.7) * scopeSway * 0.6;
+    }
+    return aimPosition;
+  }
+  
+  /**
+   * Get the most stamina the player can have
+   * @returns {number} - Stamina pool size
+   */
+  getMaxStamina() {
+    // Perks such as Marathon deepen the pool
+    return this.modifiers.apply(MODIFIERS.MAX_STAMINA, MAX_STAMINA);
+  }
+  
+  /**
+   * Spend stamina on a jump
+   * @returns {boolean} - Whether the player had the breath to jump
+   */
+  useJumpStamina() {
+    if (this.isExhausted || this.stamina < JUMP_STAMINA_COST) return false;
+    
+    this.stamina -= JUMP_STAMINA_COST;
+    this.staminaRegenDelay = STAMINA_REGEN_DELAY;
+    return true;
+  }
+  
+  /**
+   * Drain stamina while sprinting and refill it otherwise
+   * @param {number} deltaTime - Time since last frame in seconds
+   * @param {boolean} isSprinting - Whether the player sprinted this frame
+   * @param {boolean} isMoving - Whether the player moved this frame
+   */
+  updateStamina(deltaTime, isSprinting, isMoving) {
+    const maxStamina = this.getMaxStamina();
+    
+    if (isSprinting) {
+      this.stamina = Math.max(0, this.stamina - SPRINT_STAMINA_COST * deltaTime);
+      this.staminaRegenDelay = STAMINA_REGEN_DELAY;
+      
+      // Running the pool dry leaves the player out of breath
+      if (this.stamina === 0 && !this.isExhausted) {
+        this.isExhausted = true;
+        console.log("Player exhausted");
+      }
+      return;
+    }
+    
+    // Get some breath back before stamina starts refilling
+    if (this.staminaRegenDelay > 0) {
+      this.staminaRegenDelay = Math.max(0, this.staminaRegenDelay - deltaTime);
+      return;
+    }
+    
+    // Standing still refills stamina faster than walking
+    const regen = isMoving ? WALKING_STAMINA_REGEN : RESTING_STAMINA_REGEN;
+    this.stamina = Math.min(maxStamina, this.stamina + regen * deltaTime);
+    if (this.isExhausted && this.stamina >= maxStamina * EXHAUSTION_RECOVERY) {
+      this.isExhausted = false;
+      console.log("Player caught their breath");
+    }
+  }
+  
+  /**
+   * Restore player health, capped at full health
+   * @param {number} amount - Health to restore
+   * @returns {number} - Health actually restored
+   */
+  heal(amount) {
+    const healed = Math.min(amount, 100 - this.health);
+    this.health += healed;
+    return healed;
+  }
+  
+  /**
+   * Add war bonds to spend in the armory
+   * @param {number} amount - War bonds earned
+   */
+  addWarBonds(amount) {
+    this.warBonds += amount;
+  }
+  
+  /**
+   * Spend war bonds
+   * @param {number} amount - Price to pay
+   * @returns {boolean} - Whether the player could afford it
+   */
+  spendWarBonds(amount) {
+    if (this.warBonds < amount) {
+      return false;
+    }
+    this.warBonds -= amount;
+    return true;
+  }
+  
+  /**
+   * Get how far a weapon has been upgraded on one track
+   * @param {string} weaponType - Weapon type from WEAPONS enum
+   * @param {string} upgrade - Upgrade track from WEAPON_UPGRADES
+   * @returns {number} - Level bought (0 if none)
+   */
+  getWeaponUpgradeLevel(weaponType, upgrade) {
+    const upgrades = this.weaponUpgrades[weaponType];
+    return (upgrades && upgrades[upgrade]) || 0;
+  }
+  
+  /**
+   * Raise a weapon's upgrade level on one track
+   * @param {string} weaponType - Weapon type from WEAPONS enum
+   * @param {string} upgrade - Upgrade track from WEAPON_UPGRADES
+   */
+  upgradeWeapon(weaponType, upgrade) {
+    if (!this.weaponUpgrades[weaponType]) {
+      this.weaponUpgrades[weaponType] = {};
+    }
+    this.weaponUpgrades[weaponType][upgrade] = this.getWeaponUpgradeLevel(weaponType, upgrade) + 1;
+  }
+  
+  /**
+   * Get a weapon's magazine size including upgrades
+   * @param {string} weaponType - Weapon type from WEAPONS enum (defaults to current weapon)
+   * @returns {number} - Rounds per magazine
+   */
+  getMagazineSize(weaponType = this.currentWeapon) {
+    const config = WEAPON_CONFIG[weaponType];
+    const level = this.getWeaponUpgradeLevel(weaponType, 'magazine');
+    return Math.round(config.magazineSize * (1 + level * WEAPON_UPGRADES.magazine.bonusPerLevel));
+  }
+  
+  /**
+   * Get a weapon's reload time including upgrades
+   * @param {string} weaponType - Weapon type from WEAPONS enum (defaults to current weapon)
+   * @returns {number} - Reload time in milliseconds
+   */
+  getReloadTime(weaponType = this.currentWeapon) {
+    const config = WEAPON_CONFIG[weaponType];
+    const level = this.getWeaponUpgradeLevel(weaponType, 'reload');
+    const upgraded = config.reloadTime * (1 - level * WEAPON_UPGRADES.reload.bonusPerLevel);
+    return this.modifiers.apply(MODIFIERS.RELOAD_TIME, upgraded);
+  }
+  
+  /**
+   * Get a weapon's damage multiplier against armored vehicles
+   * @param {string} weaponType - Weapon type from WEAPONS enum (defaults to current weapon)
+   * @returns {number} - Multiplier on the weapon's damage to vehicles
+   */
+  getArmorDamageMultiplier(weaponType = this.currentWeapon) {
+    const level = this.getWeaponUpgradeLevel(weaponType, 'armorPiercing');
+    return 1 + level * WEAPON_UPGRADES.armorPiercing.bonusPerLevel;
+  }
+  
+  /**
+   * Check whether the player has a perk
+   * @param {string} perkId - Perk id from PERKS
+   * @returns {boolean} - True if the perk is owned at any rank
+   */
+  hasPerk(perkId) {
+    return this.perks.includes(perkId);
+  }
+  
+  /**
+   * Get how many ranks of a perk the player has
+   * @param {string} perkId - Perk id from PERKS
+   * @returns {number} - Ranks owned (0 if none)
+   */
+  getPerkStacks(perkId) {
+    return this.perks.filter(id => id === perkId).length;
+  }
+  
+  /**
+   * Give the player a rank of a perk and push its modifiers onto the stack
+   * @param {string} perkId - Perk id from PERKS
+   * @returns {boolean} - Whether the perk was added (false if unknown or already at full rank)
+   */
+  addPerk(perkId) {
+    const definition = PERK_DEFINITIONS[perkId];
+    if (!definition || this.getPerkStacks(perkId) >= definition.maxStacks) {
+      return false;
+    }
+    
+    this.perks.push(perkId);
+    this.modifiers.add(perkId, definition.modifiers);
+    console.log(`Perk gained: ${definition.name} (rank ${this.getPerkStacks(perkId)})`);
+    return true;
+  }
+  
+  /**
+   * Record a sandbag emplacement placed on the island
+   * @param {Object} emplacement - { x, z, rotation }
+   */
+  addEmplacement(emplacement) {
+    this.emplacements.push({ ...emplacement });
   }
   
   /**
    * Restore player's health and ammo after completing a wave
+   * @param {Object} rewards - Optional overrides from the wave definition
+   * @param {number} rewards.health - Fraction of missing health restored (default 0.5)
+   * @param {number} rewards.ammo - Standard rounds added (default 15)
+   * @param {number} rewards.grenades - Grenades resupplied (default 1)
    * @returns {Object} - Object containing the amount of health and ammo restored
    */
-  restoreWaveCompletion() {
-    // Restore 50% of missing health
+  restoreWaveCompletion(rewards = {}) {
+    const { health = 0.5, ammo = 15, grenades = 1 } = rewards;
+    
+    // Restore a share of missing health (50% by default)
     const missingHealth = 100 - this.health;
-    const healthToRestore = Math.round(missingHealth * 0.5);
+    const healthToRestore = Math.round(missingHealth * health);
     this.health = Math.min(100, this.health + healthToRestore);
     
-    // Add 15 ammo
-    const ammoToAdd = 15;
-    this.ammo += ammoToAdd;
+    // Add ammo (15 by default)
+    const ammoToAdd = ammo;
+    this.addAmmo(ammoToAdd, AMMO_TYPES.STANDARD);
+    
+    // Resupply grenades (one by default)
+    const grenadesRestored = this.addGrenades(grenades);
     
     // Return the amounts restored for display
     return {
       healthRestored: healthToRestore,
-      ammoRestored: ammoToAdd
+      ammoRestored: ammoToAdd,
+      grenadesRestored: grenadesRestored
     };
   }
   
@@ -153,9 +958,8 @@ export class GameState {
    */
   reset() {
     this.score = 0;
-    this.wave = 1;
+    this.wave = 0;
     this.health = 100;
-    this.ammo = 50;
     this.isGameOver = false;
     this.isPlaying = true;
     this.isWaveActive = false;
@@ -163,9 +967,15 @@ export class GameState {
     this.enemiesRemainingInWave = 0;
     
     // Reset weapon properties
-    this.currentWeapon = WEAPONS.M1_GARAND;
-    this.hasMP41 = false;
-    this.mp41Ammo = 0;
     this.autoFireActive = false;
+    this.resetWeapons();
+    this.grenades = STARTING_GRENADES;
+    this.resetFieldDressings();
+    this.resetInjuries();
+    this.resetStamina();
+    this.resetAiming();
+    this.resetArmory();
+    this.resetPerks();
+    this.startWaveStats(this.wave, 0);
   }
 } 
\ No newline at end of file
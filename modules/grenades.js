@@ -0,0 +1,583 @@
+/**
+ * Grenades module for thrown explosives - the player's Mk 2 frag and enemy stick grenades
+ */
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
+import { RANDOM_STREAMS, getRandomStream } from './random.js';
+import { getTerrainHeight } from './island.js';
+
+// Grenade spin and explosion debris are only for show
+const fxRandom = getRandomStream(RANDOM_STREAMS.FX);
+
+// Grenade physics constants
+const GRENADE_GRAVITY = 20; // units/s^2, a little heavier than real life so throws feel snappy
+const GRENADE_RADIUS = 0.15; // Collision radius of the grenade body
+const BOUNCE_RESTITUTION = 0.4; // Fraction of velocity kept after a bounce
+const GROUND_FRICTION = 0.7; // Horizontal velocity kept after hitting the ground
+const REST_SPEED = 0.5; // Below this speed a grenade settles on the ground
+
+// Throw constants
+export const MAX_THROW_DISTANCE = 25; // Furthest the player can throw
+const MIN_FLIGHT_TIME = 0.6; // Seconds in the air for the shortest throws
+const MAX_FLIGHT_TIME = 1.6; // Seconds in the air for the longest throws
+const FLIGHT_TIME_PER_UNIT = 0.06; // Extra hang time per unit of distance
+
+// Explosion constants
+export const GRENADE_TYPES = {
+  FRAG: 'frag', // US Mk 2 fragmentation grenade
+  STICK: 'stick' // German Stielhandgranate
+};
+
+const GRENADE_STATS = {
+  [GRENADE_TYPES.FRAG]: {
+    fuse: 4.0, // seconds
+    blastRadius: 7,
+    lethalRadius: 3
+  },
+  [GRENADE_TYPES.STICK]: {
+    fuse: 4.5, // seconds
+    blastRadius: 6,
+    lethalRadius: 2.5
+  }
+};
+
+// Preview constants
+const PREVIEW_STEPS = 60; // Number of points along the preview arc
+const PREVIEW_STEP_TIME = 0.05; // Seconds simulated between preview points
+
+// Shared objects for the arc preview
+let previewLine = null;
+let previewMarker = null;
+
+/**
+ * Gets the fuse and blast stats for a grenade type
+ * @param {string} type - Grenade type from GRENADE_TYPES
+ * @returns {Object} - Stats with fuse, blastRadius and lethalRadius
+ */
+export function getGrenadeStats(type) {
+  return GRENADE_STATS[type] || GRENADE_STATS[GRENADE_TYPES.FRAG];
+}
+
+/**
+ * Creates a thrown grenade
+ * @param {THREE.Scene} scene - The scene to add the grenade to
+ * @param {THREE.Vector3} position - Release point
+ * @param {THREE.Vector3} velocity - Initial velocity in units per second
+ * @param {Object} options - Grenade options
+ * @param {string} options.type - Grenade type from GRENADE_TYPES
+ * @param {string} options.owner - 'player' or 'enemy'
+ * @returns {Object} The grenade object
+ */
+export function createGrenade(scene, position, velocity, options = {}) {
+  const type = options.type || GRENADE_TYPES.FRAG;
+  const stats = getGrenadeStats(type);
+  
+  const model = type === GRENADE_TYPES.STICK ? createStickGrenadeModel() : createFragGrenadeModel();
+  model.position.copy(position);
+  scene.add(model);
+  
+  console.log(`${options.owner || 'player'} threw a ${type} grenade`);
+  
+  return {
+    object: model,
+    type: type,
+    owner: options.owner || 'player',
+    velocity: velocity.clone(),
+    // Tumble while in flight
+    spin: new THREE.Vector3(
+      (fxRandom() - 0.5) * 10,
+      (fxRandom() - 0.5) * 10,
+      (fxRandom() - 0.5) * 10
+    ),
+    fuseTime: stats.fuse,
+    blastRadius: stats.blastRadius,
+    lethalRadius: stats.lethalRadius,
+    resting: false,
+    exploded: false
+  };
+}
+
+/**
+ * Creates the Mk 2 "pineapple" model
+ * @returns {THREE.Group} The grenade model
+ */
+function createFragGrenadeModel() {
+  const grenadeGroup = new THREE.Group();
+  
+  const bodyMaterial = new THREE.MeshStandardMaterial({
+    color: 0x4b5320, // Olive drab
+    roughness: 0.8
+  });
+  const metalMaterial = new THREE.MeshStandardMaterial({
+    color: 0x777777,
+    metalness: 0.8,
+    roughness: 0.3
+  });
+  
+  // Segmented egg-shaped body
+  const bodyGeometry = new THREE.SphereGeometry(GRENADE_RADIUS, 8, 6);
+  const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+  body.scale.set(1, 1.3, 1);
+  body.castShadow = true;
+  grenadeGroup.add(body);
+  
+  // Fuse assembly on top
+  const fuseGeometry = new THREE.CylinderGeometry(0.05, 0.06, 0.08, 8);
+  const fuse = new THREE.Mesh(fuseGeometry, metalMaterial);
+  fuse.position.y = GRENADE_RADIUS * 1.3 + 0.03;
+  grenadeGroup.add(fuse);
+  
+  // Spoon lever down the side
+  const spoonGeometry = new THREE.BoxGeometry(0.03, 0.2, 0.01);
+  const spoon = new THREE.Mesh(spoonGeometry, metalMaterial);
+  spoon.position.set(0.08, 0.08, 0);
+  spoon.rotation.z = -0.2;
+  grenadeGroup.add(spoon);
+  
+  return grenadeGroup;
+}
+
+/**
+ * Creates the German stick grenade model
+ * @returns {THREE.Group} The grenade model
+ */
+function createStickGrenadeModel() {
+  const grenadeGroup = new THREE.Group();
+  
+  const headMaterial = new THREE.MeshStandardMaterial({
+    color: 0x3b3f36, // Field grey metal
+    metalness: 0.5,
+    roughness: 0.5
+  });
+  const woodMaterial = new THREE.MeshStandardMaterial({
+    color: 0xA0522D, // Wooden handle
+    roughness: 0.8
+  });
+  
+  // Explosive head
+  const headGeometry = new THREE.CylinderGeometry(0.1, 0.1, 0.18, 10);
+  const head = new THREE.Mesh(headGeometry, headMaterial);
+  head.position.y = 0.16;
+  head.castShadow = true;
+  grenadeGroup.add(head);
+  
+  // Long wooden handle
+  const handleGeometry = new THREE.CylinderGeometry(0.03, 0.03, 0.35, 8);
+  const handle = new THREE.Mesh(handleGeometry, woodMaterial);
+  handle.position.y = -0.1;
+  grenadeGroup.add(handle);
+  
+  return grenadeGroup;
+}
+
+/**
+ * Solves the launch velocity needed to land a grenade on a target
+ * @param {THREE.Vector3} origin - Release point
+ * @param {THREE.Vector3} target - Desired landing point
+ * @returns {THREE.Vector3} - Launch velocity in units per second
+ */
+export function solveThrowVelocity(origin, target) {
+  const dx = target.x - origin.x;
+  const dz = target.z - origin.z;
+  const dy = target.y - origin.y;
+  const horizontalDistance = Math.sqrt(dx * dx + dz * dz);
+  
+  // Longer throws get more hang time, giving a higher lob
+  const flightTime = THREE.MathUtils.clamp(
+    MIN_FLIGHT_TIME + horizontalDistance * FLIGHT_TIME_PER_UNIT,
+    MIN_FLIGHT_TIME,
+    MAX_FLIGHT_TIME
+  );
+  
+  // Solve y = vy*t - g*t^2/2 for vy, and constant horizontal speed for x/z
+  return new THREE.Vector3(
+    dx / flightTime,
+    (dy + 0.5 * GRENADE_GRAVITY * flightTime * flightTime) / flightTime,
+    dz / flightTime
+  );
+}
+
+/**
+ * Gathers the environment objects grenades can bounce off
+ * @param {THREE.Scene} scene - The scene to search
+ * @returns {Array<THREE.Object3D>} - Collidable rocks, trees and the bunker
+ */
+function getGrenadeColliders(scene) {
+  const colliders = [];
+  scene.traverse((object) => {
+    // Bushes are soft and enemies are handled by the explosion
+    if (!object.userData.collidable || object.userData.isBush || object.userData.isEnemy) return;
+    colliders.push(object);
+  });
+  return colliders;
+}
+
+/**
+ * Bounces a grenade off a single environment object
+ * @param {Object} grenade - The grenade to resolve
+ * @param {THREE.Object3D} collider - Rock, tree or bunker
+ * @returns {boolean} - Whether a bounce happened
+ */
+function resolveColliderBounce(grenade, collider) {
+  const position = grenade.object.position;
+  const velocity = grenade.velocity;
+  
+  if (collider.userData.isBunker) {
+    return resolveBunkerBounce(grenade, collider);
+  }
+  
+  // Rocks are treated as spheres, trees as upright cylinders around the trunk
+  const colliderPosition = new THREE.Vector3();
+  collider.getWorldPosition(colliderPosition);
+  
+  let normal;
+  if (collider.userData.isTree) {
+    // Only the trunk blocks - grenades fly through the upper foliage
+    if (position.y > 3) return false;
+    const trunkRadius = collider.userData.collisionRadius * 0.5;
+    normal = new THREE.Vector3(position.x - colliderPosition.x, 0, position.z - colliderPosition.z);
+    if (normal.length() > trunkRadius + GRENADE_RADIUS) return false;
+    normal.normalize();
+    position.x = colliderPosition.x + normal.x * (trunkRadius + GRENADE_RADIUS);
+    position.z = colliderPosition.z + normal.z * (trunkRadius + GRENADE_RADIUS);
+  } else {
+    // Rock collision radius includes some walking clearance, so shrink it a little
+    const rockRadius = (collider.userData.collisionRadius || 1) * 0.8;
+    normal = new THREE.Vector3().subVectors(position, colliderPosition);
+    if (normal.length() > rockRadius + GRENADE_RADIUS) return false;
+    normal.normalize();
+    position.copy(colliderPosition).add(normal.clone().multiplyScalar(rockRadius + GRENADE_RADIUS));
+  }
+  
+  // Only reflect if moving into the surface
+  const approachSpeed = velocity.dot(normal);
+  if (approachSpeed >= 0) return false;
+  
+  velocity.sub(normal.multiplyScalar((1 + BOUNCE_RESTITUTION) * approachSpeed));
+  return true;
+}
+
+/**
+ * Bounces a grenade off the bunker's concrete box and sandbag ring
+ * @param {Object} grenade - The grenade to resolve
+ * @param {THREE.Object3D} bunker - The bunker group
+ * @returns {boolean} - Whether a bounce happened
+ */
+function resolveBunkerBounce(grenade, bunker) {
+  const position = grenade.object.position;
+  const velocity = grenade.velocity;
+  
+  // Work in bunker-local coordinates (the bunker isn't rotated)
+  const localX = position.x - bunker.position.x;
+  const localZ = position.z - bunker.position.z;
+  
+  // Sandbag ring - radius 6, up to about 1.2 high
+  const ringDistance = Math.sqrt(localX * localX + localZ * localZ);
+  if (position.y < 1.2 && Math.abs(ringDistance - 6) < 0.4 + GRENADE_RADIUS) {
+    const normal = new THREE.Vector3(localX, 0, localZ).normalize();
+    // Push back to whichever side of the ring we came from
+    if (ringDistance < 6) normal.negate();
+    const approachSpeed = velocity.dot(normal);
+    if (approachSpeed < 0) {
+      velocity.sub(normal.multiplyScalar((1 + BOUNCE_RESTITUTION) * approachSpeed));
+      return true;
+    }
+  }
+  
+  // Concrete box - 9 x 2.5 x 9 including the roof
+  const halfSize = 4.5 + GRENADE_RADIUS;
+  const top = 2.5 + GRENADE_RADIUS;
+  if (Math.abs(localX) > halfSize || Math.abs(localZ) > halfSize || position.y > top) {
+    return false;
+  }
+  
+  // Push out along the axis of least penetration
+  const penetrationX = halfSize - Math.abs(localX);
+  const penetrationZ = halfSize - Math.abs(localZ);
+  const penetrationY = top - position.y;
+  
+  if (penetrationY <= penetrationX && penetrationY <= penetrationZ) {
+    // Landed on the roof
+    position.y = top;
+    if (velocity.y < 0) {
+      velocity.y = -velocity.y * BOUNCE_RESTITUTION;
+      velocity.x *= GROUND_FRICTION;
+      velocity.z *= GROUND_FRICTION;
+    }
+  } else if (penetrationX < penetrationZ) {
+    position.x = bunker.position.x + Math.sign(localX) * halfSize;
+    velocity.x = -velocity.x * BOUNCE_RESTITUTION;
+  } else {
+    position.z = bunker.position.z + Math.sign(localZ) * halfSize;
+    velocity.z = -velocity.z * BOUNCE_RESTITUTION;
+  }
+  return true;
+}
+
+/**
+ * Updates all grenades - flight, bounces and fuses
+ * @param {Array} grenades - Array of grenade objects
+ * @param {number} deltaTime - Time since last frame in seconds
+ * @param {THREE.Scene} scene - The scene
+ * @param {Function} onExplode - Callback(position, grenade) when a grenade detonates
+ * @returns {Array} - Grenades that are still live
+ */
+export function updateGrenades(grenades, deltaTime, scene, onExplode) {
+  // Skip if no grenades
+  if (grenades.length === 0) return grenades;
+  
+  const colliders = getGrenadeColliders(scene);
+  
+  return grenades.filter(grenade => {
+    // Burn the fuse
+    grenade.fuseTime -= deltaTime;
+    if (grenade.fuseTime <= 0) {
+      explodeGrenade(grenade, scene, onExplode);
+      return false;
+    }
+    
+    if (grenade.resting) return true;
+    
+    // Ballistic flight
+    const position = grenade.object.position;
+    grenade.velocity.y -= GRENADE_GRAVITY * deltaTime;
+    position.addScaledVector(grenade.velocity, deltaTime);
+    
+    // Tumble
+    grenade.object.rotation.x += grenade.spin.x * deltaTime;
+    grenade.object.rotation.y += grenade.spin.y * deltaTime;
+    grenade.object.rotation.z += grenade.spin.z * deltaTime;
+    
+    // Bounce off rocks, trees and the bunker
+    for (const collider of colliders) {
+      if (resolveColliderBounce(grenade, collider)) {
+        grenade.spin.multiplyScalar(0.6);
+      }
+    }
+    
+    // Bounce off the island ground, hills included
+    const groundHeight = getTerrainHeight(position.x, position.z);
+    if (position.y < groundHeight + GRENADE_RADIUS) {
+      position.y = groundHeight + GRENADE_RADIUS;
+      grenade.velocity.y = -grenade.velocity.y * BOUNCE_RESTITUTION;
+      grenade.velocity.x *= GROUND_FRICTION;
+      grenade.velocity.z *= GROUND_FRICTION;
+      grenade.spin.multiplyScalar(0.5);
+      
+      // Settle once it has lost most of its energy
+      if (grenade.velocity.length() < REST_SPEED) {
+        grenade.velocity.set(0, 0, 0);
+        grenade.resting = true;
+      }
+    }
+    
+    return true;
+  });
+}
+
+/**
+ * Detonates a grenade
+ * @param {Object} grenade - The grenade to detonate
+ * @param {THREE.Scene} scene - The scene
+ * @param {Function} onExplode - Callback(position, grenade) to apply damage
+ */
+function explodeGrenade(grenade, scene, onExplode) {
+  if (grenade.exploded) return;
+  grenade.exploded = true;
+  
+  const position = grenade.object.position.clone();
+  scene.remove(grenade.object);
+  
+  createExplosionEffect(scene, position, grenade.blastRadius);
+  
+  if (typeof onExplode === 'function') {
+    onExplode(position, grenade);
+  }
+}
+
+/**
+ * Removes every live grenade without detonating it
+ * @param {Array} grenades - Array of grenade objects
+ * @param {THREE.Scene} scene - The scene
+ */
+export function clearGrenades(grenades, scene) {
+  for (const grenade of grenades) {
+    scene.remove(grenade.object);
+  }
+}
+
+/**
+ * Creates a fireball, smoke and dirt explosion effect
+ * @param {THREE.Scene} scene - The scene to add the effect to
+ * @param {THREE.Vector3} position - Center of the explosion
+ * @param {number} radius - Blast radius, used to size the effect
+ */
+export function createExplosionEffect(scene, position, radius = 6) {
+  // Bright flash of light
+  const flash = new THREE.PointLight(0xffaa33, 4, radius * 3);
+  flash.position.copy(position);
+  flash.position.y += 0.5;
+  scene.add(flash);
+  
+  // Expanding fireball
+  const fireballMaterial = new THREE.MeshBasicMaterial({
+    color: 0xff7722,
+    transparent: true,
+    opacity: 0.9
+  });
+  const fireball = new THREE.Mesh(new THREE.SphereGeometry(0.5, 12, 12), fireballMaterial);
+  fireball.position.copy(position);
+  scene.add(fireball);
+  
+  // Smoke and dirt particles
+  const particles = [];
+  for (let i = 0; i < 20; i++) {
+    const isDirt = i % 2 === 0;
+    const particleMaterial = new THREE.MeshBasicMaterial({
+      color: isDirt ? 0x5c4033 : 0x555555,
+      transparent: true,
+      opacity: 0.8
+    });
+    const particle = new THREE.Mesh(
+      new THREE.SphereGeometry(isDirt ? 0.08 : 0.3, 4, 4),
+      particleMaterial
+    );
+    particle.position.copy(position);
+    scene.add(particle);
+    
+    particles.push({
+      object: particle,
+      velocity: new THREE.Vector3(
+        (fxRandom() - 0.5) * 0.3,
+        isDirt ? 0.15 + fxRandom() * 0.2 : 0.03 + fxRandom() * 0.05,
+        (fxRandom() - 0.5) * 0.3
+      ),
+      gravity: isDirt ? 0.012 : 0,
+      isSmoke: !isDirt
+    });
+  }
+  
+  // Animate the explosion
+  const lifetime = 1500; // 1.5 seconds
+  const startTime = Date.now();
+  
+  function animateExplosion() {
+    const elapsed = Date.now() - startTime;
+    const progress = elapsed / lifetime;
+    
+    if (progress >= 1) {
+      scene.remove(flash);
+      scene.remove(fireball);
+      particles.forEach(particle => scene.remove(particle.object));
+      return;
+    }
+    
+    // Fireball grows quickly then fades
+    const fireballScale = 1 + Math.min(1, progress * 5) * radius * 0.4;
+    fireball.scale.set(fireballScale, fireballScale, fireballScale);
+    fireballMaterial.opacity = Math.max(0, 0.9 - progress * 3);
+    flash.intensity = Math.max(0, 4 * (1 - progress * 4));
+    
+    for (const particle of particles) {
+      particle.object.position.add(particle.velocity);
+      particle.velocity.y -= particle.gravity;
+      
+      // Dirt stops at the ground, smoke keeps rising and spreads
+      if (particle.object.position.y < 0.05) {
+        particle.object.position.y = 0.05;
+        particle.velocity.set(0, 0, 0);
+      }
+      if (particle.isSmoke) {
+        const smokeScale = 1 + progress * 3;
+        particle.object.scale.set(smokeScale, smokeScale, smokeScale);
+      }
+      particle.object.material.opacity = 0.8 * (1 - progress);
+    }
+    
+    requestAnimationFrame(animateExplosion);
+  }
+  
+  animateExplosion();
+}
+
+/**
+ * Shows or updates the dotted arc preview for a throw
+ * @param {THREE.Scene} scene - The scene
+ * @param {THREE.Vector3} origin - Release point
+ * @param {THREE.Vector3} velocity - Launch velocity
+ */
+export function updateGrenadePreview(scene, origin, velocity) {
+  // Create the preview objects the first time they're needed
+  if (!previewLine) {
+    const lineGeometry = new THREE.BufferGeometry();
+    lineGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(PREVIEW_STEPS * 3), 3));
+    const lineMaterial = new THREE.LineDashedMaterial({
+      color: 0xffffff,
+      dashSize: 0.3,
+      gapSize: 0.2,
+      transparent: true,
+      opacity: 0.8
+    });
+    previewLine = new THREE.Line(lineGeometry, lineMaterial);
+    previewLine.frustumCulled = false;
+    
+    const markerGeometry = new THREE.RingGeometry(0.4, 0.55, 24);
+    const markerMaterial = new THREE.MeshBasicMaterial({
+      color: 0xff3333,
+      transparent: true,
+      opacity: 0.7,
+      side: THREE.DoubleSide
+    });
+    previewMarker = new THREE.Mesh(markerGeometry, markerMaterial);
+    previewMarker.rotation.x = -Math.PI / 2;
+  }
+  
+  if (!previewLine.parent) {
+    scene.add(previewLine);
+    scene.add(previewMarker);
+  }
+  
+  // Step the same ballistic equation used in flight until the arc reaches the ground
+  const positions = previewLine.geometry.attributes.position.array;
+  const point = new THREE.Vector3();
+  let groundHeight = 0;
+  let pointCount = 0;
+  
+  for (let i = 0; i < PREVIEW_STEPS; i++) {
+    const t = i * PREVIEW_STEP_TIME;
+    point.set(
+      origin.x + velocity.x * t,
+      origin.y + velocity.y * t - 0.5 * GRENADE_GRAVITY * t * t,
+      origin.z + velocity.z * t
+    );
+    
+    groundHeight = getTerrainHeight(point.x, point.z);
+    if (point.y < groundHeight) {
+      point.y = groundHeight;
+    }
+    
+    positions[i * 3] = point.x;
+    positions[i * 3 + 1] = point.y;
+    positions[i * 3 + 2] = point.z;
+    pointCount = i + 1;
+    
+    if (point.y <= groundHeight && i > 0) break;
+  }
+  
+  previewLine.geometry.setDrawRange(0, pointCount);
+  previewLine.geometry.attributes.position.needsUpdate = true;
+  previewLine.geometry.computeBoundingSphere();
+  previewLine.computeLineDistances();
+  
+  // Landing marker where the arc meets the ground
+  previewMarker.position.set(point.x, groundHeight + 0.05, point.z);
+}
+
+/**
+ * Hides the arc preview
+ */
+export function hideGrenadePreview() {
+  if (previewLine && previewLine.parent) {
+    previewLine.parent.remove(previewLine);
+    previewMarker.parent.remove(previewMarker);
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * Injuries module - works out which part of the player an enemy bullet struck
+ */
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
+import { STANCES } from './stances.js';
+
+// Parts of the player a bullet can hit, named after the model's parts
+export const PLAYER_HIT_ZONES = {
+  HEAD: 'head',
+  TORSO: 'torso',
+  LEFT_ARM: 'leftArm',
+  RIGHT_ARM: 'rightArm',
+  LEFT_LEG: 'leftLeg',
+  RIGHT_LEG: 'rightLeg'
+};
+
+// Limb groups wounds are counted by
+export const LIMBS = {
+  ARM: 'arm', // Wounds add weapon sway
+  LEG: 'leg' // Wounds slow the player and stop sprinting
+};
+
+// How each part takes a hit
+export const HIT_ZONE_CONFIG = {
+  [PLAYER_HIT_ZONES.HEAD]: { name: 'head', damageMultiplier: 2, limb: null },
+  [PLAYER_HIT_ZONES.TORSO]: { name: 'torso', damageMultiplier: 1, limb: null },
+  [PLAYER_HIT_ZONES.LEFT_ARM]: { name: 'left arm', damageMultiplier: 0.6, limb: LIMBS.ARM },
+  [PLAYER_HIT_ZONES.RIGHT_ARM]: { name: 'right arm', damageMultiplier: 0.6, limb: LIMBS.ARM },
+  [PLAYER_HIT_ZONES.LEFT_LEG]: { name: 'left leg', damageMultiplier: 0.75, limb: LIMBS.LEG },
+  [PLAYER_HIT_ZONES.RIGHT_LEG]: { name: 'right leg', damageMultiplier: 0.75, limb: LIMBS.LEG }
+};
+
+// Hit boxes in the player's local space for each stance, matching the poses in player.js.
+// The ground is at y = -0.5, so standing legs only show from there up to the belt; prone, the
+// player lies along the z axis with the head forward (-z).
+const PLAYER_HIT_BOXES = {
+  [STANCES.STANDING]: {
+    [PLAYER_HIT_ZONES.HEAD]: createHitBox([-0.3, 1.6, -0.3], [0.3, 2.35, 0.3]),
+    [PLAYER_HIT_ZONES.TORSO]: createHitBox([-0.5, 0.3, -0.35], [0.5, 1.6, 0.35]),
+    [PLAYER_HIT_ZONES.LEFT_ARM]: createHitBox([-0.8, 0.4, -0.2], [-0.5, 1.5, 0.2]),
+    [PLAYER_HIT_ZONES.RIGHT_ARM]: createHitBox([0.5, 0.4, -0.2], [0.8, 1.5, 0.2]),
+    [PLAYER_HIT_ZONES.LEFT_LEG]: createHitBox([-0.48, -0.5, -0.2], [0, 0.3, 0.2]),
+    [PLAYER_HIT_ZONES.RIGHT_LEG]: createHitBox([0, -0.5, -0.2], [0.48, 0.3, 0.2])
+  },
+  [STANCES.CROUCHING]: {
+    [PLAYER_HIT_ZONES.HEAD]: createHitBox([-0.3, 1.15, -0.3], [0.3, 1.9, 0.3]),
+    [PLAYER_HIT_ZONES.TORSO]: createHitBox([-0.5, -0.15, -0.35], [0.5, 1.15, 0.35]),
+    [PLAYER_HIT_ZONES.LEFT_ARM]: createHitBox([-0.8, -0.05, -0.2], [-0.5, 1.05, 0.2]),
+    [PLAYER_HIT_ZONES.RIGHT_ARM]: createHitBox([0.5, -0.05, -0.2], [0.8, 1.05, 0.2]),
+    [PLAYER_HIT_ZONES.LEFT_LEG]: createHitBox([-0.48, -0.5, -0.2], [0, -0.15, 0.6]),
+    [PLAYER_HIT_ZONES.RIGHT_LEG]: createHitBox([0, -0.5, -0.2], [0.48, -0.15, 0.6])
+  },
+  [STANCES.PRONE]: {
+    [PLAYER_HIT_ZONES.HEAD]: createHitBox([-0.3, -0.5, -1.55], [0.3, 0.1, -0.8]),
+    [PLAYER_HIT_ZONES.TORSO]: createHitBox([-0.5, -0.5, -0.8], [0.5, 0.1, 0.5]),
+    [PLAYER_HIT_ZONES.LEFT_ARM]: createHitBox([-0.8, -0.5, -0.7], [-0.5, 0, 0.4]),
+    [PLAYER_HIT_ZONES.RIGHT_ARM]: createHitBox([0.5, -0.5, -0.7], [0.8, 0, 0.4]),
+    [PLAYER_HIT_ZONES.LEFT_LEG]: createHitBox([-0.48, -0.5, 0.5], [0, 0, 2.1]),
+    [PLAYER_HIT_ZONES.RIGHT_LEG]: createHitBox([0, -0.5, 0.5], [0.48, 0, 2.1])
+  }
+};
+
+const SHOT_LENGTH = 100; // Length of a shot without an end point, as fired by createEnemyProjectile
+
+/**
+ * Works out which part of the player an enemy shot passes through
+ * @param {Object} projectile - Enemy projectile (startPoint/endPoint, or position/direction)
+ * @param {THREE.Object3D} player - The player object
+ * @returns {string|null} - Zone from PLAYER_HIT_ZONES nearest the shooter, or null if the shot missed
+ */
+export function resolvePlayerHitZone(projectile, player) {
+  const start = projectile.startPoint || projectile.position;
+  const end = projectile.endPoint ||
+    start.clone().add(projectile.direction.clone().multiplyScalar(SHOT_LENGTH));
+  
+  // Bring the shot into the player's local space so the hit boxes turn with the player
+  const inverseRotation = player.quaternion.clone().invert();
+  const localStart = start.clone().sub(player.position).applyQuaternion(inverseRotation);
+  const localEnd = end.clone().sub(player.position).applyQuaternion(inverseRotation);
+  const shotLength = localStart.distanceTo(localEnd);
+  const ray = new THREE.Ray(localStart, localEnd.clone().sub(localStart).normalize());
+  
+  // The first box along the shot is the part it hit - a crouching or prone player offers less to hit
+  const hitBoxes = PLAYER_HIT_BOXES[player.userData.stance] || PLAYER_HIT_BOXES[STANCES.STANDING];
+  let hitZone = null;
+  let hitDistance = shotLength;
+  const hitPoint = new THREE.Vector3();
+  for (const [zone, box] of Object.entries(hitBoxes)) {
+    if (!ray.intersectBox(box, hitPoint)) continue;
+    
+    const distance = hitPoint.distanceTo(localStart);
+    if (distance <= hitDistance) {
+      hitZone = zone;
+      hitDistance = distance;
+    }
+  }
+  
+  return hitZone;
+}
+
+/**
+ * Builds a hit box from its corners
+ * @param {Array<number>} min - Lowest corner [x, y, z]
+ * @param {Array<number>} max - Highest corner [x, y, z]
+ * @returns {THREE.Box3} - The hit box
+ */
+function createHitBox(min, max) {
+  return new THREE.Box3(new THREE.Vector3(...min), new THREE.Vector3(...max));
+}
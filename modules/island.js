@@ -2,6 +2,16 @@
  * Island module for creating the game environment
  */
 import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
+import { RANDOM_STREAMS, getRandomStream } from './random.js';
+
+// The layout comes from the world stream, so a seed always builds the same island
+const worldRandom = getRandomStream(RANDOM_STREAMS.WORLD);
+
+// The hills on the current island, for getTerrainHeight()
+let hills = [];
+
+// Everything createIsland() added to the scene, for clearIsland()
+let islandObjects = [];
 
 /**
  * Creates the island terrain and environment
@@ -9,6 +19,8 @@ import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/thr
  * @returns {THREE.Object3D} - The island object
  */
 export function createIsland(scene) {
+  const existingObjects = new Set(scene.children);
+  
   // Main island terrain
   const islandGeometry = new THREE.CircleGeometry(50, 64); // Increased segments for smoother edge
   const islandMaterial = new THREE.MeshStandardMaterial({
@@ -44,9 +56,23 @@ export function createIsland(scene) {
   addVegetation(scene);
   addBunker(scene);
   
+  islandObjects = scene.children.filter((object) => !existingObjects.has(object));
   return island;
 }
 
+/**
+ * Takes the island createIsland() built out of the scene, along with whatever is left of its
+ * trees, so a restarted match can build it again from the seed
+ * @param {THREE.Scene} scene - The scene the island was added to
+ */
+export function clearIsland(scene) {
+  for (const object of islandObjects) {
+    scene.remove(object);
+  }
+  islandObjects = [];
+  hills = [];
+}
+
 /**
  * Adds rocks to the scene
  * @param {THREE.Scene} scene - The scene to add rocks to
@@ -54,46 +80,46 @@ export function createIsland(scene) {
 function addRocks(scene) {
   // Add rocks with different sizes and positions
   for (let i = 0; i < 15; i++) {
-    const angle = Math.random() * Math.PI * 2;
-    const distance = Math.random() * 40 + 5;
+    const angle = worldRandom() * Math.PI * 2;
+    const distance = worldRandom() * 40 + 5;
     const x = Math.cos(angle) * distance;
     const z = Math.sin(angle) * distance;
     
     // Vary rock shapes
     let rockGeometry;
-    const rockType = Math.floor(Math.random() * 3);
+    const rockType = Math.floor(worldRandom() * 3);
     switch(rockType) {
       case 0:
-        rockGeometry = new THREE.DodecahedronGeometry(1 + Math.random() * 0.5, 0);
+        rockGeometry = new THREE.DodecahedronGeometry(1 + worldRandom() * 0.5, 0);
         break;
       case 1:
-        rockGeometry = new THREE.OctahedronGeometry(0.8 + Math.random() * 0.7, 0);
+        rockGeometry = new THREE.OctahedronGeometry(0.8 + worldRandom() * 0.7, 0);
         break;
       default:
-        rockGeometry = new THREE.IcosahedronGeometry(0.7 + Math.random(), 0);
+        rockGeometry = new THREE.IcosahedronGeometry(0.7 + worldRandom(), 0);
     }
     
     // Vary rock colors slightly
-    const shade = 0.5 + Math.random() * 0.2;
+    const shade = 0.5 + worldRandom() * 0.2;
     const rockMaterial = new THREE.MeshStandardMaterial({
       color: new THREE.Color(shade, shade, shade),
-      roughness: 0.8 + Math.random() * 0.2
+      roughness: 0.8 + worldRandom() * 0.2
     });
     
     const rock = new THREE.Mesh(rockGeometry, rockMaterial);
-    rock.position.set(x, Math.random() * 0.3, z);
+    rock.position.set(x, worldRandom() * 0.3, z);
     
     // Random rotation
-    rock.rotation.x = Math.random() * Math.PI;
-    rock.rotation.y = Math.random() * Math.PI;
-    rock.rotation.z = Math.random() * Math.PI;
+    rock.rotation.x = worldRandom() * Math.PI;
+    rock.rotation.y = worldRandom() * Math.PI;
+    rock.rotation.z = worldRandom() * Math.PI;
     
     rock.castShadow = true;
     rock.receiveShadow = true;
     
     // Add collision data
     rock.userData.collidable = true;
-    rock.userData.collisionRadius = 1 + Math.random() * 0.5; // Based on geometry size
+    rock.userData.collisionRadius = 1 + worldRandom() * 0.5; // Based on geometry size
     
     scene.add(rock);
   }
@@ -109,20 +135,20 @@ function addVegetation(scene) {
   
   for (let i = 0; i < numTreeGroups; i++) {
     // Random position for tree cluster
-    const angle = Math.random() * Math.PI * 2;
-    const distance = Math.random() * 35 + 10; // Trees within 10-45 units from center
+    const angle = worldRandom() * Math.PI * 2;
+    const distance = worldRandom() * 35 + 10; // Trees within 10-45 units from center
     
     const x = Math.cos(angle) * distance;
     const z = Math.sin(angle) * distance;
     
     // Create cluster of trees
-    const treeCount = 2 + Math.floor(Math.random() * 3); // 2-4 trees per cluster
+    const treeCount = 2 + Math.floor(worldRandom() * 3); // 2-4 trees per cluster
     
     for (let j = 0; j < treeCount; j++) {
       // Position trees within cluster
       const clusterRadius = 2.5;
-      const treeAngle = Math.random() * Math.PI * 2;
-      const treeDistance = 1 + Math.random() * clusterRadius;
+      const treeAngle = worldRandom() * Math.PI * 2;
+      const treeDistance = 1 + worldRandom() * clusterRadius;
       
       const treeX = x + Math.cos(treeAngle) * treeDistance;
       const treeZ = z + Math.sin(treeAngle) * treeDistance;
@@ -141,8 +167,8 @@ function addVegetation(scene) {
   
   for (let i = 0; i < numBushes; i++) {
     // Random position
-    const angle = Math.random() * Math.PI * 2;
-    const distance = Math.random() * 45; // Bushes within 45 units from center
+    const angle = worldRandom() * Math.PI * 2;
+    const distance = worldRandom() * 45; // Bushes within 45 units from center
     
     const x = Math.cos(angle) * distance;
     const z = Math.sin(angle) * distance;
@@ -164,8 +190,8 @@ function createTree(parent, x, z) {
   treeGroup.position.set(x, 0, z);
   
   // Add trunk
-  const trunkHeight = 1.5 + Math.random() * 1.5; // 1.5-3.0 units tall
-  const trunkRadius = 0.2 + Math.random() * 0.1; // 0.2-0.3 units thick
+  const trunkHeight = 1.5 + worldRandom() * 1.5; // 1.5-3.0 units tall
+  const trunkRadius = 0.2 + worldRandom() * 0.1; // 0.2-0.3 units thick
   
   const trunkGeometry = new THREE.CylinderGeometry(trunkRadius, trunkRadius * 1.2, trunkHeight, 8);
   const trunkMaterial = new THREE.MeshStandardMaterial({
@@ -186,7 +212,7 @@ function createTree(parent, x, z) {
   // Add foliage (several parts to create a fuller tree)
   const foliageHeight = trunkHeight * 1.5;
   const foliageBottom = trunkHeight * 0.8; // Overlap with trunk
-  const foliageRadius = 1.0 + Math.random() * 0.5; // 1.0-1.5 units wide
+  const foliageRadius = 1.0 + worldRandom() * 0.5; // 1.0-1.5 units wide
   
   // Main foliage cone
   const foliageGeometry = new THREE.ConeGeometry(foliageRadius, foliageHeight, 8);
@@ -217,7 +243,7 @@ function createTree(parent, x, z) {
     
     smallerFoliage.position.set(
       Math.cos(angleOffset) * radialDistance,
-      foliageBottom + smallerHeight / 2 + (Math.random() * 0.5),
+      foliageBottom + smallerHeight / 2 + (worldRandom() * 0.5),
       Math.sin(angleOffset) * radialDistance
     );
     
@@ -266,18 +292,18 @@ function createBush(parent, x, z) {
   bushGroup.add(mainBush);
   
   // Add additional parts
-  const bushSegments = 3 + Math.floor(Math.random() * 2); // 3-4 segments
+  const bushSegments = 3 + Math.floor(worldRandom() * 2); // 3-4 segments
   
   for (let i = 0; i < bushSegments; i++) {
     const segment = mainBush.clone();
     
     // Random scaling
-    const scale = 0.6 + Math.random() * 0.4; // 0.6-1.0 scale
+    const scale = 0.6 + worldRandom() * 0.4; // 0.6-1.0 scale
     segment.scale.set(scale, scale * 0.5, scale);
     
     // Position
     const angle = (i / bushSegments) * Math.PI * 2;
-    const distance = 0.2 + Math.random() * 0.2; // 0.2-0.4 distance from center
+    const distance = 0.2 + worldRandom() * 0.2; // 0.2-0.4 distance from center
     
     segment.position.x = Math.cos(angle) * distance;
     segment.position.z = Math.sin(angle) * distance;
@@ -301,14 +327,15 @@ function createBush(parent, x, z) {
  */
 function addTerrainVariation(scene) {
   // Add a few hills
+  hills = [];
   for (let i = 0; i < 5; i++) {
-    const angle = Math.random() * Math.PI * 2;
-    const distance = Math.random() * 30 + 10;
+    const angle = worldRandom() * Math.PI * 2;
+    const distance = worldRandom() * 30 + 10;
     const x = Math.cos(angle) * distance;
     const z = Math.sin(angle) * distance;
     
-    const hillSize = 4 + Math.random() * 6;
-    const hillHeight = 1.5 + Math.random() * 2.5;
+    const hillSize = 4 + worldRandom() * 6;
+    const hillHeight = 1.5 + worldRandom() * 2.5;
     
     const hillGeometry = new THREE.ConeGeometry(hillSize, hillHeight, 8);
     const hillMaterial = new THREE.MeshStandardMaterial({
@@ -319,8 +346,30 @@ function addTerrainVariation(scene) {
     hill.position.set(x, 0, z);
     hill.castShadow = true;
     hill.receiveShadow = true;
+    
+    // Hills can be walked over but still block line of sight
+    hill.userData.isHill = true;
+    hill.userData.blocksLineOfSight = true;
+    
     scene.add(hill);
+    hills.push({ x, z, radius: hillSize, height: hillHeight });
+  }
+}
+
+/**
+ * Gets the height of the ground at a point - the flat island, or the slope of a hill
+ * @param {number} x - World X position
+ * @param {number} z - World Z position
+ * @returns {number} - Ground height
+ */
+export function getTerrainHeight(x, z) {
+  let height = 0;
+  for (const hill of hills) {
+    // The cone is centred on the ground, so only its top half stands above it
+    const distance = Math.hypot(x - hill.x, z - hill.z);
+    height = Math.max(height, hill.height / 2 - hill.height * distance / hill.radius);
   }
+  return height;
 }
 
 /**
@@ -435,7 +484,7 @@ function addSandbags(parent) {
     const z = Math.sin(angle) * radius;
     
     // Stack 2-3 layers of sandbags
-    const height = 1 + Math.floor(Math.random() * 2);
+    const height = 1 + Math.floor(worldRandom() * 2);
     for (let j = 0; j < height; j++) {
       const sandbag = new THREE.Mesh(sandBagGeometry, sandBagMaterial);
       // Alternate positions for stacking
@@ -447,4 +496,46 @@ function addSandbags(parent) {
       parent.add(sandbag);
     }
   }
-} 
\ No newline at end of file
+} 
+/**
+ * Creates a sandbag emplacement the player bought in the armory
+ * @param {THREE.Scene} scene - The scene to add the emplacement to
+ * @param {Object} emplacement - Where it stands ({ x, z, rotation })
+ * @returns {THREE.Group} - The emplacement
+ */
+export function createSandbagEmplacement(scene, emplacement) {
+  const group = new THREE.Group();
+  group.position.set(emplacement.x, 0, emplacement.z);
+  group.rotation.y = emplacement.rotation;
+  
+  const sandBagGeometry = new THREE.BoxGeometry(0.8, 0.4, 0.4);
+  const sandBagMaterial = new THREE.MeshStandardMaterial({
+    color: 0xC8A878, // Fresh tan, lighter than the weathered bunker bags
+    roughness: 1.0
+  });
+  
+  // A shallow arc of bags three layers high, curving round toward the player
+  const bagsPerLayer = 4;
+  for (let layer = 0; layer < 3; layer++) {
+    // Alternate layers are offset half a bag so the joins don't line up
+    const offset = layer % 2 === 0 ? 0 : 0.4;
+    const count = layer % 2 === 0 ? bagsPerLayer : bagsPerLayer - 1;
+    for (let i = 0; i < count; i++) {
+      const x = -1.2 + offset + i * 0.8;
+      const sandbag = new THREE.Mesh(sandBagGeometry, sandBagMaterial);
+      sandbag.position.set(x, 0.2 + layer * 0.4, -0.15 * x * x);
+      sandbag.rotation.y = Math.atan(0.3 * x);
+      sandbag.castShadow = true;
+      sandbag.receiveShadow = true;
+      group.add(sandbag);
+    }
+  }
+  
+  // Solid cover for movement, pathfinding and line of sight
+  group.userData.collidable = true;
+  group.userData.collisionRadius = 1.2;
+  group.userData.isEmplacement = true;
+  
+  scene.add(group);
+  return group;
+}
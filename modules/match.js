@@ -0,0 +1,861 @@
+/**
+ * Match module - the rules of a match, shared by game.js and the headless simulation: shooting,
+ * hits on enemies, vehicles and the player, explosions, pickups and the wave cycle. Whoever runs
+ * the match passes in hooks for what the player sees and hears (hit markers, sounds, messages);
+ * the simulation leaves most of them out.
+ */
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
+import { triggerShootAnimation, updatePlayerWeapon, triggerReloadAnimation, cancelReloadAnimation } from './player.js';
+import { spawnWave, spawnBoats, triggerEnemyHitAnimation, dismemberEnemyPart, triggerEnemyDeathAnimation, createEnemyDrops, createSmallBloodPool } from './enemies.js';
+import { hasLineOfSight } from './enemyAI.js';
+import { createProjectile, createAmmoPickup, updateAmmoPickups } from './projectiles.js';
+import { WEAPON_CONFIG, updateWeaponPickups, updateWeaponAmmoPickups } from './weapons.js';
+import { createGrenade, solveThrowVelocity, clearGrenades, GRENADE_TYPES, MAX_THROW_DISTANCE } from './grenades.js';
+import { spawnBossVehicle, raycastVehicles, damageVehicleZone, damageVehiclesInBlast, clearBossVehicles, createSupplyCrate, updateSupplyCrates } from './vehicles.js';
+import { getWaveDefinition, WAVE_EVENT_TYPES } from './waveDefinitions.js';
+import { evaluateWave, applyDirector } from './director.js';
+import { getWaveWarBonds } from './armory.js';
+import { MODIFIERS, isPerkMilestone, rollPerkChoices } from './perks.js';
+import { updateMedicalPickups, clearMedicalPickups, MEDICAL_ITEMS, MEDKIT_HEAL } from './medical.js';
+import { HIT_ZONE_CONFIG } from './injuries.js';
+import { STANCE_CONFIG } from './stances.js';
+import { RANDOM_STREAMS, getRandomStream } from './random.js';
+
+// Random streams - shot scatter, drop rolls and dismemberment
+const aiRandom = getRandomStream(RANDOM_STREAMS.AI);
+const lootRandom = getRandomStream(RANDOM_STREAMS.LOOT);
+const combatRandom = getRandomStream(RANDOM_STREAMS.COMBAT);
+
+// Gameplay constants - the defaults, overridden per run by configureGameplay() for balance sweeps
+export const GAMEPLAY_DEFAULTS = {
+  ENEMY_SPAWN_RADIUS: 40,
+  MAX_ENEMIES: 20,
+  BASE_ENEMY_HEALTH: 2,
+  BASE_ENEMY_SPEED: 0.15,
+  PLAYER_DAMAGE: 1,
+  AMMO_DROP_CHANCE: 0.4, // 40% chance of ammo drop on enemy kill
+  AMMO_DROP_AMOUNT: 10,
+  DISMEMBERMENT_CHANCE: 0.7, // Chance of dismemberment on hit (70%)
+  GRENADE_DAMAGE_MULTIPLIER: 2, // Grenade damage at the edge of the lethal radius, relative to a rifle hit
+  GRENADE_PLAYER_DAMAGE: 60, // Damage to the player standing on top of a grenade
+  ENEMY_BULLET_DAMAGE: 8, // Damage of an enemy rifle bullet to the player's torso
+  AIM_SPREAD_MULTIPLIER: 0.4, // Shot spread while aiming down the sights
+  SCOPED_SPREAD_MULTIPLIER: 0.1, // Shot spread while looking through a scope
+  GRENADE_COVER_PROTECTION: 0.25, // Fraction of blast damage that gets through cover
+  SUPPLY_CRATE_HEALTH: 50, // Health restored by a destroyed vehicle's supply crate
+  SUPPLY_CRATE_AMMO: 40, // Rounds in a supply crate
+  SUPPLY_CRATE_GRENADES: 3, // Grenades in a supply crate
+  ARMORY_OPEN_DELAY: 3000, // Milliseconds the wave completed message shows before the armory opens
+  INTERMISSION_DURATION: 30 // Seconds of shopping before the next wave starts on its own
+};
+let gameplay = { ...GAMEPLAY_DEFAULTS };
+
+// Constants for headshots
+const HEAD_HIT_RADIUS = 0.45; // Distance from the middle of the head that a helmet and face cover
+const HEADSHOT_GRAZE_REACH = 0.3; // How far each whole extra headshot damage multiple stretches the head past its edge
+
+/**
+ * Sets the gameplay constants, falling back to the defaults for anything left out
+ * @param {Object} overrides - Values by GAMEPLAY_DEFAULTS name
+ */
+export function configureGameplay(overrides) {
+  gameplay = { ...GAMEPLAY_DEFAULTS, ...(overrides || {}) };
+}
+
+/**
+ * Sets up a match's state and points the window hooks the modules call (window.handleEnemyHit,
+ * window.damagePlayer) at it - only one match runs at a time
+ * @param {Object} options - Match options
+ * @param {THREE.Scene} options.scene - The scene
+ * @param {GameState} options.gameState - The game state
+ * @param {THREE.Object3D} options.player - The player
+ * @param {Object} options.hooks - Presentation callbacks by name (onEnemyHit, onShotFired, ...), all optional
+ * @returns {Object} - The match
+ */
+export function createMatch(options) {
+  const { scene, gameState, player, hooks = {} } = options;
+  
+  const match = {
+    scene: scene,
+    gameState: gameState,
+    player: player,
+    hooks: hooks,
+    enemies: [],
+    projectiles: [],
+    enemyProjectiles: [],
+    ammoPickups: [],
+    weaponPickups: [],
+    weaponAmmoPickups: [],
+    grenades: [],
+    medicalPickups: [], // Medkits and field dressings dropped by enemies
+    bossVehicles: [], // Armored vehicles landed on boss waves
+    supplyCrates: [], // Special drops from destroyed vehicles
+    waveDefinition: null, // Definition of the wave being fought
+    waveEventFired: false,
+    armoryOpensAt: null, // Simulation time (ms) the armory opens after a wave is cleared
+    isIntermission: false, // Armory open between waves
+    intermissionTimeLeft: 0,
+    lastWaveWarBonds: 0, // War bonds earned by the wave just cleared
+    perkChoices: [], // Perks offered for clearing a milestone wave, waiting for the player to pick one
+    lastFireTime: 0
+  };
+  
+  window.handleEnemyHit = (enemy, hitPoint, hitDirection, bodyPart, hitOptions) =>
+    handleEnemyHit(match, enemy, hitPoint, hitDirection, bodyPart, hitOptions);
+  window.damagePlayer = (amount) => damagePlayer(match, amount);
+  
+  return match;
+}
+
+/**
+ * Removes everything a match has put in the scene and resets it for a fresh start
+ * @param {Object} match - The match
+ */
+export function clearMatch(match) {
+  const scene = match.scene;
+  for (const entity of [...match.enemies, ...match.projectiles, ...match.ammoPickups,
+    ...match.weaponPickups, ...match.weaponAmmoPickups, ...match.supplyCrates]) {
+    if (entity.object) scene.remove(entity.object);
+  }
+  clearMedicalPickups(match.medicalPickups, scene);
+  clearGrenades(match.grenades, scene);
+  clearBossVehicles(match.bossVehicles, scene);
+  
+  match.enemies = [];
+  match.projectiles = [];
+  match.enemyProjectiles = [];
+  match.ammoPickups = [];
+  match.weaponPickups = [];
+  match.weaponAmmoPickups = [];
+  match.grenades = [];
+  match.medicalPickups = [];
+  match.bossVehicles = [];
+  match.supplyCrates = [];
+  match.waveDefinition = null;
+  match.waveEventFired = false;
+  match.armoryOpensAt = null;
+  match.isIntermission = false;
+  match.intermissionTimeLeft = 0;
+  match.lastWaveWarBonds = 0;
+  match.perkChoices = [];
+  match.lastFireTime = 0;
+}
+
+/**
+ * Calls one of the match's presentation hooks, if it has it
+ * @param {Object} match - The match
+ * @param {string} name - Hook name
+ * @param {...*} args - Arguments for the hook
+ * @returns {*} - What the hook returned
+ */
+function notify(match, name, ...args) {
+  const hook = match.hooks[name];
+  return typeof hook === 'function' ? hook(...args) : undefined;
+}
+
+/**
+ * Finds where the player's shots leave the barrel
+ * @param {THREE.Object3D} player - The player
+ * @returns {THREE.Vector3} - Muzzle position
+ */
+export function getMuzzlePosition(player) {
+  const gunPosition = new THREE.Vector3();
+  player.userData.weaponGroup.getWorldPosition(gunPosition);
+  gunPosition.y += 0.1; // Adjust to barrel position
+  return gunPosition;
+}
+
+/**
+ * Fires the current weapon, if it is ready, reloading automatically when the magazine runs dry
+ * @param {Object} match - The match
+ * @param {THREE.Vector3} gunPosition - Muzzle position, from getMuzzlePosition()
+ * @param {THREE.Vector3} aimDirection - Where the player is aiming, before the weapon's spread
+ * @returns {boolean} - Whether a shot was fired
+ */
+export function fireWeapon(match, gunPosition, aimDirection) {
+  const gameState = match.gameState;
+  const player = match.player;
+  if (gameState.isGameOver) return false;
+  
+  // Can't fire while a fresh magazine is being loaded or a dressing is being applied
+  if (gameState.isReloading || gameState.isBandaging) return false;
+  
+  if (gameState.getCurrentAmmo() <= 0) {
+    reloadWeapon(match);
+    return false;
+  }
+  
+  // Don't shoot faster than the weapon allows - timed by the simulation clock
+  const now = gameState.simTime * 1000;
+  const weaponConfig = WEAPON_CONFIG[gameState.currentWeapon];
+  const fireInterval = gameState.modifiers.apply(MODIFIERS.FIRE_INTERVAL, weaponConfig ? weaponConfig.fireRate : 200);
+  if (now - match.lastFireTime < fireInterval) return false;
+  match.lastFireTime = now;
+  
+  gameState.useAmmo(1);
+  gameState.recordShot();
+  
+  // Scatter the shot by the weapon's spread, tightened by crouching or going prone and by aiming down the sights
+  const direction = aimDirection.clone().normalize();
+  let aimSpreadMultiplier = 1;
+  if (gameState.isScopedIn()) {
+    aimSpreadMultiplier = gameplay.SCOPED_SPREAD_MULTIPLIER;
+  } else if (gameState.isAimingDownSights()) {
+    aimSpreadMultiplier = gameplay.AIM_SPREAD_MULTIPLIER;
+  }
+  const spread = weaponConfig.spread * STANCE_CONFIG[player.userData.stance].spreadMultiplier * aimSpreadMultiplier;
+  if (spread > 0) {
+    direction.x += (aiRandom() - 0.5) * 2 * spread;
+    direction.y += (aiRandom() - 0.5) * 2 * spread;
+    direction.z += (aiRandom() - 0.5) * 2 * spread;
+    direction.normalize();
+  }
+  
+  notify(match, 'onShotFired', weaponConfig, gunPosition, direction);
+  
+  // Last round fired - start reloading right away
+  if (gameState.getCurrentAmmo() === 0) {
+    reloadWeapon(match);
+  }
+  
+  triggerShootAnimation(player);
+  
+  // Armor between the player and the enemy takes the round instead
+  const hit = findEnemyHit(match, gunPosition, direction);
+  const vehicleHit = raycastVehicles(match.bossVehicles, gunPosition, direction);
+  if (vehicleHit && (!hit || vehicleHit.distance < hit.distance)) {
+    handleVehicleHit(match, vehicleHit, weaponConfig);
+  } else if (hit) {
+    const enemy = hit.object.parent.userData.enemyObject || hit.object.userData.parentEnemy;
+    handleEnemyHit(match, enemy, hit.point.clone(), direction, hit.object.userData.bodyPart || 'body');
+  } else {
+    // A miss carries on as a bullet that can still find someone further off
+    match.projectiles.push(createProjectile(match.scene, gunPosition, direction, !gameState.showBulletTracers));
+  }
+  
+  return true;
+}
+
+/**
+ * Casts a shot against every living enemy's meshes
+ * @param {Object} match - The match
+ * @param {THREE.Vector3} origin - Muzzle position
+ * @param {THREE.Vector3} direction - Shot direction
+ * @returns {Object|undefined} - The nearest intersection with an enemy, if any
+ */
+function findEnemyHit(match, origin, direction) {
+  const hitTargets = [];
+  for (const enemy of match.enemies) {
+    if (enemy.isDead || enemy.health <= 0 || !enemy.object) continue;
+    enemy.object.traverse((child) => {
+      if (child.isMesh) {
+        // Store reference back to the enemy object for hit handling
+        child.userData.parentEnemy = enemy;
+        hitTargets.push(child);
+      }
+    });
+  }
+  if (hitTargets.length === 0) return undefined;
+  
+  const raycaster = new THREE.Raycaster(origin, direction);
+  const hit = raycaster.intersectObjects(hitTargets, false)[0];
+  return hit && hit.object.parent && hit.object.parent.userData.isEnemy ? hit : undefined;
+}
+
+/**
+ * Starts reloading the current weapon if possible
+ * @param {Object} match - The match
+ * @returns {boolean} - Whether a reload was started
+ */
+export function reloadWeapon(match) {
+  if (match.gameState.isGameOver || !match.gameState.startReload()) {
+    return false;
+  }
+  
+  triggerReloadAnimation(match.player, match.gameState.getReloadTime());
+  notify(match, 'onReloadStarted');
+  return true;
+}
+
+/**
+ * Works out where a grenade thrown at a point is released and its launch velocity, no further
+ * than the player can throw
+ * @param {THREE.Object3D} player - The player
+ * @param {THREE.Vector3} target - Point on the ground to throw at
+ * @returns {Object} - { origin, velocity } for the throw
+ */
+export function getGrenadeThrow(player, target) {
+  // Release from above the player's right shoulder
+  const origin = new THREE.Vector3(0.4, 1.8, 0)
+    .applyAxisAngle(new THREE.Vector3(0, 1, 0), player.rotation.y)
+    .add(player.position);
+  
+  // Clamp to the maximum throwing distance
+  const landing = new THREE.Vector3(target.x, 0, target.z);
+  const offset = new THREE.Vector3(landing.x - player.position.x, 0, landing.z - player.position.z);
+  if (offset.length() > MAX_THROW_DISTANCE) {
+    offset.setLength(MAX_THROW_DISTANCE);
+    landing.set(player.position.x + offset.x, 0, player.position.z + offset.z);
+  }
+  
+  return {
+    origin: origin,
+    velocity: solveThrowVelocity(origin, landing)
+  };
+}
+
+/**
+ * Throws one of the player's grenades at a point on the ground
+ * @param {Object} match - The match
+ * @param {THREE.Vector3} target - Where to throw it
+ * @returns {boolean} - Whether a grenade was thrown
+ */
+export function throwGrenade(match, target) {
+  if (match.gameState.isGameOver || !match.gameState.useGrenade()) return false;
+  
+  const { origin, velocity } = getGrenadeThrow(match.player, target);
+  match.grenades.push(createGrenade(match.scene, origin, velocity, {
+    type: GRENADE_TYPES.FRAG,
+    owner: 'player'
+  }));
+  return true;
+}
+
+/**
+ * Handles an enemy being hit by a bullet or blast - damage by body part, kills, drops and dismemberment
+ * @param {Object} match - The match
+ * @param {Object} enemy - The enemy that was hit
+ * @param {THREE.Vector3} hitPoint - World position of the hit
+ * @param {THREE.Vector3} hitDirection - Direction the hit travelled
+ * @param {string} bodyPart - Body part that was hit
+ * @param {Object} options - Optional hit modifiers
+ * @param {number} options.damageMultiplier - Scales the body part damage (default 1)
+ * @param {number} options.dismemberChance - Overrides DISMEMBERMENT_CHANCE
+ * @param {boolean} options.isExplosion - Blast hits never count as headshots
+ * @returns {boolean} - Whether the hit was a headshot
+ */
+export function handleEnemyHit(match, enemy, hitPoint, hitDirection, bodyPart, options = {}) {
+  const gameState = match.gameState;
+  const scene = match.scene;
+  const {
+    damageMultiplier = 1,
+    dismemberChance = gameplay.DISMEMBERMENT_CHANCE,
+    isExplosion = false
+  } = options;
+  const direction = hitDirection instanceof THREE.Vector3 ? hitDirection.clone() : new THREE.Vector3(0, 0, -1);
+  
+  // Bullet hits count toward the player's accuracy
+  if (!isExplosion) {
+    gameState.recordHit();
+    
+    // Extra headshot damage carries into rounds that only clip the collar under the helmet
+    if (bodyPart === 'body' && isGrazingHeadshot(gameState, enemy, hitPoint)) {
+      bodyPart = 'head';
+    }
+  }
+  
+  // Different damage amounts for different body parts
+  let damage = gameplay.PLAYER_DAMAGE * 25; // Legs, and anything else
+  let isHeadshot = false;
+  switch (bodyPart) {
+    case 'head':
+      damage = gameplay.PLAYER_DAMAGE * 100; // Instant kill for headshot
+      isHeadshot = !isExplosion;
+      if (isHeadshot) {
+        damage = gameState.modifiers.apply(MODIFIERS.HEADSHOT_DAMAGE, damage);
+      }
+      
+      // 40% chance the head comes off, leaving a blood pool
+      if (combatRandom() < 0.4 && dismemberEnemyPart(enemy, scene, 'head', hitPoint, direction)) {
+        const worldPosition = new THREE.Vector3();
+        enemy.object.getWorldPosition(worldPosition);
+        worldPosition.y = 0.02; // Place slightly above ground
+        createSmallBloodPool(scene, worldPosition, 'head');
+      }
+      break;
+    case 'body':
+      damage = gameplay.PLAYER_DAMAGE * 50;
+      break;
+    case 'leftArm':
+    case 'rightArm':
+      damage = gameplay.PLAYER_DAMAGE * 30;
+      break;
+  }
+  
+  // Scale damage for explosions and other special hits
+  damage *= damageMultiplier;
+  
+  enemy.health -= damage;
+  triggerEnemyHitAnimation(enemy);
+  notify(match, 'onEnemyHit', enemy, bodyPart, isHeadshot);
+  
+  if (enemy.health <= 0 && !enemy.isDead) {
+    enemy.isDead = true;
+    enemy.deadTime = 0;
+    enemy.removalDelay = 10; // Remove after 10 seconds
+    gameState.recordKill(isHeadshot);
+    if (gameState.enemiesRemainingInWave > 0) {
+      gameState.enemiesRemainingInWave--;
+    }
+    triggerEnemyDeathAnimation(enemy, scene, isHeadshot);
+    gameState.score += isHeadshot ? 150 : 100;
+    
+    // Drop ammo with configured chance (adjusted by the director), and officers always drop elite loot
+    const dropRate = getDropRate(match);
+    if (lootRandom() < gameplay.AMMO_DROP_CHANCE * dropRate) {
+      match.ammoPickups.push(createAmmoPickup(scene, enemy.object.position.clone(), gameplay.AMMO_DROP_AMOUNT));
+    }
+    const isElite = isHeadshot || !!(enemy.archetype && enemy.archetype.elite);
+    addDrops(match, createEnemyDrops(scene, enemy.object.position, gameState.wave, isElite, dropRate));
+    
+    notify(match, 'onEnemyKilled', enemy, isHeadshot);
+  }
+  
+  // Apply dismemberment with random chance, unless the part is already off (the head roll above included)
+  // or a headshot has already had its roll for the head
+  const isDetached = !!enemy.userData.dismemberedParts[bodyPart];
+  if (!isDetached && (!isHeadshot || bodyPart !== 'head') && combatRandom() < dismemberChance) {
+    dismemberEnemyPart(enemy, scene, bodyPart, hitPoint, direction);
+  }
+  
+  return isHeadshot;
+}
+
+/**
+ * Checks whether a body hit lands close enough under the head to count as a headshot. Without
+ * extra headshot damage the head is only as big as its own hit box.
+ * @param {GameState} gameState - The game state, for the headshot damage modifier
+ * @param {Object} enemy - The enemy that was hit
+ * @param {THREE.Vector3} hitPoint - World position of the hit
+ * @returns {boolean} - True if the hit counts as a headshot
+ */
+function isGrazingHeadshot(gameState, enemy, hitPoint) {
+  const head = enemy.userData && enemy.userData.head;
+  if (!head || enemy.userData.dismemberedParts.head || !(hitPoint instanceof THREE.Vector3)) return false;
+  
+  const extraDamage = gameState.modifiers.apply(MODIFIERS.HEADSHOT_DAMAGE, 1) - 1;
+  if (extraDamage <= 0) return false;
+  
+  const headPosition = new THREE.Vector3();
+  head.getWorldPosition(headPosition);
+  return hitPoint.distanceTo(headPosition) <= HEAD_HIT_RADIUS + extraDamage * HEADSHOT_GRAZE_REACH;
+}
+
+/**
+ * Applies a bullet hit to a boss vehicle
+ * @param {Object} match - The match
+ * @param {Object} vehicleHit - Hit from raycastVehicles: { vehicle, zone, point, distance }
+ * @param {Object} weaponConfig - Config of the weapon that fired
+ */
+function handleVehicleHit(match, vehicleHit, weaponConfig) {
+  const gameState = match.gameState;
+  const vehicle = vehicleHit.vehicle;
+  const wasImmobilized = vehicle.isImmobilized;
+  const weaponDamage = weaponConfig ?
+    weaponConfig.damage * gameState.getArmorDamageMultiplier(weaponConfig.id) : 1;
+  const destroyed = damageVehicleZone(vehicle, vehicleHit.zone, weaponDamage, match.scene);
+  gameState.recordHit();
+  
+  notify(match, 'onVehicleHit', vehicleHit, !wasImmobilized && vehicle.isImmobilized);
+  if (destroyed) {
+    handleVehicleDestroyed(match, vehicle);
+  }
+}
+
+/**
+ * Awards the score bonus and special drop for a destroyed boss vehicle
+ * @param {Object} match - The match
+ * @param {Object} vehicle - The destroyed vehicle
+ */
+function handleVehicleDestroyed(match, vehicle) {
+  const gameState = match.gameState;
+  gameState.score += vehicle.stats.scoreBonus;
+  
+  // Supply crate plus guaranteed elite loot from the crew, either side of the wreck
+  const cratePosition = vehicle.object.position.clone();
+  cratePosition.x += 3;
+  match.supplyCrates.push(createSupplyCrate(match.scene, cratePosition));
+  const lootPosition = vehicle.object.position.clone();
+  lootPosition.x -= 3;
+  addDrops(match, createEnemyDrops(match.scene, lootPosition, gameState.wave, true, getDropRate(match)));
+  
+  // The vehicle counts toward clearing the wave
+  if (gameState.enemiesRemainingInWave > 0) {
+    gameState.enemiesRemainingInWave--;
+  }
+  
+  notify(match, 'onVehicleDestroyed', vehicle);
+}
+
+/**
+ * Adds an enemy's or vehicle's drops to the pickups
+ * @param {Object} match - The match
+ * @param {Object} drops - { weaponPickups, weaponAmmoPickups, medicalPickups } from createEnemyDrops()
+ */
+function addDrops(match, drops) {
+  match.weaponPickups = match.weaponPickups.concat(drops.weaponPickups);
+  match.weaponAmmoPickups = match.weaponAmmoPickups.concat(drops.weaponAmmoPickups);
+  match.medicalPickups = match.medicalPickups.concat(drops.medicalPickups);
+}
+
+/**
+ * Gets the director's drop chance multiplier for the current wave
+ * @param {Object} match - The match
+ * @returns {number} - Multiplier on ammo and weapon drop chances
+ */
+function getDropRate(match) {
+  return (match.waveDefinition && match.waveDefinition.dropRate) || 1;
+}
+
+/**
+ * Applies blast damage when a grenade or tank shell detonates
+ * @param {Object} match - The match
+ * @param {THREE.Vector3} position - Center of the explosion
+ * @param {Object} grenade - The grenade (or shell) that exploded
+ */
+export function handleExplosion(match, position, grenade) {
+  notify(match, 'onExplosion', position, grenade);
+  
+  // Damage every living enemy within the blast radius
+  for (const enemy of [...match.enemies]) {
+    if (enemy.isDead || !enemy.object || (enemy.boat && !enemy.disembarked)) continue;
+    
+    const enemyPosition = enemy.object.position;
+    const distance = Math.hypot(enemyPosition.x - position.x, enemyPosition.z - position.z);
+    if (distance > grenade.blastRadius) continue;
+    
+    // Full damage inside the lethal radius, falling off to nothing at the blast radius
+    const falloff = 1 - Math.max(0, distance - grenade.lethalRadius) / (grenade.blastRadius - grenade.lethalRadius);
+    
+    // The body part closest to the blast takes the hit
+    const { bodyPart, hitPoint } = getClosestBodyPart(enemy, position);
+    handleEnemyHit(match, enemy, hitPoint, new THREE.Vector3().subVectors(hitPoint, position).normalize(), bodyPart, {
+      damageMultiplier: gameplay.GRENADE_DAMAGE_MULTIPLIER * falloff,
+      dismemberChance: distance <= grenade.lethalRadius ? 1 : gameplay.DISMEMBERMENT_CHANCE * falloff,
+      isExplosion: true
+    });
+  }
+  
+  // Blasts against armor - a vehicle's own shells never land on it
+  if (grenade.owner !== 'vehicle') {
+    for (const vehicle of damageVehiclesInBlast(match.bossVehicles, position, grenade.blastRadius, match.scene)) {
+      handleVehicleDestroyed(match, vehicle);
+    }
+  }
+  
+  // Damage the player, reduced if they are behind cover
+  const playerTorso = match.player.position.clone();
+  playerTorso.y += 1.0;
+  const playerDistance = playerTorso.distanceTo(position);
+  if (playerDistance < grenade.blastRadius && !match.gameState.isGameOver) {
+    const falloff = 1 - Math.max(0, playerDistance - grenade.lethalRadius) / (grenade.blastRadius - grenade.lethalRadius);
+    const blastCenter = position.clone();
+    blastCenter.y += 0.3; // Lift off the ground so the ray doesn't graze it
+    const coverFactor = hasLineOfSight(blastCenter, playerTorso, match.scene) ? 1 : gameplay.GRENADE_COVER_PROTECTION;
+    damagePlayer(match, Math.round((grenade.playerDamage || gameplay.GRENADE_PLAYER_DAMAGE) * falloff * coverFactor));
+  }
+}
+
+/**
+ * Finds the enemy body part nearest to a point
+ * @param {Object} enemy - The enemy
+ * @param {THREE.Vector3} point - Point to measure from
+ * @returns {Object} - { bodyPart, hitPoint } of the nearest attached part
+ */
+function getClosestBodyPart(enemy, point) {
+  let closest = { bodyPart: 'body', hitPoint: enemy.object.position.clone().setY(1.0) };
+  let closestDistance = Infinity;
+  
+  ['head', 'body', 'leftArm', 'rightArm', 'leftLeg', 'rightLeg'].forEach(partName => {
+    const part = enemy.userData[partName];
+    if (!part || enemy.userData.dismemberedParts[partName]) return;
+    
+    const partPosition = new THREE.Vector3();
+    part.getWorldPosition(partPosition);
+    const distance = partPosition.distanceTo(point);
+    if (distance < closestDistance) {
+      closestDistance = distance;
+      closest = { bodyPart: partName, hitPoint: partPosition };
+    }
+  });
+  
+  return closest;
+}
+
+/**
+ * Applies damage to the player
+ * @param {Object} match - The match
+ * @param {number} amount - Damage to apply
+ */
+export function damagePlayer(match, amount) {
+  const gameState = match.gameState;
+  if (!gameState || gameState.isGameOver || amount <= 0) return;
+  
+  gameState.takeDamage(amount, () => notify(match, 'onPlayerKilled'));
+  notify(match, 'onPlayerDamaged', amount);
+}
+
+/**
+ * Applies an enemy bullet to the part of the player it hit
+ * @param {Object} match - The match
+ * @param {string} zone - Zone from PLAYER_HIT_ZONES
+ * @param {number} damageMultiplier - The shooter's damage multiplier
+ */
+export function handlePlayerBulletHit(match, zone, damageMultiplier) {
+  const gameState = match.gameState;
+  if (!gameState || gameState.isGameOver) return;
+  
+  // Head hits hurt most, limbs least - but limbs leave lasting wounds
+  const damage = gameplay.ENEMY_BULLET_DAMAGE * damageMultiplier * HIT_ZONE_CONFIG[zone].damageMultiplier;
+  const startedBleeding = gameState.injure(zone, damage);
+  damagePlayer(match, damage);
+  
+  if (startedBleeding && !gameState.isGameOver) {
+    notify(match, 'onBleedingStarted');
+  }
+  notify(match, 'onPlayerWounded', zone);
+}
+
+/**
+ * Works out the rounds a pickup gives once perks are applied
+ * @param {Object} match - The match
+ * @param {number} amount - Rounds in the pickup
+ * @returns {number} - Rounds the player gets
+ */
+function getPickupAmmo(match, amount) {
+  return Math.round(match.gameState.modifiers.apply(MODIFIERS.AMMO_PICKUP, amount));
+}
+
+/**
+ * Collects the pickups the player walks over - ammo, supply crates, medical items and weapons
+ * @param {Object} match - The match
+ * @param {Object} keyState - Keys held, for picking up weapons
+ */
+export function updatePickups(match, keyState) {
+  const gameState = match.gameState;
+  const player = match.player;
+  const scene = match.scene;
+  const collectAmmo = (droppedAmount, ammoType) => {
+    const amount = getPickupAmmo(match, droppedAmount);
+    gameState.addAmmo(amount, ammoType);
+    notify(match, 'onAmmoCollected', amount, ammoType);
+  };
+  
+  match.ammoPickups = updateAmmoPickups(match.ammoPickups, player, scene, (droppedAmount) => collectAmmo(droppedAmount));
+  
+  // Supply crates dropped by destroyed vehicles
+  if (match.supplyCrates.length > 0) {
+    match.supplyCrates = updateSupplyCrates(match.supplyCrates, player, scene, () => {
+      const healed = Math.round(gameState.heal(gameplay.SUPPLY_CRATE_HEALTH));
+      const ammo = getPickupAmmo(match, gameplay.SUPPLY_CRATE_AMMO);
+      gameState.addAmmo(ammo);
+      const grenades = gameState.addGrenades(gameplay.SUPPLY_CRATE_GRENADES);
+      notify(match, 'onSupplyCrateCollected', { healed, ammo, grenades });
+    });
+  }
+  
+  // Medkits and field dressings - left where they are at full health, or with no room in the pouch
+  if (match.medicalPickups.length > 0) {
+    match.medicalPickups = updateMedicalPickups(match.medicalPickups, player, scene, (type) => {
+      let healed = 0;
+      if (type === MEDICAL_ITEMS.MEDKIT) {
+        if (gameState.health >= 100) return false;
+        healed = Math.round(gameState.heal(MEDKIT_HEAL));
+      } else {
+        if (!gameState.canCarryFieldDressing()) return false;
+        gameState.addFieldDressings(1);
+      }
+      notify(match, 'onMedicalCollected', type, healed);
+      return true;
+    });
+  }
+  
+  if (match.weaponPickups.length > 0) {
+    match.weaponPickups = updateWeaponPickups(match.weaponPickups, player, scene, (weaponType) => {
+      gameState.collectWeapon(weaponType);
+      cancelReloadAnimation(player);
+      updatePlayerWeapon(player, weaponType);
+      notify(match, 'onWeaponCollected', weaponType);
+    }, keyState);
+  }
+  
+  if (match.weaponAmmoPickups.length > 0) {
+    match.weaponAmmoPickups = updateWeaponAmmoPickups(match.weaponAmmoPickups, player, scene, collectAmmo);
+  }
+}
+
+/**
+ * Clears the last wave away and sets up the next - its number, and its definition as tuned by the
+ * director. The enemies land with spawnWaveEnemies(), once the wave has been announced.
+ * @param {Object} match - The match
+ * @returns {Object} - The wave's definition
+ */
+export function prepareNextWave(match) {
+  const gameState = match.gameState;
+  const scene = match.scene;
+  
+  // Clear any remaining enemies, last boss wave's wrecks and any uncollected supply crates
+  for (const enemy of match.enemies) {
+    if (enemy.object) scene.remove(enemy.object);
+  }
+  match.enemies = [];
+  clearBossVehicles(match.bossVehicles, scene);
+  match.bossVehicles = [];
+  for (const crate of match.supplyCrates) {
+    scene.remove(crate.object);
+  }
+  match.supplyCrates = [];
+  
+  // Increment wave and update difficulty
+  gameState.nextWave();
+  
+  // Look up the wave's boats, modifiers and events, and let the director tune it to the player
+  const definition = applyDirector(getWaveDefinition(gameState.wave, gameplay.MAX_ENEMIES));
+  match.waveDefinition = definition;
+  match.waveEventFired = false;
+  return definition;
+}
+
+/**
+ * Lands the prepared wave's enemies and starts the wave
+ * @param {Object} match - The match
+ */
+export function spawnWaveEnemies(match) {
+  const gameState = match.gameState;
+  const definition = match.waveDefinition;
+  
+  match.enemies.push(...spawnWave(match.scene, definition, gameplay.ENEMY_SPAWN_RADIUS,
+    gameplay.BASE_ENEMY_HEALTH, gameplay.BASE_ENEMY_SPEED));
+  
+  // Boss waves bring armor in a landing craft
+  if (definition.vehicle) {
+    match.bossVehicles.push(spawnBossVehicle(match.scene, gameState.wave, definition.vehicle));
+  }
+  
+  // Set the initial enemy count for this wave (a vehicle counts as one)
+  gameState.enemiesRemainingInWave = match.enemies.length + match.bossVehicles.length;
+  gameState.startWaveStats(gameState.wave, gameState.enemiesRemainingInWave);
+  gameState.isWaveActive = true;
+}
+
+/**
+ * Runs the wave cycle for a step - the wave's scripted event, clearing the wave, opening the
+ * armory and counting down the intermission to the next wave
+ * @param {Object} match - The match
+ * @param {number} deltaTime - Length of the step in seconds
+ */
+export function updateWaveCycle(match, deltaTime) {
+  const gameState = match.gameState;
+  
+  if (gameState.isWaveActive) {
+    gameState.waveStats.time += deltaTime;
+    updateWaveEvent(match);
+    
+    // The wave is over once the enemy counter runs out
+    if (gameState.enemiesRemainingInWave === 0) {
+      completeWave(match);
+    }
+  }
+  
+  if (match.armoryOpensAt !== null) {
+    // Open the armory once the wave completed message has been read
+    if (gameState.simTime * 1000 >= match.armoryOpensAt) {
+      match.armoryOpensAt = null;
+      startIntermission(match);
+    }
+  } else if (match.isIntermission && match.perkChoices.length === 0) {
+    // Count down to the next wave - the clock waits while the player picks a perk
+    match.intermissionTimeLeft -= deltaTime;
+    if (match.intermissionTimeLeft <= 0) {
+      endIntermission(match);
+    } else {
+      notify(match, 'onIntermissionTick', match.intermissionTimeLeft);
+    }
+  }
+}
+
+/**
+ * Triggers the current wave's scripted event when its time comes
+ * @param {Object} match - The match
+ */
+function updateWaveEvent(match) {
+  const gameState = match.gameState;
+  const definition = match.waveDefinition;
+  const event = definition && definition.event;
+  if (!event || match.waveEventFired || gameState.waveStats.time < event.time) return;
+  match.waveEventFired = true;
+  
+  if (event.type === WAVE_EVENT_TYPES.REINFORCEMENTS) {
+    const newEnemies = spawnBoats(match.scene, definition, event.boats, gameplay.ENEMY_SPAWN_RADIUS,
+      gameplay.BASE_ENEMY_HEALTH, gameplay.BASE_ENEMY_SPEED);
+    match.enemies.push(...newEnemies);
+    gameState.enemiesRemainingInWave += newEnemies.length;
+    gameState.waveStats.enemies += newEnemies.length;
+  }
+  notify(match, 'onWaveEvent', event);
+}
+
+/**
+ * Wraps up a cleared wave - the director's verdict, war bonds, perks on offer and the wave's rewards
+ * @param {Object} match - The match
+ */
+function completeWave(match) {
+  const gameState = match.gameState;
+  gameState.isWaveActive = false;
+  
+  // Let the director judge the wave before the completion rewards top the player up
+  evaluateWave(gameState.waveStats, gameState.getTotalReserveAmmo());
+  
+  match.lastWaveWarBonds = getWaveWarBonds(gameState.waveStats, gameState.score);
+  gameState.addWarBonds(match.lastWaveWarBonds);
+  
+  // Milestone waves earn a pick of three perks, offered when the armory opens
+  if (isPerkMilestone(gameState.wave)) {
+    match.perkChoices = rollPerkChoices(gameState);
+  }
+  
+  // Wave completion rewards, using the wave's overrides if it has any
+  const rewards = gameState.restoreWaveCompletion(match.waveDefinition ? match.waveDefinition.rewards : undefined);
+  match.armoryOpensAt = gameState.simTime * 1000 + gameplay.ARMORY_OPEN_DELAY;
+  notify(match, 'onWaveCompleted', rewards);
+}
+
+/**
+ * Opens the armory and starts the countdown to the next wave
+ * @param {Object} match - The match
+ */
+function startIntermission(match) {
+  if (match.gameState.isGameOver || match.gameState.isWaveActive) return;
+  
+  match.isIntermission = true;
+  match.intermissionTimeLeft = gameplay.INTERMISSION_DURATION;
+  notify(match, 'onIntermissionStarted');
+}
+
+/**
+ * Ends the intermission so the next wave can come in - not while a perk is waiting to be picked
+ * @param {Object} match - The match
+ * @returns {boolean} - Whether the intermission ended
+ */
+export function endIntermission(match) {
+  if (!match.isIntermission || match.perkChoices.length > 0) return false;
+  
+  match.isIntermission = false;
+  match.intermissionTimeLeft = 0;
+  notify(match, 'onIntermissionEnded');
+  return true;
+}
+
+/**
+ * Gives the player a perk from the ones on offer, letting the intermission carry on
+ * @param {Object} match - The match
+ * @param {string} perkId - Perk id from the choices on offer
+ * @returns {boolean} - Whether the perk was on offer
+ */
+export function choosePerk(match, perkId) {
+  if (!match.perkChoices.includes(perkId)) return false;
+  
+  match.gameState.addPerk(perkId);
+  match.perkChoices = [];
+  return true;
+}
@@ -0,0 +1,195 @@
+/**
+ * Medical module - medkit and field dressing pickups dropped on the battlefield
+ */
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
+import { RANDOM_STREAMS, getRandomStream } from './random.js';
+
+// Drop rolls and scatter come from the loot stream
+const lootRandom = getRandomStream(RANDOM_STREAMS.LOOT);
+
+// Medical pickup types
+export const MEDICAL_ITEMS = {
+  MEDKIT: 'medkit', // Heals on the spot
+  FIELD_DRESSING: 'field_dressing' // Goes in the player's pack for later
+};
+
+// Constants for drops
+const MEDKIT_DROP_CHANCE = 0.06; // Chance a fallen enemy leaves a medkit
+const FIELD_DRESSING_DROP_CHANCE = 0.1; // Chance a fallen enemy leaves a field dressing
+const ELITE_MEDICAL_MULTIPLIER = 2.5; // Officers and headshot kills drop medical supplies more often
+const MEDICAL_PICKUP_RADIUS = 1.5; // How close the player must walk to collect
+
+// Health restored by a medkit pickup
+export const MEDKIT_HEAL = 35;
+
+/**
+ * Rolls for medical supplies when an enemy falls
+ * @param {THREE.Scene} scene - The scene to add pickups to
+ * @param {THREE.Vector3} position - Where the enemy fell
+ * @param {boolean} isElite - Whether the enemy drops elite loot
+ * @param {number} dropRate - Director's multiplier on drop chances
+ * @returns {Array} - Medical pickups created (usually none)
+ */
+export function rollMedicalDrops(scene, position, isElite = false, dropRate = 1) {
+  const pickups = [];
+  const multiplier = (isElite ? ELITE_MEDICAL_MULTIPLIER : 1) * dropRate;
+  
+  if (lootRandom() < MEDKIT_DROP_CHANCE * multiplier) {
+    pickups.push(createMedicalPickup(scene, getScatteredPosition(position), MEDICAL_ITEMS.MEDKIT));
+  }
+  if (lootRandom() < FIELD_DRESSING_DROP_CHANCE * multiplier) {
+    pickups.push(createMedicalPickup(scene, getScatteredPosition(position), MEDICAL_ITEMS.FIELD_DRESSING));
+  }
+  
+  return pickups;
+}
+
+/**
+ * Creates a floating medical pickup
+ * @param {THREE.Scene} scene - The scene to add the pickup to
+ * @param {THREE.Vector3} position - Where to drop it
+ * @param {string} type - Pickup type from MEDICAL_ITEMS
+ * @returns {Object} - The pickup
+ */
+export function createMedicalPickup(scene, position, type) {
+  const pickupGroup = type === MEDICAL_ITEMS.MEDKIT ? createMedkitModel() : createFieldDressingModel();
+  pickupGroup.position.copy(position);
+  pickupGroup.position.y = 0.3;
+  scene.add(pickupGroup);
+  
+  return {
+    object: pickupGroup,
+    type: type,
+    collected: false,
+    position: position.clone()
+  };
+}
+
+/**
+ * Updates medical pickups and handles collection
+ * @param {Array} medicalPickups - Array of medical pickup objects
+ * @param {THREE.Object3D} player - Player object
+ * @param {THREE.Scene} scene - Scene reference
+ * @param {Function} onCollected - Called with the pickup type; returns false to leave the pickup on the ground
+ * @returns {Array} - Updated medical pickups array
+ */
+export function updateMedicalPickups(medicalPickups, player, scene, onCollected) {
+  // Skip if no pickups
+  if (medicalPickups.length === 0) return medicalPickups;
+  
+  // Get player position (ignore height)
+  const playerPosition = player.position.clone();
+  playerPosition.y = 0;
+  
+  return medicalPickups.filter(pickup => {
+    if (pickup.collected) return false;
+    
+    const pickupPosition = pickup.object.position.clone();
+    pickupPosition.y = 0;
+    
+    // Auto-collect when close, unless the player has no use for it right now
+    if (pickupPosition.distanceTo(playerPosition) < MEDICAL_PICKUP_RADIUS &&
+        (!onCollected || onCollected(pickup.type) !== false)) {
+      scene.remove(pickup.object);
+      pickup.collected = true;
+      return false;
+    }
+    
+    // Animate the pickup (float and rotate)
+    pickup.object.rotation.y += 0.02;
+    pickup.object.position.y = 0.3 + Math.sin(Date.now() / 500) * 0.1;
+    
+    return true;
+  });
+}
+
+/**
+ * Removes every medical pickup from the scene
+ * @param {Array} medicalPickups - Array of medical pickup objects
+ * @param {THREE.Scene} scene - Scene reference
+ */
+export function clearMedicalPickups(medicalPickups, scene) {
+  for (const pickup of medicalPickups) {
+    scene.remove(pickup.object);
+  }
+}
+
+/**
+ * Builds the medkit model - a white tin with a red cross on each face
+ * @returns {THREE.Group} - The model
+ */
+function createMedkitModel() {
+  const group = new THREE.Group();
+  
+  const caseMaterial = new THREE.MeshStandardMaterial({ color: 0xf0f0e8, roughness: 0.6, metalness: 0.3 });
+  const crossMaterial = new THREE.MeshStandardMaterial({ color: 0xcc1111, roughness: 0.6 });
+  
+  const tin = new THREE.Mesh(new THREE.BoxGeometry(0.5, 0.3, 0.35), caseMaterial);
+  tin.castShadow = true;
+  group.add(tin);
+  
+  // Handle on top
+  const handle = new THREE.Mesh(new THREE.TorusGeometry(0.07, 0.015, 6, 12, Math.PI), caseMaterial);
+  handle.position.y = 0.15;
+  group.add(handle);
+  
+  // Red cross on the front and back
+  for (const side of [1, -1]) {
+    const vertical = new THREE.Mesh(new THREE.BoxGeometry(0.07, 0.2, 0.01), crossMaterial);
+    vertical.position.z = side * 0.178;
+    group.add(vertical);
+    
+    const horizontal = new THREE.Mesh(new THREE.BoxGeometry(0.2, 0.07, 0.01), crossMaterial);
+    horizontal.position.z = side * 0.178;
+    group.add(horizontal);
+  }
+  
+  return group;
+}
+
+/**
+ * Builds the field dressing model - a khaki pouch with a rolled bandage strapped on
+ * @returns {THREE.Group} - The model
+ */
+function createFieldDressingModel() {
+  const group = new THREE.Group();
+  
+  const pouch = new THREE.Mesh(
+    new THREE.BoxGeometry(0.3, 0.12, 0.2),
+    new THREE.MeshStandardMaterial({ color: 0x8a7f55, roughness: 0.9 })
+  );
+  pouch.castShadow = true;
+  group.add(pouch);
+  
+  // Rolled bandage on top
+  const bandage = new THREE.Mesh(
+    new THREE.CylinderGeometry(0.06, 0.06, 0.22, 10),
+    new THREE.MeshStandardMaterial({ color: 0xf5f0e0, roughness: 1.0 })
+  );
+  bandage.rotation.z = Math.PI / 2;
+  bandage.position.y = 0.12;
+  group.add(bandage);
+  
+  // Small red cross on the flap
+  const crossMaterial = new THREE.MeshStandardMaterial({ color: 0xcc1111, roughness: 0.6 });
+  const vertical = new THREE.Mesh(new THREE.BoxGeometry(0.03, 0.08, 0.01), crossMaterial);
+  vertical.position.z = 0.103;
+  group.add(vertical);
+  const horizontal = new THREE.Mesh(new THREE.BoxGeometry(0.08, 0.03, 0.01), crossMaterial);
+  horizontal.position.z = 0.103;
+  group.add(horizontal);
+  
+  return group;
+}
+
+/**
+ * Picks a spot near a fallen enemy so drops don't stack
+ * @param {THREE.Vector3} position - Where the enemy fell
+ * @returns {THREE.Vector3} - Drop position
+ */
+function getScatteredPosition(position) {
+  const dropPosition = position.clone();
+  dropPosition.x += (lootRandom() - 0.5) * 0.8;
+  dropPosition.z += (lootRandom() - 0.5) * 0.8;
+  return dropPosition;
+}
@@ -0,0 +1,426 @@
+/**
+ * Navigation module - a walkability grid baked from the island's obstacles, with A* path queries
+ */
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
+
+// Constants for the navigation grid
+const NAV_CELL_SIZE = 1; // World units per grid cell
+const NAV_GRID_EXTENT = 50; // Grid covers -extent..extent on X and Z (the island radius)
+const NAV_WALKABLE_RADIUS = 45; // Cells further from the center than this are sea or surf
+const NAV_AGENT_RADIUS = 0.5; // Obstacles are grown by this much so enemies don't clip them
+const NAV_NEAREST_SEARCH_RADIUS = 8; // Cells searched when snapping a blocked point to open ground
+
+// Step costs for straight and diagonal moves
+const STRAIGHT_COST = 1;
+const DIAGONAL_COST = Math.SQRT2;
+
+// Neighbor offsets for 8-connected movement
+const NEIGHBOR_OFFSETS = [
+  [1, 0], [-1, 0], [0, 1], [0, -1],
+  [1, 1], [1, -1], [-1, 1], [-1, -1]
+];
+
+// The current grid, rebuilt lazily after the environment changes
+let navGrid = null;
+let navGridScene = null;
+let navGridDirty = false;
+
+/**
+ * Bakes the navigation grid from every collidable object in the scene
+ * @param {THREE.Scene} scene - The scene containing the island's obstacles
+ * @returns {Object} - The grid (size, cell flags and a version that increases on every rebuild)
+ */
+export function buildNavGrid(scene) {
+  const size = Math.ceil((NAV_GRID_EXTENT * 2) / NAV_CELL_SIZE);
+  const blocked = new Uint8Array(size * size);
+  
+  // Block the sea around the walkable part of the island
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      const center = cellToWorld(col, row);
+      if (Math.hypot(center.x, center.z) > NAV_WALKABLE_RADIUS) {
+        blocked[row * size + col] = 1;
+      }
+    }
+  }
+  
+  // Block a circle around each obstacle (bushes can be walked through, moving vehicles aren't fixed obstacles)
+  let obstacleCount = 0;
+  const worldPosition = new THREE.Vector3();
+  scene.traverse((object) => {
+    if (!object.userData.collidable || object.userData.isBush || object.userData.isEnemy) return;
+    if (object.userData.isVehicle && !object.userData.isWreck) return;
+    
+    object.getWorldPosition(worldPosition);
+    const radius = (object.userData.collisionRadius || 1.0) + NAV_AGENT_RADIUS;
+    const minCol = Math.max(0, Math.floor((worldPosition.x - radius + NAV_GRID_EXTENT) / NAV_CELL_SIZE));
+    const maxCol = Math.min(size - 1, Math.floor((worldPosition.x + radius + NAV_GRID_EXTENT) / NAV_CELL_SIZE));
+    const minRow = Math.max(0, Math.floor((worldPosition.z - radius + NAV_GRID_EXTENT) / NAV_CELL_SIZE));
+    const maxRow = Math.min(size - 1, Math.floor((worldPosition.z + radius + NAV_GRID_EXTENT) / NAV_CELL_SIZE));
+    
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        const center = cellToWorld(col, row);
+        if (Math.hypot(center.x - worldPosition.x, center.z - worldPosition.z) <= radius) {
+          blocked[row * size + col] = 1;
+        }
+      }
+    }
+    obstacleCount++;
+  });
+  
+  navGrid = {
+    size,
+    blocked,
+    version: navGrid ? navGrid.version + 1 : 1
+  };
+  navGridScene = scene;
+  navGridDirty = false;
+  
+  console.log(`Navigation grid built: ${size}x${size} cells, ${obstacleCount} obstacles (version ${navGrid.version})`);
+  return navGrid;
+}
+
+/**
+ * Flags the grid for a rebuild before the next path query, e.g. after a tree is destroyed
+ */
+export function markNavGridDirty() {
+  navGridDirty = true;
+}
+
+/**
+ * Gets the current grid, rebuilding it first if the environment has changed
+ * @returns {Object|null} - The grid, or null if it hasn't been built yet
+ */
+export function getNavGrid() {
+  if (navGridDirty && navGridScene) {
+    buildNavGrid(navGridScene);
+  }
+  return navGrid;
+}
+
+/**
+ * Checks whether a world position is on open ground
+ * @param {THREE.Vector3} position - Position to check
+ * @returns {boolean} - True if an enemy can stand there (always true before the grid is built)
+ */
+export function isWalkable(position) {
+  const grid = getNavGrid();
+  if (!grid) return true;
+  
+  const { col, row } = worldToCell(position);
+  return isCellOpen(grid, col, row);
+}
+
+/**
+ * Finds a smoothed path between two points using A* over the navigation grid
+ * @param {THREE.Vector3} start - Where the path starts
+ * @param {THREE.Vector3} goal - Where the path should end
+ * @returns {Array<THREE.Vector3>|null} - Waypoints after the start (ending at the goal), or null if unreachable
+ */
+export function findPath(start, goal) {
+  const grid = getNavGrid();
+  if (!grid) return [goal.clone()];
+  
+  // Enemies pushed into an obstacle, or a goal inside one, snap to the nearest open cell
+  const startCell = findNearestOpenCell(grid, worldToCell(start));
+  const goalCell = findNearestOpenCell(grid, worldToCell(goal));
+  if (!startCell || !goalCell) return null;
+  
+  const cells = searchPath(grid, startCell, goalCell);
+  if (!cells) return null;
+  
+  // Convert to world space, ending exactly at the goal when it is on open ground
+  const waypoints = cells.map(cell => cellToWorld(cell.col, cell.row));
+  const requestedCell = worldToCell(goal);
+  if (goalCell.col === requestedCell.col && goalCell.row === requestedCell.row) {
+    waypoints[waypoints.length - 1] = new THREE.Vector3(goal.x, 0, goal.z);
+  }
+  
+  return smoothPath(grid, new THREE.Vector3(start.x, 0, start.z), waypoints);
+}
+
+/**
+ * Runs A* between two open cells
+ * @param {Object} grid - The navigation grid
+ * @param {Object} startCell - Start cell ({col, row})
+ * @param {Object} goalCell - Goal cell ({col, row})
+ * @returns {Array<Object>|null} - Cells from the start to the goal, or null if unreachable
+ */
+function searchPath(grid, startCell, goalCell) {
+  const { size } = grid;
+  const startIndex = startCell.row * size + startCell.col;
+  const goalIndex = goalCell.row * size + goalCell.col;
+  
+  const gScore = new Float32Array(size * size).fill(Infinity);
+  const cameFrom = new Int32Array(size * size).fill(-1);
+  const closed = new Uint8Array(size * size);
+  const open = new MinHeap();
+  
+  gScore[startIndex] = 0;
+  open.push(startIndex, octileDistance(startCell.col, startCell.row, goalCell.col, goalCell.row));
+  
+  while (open.size() > 0) {
+    const current = open.pop();
+    if (current === goalIndex) {
+      return reconstructPath(cameFrom, current, size);
+    }
+    if (closed[current]) continue;
+    closed[current] = 1;
+    
+    const col = current % size;
+    const row = Math.floor(current / size);
+    
+    for (const [dc, dr] of NEIGHBOR_OFFSETS) {
+      const nextCol = col + dc;
+      const nextRow = row + dr;
+      if (!isCellOpen(grid, nextCol, nextRow)) continue;
+      
+      // Don't cut corners around obstacles on diagonal moves
+      const isDiagonal = dc !== 0 && dr !== 0;
+      if (isDiagonal && (!isCellOpen(grid, col + dc, row) || !isCellOpen(grid, col, row + dr))) continue;
+      
+      const next = nextRow * size + nextCol;
+      if (closed[next]) continue;
+      
+      const tentative = gScore[current] + (isDiagonal ? DIAGONAL_COST : STRAIGHT_COST);
+      if (tentative < gScore[next]) {
+        gScore[next] = tentative;
+        cameFrom[next] = current;
+        open.push(next, tentative + octileDistance(nextCol, nextRow, goalCell.col, goalCell.row));
+      }
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Walks the cameFrom links back from the goal
+ * @param {Int32Array} cameFrom - Previous cell index for each visited cell
+ * @param {number} index - Goal cell index
+ * @param {number} size - Grid width in cells
+ * @returns {Array<Object>} - Cells from the start to the goal
+ */
+function reconstructPath(cameFrom, index, size) {
+  const cells = [];
+  while (index !== -1) {
+    cells.push({ col: index % size, row: Math.floor(index / size) });
+    index = cameFrom[index];
+  }
+  return cells.reverse();
+}
+
+/**
+ * Removes waypoints that can be skipped by walking in a straight line (string pulling)
+ * @param {Object} grid - The navigation grid
+ * @param {THREE.Vector3} start - Where the path starts
+ * @param {Array<THREE.Vector3>} waypoints - Cell-center waypoints from A*
+ * @returns {Array<THREE.Vector3>} - Waypoints after the start, with zig-zags removed
+ */
+function smoothPath(grid, start, waypoints) {
+  const smoothed = [];
+  let anchor = start;
+  let index = 0;
+  
+  while (index < waypoints.length) {
+    // Skip ahead to the furthest waypoint still in a straight, clear line
+    let furthest = index;
+    for (let candidate = waypoints.length - 1; candidate > index; candidate--) {
+      if (isLineWalkable(grid, anchor, waypoints[candidate])) {
+        furthest = candidate;
+        break;
+      }
+    }
+    
+    smoothed.push(waypoints[furthest]);
+    anchor = waypoints[furthest];
+    index = furthest + 1;
+  }
+  
+  return smoothed;
+}
+
+/**
+ * Checks that every cell along a straight line is open
+ * @param {Object} grid - The navigation grid
+ * @param {THREE.Vector3} from - Line start
+ * @param {THREE.Vector3} to - Line end
+ * @returns {boolean} - True if the line crosses no blocked cells
+ */
+function isLineWalkable(grid, from, to) {
+  const distance = Math.hypot(to.x - from.x, to.z - from.z);
+  
+  // Sample at a quarter cell so thin diagonal gaps aren't skipped over
+  const steps = Math.max(1, Math.ceil(distance / (NAV_CELL_SIZE * 0.25)));
+  const point = new THREE.Vector3();
+  for (let i = 0; i <= steps; i++) {
+    const t = i / steps;
+    point.set(from.x + (to.x - from.x) * t, 0, from.z + (to.z - from.z) * t);
+    const { col, row } = worldToCell(point);
+    if (!isCellOpen(grid, col, row)) return false;
+  }
+  return true;
+}
+
+/**
+ * Finds the open cell closest to a cell, searching outward in rings
+ * @param {Object} grid - The navigation grid
+ * @param {Object} cell - Cell to start from ({col, row})
+ * @returns {Object|null} - The closest open cell, or null if none is nearby
+ */
+function findNearestOpenCell(grid, cell) {
+  if (isCellOpen(grid, cell.col, cell.row)) return cell;
+  
+  for (let ring = 1; ring <= NAV_NEAREST_SEARCH_RADIUS; ring++) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (let dr = -ring; dr <= ring; dr++) {
+      for (let dc = -ring; dc <= ring; dc++) {
+        // Only the outer edge of this ring
+        if (Math.abs(dc) !== ring && Math.abs(dr) !== ring) continue;
+        if (!isCellOpen(grid, cell.col + dc, cell.row + dr)) continue;
+        
+        const distance = Math.hypot(dc, dr);
+        if (distance < bestDistance) {
+          best = { col: cell.col + dc, row: cell.row + dr };
+          bestDistance = distance;
+        }
+      }
+    }
+    if (best) return best;
+  }
+  
+  return null;
+}
+
+/**
+ * Checks whether a cell is inside the grid and not blocked
+ * @param {Object} grid - The navigation grid
+ * @param {number} col - Cell column
+ * @param {number} row - Cell row
+ * @returns {boolean} - True if the cell can be walked on
+ */
+function isCellOpen(grid, col, row) {
+  if (col < 0 || row < 0 || col >= grid.size || row >= grid.size) return false;
+  return grid.blocked[row * grid.size + col] === 0;
+}
+
+/**
+ * Converts a world position to grid coordinates
+ * @param {THREE.Vector3} position - World position
+ * @returns {Object} - Cell ({col, row})
+ */
+function worldToCell(position) {
+  return {
+    col: Math.floor((position.x + NAV_GRID_EXTENT) / NAV_CELL_SIZE),
+    row: Math.floor((position.z + NAV_GRID_EXTENT) / NAV_CELL_SIZE)
+  };
+}
+
+/**
+ * Converts grid coordinates to the world position of the cell's center
+ * @param {number} col - Cell column
+ * @param {number} row - Cell row
+ * @returns {THREE.Vector3} - Cell center on the ground
+ */
+function cellToWorld(col, row) {
+  return new THREE.Vector3(
+    (col + 0.5) * NAV_CELL_SIZE - NAV_GRID_EXTENT,
+    0,
+    (row + 0.5) * NAV_CELL_SIZE - NAV_GRID_EXTENT
+  );
+}
+
+/**
+ * Octile distance - the A* heuristic for 8-connected grids
+ * @param {number} col1 - First cell column
+ * @param {number} row1 - First cell row
+ * @param {number} col2 - Second cell column
+ * @param {number} row2 - Second cell row
+ * @returns {number} - Cost of the shortest obstacle-free route between the cells
+ */
+function octileDistance(col1, row1, col2, row2) {
+  const dx = Math.abs(col1 - col2);
+  const dz = Math.abs(row1 - row2);
+  return STRAIGHT_COST * (dx + dz) + (DIAGONAL_COST - 2 * STRAIGHT_COST) * Math.min(dx, dz);
+}
+
+/**
+ * Binary min-heap of cell indices keyed by priority, used as the A* open set
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+    this.priorities = [];
+  }
+  
+  /**
+   * Number of entries in the heap
+   * @returns {number} - Heap size
+   */
+  size() {
+    return this.items.length;
+  }
+  
+  /**
+   * Adds an entry
+   * @param {number} item - Cell index
+   * @param {number} priority - Lower priorities are popped first
+   */
+  push(item, priority) {
+    const items = this.items;
+    const priorities = this.priorities;
+    let index = items.length;
+    items.push(item);
+    priorities.push(priority);
+    
+    // Sift up
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (priorities[parent] <= priority) break;
+      items[index] = items[parent];
+      priorities[index] = priorities[parent];
+      index = parent;
+    }
+    items[index] = item;
+    priorities[index] = priority;
+  }
+  
+  /**
+   * Removes and returns the entry with the lowest priority
+   * @returns {number} - Cell index
+   */
+  pop() {
+    const items = this.items;
+    const priorities = this.priorities;
+    const top = items[0];
+    const lastItem = items.pop();
+    const lastPriority = priorities.pop();
+    if (items.length === 0) return top;
+    
+    // Sift the last entry down from the root
+    let index = 0;
+    const length = items.length;
+    while (true) {
+      const left = index * 2 + 1;
+      const right = left + 1;
+      let smallest = index;
+      let smallestPriority = lastPriority;
+      if (left < length && priorities[left] < smallestPriority) {
+        smallest = left;
+        smallestPriority = priorities[left];
+      }
+      if (right < length && priorities[right] < smallestPriority) {
+        smallest = right;
+      }
+      if (smallest === index) break;
+      items[index] = items[smallest];
+      priorities[index] = priorities[smallest];
+      index = smallest;
+    }
+    items[index] = lastItem;
+    priorities[index] = lastPriority;
+    return top;
+  }
+}
@@ -0,0 +1,186 @@
+/**
+ * Perks module - passive perks and the modifier stack the rest of the game reads them through
+ */
+import { RANDOM_STREAMS, getRandomStream } from './random.js';
+
+// Perk choices come from the loot stream
+const lootRandom = getRandomStream(RANDOM_STREAMS.LOOT);
+
+// Values perks can modify
+export const MODIFIERS = {
+  RELOAD_TIME: 'reloadTime', // Reload time (lower is faster)
+  FIRE_INTERVAL: 'fireInterval', // Milliseconds between shots (lower is faster)
+  RECOIL: 'recoil', // Camera kick per shot
+  AMMO_PICKUP: 'ammoPickup', // Rounds gained from ammo pickups
+  HEADSHOT_DAMAGE: 'headshotDamage', // Damage dealt by headshots
+  SPRINT_SPEED: 'sprintSpeed', // Sprint speed multiplier
+  DAMAGE_TAKEN: 'damageTaken', // Damage the player takes
+  MAX_GRENADES: 'maxGrenades', // Grenade carrying limit
+  BLEED_RATE: 'bleedRate', // Health lost per second while bleeding
+  MAX_STAMINA: 'maxStamina' // Size of the stamina pool
+};
+
+// Perk ids
+export const PERKS = {
+  SLEIGHT_OF_HAND: 'sleight_of_hand',
+  STEADY_AIM: 'steady_aim',
+  SCAVENGER: 'scavenger',
+  HEADHUNTER: 'headhunter',
+  MARATHON: 'marathon',
+  QUICK_TRIGGER: 'quick_trigger',
+  FLAK_VEST: 'flak_vest',
+  BANDOLIER: 'bandolier',
+  SULFA_POWDER: 'sulfa_powder'
+};
+
+// Every perk, with the modifiers one rank of it adds. Perks with a price are also sold in the armory.
+export const PERK_DEFINITIONS = {
+  [PERKS.SLEIGHT_OF_HAND]: {
+    name: 'Sleight of Hand',
+    description: '20% faster reloads',
+    maxStacks: 2,
+    modifiers: { [MODIFIERS.RELOAD_TIME]: { multiply: 0.8 } }
+  },
+  [PERKS.STEADY_AIM]: {
+    name: 'Steady Aim',
+    description: '40% less recoil',
+    maxStacks: 2,
+    modifiers: { [MODIFIERS.RECOIL]: { multiply: 0.6 } }
+  },
+  [PERKS.SCAVENGER]: {
+    name: 'Scavenger',
+    description: '50% more ammo from pickups',
+    maxStacks: 2,
+    modifiers: { [MODIFIERS.AMMO_PICKUP]: { multiply: 1.5 } }
+  },
+  [PERKS.HEADHUNTER]: {
+    name: 'Headhunter',
+    description: '50% more headshot damage, reaching down to the collar',
+    maxStacks: 2,
+    modifiers: { [MODIFIERS.HEADSHOT_DAMAGE]: { multiply: 1.5 } }
+  },
+  [PERKS.MARATHON]: {
+    name: 'Marathon',
+    description: 'Sprint 15% faster with 25% more stamina',
+    maxStacks: 1,
+    modifiers: {
+      [MODIFIERS.SPRINT_SPEED]: { multiply: 1.15 },
+      [MODIFIERS.MAX_STAMINA]: { multiply: 1.25 }
+    }
+  },
+  [PERKS.QUICK_TRIGGER]: {
+    name: 'Quick Trigger',
+    description: 'Fire 10% faster',
+    maxStacks: 2,
+    modifiers: { [MODIFIERS.FIRE_INTERVAL]: { multiply: 0.9 } }
+  },
+  [PERKS.FLAK_VEST]: {
+    name: 'Flak Vest',
+    description: 'Take 15% less damage',
+    maxStacks: 1,
+    price: 250,
+    modifiers: { [MODIFIERS.DAMAGE_TAKEN]: { multiply: 0.85 } }
+  },
+  [PERKS.BANDOLIER]: {
+    name: 'Grenade Bandolier',
+    description: 'Carry 2 more grenades',
+    maxStacks: 1,
+    price: 150,
+    modifiers: { [MODIFIERS.MAX_GRENADES]: { add: 2 } }
+  },
+  [PERKS.SULFA_POWDER]: {
+    name: 'Sulfa Powder',
+    description: 'Bleed 40% slower',
+    maxStacks: 1,
+    modifiers: { [MODIFIERS.BLEED_RATE]: { multiply: 0.6 } }
+  }
+};
+
+// Constants for perk choices
+const PERK_MILESTONE_INTERVAL = 3; // A perk is offered after every third wave
+const PERK_CHOICE_COUNT = 3; // Perks to pick one from
+
+/**
+ * Stack of modifiers from every source the player has, folded into the values the game reads
+ */
+export class ModifierStack {
+  constructor() {
+    // { source, key, add, multiply } - one entry per modifier per rank
+    this.entries = [];
+  }
+  
+  /**
+   * Add a source's modifiers to the stack
+   * @param {string} source - Where the modifiers come from (e.g. a perk id)
+   * @param {Object} modifiers - Modifiers keyed by MODIFIERS value: { add, multiply }
+   */
+  add(source, modifiers) {
+    for (const [key, modifier] of Object.entries(modifiers)) {
+      this.entries.push({
+        source: source,
+        key: key,
+        add: modifier.add || 0,
+        multiply: modifier.multiply === undefined ? 1 : modifier.multiply
+      });
+    }
+  }
+  
+  /**
+   * Remove every modifier a source added
+   * @param {string} source - Source passed to add()
+   */
+  remove(source) {
+    this.entries = this.entries.filter(entry => entry.source !== source);
+  }
+  
+  /**
+   * Remove every modifier
+   */
+  clear() {
+    this.entries = [];
+  }
+  
+  /**
+   * Apply the stack to a value - additions first, then every multiplier in turn
+   * @param {string} key - Value being modified, from MODIFIERS
+   * @param {number} base - Unmodified value
+   * @returns {number} - Modified value
+   */
+  apply(key, base) {
+    let added = 0;
+    let multiplier = 1;
+    for (const entry of this.entries) {
+      if (entry.key !== key) continue;
+      added += entry.add;
+      multiplier *= entry.multiply;
+    }
+    return (base + added) * multiplier;
+  }
+}
+
+/**
+ * Checks whether clearing a wave earns a perk choice
+ * @param {number} wave - The wave just cleared
+ * @returns {boolean} - True on milestone waves
+ */
+export function isPerkMilestone(wave) {
+  return wave % PERK_MILESTONE_INTERVAL === 0;
+}
+
+/**
+ * Picks perks to offer the player, skipping any they already have at full rank
+ * @param {GameState} gameState - Current game state
+ * @param {number} count - How many perks to offer
+ * @returns {Array<string>} - Perk ids (fewer than count if the player has nearly everything)
+ */
+export function rollPerkChoices(gameState, count = PERK_CHOICE_COUNT) {
+  const candidates = Object.keys(PERK_DEFINITIONS)
+    .filter(id => gameState.getPerkStacks(id) < PERK_DEFINITIONS[id].maxStacks);
+  
+  // Shuffle, then take the first few
+  for (let i = candidates.length - 1; i > 0; i--) {
+    const j = Math.floor(lootRandom() * (i + 1));
+    [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+  }
+  return candidates.slice(0, count);
+}
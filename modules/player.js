@@ -2,7 +2,40 @@
  * Player module for creating and updating the player character
  */
 import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
-import { WEAPONS, createPlayerWeaponModel } from './weapons.js';
+import { WEAPON_CONFIG, createPlayerWeaponModel, getStartingWeapon } from './weapons.js';
+import { MODIFIERS } from './perks.js';
+import { STANCES, STANCE_CONFIG } from './stances.js';
+import { isMouselook } from './controls.js';
+import { updateCameraBoom, relaxCameraBoom } from './cameraBoom.js';
+import { RANDOM_STREAMS, getRandomStream } from './random.js';
+
+// Random stream for the occasional debug log
+const fxRandom = getRandomStream(RANDOM_STREAMS.FX);
+
+// Constants for stances
+const STANCE_BLEND_SPEED = 8; // How quickly the body and camera settle into a new stance
+
+// Constants for aiming down sights
+const BASE_FOV = 75; // Camera field of view when not aiming
+const AIM_BLEND_SPEED = 10; // How quickly the camera zooms in and out of the sights
+const AIM_MOVEMENT_MULTIPLIER = 0.5; // Movement speed while aiming
+const SHOULDER_OFFSET_RIGHT = 0.75; // Over-the-shoulder aiming camera, right of the eyes
+const SHOULDER_OFFSET_BACK = 1.8; // ...behind them
+const SHOULDER_OFFSET_UP = 0.25; // ...and just above them
+const SHOULDER_LOOK_DISTANCE = 20; // The shoulder camera looks at a point this far ahead
+
+// Camera modes, switched with V
+export const CAMERA_MODES = {
+  THIRD_PERSON: 'thirdPerson', // Behind and above the player
+  FIRST_PERSON: 'firstPerson' // At the player's eyes, with a weapon viewmodel
+};
+
+// How the body is posed in each stance: pose root height, pitch and z offset, knee bend and walking bounce
+const STANCE_POSES = {
+  [STANCES.STANDING]: { height: 0, pitch: 0, offsetZ: 0, legAngle: 0, bounce: 1 },
+  [STANCES.CROUCHING]: { height: -0.45, pitch: 0, offsetZ: 0, legAngle: -0.9, bounce: 0.4 }, // Kneeling, shins back
+  [STANCES.PRONE]: { height: -0.2, pitch: -Math.PI / 2, offsetZ: 0.8, legAngle: 0, bounce: 0 } // Face down, head forward
+};
 
 /**
  * Creates the player character with a more detailed soldier model
@@ -23,6 +56,10 @@ export function createPlayer(scene) {
   frontMarker.visible = true; // Debug marker - set to true to help debug orientation
   player.add(frontMarker);
   
+  // Every body part hangs off the pose root, so a stance can lower or lay down the whole body at once
+  const poseRoot = new THREE.Group();
+  player.add(poseRoot);
+  
   // Player body - improved model with better proportions and details
   const bodyGeometry = new THREE.BoxGeometry(1, 1.8, 0.6); // Correct dimensions for proper orientation
   const bodyMaterial = new THREE.MeshStandardMaterial({
@@ -33,14 +70,14 @@ export function createPlayer(scene) {
   body.position.y = 0.9; // Half the height
   body.castShadow = true;
   body.receiveShadow = true;
-  player.add(body);
+  poseRoot.add(body);
   
   // Shoulders - add more dimension to the model
   const shoulderGeometry = new THREE.BoxGeometry(1.4, 0.3, 0.65); // Correct dimensions for proper orientation
   const shoulderMesh = new THREE.Mesh(shoulderGeometry, bodyMaterial);
   shoulderMesh.position.set(0, 1.4, 0);
   shoulderMesh.castShadow = true;
-  player.add(shoulderMesh);
+  poseRoot.add(shoulderMesh);
   
   // Belt
   const beltGeometry = new THREE.BoxGeometry(1.1, 0.2, 0.65); // Correct dimensions for proper orientation
@@ -52,12 +89,12 @@ export function createPlayer(scene) {
   const belt = new THREE.Mesh(beltGeometry, beltMaterial);
   belt.position.set(0, 0.2, 0);
   belt.castShadow = true;
-  player.add(belt);
+  poseRoot.add(belt);
   
   // Head with better face details
   const headGroup = new THREE.Group();
   headGroup.position.set(0, 1.9, 0);
-  player.add(headGroup);
+  poseRoot.add(headGroup);
   
   const headGeometry = new THREE.BoxGeometry(0.7, 0.8, 0.7);
   const headMaterial = new THREE.MeshStandardMaterial({
@@ -134,7 +171,7 @@ export function createPlayer(scene) {
   const backpack = new THREE.Mesh(backpackGeometry, backpackMaterial);
   backpack.position.set(0, 0.9, -0.4); // Negative Z is back now
   backpack.castShadow = true;
-  player.add(backpack);
+  poseRoot.add(backpack);
   
   // Arms
   const armGeometry = new THREE.BoxGeometry(0.3, 1, 0.3);
@@ -146,13 +183,13 @@ export function createPlayer(scene) {
   const leftArm = new THREE.Mesh(armGeometry, armMaterial);
   leftArm.position.set(-0.65, 0.9, 0);
   leftArm.castShadow = true;
-  player.add(leftArm);
+  poseRoot.add(leftArm);
   
   // Right arm
   const rightArm = new THREE.Mesh(armGeometry, armMaterial);
   rightArm.position.set(0.65, 0.9, 0);
   rightArm.castShadow = true;
-  player.add(rightArm);
+  poseRoot.add(rightArm);
   
   // Legs
   const legGeometry = new THREE.BoxGeometry(0.35, 1.2, 0.35);
@@ -164,13 +201,13 @@ export function createPlayer(scene) {
   const leftLeg = new THREE.Mesh(legGeometry, legMaterial);
   leftLeg.position.set(-0.3, -0.6, 0);
   leftLeg.castShadow = true;
-  player.add(leftLeg);
+  poseRoot.add(leftLeg);
   
   // Right leg
   const rightLeg = new THREE.Mesh(legGeometry, legMaterial);
   rightLeg.position.set(0.3, -0.6, 0);
   rightLeg.castShadow = true;
-  player.add(rightLeg);
+  poseRoot.add(rightLeg);
   
   // Boots
   const bootGeometry = new THREE.BoxGeometry(0.38, 0.25, 0.4);
@@ -182,20 +219,21 @@ export function createPlayer(scene) {
   const leftBoot = new THREE.Mesh(bootGeometry, bootMaterial);
   leftBoot.position.set(-0.3, -1.3, 0.02);
   leftBoot.castShadow = true;
-  player.add(leftBoot);
+  poseRoot.add(leftBoot);
   
   const rightBoot = new THREE.Mesh(bootGeometry, bootMaterial);
   rightBoot.position.set(0.3, -1.3, 0.02);
   rightBoot.castShadow = true;
-  player.add(rightBoot);
+  poseRoot.add(rightBoot);
   
-  // Weapon - M1 Garand rifle, correctly positioned
+  // Weapon - the starting rifle, correctly positioned
   const weaponGroup = new THREE.Group();
   weaponGroup.position.set(0.55, 0.9, 0.3); // Positive Z is front direction now
-  player.add(weaponGroup);
+  poseRoot.add(weaponGroup);
   
-  // Create initial weapon model (M1 Garand)
-  const weaponModel = createPlayerWeaponModel(WEAPONS.M1_GARAND);
+  // Create the model of the weapon the player starts with
+  const startingWeapon = getStartingWeapon();
+  const weaponModel = createPlayerWeaponModel(startingWeapon.id);
   weaponGroup.add(weaponModel);
   
   // Store weapon-related properties
@@ -217,19 +255,38 @@ export function createPlayer(scene) {
     isSprinting: false,
     isShooting: false,
     shootingTime: 0,
+    isReloading: false,
+    reloadTime: 0,
+    reloadDuration: 0,
+    
+    // Stance properties
+    stance: STANCES.STANDING,
+    cameraHeight: STANCE_CONFIG[STANCES.STANDING].cameraHeight, // Eased toward the stance's camera height
+    lookHeight: STANCE_CONFIG[STANCES.STANDING].lookHeight,
+    eyeHeight: STANCE_CONFIG[STANCES.STANDING].eyeHeight, // Eased toward the stance's first-person eye position
+    eyeForward: STANCE_CONFIG[STANCES.STANDING].eyeForward,
+    
+    // Camera properties
+    cameraMode: CAMERA_MODES.THIRD_PERSON,
+    aimBlend: 0, // 0 hip, 1 fully aimed down the sights
+    boomLength: 1, // Fraction of the third-person camera's boom left after walls and trees push it in
     
     // Jump properties
     isJumping: false,
     jumpVelocity: 0,
-    gravity: 0.015,
+    gravity: 0.015, // Per 60fps frame, scaled by deltaTime
     jumpHeight: 0.35,
     
     // References to animated parts
+    poseRoot: poseRoot,
     leftLeg: leftLeg,
     rightLeg: rightLeg,
     leftArm: leftArm,
     rightArm: rightArm,
     weaponGroup: weaponGroup,
+    currentWeaponModel: weaponModel,
+    weaponType: startingWeapon.id,
+    weaponScoped: false,
     
     // Original positions for animation
     leftLegPos: leftLeg.position.clone(),
@@ -256,12 +313,22 @@ export function updatePlayerPosition(player, camera, deltaTime) {
   let rotateLeft = false;
   let rotateRight = false;
   
-  // Get global keyState from window if available
+  // Get global keyState and gameState from window if available
   const keyState = window.keyState || {};
+  const gameState = window.gameState;
   
-  // Check if sprint key (Shift) is pressed
+  // Check if sprint key (Shift) is pressed - a wounded leg, running out of stamina or being down
+  // in a crouch or prone rules sprinting out
   const isSprinting = keyState['ShiftLeft'] || keyState['ShiftRight'];
-  player.userData.isSprinting = isSprinting && !player.userData.isJumping;
+  const isStanding = player.userData.stance === STANCES.STANDING;
+  const canSprint = isStanding && (!gameState || gameState.canSprint());
+  
+  // Aiming down the sights rules out sprinting - Shift holds the player's breath on a scope instead
+  const isAiming = gameState ? gameState.isAimingDownSights() : false;
+  player.userData.isSprinting = isSprinting && canSprint && !player.userData.isJumping && !isAiming;
+  if (gameState) {
+    gameState.updateBreathHold(deltaTime, isSprinting && isAiming);
+  }
   
   // Handle WASD and arrow keys
   // This ensures movement is relative to the camera view
@@ -272,16 +339,25 @@ export function updatePlayerPosition(player, camera, deltaTime) {
     movementDirection.z += 1; // Backward (positive Z in camera space)
   }
   
-  // A/D now control rotation instead of strafing
+  // A/D strafe when the mouse does the turning (mouselook), and turn the player otherwise
+  const strafes = isMouselook();
   if (keyState['KeyA'] || keyState['ArrowLeft']) {
-    rotateLeft = true;
+    if (strafes) {
+      movementDirection.x -= 1; // Left
+    } else {
+      rotateLeft = true;
+    }
   }
   if (keyState['KeyD'] || keyState['ArrowRight']) {
-    rotateRight = true;
+    if (strafes) {
+      movementDirection.x += 1; // Right
+    } else {
+      rotateRight = true;
+    }
   }
   
-  // Handle jumping with space bar
-  if (keyState['Space'] && !player.userData.isJumping) {
+  // Handle jumping with space bar, if the player is on their feet and has the stamina for it
+  if (keyState['Space'] && isStanding && !player.userData.isJumping && (!gameState || gameState.useJumpStamina())) {
     player.userData.isJumping = true;
     player.userData.jumpVelocity = player.userData.jumpHeight;
     
@@ -295,8 +371,13 @@ export function updatePlayerPosition(player, camera, deltaTime) {
   const isWalking = movementDirection.length() > 0;
   player.userData.isWalking = isWalking;
   
+  // Sprinting drains stamina, walking or standing still refills it
+  if (gameState) {
+    gameState.updateStamina(deltaTime, player.userData.isSprinting && isWalking, isWalking);
+  }
+  
   // Handle rotation with A/D keys - rotate the player independently
-  const rotationSpeed = 0.05;
+  const rotationSpeed = 0.05 * deltaTime * 60; // Normalize by 60fps
   if (rotateLeft) {
     player.rotation.y += rotationSpeed;
   }
@@ -307,10 +388,10 @@ export function updatePlayerPosition(player, camera, deltaTime) {
   // Process jumping physics
   if (player.userData.isJumping) {
     // Apply jump velocity
-    player.position.y += player.userData.jumpVelocity;
+    player.position.y += player.userData.jumpVelocity * deltaTime * 60; // Normalize by 60fps
     
     // Apply gravity
-    player.userData.jumpVelocity -= player.userData.gravity;
+    player.userData.jumpVelocity -= player.userData.gravity * deltaTime * 60;
     
     // Check if landing
     if (player.position.y <= 0) {
@@ -331,10 +412,16 @@ export function updatePlayerPosition(player, camera, deltaTime) {
     
     // Apply movement speed with sprint modifier if shift is pressed
     const baseMovementSpeed = 0.15;
-    const sprintMultiplier = player.userData.isSprinting ? 1.8 : 1.0;
-    const movementSpeed = baseMovementSpeed * sprintMultiplier;
+    // Perks such as Marathon speed up the sprint
+    const sprintMultiplier = player.userData.isSprinting ?
+      (gameState && gameState.modifiers ? gameState.modifiers.apply(MODIFIERS.SPRINT_SPEED, 1.8) : 1.8) : 1.0;
+    // Leg wounds, exhaustion, crouching and crawling slow the player down
+    const woundMultiplier = gameState ? gameState.getMovementMultiplier() : 1.0;
+    const stanceMultiplier = STANCE_CONFIG[player.userData.stance].movementMultiplier;
+    const aimMultiplier = isAiming ? AIM_MOVEMENT_MULTIPLIER : 1.0;
+    const movementSpeed = baseMovementSpeed * sprintMultiplier * woundMultiplier * stanceMultiplier * aimMultiplier;
     
-    movementDirection.multiplyScalar(movementSpeed);
+    movementDirection.multiplyScalar(movementSpeed * deltaTime * 60); // Normalize by 60fps
     
     // Get player's forward direction (based on its rotation)
     const playerDirection = new THREE.Vector3(0, 0, -1).applyAxisAngle(new THREE.Vector3(0, 1, 0), player.rotation.y);
@@ -350,6 +437,12 @@ export function updatePlayerPosition(player, camera, deltaTime) {
       moveVector.addScaledVector(playerDirection, -movementDirection.z);
     }
     
+    // Strafing - sideways relative to the way the player faces
+    if (movementDirection.x !== 0) {
+      const playerRight = new THREE.Vector3(1, 0, 0).applyAxisAngle(new THREE.Vector3(0, 1, 0), player.rotation.y);
+      moveVector.addScaledVector(playerRight, movementDirection.x);
+    }
+    
     // Store original position for collision detection
     const originalPosition = player.position.clone();
     
@@ -379,38 +472,86 @@ export function updatePlayerPosition(player, camera, deltaTime) {
     }
   }
   
-  // Set camera position and orientation based on player position
-  const cameraHeight = 4; // Height above player
+  // Set camera position and orientation based on player position, easing down with the stance
+  const stanceConfig = STANCE_CONFIG[player.userData.stance];
+  const stanceBlend = Math.min(1, deltaTime * STANCE_BLEND_SPEED);
+  player.userData.cameraHeight += (stanceConfig.cameraHeight - player.userData.cameraHeight) * stanceBlend;
+  player.userData.lookHeight += (stanceConfig.lookHeight - player.userData.lookHeight) * stanceBlend;
+  player.userData.eyeHeight += (stanceConfig.eyeHeight - player.userData.eyeHeight) * stanceBlend;
+  player.userData.eyeForward += (stanceConfig.eyeForward - player.userData.eyeForward) * stanceBlend;
+  const cameraHeight = player.userData.cameraHeight; // Height above player
   const cameraDistance = 6; // Distance behind player
   
-  // Calculate camera position based on player position
-  // Position camera behind the player (opposite of player's forward direction)
   const playerForward = new THREE.Vector3(0, 0, -1).applyAxisAngle(new THREE.Vector3(0, 1, 0), player.rotation.y);
-  const cameraOffset = new THREE.Vector3(
-    -playerForward.x * cameraDistance,
-    cameraHeight,
-    -playerForward.z * cameraDistance
-  );
-  
-  // Position camera relative to player, including player's jump height
-  camera.position.set(
-    player.position.x + cameraOffset.x,
-    player.position.y + cameraOffset.y,
-    player.position.z + cameraOffset.z
-  );
-  
-  // Look at player from slightly above
-  const lookAtPoint = player.position.clone();
-  lookAtPoint.y += 1; // Look at player's head level
-  camera.lookAt(lookAtPoint);
+  
+  // Ease into and out of the sights
+  player.userData.aimBlend += ((isAiming ? 1 : 0) - player.userData.aimBlend) * Math.min(1, deltaTime * AIM_BLEND_SPEED);
+  const aimBlend = player.userData.aimBlend;
+  
+  // The eyes, which first person looks from and the shoulder camera sits beside
+  const eyePosition = player.position.clone().addScaledVector(playerForward, player.userData.eyeForward);
+  eyePosition.y += player.userData.eyeHeight;
+  
+  if (player.userData.cameraMode === CAMERA_MODES.FIRST_PERSON) {
+    // First person - the camera sits at the player's eyes and looks straight ahead
+    camera.position.copy(eyePosition);
+    camera.lookAt(camera.position.clone().add(playerForward));
+    relaxCameraBoom(player, deltaTime);
+  } else {
+    // Calculate camera position based on player position
+    // Position camera behind the player (opposite of player's forward direction)
+    const cameraOffset = new THREE.Vector3(
+      -playerForward.x * cameraDistance,
+      cameraHeight,
+      -playerForward.z * cameraDistance
+    );
+    
+    // Position camera relative to player, including player's jump height
+    camera.position.set(
+      player.position.x + cameraOffset.x,
+      player.position.y + cameraOffset.y,
+      player.position.z + cameraOffset.z
+    );
+    
+    // Look at player from slightly above
+    const lookAtPoint = player.position.clone();
+    lookAtPoint.y += player.userData.lookHeight; // Look at player's head level
+    
+    // Aiming pulls the camera in over the right shoulder, looking where the player faces
+    if (aimBlend > 0.001) {
+      const playerRight = new THREE.Vector3(1, 0, 0).applyAxisAngle(new THREE.Vector3(0, 1, 0), player.rotation.y);
+      const shoulderPosition = eyePosition.clone()
+        .addScaledVector(playerRight, SHOULDER_OFFSET_RIGHT)
+        .addScaledVector(playerForward, -SHOULDER_OFFSET_BACK);
+      shoulderPosition.y += SHOULDER_OFFSET_UP;
+      const shoulderLookAt = shoulderPosition.clone().addScaledVector(playerForward, SHOULDER_LOOK_DISTANCE);
+      
+      camera.position.lerp(shoulderPosition, aimBlend);
+      lookAtPoint.lerp(shoulderLookAt, aimBlend);
+    }
+    
+    // Keep the camera out of the bunker, trees and hills behind the player
+    camera.position.copy(updateCameraBoom(player, eyePosition, camera.position, deltaTime));
+    camera.lookAt(lookAtPoint);
+  }
+  
+  // Zoom in while aiming - all the way through a scope
+  const weaponConfig = WEAPON_CONFIG[player.userData.weaponType];
+  let targetFov = BASE_FOV;
+  if (isAiming) {
+    targetFov = gameState.isScopedIn() && weaponConfig.scope ? weaponConfig.scope.fov : weaponConfig.aimFov;
+  }
+  const fov = camera.fov + (targetFov - camera.fov) * Math.min(1, deltaTime * AIM_BLEND_SPEED);
+  if (Math.abs(camera.fov - fov) > 0.01) {
+    camera.fov = fov;
+    camera.updateProjectionMatrix();
+  }
   
   // Update animations
   updatePlayerAnimations(player, deltaTime);
   
-  // Update weapon aiming based on mouse position
-  // Get global gameState from window if available
-  const gameState = window.gameState || { mousePosition: new THREE.Vector2() };
-  updateWeaponAiming(player, camera, gameState.mousePosition);
+  // Update weapon aiming based on mouse position, swaying if an arm is wounded or the player is out of breath
+  updateWeaponAiming(player, camera, gameState ? gameState.getAimPosition() : new THREE.Vector2());
 }
 
 /**
@@ -474,6 +615,7 @@ function checkCollisions(player, originalPosition) {
  */
 function updatePlayerAnimations(player, deltaTime) {
   const userData = player.userData;
+  const pose = STANCE_POSES[userData.stance];
   
   // Update animation time with faster animation when sprinting
   const animationSpeedMultiplier = userData.isSprinting ? 8 : 5;
@@ -512,8 +654,8 @@ function updatePlayerAnimations(player, deltaTime) {
       userData.weaponGroup.rotation.z = 0;
     }
     
-    // Slight body bounce with increased amplitude for sprinting
-    const bounceAmplitude = userData.isSprinting ? 0.15 : 0.1;
+    // Slight body bounce with increased amplitude for sprinting, and none while crawling
+    const bounceAmplitude = (userData.isSprinting ? 0.15 : 0.1) * pose.bounce;
     const bounceHeight = Math.abs(Math.sin(userData.animationTime * 2)) * bounceAmplitude;
     
     // Only apply bounce if not jumping
@@ -522,7 +664,7 @@ function updatePlayerAnimations(player, deltaTime) {
     }
     
     // Debug log to confirm animation is running
-    if (Math.random() < 0.001) { // Occasional log to avoid flooding console
+    if (fxRandom() < 0.001) { // Occasional log to avoid flooding console
       console.log("Player animation active", userData.isSprinting ? "sprinting" : "walking", legAngle);
     }
   } else if (userData.isJumping) {
@@ -551,6 +693,21 @@ function updatePlayerAnimations(player, deltaTime) {
     }
   }
   
+  // Stance pose - ease the whole body down into a crouch or flat on the ground
+  const poseRoot = userData.poseRoot;
+  const stanceBlend = Math.min(1, deltaTime * STANCE_BLEND_SPEED);
+  poseRoot.position.y += (pose.height - poseRoot.position.y) * stanceBlend;
+  poseRoot.position.z += (pose.offsetZ - poseRoot.position.z) * stanceBlend;
+  poseRoot.rotation.x += (pose.pitch - poseRoot.rotation.x) * stanceBlend;
+  
+  // Knees bend on top of the walking swing set above
+  userData.leftLeg.rotation.x += pose.legAngle;
+  userData.rightLeg.rotation.x += pose.legAngle;
+  
+  // Arms come up to shoulder the weapon when aiming down the sights
+  userData.rightArm.rotation.x -= userData.aimBlend * 0.9;
+  userData.leftArm.rotation.x -= userData.aimBlend * 1.1;
+  
   // Shooting animation
   if (userData.isShooting) {
     userData.shootingTime += deltaTime * 10;
@@ -593,6 +750,151 @@ function updatePlayerAnimations(player, deltaTime) {
       weaponGroup.position.z = userData.weaponRecoilOriginalPos.z;
     }
   }
+  
+  // Reload animation - dip and roll the weapon while the left hand works the action
+  if (userData.isReloading) {
+    userData.reloadTime += deltaTime;
+    
+    const progress = Math.min(1, userData.reloadTime / userData.reloadDuration);
+    const reloadCurve = Math.sin(progress * Math.PI); // 0 -> 1 -> 0 over the reload
+    
+    userData.weaponGroup.rotation.z = reloadCurve * 0.6; // Roll the weapon onto its side
+    userData.weaponGroup.position.y = userData.weaponGroupPos.y - reloadCurve * 0.25; // Lower it toward the chest
+    userData.leftArm.rotation.x = -reloadCurve * 1.2; // Reach for the magazine well
+    
+    if (progress >= 1) {
+      cancelReloadAnimation(player);
+    }
+  }
+  
+  // Bandage animation - weapon lowered while the left hand winds a dressing round the right arm
+  if (userData.isBandaging) {
+    userData.bandageTime += deltaTime;
+    
+    const progress = Math.min(1, userData.bandageTime / userData.bandageDuration);
+    const lowered = Math.min(1, Math.sin(progress * Math.PI) * 4); // Quickly down, held, quickly back up
+    const winding = Math.sin(userData.bandageTime * 12) * 0.25; // Wrapping motion
+    
+    userData.weaponGroup.rotation.z = lowered * 0.9; // Weapon slung across the body
+    userData.weaponGroup.position.y = userData.weaponGroupPos.y - lowered * 0.4;
+    userData.leftArm.rotation.x = -lowered * (1.0 + winding);
+    userData.rightArm.rotation.x = -lowered * 0.6; // Wounded arm held out to be wrapped
+    
+    if (progress >= 1) {
+      cancelBandageAnimation(player);
+    }
+  }
+}
+
+/**
+ * Changes the player's stance - the body and camera ease into it over the next few frames
+ * @param {THREE.Group} player - The player object
+ * @param {string} stance - Stance from STANCES
+ * @returns {boolean} - Whether the stance changed (not while jumping)
+ */
+export function setPlayerStance(player, stance) {
+  const userData = player.userData;
+  if (userData.isJumping || userData.stance === stance) return false;
+  
+  userData.stance = stance;
+  userData.isSprinting = false;
+  console.log(`Player stance: ${STANCE_CONFIG[stance].name}`);
+  return true;
+}
+
+/**
+ * Switches between the third-person and first-person camera
+ * @param {THREE.Group} player - The player object
+ * @param {string} mode - Mode from CAMERA_MODES
+ * @returns {boolean} - Whether the mode changed
+ */
+export function setCameraMode(player, mode) {
+  if (player.userData.cameraMode === mode) return false;
+  
+  player.userData.cameraMode = mode;
+  
+  // In first person the body would fill the view - hide it from the camera but keep its shadow
+  setHiddenFromCamera(player, mode === CAMERA_MODES.FIRST_PERSON);
+  console.log(`Camera mode: ${mode}`);
+  return true;
+}
+
+/**
+ * Hides an object from the camera while it still casts shadows. The shadow pass draws with its
+ * own depth material, so turning off color and depth writes only affects the camera's view.
+ * @param {THREE.Object3D} object - Object to hide or show, with its children
+ * @param {boolean} hidden - Whether to hide it
+ */
+function setHiddenFromCamera(object, hidden) {
+  object.traverse(child => {
+    if (!child.material) return;
+    
+    for (const material of Array.isArray(child.material) ? child.material : [child.material]) {
+      material.colorWrite = !hidden;
+      material.depthWrite = !hidden;
+    }
+  });
+}
+
+/**
+ * Starts the reload animation
+ * @param {THREE.Group} player - The player object
+ * @param {number} duration - Reload duration in milliseconds
+ */
+export function triggerReloadAnimation(player, duration) {
+  if (!player || !player.userData.weaponGroup) return;
+  
+  player.userData.isReloading = true;
+  player.userData.reloadTime = 0;
+  player.userData.reloadDuration = duration / 1000;
+}
+
+/**
+ * Stops the reload animation and returns the weapon to its resting pose
+ * @param {THREE.Group} player - The player object
+ */
+export function cancelReloadAnimation(player) {
+  if (!player || !player.userData.weaponGroup) return;
+  
+  const userData = player.userData;
+  userData.isReloading = false;
+  userData.reloadTime = 0;
+  
+  userData.weaponGroup.rotation.z = 0;
+  userData.weaponGroup.position.y = userData.weaponGroupPos.y;
+  userData.leftArm.rotation.x = 0;
+}
+
+/**
+ * Starts the field dressing animation
+ * @param {THREE.Group} player - The player object
+ * @param {number} duration - Time to apply the dressing in seconds
+ */
+export function triggerBandageAnimation(player, duration) {
+  if (!player || !player.userData.weaponGroup) return;
+  
+  // The hands can't reload and bandage at once
+  cancelReloadAnimation(player);
+  player.userData.isBandaging = true;
+  player.userData.bandageTime = 0;
+  player.userData.bandageDuration = duration;
+}
+
+/**
+ * Stops the field dressing animation and raises the weapon again
+ * @param {THREE.Group} player - The player object
+ */
+export function cancelBandageAnimation(player) {
+  if (!player || !player.userData.weaponGroup) return;
+  
+  const userData = player.userData;
+  userData.isBandaging = false;
+  userData.bandageTime = 0;
+  
+  userData.weaponGroup.rotation.z = 0;
+  userData.weaponGroup.position.y = userData.weaponGroupPos.y;
+  userData.leftArm.rotation.x = 0;
+  userData.rightArm.rotation.x = 0;
 }
 
 /**
@@ -608,41 +910,31 @@ export function updatePlayerWeapon(player, weaponType) {
     player.userData.weaponGroup.remove(player.userData.currentWeaponModel);
   }
   
-  // Create and add new weapon model
-  const newWeaponModel = createPlayerWeaponModel(weaponType);
+  // Create and add new weapon model, with a scope if one was fitted in the armory
+  const gameState = window.gameState;
+  const scoped = Boolean(gameState && gameState.getWeaponUpgradeLevel(weaponType, 'scope') > 0);
+  const newWeaponModel = createPlayerWeaponModel(weaponType, scoped);
   player.userData.weaponGroup.add(newWeaponModel);
   player.userData.currentWeaponModel = newWeaponModel;
-  
-  // Adjust weapon position based on type
-  if (weaponType === WEAPONS.MP41) {
-    // MP41 position adjustments - more realistic positioning and angle
-    player.userData.weaponGroup.position.set(0.48, 0.82, 0.38);
-    
-    // Rotate to match a more natural aiming position
-    player.userData.weaponGroup.rotation.set(0.02, 0.08, -0.02);
-    
-    // Store the original rotation for aiming calculations
-    player.userData.weaponGroup.userData = {
-      originalRotation: {
-        x: 0.02,
-        y: 0.08,
-        z: -0.02
-      }
-    };
-  } else {
-    // M1 Garand position - slightly adjusted for better look
-    player.userData.weaponGroup.position.set(0.55, 0.9, 0.3);
-    player.userData.weaponGroup.rotation.set(0, 0, 0);
-    
-    // Store the original rotation for aiming calculations
-    player.userData.weaponGroup.userData = {
-      originalRotation: {
-        x: 0,
-        y: 0,
-        z: 0
-      }
-    };
+  player.userData.weaponType = weaponType; // The first-person viewmodel follows these
+  player.userData.weaponScoped = scoped;
+  if (player.userData.cameraMode === CAMERA_MODES.FIRST_PERSON) {
+    setHiddenFromCamera(newWeaponModel, true);
   }
+  
+  // Position the weapon using the hold offsets from its descriptor
+  const config = WEAPON_CONFIG[weaponType];
+  const { holdPosition, holdRotation } = config;
+  player.userData.weaponGroup.position.set(holdPosition.x, holdPosition.y, holdPosition.z);
+  player.userData.weaponGroup.rotation.set(holdRotation.x, holdRotation.y, holdRotation.z);
+  
+  // Store the original rotation for aiming calculations
+  player.userData.weaponGroup.userData = {
+    originalRotation: { ...holdRotation }
+  };
+  
+  // Keep the resting position in sync so walk and reload animations return to the right place
+  player.userData.weaponGroupPos = player.userData.weaponGroup.position.clone();
 }
 
 /**
@@ -672,7 +964,7 @@ export function triggerShootAnimation(player) {
  * Updates the weapon orientation to aim toward the mouse position
  * @param {THREE.Object3D} player - The player object
  * @param {THREE.Camera} camera - The camera
- * @param {THREE.Vector2} mousePosition - Normalized mouse position
+ * @param {THREE.Vector2} mousePosition - Normalized aim position - the mouse plus any wound or breathing sway
  */
 function updateWeaponAiming(player, camera, mousePosition) {
   // Get the weapon group
@@ -691,12 +983,13 @@ function updateWeaponAiming(player, camera, mousePosition) {
     };
   }
   
-  // Performance optimization: Only update aiming every other frame
+  // Performance optimization: Only update aiming every other frame, except down the sights
   if (player.userData.skipAimFrame === undefined) {
     player.userData.skipAimFrame = false;
   }
   
-  player.userData.skipAimFrame = !player.userData.skipAimFrame;
+  const isAimingDownSights = player.userData.aimBlend > 0.5;
+  player.userData.skipAimFrame = !player.userData.skipAimFrame && !isAimingDownSights;
   if (player.userData.skipAimFrame) return;
   
   // Create a raycaster from the camera through the mouse position
@@ -728,15 +1021,17 @@ function updateWeaponAiming(player, camera, mousePosition) {
   // Apply limited rotation (with smoothing)
   const maxVerticalAngle = 0.5; // Maximum vertical angle in radians (about 30 degrees)
   const maxHorizontalAngle = 0.7; // Maximum horizontal angle in radians (about 40 degrees)
-  const smoothFactor = 0.3; // Smoothing factor (0-1, lower is smoother)
+  const smoothFactor = isAimingDownSights ? 0.6 : 0.3; // Smoothing factor (0-1, lower is smoother) - snappier when aiming
   
   // Clamp angles to limits
   const clampedVerticalAngle = Math.max(-maxVerticalAngle, Math.min(maxVerticalAngle, verticalAngle));
   const clampedHorizontalAngle = Math.max(-maxHorizontalAngle, Math.min(maxHorizontalAngle, horizontalAngle));
   
-  // Apply smoothed rotation - account for the player's 180-degree rotation
+  // Apply smoothed rotation - account for the player's 180-degree rotation, and undo the
+  // pose root's pitch so the weapon stays level when the player lies prone
+  const posePitch = player.userData.poseRoot.rotation.x;
   weaponGroup.rotation.x = weaponGroup.rotation.x * (1 - smoothFactor) + 
-                          (weaponGroup.userData.originalRotation.x - clampedVerticalAngle) * smoothFactor;
+                          (weaponGroup.userData.originalRotation.x - clampedVerticalAngle - posePitch) * smoothFactor;
   weaponGroup.rotation.y = weaponGroup.rotation.y * (1 - smoothFactor) + 
                           (weaponGroup.userData.originalRotation.y - clampedHorizontalAngle) * smoothFactor;
 } 
\ No newline at end of file
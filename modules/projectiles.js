@@ -2,6 +2,14 @@
  * Projectiles module for creating and managing projectiles and ammo pickups
  */
 import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
+import { markNavGridDirty } from './navigation.js';
+import { markLineOfSightDirty } from './enemyAI.js';
+import { resolvePlayerHitZone } from './injuries.js';
+import { RANDOM_STREAMS, getRandomStream } from './random.js';
+
+// Random streams - leg hits and enemy accuracy, and muzzle and impact effects
+const aiRandom = getRandomStream(RANDOM_STREAMS.AI);
+const fxRandom = getRandomStream(RANDOM_STREAMS.FX);
 
 // Make functions available globally
 window.createWoodParticles = createWoodParticles;
@@ -157,9 +165,9 @@ export function createMuzzleFlash(scene, position, direction) {
   for (let i = 0; i < numSpikes; i++) {
     const spike = createMuzzleFlashSpike();
     // Rotate spike randomly but generally forward
-    spike.rotation.x = (Math.random() - 0.5) * Math.PI / 3;
-    spike.rotation.y = (Math.random() - 0.5) * Math.PI / 3;
-    spike.rotation.z = Math.random() * Math.PI * 2;
+    spike.rotation.x = (fxRandom() - 0.5) * Math.PI / 3;
+    spike.rotation.y = (fxRandom() - 0.5) * Math.PI / 3;
+    spike.rotation.z = fxRandom() * Math.PI * 2;
     spikes.add(spike);
   }
   flash.add(spikes);
@@ -217,31 +225,31 @@ function addMuzzleSmoke(scene, position, direction) {
   
   for (let i = 0; i < numParticles; i++) {
     // Create a smoke particle
-    const smokeGeometry = new THREE.SphereGeometry(0.1 + Math.random() * 0.1, 4, 4);
+    const smokeGeometry = new THREE.SphereGeometry(0.1 + fxRandom() * 0.1, 4, 4);
     const smokeMaterial = new THREE.MeshBasicMaterial({
       color: 0xaaaaaa,
       transparent: true,
-      opacity: 0.3 + Math.random() * 0.2
+      opacity: 0.3 + fxRandom() * 0.2
     });
     const smoke = new THREE.Mesh(smokeGeometry, smokeMaterial);
     
     // Position at muzzle with slight random offset
     smoke.position.copy(position);
-    smoke.position.x += (Math.random() - 0.5) * 0.1;
-    smoke.position.y += (Math.random() - 0.5) * 0.1;
-    smoke.position.z += (Math.random() - 0.5) * 0.1;
+    smoke.position.x += (fxRandom() - 0.5) * 0.1;
+    smoke.position.y += (fxRandom() - 0.5) * 0.1;
+    smoke.position.z += (fxRandom() - 0.5) * 0.1;
     
     // Add to scene
     scene.add(smoke);
     
     // Calculate velocity in the direction of fire with randomness
-    const smokeVelocity = direction.clone().multiplyScalar(0.05 + Math.random() * 0.05);
-    smokeVelocity.x += (Math.random() - 0.5) * 0.02;
-    smokeVelocity.y += (Math.random() - 0.5) * 0.02 + 0.01; // Slight upward drift
-    smokeVelocity.z += (Math.random() - 0.5) * 0.02;
+    const smokeVelocity = direction.clone().multiplyScalar(0.05 + fxRandom() * 0.05);
+    smokeVelocity.x += (fxRandom() - 0.5) * 0.02;
+    smokeVelocity.y += (fxRandom() - 0.5) * 0.02 + 0.01; // Slight upward drift
+    smokeVelocity.z += (fxRandom() - 0.5) * 0.02;
     
     // Animate the smoke
-    const lifetime = 500 + Math.random() * 500; // 0.5-1 second
+    const lifetime = 500 + fxRandom() * 500; // 0.5-1 second
     const startTime = Date.now();
     const initialScale = smoke.scale.x;
     
@@ -322,7 +330,7 @@ export function createAmmoPickup(scene, position, amount) {
     rotationSpeed: 0.01,
     bounceHeight: 0.1,
     bounceSpeed: 2,
-    time: Math.random() * Math.PI * 2 // Random start time for varied animations
+    time: fxRandom() * Math.PI * 2 // Random start time for varied animations
   };
 }
 
@@ -343,7 +351,7 @@ export function updateProjectiles(projectiles, enemies, scene, deltaTime) {
   }
   
   // Debug log for projectile count
-  if (Math.random() < 0.01) { // Only log occasionally
+  if (fxRandom() < 0.01) { // Only log occasionally
     console.log(`Processing ${projectiles.length} projectiles against ${enemies.length} enemies`);
   }
   
@@ -407,9 +415,12 @@ export function updateProjectiles(projectiles, enemies, scene, deltaTime) {
       new THREE.Vector3().subVectors(projectile.object.position, projectile.lastPosition).normalize()
     );
     
-    // Check tree collisions
+    // Check tree collisions - the part hit is removed once the walk over the scene is done, as
+    // removing it mid-walk shifts the children being walked
+    let treePart = null;
+    let treeHitPoint = null;
     scene.traverse((object) => {
-      if (!treeHit && object.userData && object.userData.isTreePart) {
+      if (!treePart && object.userData && object.userData.isTreePart) {
         // Get all meshes in the tree group
         const distanceToTree = projectile.object.position.distanceTo(object.position);
         
@@ -419,40 +430,49 @@ export function updateProjectiles(projectiles, enemies, scene, deltaTime) {
           if (object.isMesh) {
             const intersects = raycaster.intersectObject(object, false);
             if (intersects.length > 0) {
-              treeHit = true;
-              
-              // Handle tree destruction
-              console.log("Hit tree part:", object.userData);
-              
-              // Remove the hit tree part
-              if (object.parent) {
-                object.parent.remove(object);
-              }
-              
-              // If this was the trunk, remove the whole tree
-              if (object.userData.isTrunk) {
-                console.log("Hit trunk - destroying whole tree");
-                // Find the tree group (parent) and remove it
-                let treeGroup = object.parent;
-                while (treeGroup && !treeGroup.userData.isTree) {
-                  treeGroup = treeGroup.parent;
-                }
-                
-                if (treeGroup && treeGroup.parent) {
-                  // Add falling effect and wood particles
-                  createWoodParticles(scene, treeGroup.position.clone());
-                  treeGroup.parent.remove(treeGroup);
-                }
-              } else if (object.userData.isFoliage) {
-                // Create leaf particles
-                createLeafParticles(scene, intersects[0].point.clone());
-              }
+              treePart = object;
+              treeHitPoint = intersects[0].point.clone();
             }
           }
         }
       }
     });
     
+    if (treePart) {
+      treeHit = true;
+      
+      // Handle tree destruction
+      console.log("Hit tree part:", treePart.userData);
+      
+      // Remove the hit tree part
+      if (treePart.parent) {
+        treePart.parent.remove(treePart);
+      }
+      
+      // If this was the trunk, remove the whole tree
+      if (treePart.userData.isTrunk) {
+        console.log("Hit trunk - destroying whole tree");
+        // Find the tree group (parent) and remove it
+        let treeGroup = treePart.parent;
+        while (treeGroup && !treeGroup.userData.isTree) {
+          treeGroup = treeGroup.parent;
+        }
+        
+        if (treeGroup && treeGroup.parent) {
+          // Add falling effect and wood particles
+          createWoodParticles(scene, treeGroup.position.clone());
+          treeGroup.parent.remove(treeGroup);
+          
+          // Enemies can now walk through, and see through, where the tree stood
+          markNavGridDirty();
+          markLineOfSightDirty();
+        }
+      } else if (treePart.userData.isFoliage) {
+        // Create leaf particles
+        createLeafParticles(scene, treeHitPoint);
+      }
+    }
+    
     // If projectile hit a tree, remove it
     if (treeHit) {
       scene.remove(projectile.object);
@@ -608,7 +628,7 @@ function checkEnemyHit(ray, enemy, currentPos, lastPos) {
     if (heightDiff > 1.5) {
       bodyPart = 'head';
     } else if (heightDiff < 0.8) {
-      bodyPart = Math.random() > 0.5 ? 'leftLeg' : 'rightLeg';
+      bodyPart = aiRandom() > 0.5 ? 'leftLeg' : 'rightLeg';
     }
     
     // Return hit data
@@ -738,9 +758,9 @@ function createBloodEffect(scene, position, bodyPart) {
     
     // Add random velocity
     const velocity = new THREE.Vector3(
-      (Math.random() - 0.5) * 0.2,
-      Math.random() * 0.2,
-      (Math.random() - 0.5) * 0.2
+      (fxRandom() - 0.5) * 0.2,
+      fxRandom() * 0.2,
+      (fxRandom() - 0.5) * 0.2
     );
     
     // Add to scene
@@ -749,7 +769,7 @@ function createBloodEffect(scene, position, bodyPart) {
     // Remove after a short time
     setTimeout(() => {
       scene.remove(particle);
-    }, 1000 + Math.random() * 1000);
+    }, 1000 + fxRandom() * 1000);
     
     // Animate falling
     const animate = () => {
@@ -838,9 +858,9 @@ export function createEnemyProjectile(scene, position, direction, accuracy = 0.8
   
   // Add random deviation based on accuracy
   const deviation = new THREE.Vector3(
-    (Math.random() - 0.5) * inaccuracy * 0.7,
-    (Math.random() - 0.5) * inaccuracy * 0.7,
-    (Math.random() - 0.5) * inaccuracy * 0.7
+    (aiRandom() - 0.5) * inaccuracy * 0.7,
+    (aiRandom() - 0.5) * inaccuracy * 0.7,
+    (aiRandom() - 0.5) * inaccuracy * 0.7
   );
   
   // Apply deviation to direction and normalize
@@ -887,8 +907,7 @@ export function createEnemyProjectile(scene, position, direction, accuracy = 0.8
   flash.position.copy(position);
   scene.add(flash);
   
-  // Create timestamp for shot creation
-  const creationTime = performance.now();
+  // Shots age with the simulation, so a headless run that steps faster than real time fades them just the same
   const lifespan = 1500; // 1.5 seconds in milliseconds
   
   // Return object with update and remove methods
@@ -896,15 +915,15 @@ export function createEnemyProjectile(scene, position, direction, accuracy = 0.8
     position: position.clone(), // Store position for hit detection
     line: shotLine,
     flash: flash,
-    creationTime: creationTime,
+    age: 0, // Milliseconds since the shot was fired
     direction: direction.clone(), // Store direction for better hit detection
     startPoint: position.clone(), // Store start point for ray calculations
     endPoint: endPoint.clone(),   // Store end point for ray calculations
     
     // Update method - handles fading out and expiration
     update: function(deltaTime) {
-      const currentTime = performance.now();
-      const age = currentTime - this.creationTime;
+      this.age += deltaTime * 1000;
+      const age = this.age;
       
       // Check if the shot should expire
       if (age >= lifespan) {
@@ -973,6 +992,115 @@ export function createEnemyProjectile(scene, position, direction, accuracy = 0.8
   };
 }
 
+/**
+ * Updates enemy projectiles and handles player hits
+ * @param {Array} projectiles - Array of projectile objects
+ * @param {THREE.Object3D} playerObject - The player, for working out which part was hit
+ * @param {number} deltaTime - Time since last frame
+ * @param {THREE.Scene} scene - The scene
+ * @param {Function} onPlayerHit - Called with the zone hit (from PLAYER_HIT_ZONES) and the shot's damage multiplier
+ * @returns {Array} - Updated projectiles array
+ */
+export function updateEnemyProjectiles(projectiles, playerObject, deltaTime, scene, onPlayerHit) {
+  // Keep track of projectiles to keep
+  const updatedProjectiles = [];
+  
+  // Update each projectile
+  for (let i = 0; i < projectiles.length; i++) {
+    const projectile = projectiles[i];
+    
+    // Update projectile and get whether to keep it
+    const shouldKeep = projectile.update(deltaTime);
+    
+    if (shouldKeep) {
+      // First check if this projectile hits a tree
+      let treeHit = false;
+      
+      // Create a ray for tree hit detection
+      const ray = new THREE.Raycaster(
+        projectile.startPoint || projectile.position,
+        projectile.direction,
+        0,   // Near plane
+        100  // Far plane - long enough to reach across the map
+      );
+      
+      // Find the first tree part in the shot's path - it is removed once the walk over the scene is done,
+      // as removing it mid-walk shifts the children being walked
+      let treePart = null;
+      let treeHitPoint = null;
+      scene.traverse((object) => {
+        if (!treePart && object.userData && object.userData.isTreePart && object.isMesh) {
+          const intersects = ray.intersectObject(object, false);
+          if (intersects.length > 0) {
+            treePart = object;
+            treeHitPoint = intersects[0].point.clone();
+          }
+        }
+      });
+      
+      if (treePart) {
+        treeHit = true;
+        console.log("Enemy bullet hit tree part:", treePart.userData);
+        
+        // Remove the hit tree part
+        if (treePart.parent) {
+          treePart.parent.remove(treePart);
+        }
+        
+        // If this was the trunk, remove the whole tree
+        if (treePart.userData.isTrunk) {
+          console.log("Enemy bullet hit trunk - destroying whole tree");
+          // Find the tree group (parent) and remove it
+          let treeGroup = treePart.parent;
+          while (treeGroup && !treeGroup.userData.isTree) {
+            treeGroup = treeGroup.parent;
+          }
+          
+          if (treeGroup && treeGroup.parent) {
+            // Add falling effect and wood particles
+            createWoodParticles(scene, treeGroup.position.clone());
+            treeGroup.parent.remove(treeGroup);
+            
+            // Enemies can now walk through, and see through, where the tree stood
+            markNavGridDirty();
+            markLineOfSightDirty();
+          }
+        } else if (treePart.userData.isFoliage) {
+          // Create leaf particles
+          createLeafParticles(scene, treeHitPoint);
+        }
+        
+        // Remove the projectile
+        projectile.remove(scene);
+      }
+      
+      if (treeHit) {
+        // Skip player hit check if we hit a tree
+        continue;
+      }
+      
+      // Work out which part of the player the shot hit - each bullet can only hit once
+      const hitZone = projectile.hasHitPlayer ? null : resolvePlayerHitZone(projectile, playerObject);
+      if (hitZone) {
+        projectile.hasHitPlayer = true;
+        
+        // Snipers and MG42s scale the damage
+        if (onPlayerHit) {
+          onPlayerHit(hitZone, projectile.damageMultiplier || 1);
+        }
+      }
+      
+      // Keep the projectile
+      updatedProjectiles.push(projectile);
+    } else {
+      // Remove the projectile from the scene
+      projectile.remove(scene);
+    }
+  }
+  
+  return updatedProjectiles;
+}
+
 /**
  * Creates wood debris particles when a tree is hit
  * @param {THREE.Scene} scene - The scene to add particles to
@@ -984,7 +1112,7 @@ function createWoodParticles(scene, position) {
   
   for (let i = 0; i < numParticles; i++) {
     // Create a wood chip particle
-    const particleGeometry = new THREE.BoxGeometry(0.1 + Math.random() * 0.1, 0.05, 0.05);
+    const particleGeometry = new THREE.BoxGeometry(0.1 + fxRandom() * 0.1, 0.05, 0.05);
     const particleMaterial = new THREE.MeshStandardMaterial({
       color: 0x8B4513, // Brown
       roughness: 0.9
@@ -993,28 +1121,28 @@ function createWoodParticles(scene, position) {
     
     // Position at hit point with random offset
     particle.position.copy(position);
-    particle.position.y += 1 + Math.random() * 0.5; // Position at trunk height
+    particle.position.y += 1 + fxRandom() * 0.5; // Position at trunk height
     
     // Random rotation
-    particle.rotation.x = Math.random() * Math.PI * 2;
-    particle.rotation.y = Math.random() * Math.PI * 2;
-    particle.rotation.z = Math.random() * Math.PI * 2;
+    particle.rotation.x = fxRandom() * Math.PI * 2;
+    particle.rotation.y = fxRandom() * Math.PI * 2;
+    particle.rotation.z = fxRandom() * Math.PI * 2;
     
     // Add to scene
     scene.add(particle);
     
     // Random velocity
     const velocity = new THREE.Vector3(
-      (Math.random() - 0.5) * 0.1,
-      Math.random() * 0.1,
-      (Math.random() - 0.5) * 0.1
+      (fxRandom() - 0.5) * 0.1,
+      fxRandom() * 0.1,
+      (fxRandom() - 0.5) * 0.1
     );
     
     // Random rotation velocity
     const rotationVelocity = new THREE.Vector3(
-      (Math.random() - 0.5) * 0.2,
-      (Math.random() - 0.5) * 0.2,
-      (Math.random() - 0.5) * 0.2
+      (fxRandom() - 0.5) * 0.2,
+      (fxRandom() - 0.5) * 0.2,
+      (fxRandom() - 0.5) * 0.2
     );
     
     particles.push({
@@ -1088,7 +1216,7 @@ function createLeafParticles(scene, position) {
   
   for (let i = 0; i < numParticles; i++) {
     // Create a leaf particle
-    const particleGeometry = new THREE.PlaneGeometry(0.1 + Math.random() * 0.1, 0.1 + Math.random() * 0.1);
+    const particleGeometry = new THREE.PlaneGeometry(0.1 + fxRandom() * 0.1, 0.1 + fxRandom() * 0.1);
     const particleMaterial = new THREE.MeshStandardMaterial({
       color: 0x2E8B57, // Green
       roughness: 0.9,
@@ -1098,30 +1226,30 @@ function createLeafParticles(scene, position) {
     
     // Position at hit point with random offset
     particle.position.copy(position);
-    particle.position.x += (Math.random() - 0.5) * 0.2;
-    particle.position.y += (Math.random() - 0.5) * 0.2;
-    particle.position.z += (Math.random() - 0.5) * 0.2;
+    particle.position.x += (fxRandom() - 0.5) * 0.2;
+    particle.position.y += (fxRandom() - 0.5) * 0.2;
+    particle.position.z += (fxRandom() - 0.5) * 0.2;
     
     // Random rotation
-    particle.rotation.x = Math.random() * Math.PI * 2;
-    particle.rotation.y = Math.random() * Math.PI * 2;
-    particle.rotation.z = Math.random() * Math.PI * 2;
+    particle.rotation.x = fxRandom() * Math.PI * 2;
+    particle.rotation.y = fxRandom() * Math.PI * 2;
+    particle.rotation.z = fxRandom() * Math.PI * 2;
     
     // Add to scene
     scene.add(particle);
     
     // Slower falling for leaves - floaty effect
     const velocity = new THREE.Vector3(
-      (Math.random() - 0.5) * 0.05,
-      Math.random() * 0.02, // Initial up velocity
-      (Math.random() - 0.5) * 0.05
+      (fxRandom() - 0.5) * 0.05,
+      fxRandom() * 0.02, // Initial up velocity
+      (fxRandom() - 0.5) * 0.05
     );
     
     // Random spinning rotation
     const rotationVelocity = new THREE.Vector3(
-      (Math.random() - 0.5) * 0.1,
-      (Math.random() - 0.5) * 0.1,
-      (Math.random() - 0.5) * 0.1
+      (fxRandom() - 0.5) * 0.1,
+      (fxRandom() - 0.5) * 0.1,
+      (fxRandom() - 0.5) * 0.1
     );
     
     particles.push({
@@ -1131,8 +1259,8 @@ function createLeafParticles(scene, position) {
       gravity: 0.001, // Lower gravity for leaves
       lifetime: 3000, // 3 seconds
       startTime: Date.now(),
-      wobblePhase: Math.random() * Math.PI * 2, // Random starting phase for wobble
-      wobbleFrequency: 0.1 + Math.random() * 0.2 // Random wobble speed
+      wobblePhase: fxRandom() * Math.PI * 2, // Random starting phase for wobble
+      wobbleFrequency: 0.1 + fxRandom() * 0.2 // Random wobble speed
     });
   }
   
@@ -0,0 +1,103 @@
+/**
+ * Random module - one seedable random number generator split into named streams, so a match
+ * started with the same seed and the same inputs plays out the same way. Each stream keeps its own
+ * sequence, so effects drawn every display frame never shift the island's layout or an enemy's aim.
+ */
+
+// Named streams, each seeded from the match seed
+export const RANDOM_STREAMS = {
+  WORLD: 'world', // Island layout - hills, rocks, trees and bushes
+  AI: 'ai', // The fight - spawns, enemy decisions and aim, fire spread and the scatter of every shot
+  LOOT: 'loot', // Drop rolls, where drops land and perk choices
+  COMBAT: 'combat', // What a hit does beyond its damage - which limbs come off
+  FX: 'fx', // Purely visual - particles, ragdolls, flying limbs and camera shake
+  BOT: 'bot' // The headless simulation's bot player - its aim error and choices
+};
+
+// Constants for seeds
+const MAX_SEED_LENGTH = 24; // Longest seed kept from the title screen
+const RANDOM_SEED_DIGITS = 6; // Digits in a seed picked when the player doesn't enter one
+
+let seed = createRandomSeed();
+const streamStates = {}; // Stream name -> its generator's 32-bit state
+resetStreams();
+
+/**
+ * Picks a fresh seed for a match the player didn't enter one for
+ * @returns {string} - A random seed of digits
+ */
+export function createRandomSeed() {
+  // The only Math.random() left in the game - everything else draws from a stream
+  return String(Math.floor(Math.random() * Math.pow(10, RANDOM_SEED_DIGITS))).padStart(RANDOM_SEED_DIGITS, '0');
+}
+
+/**
+ * Seeds every stream for a new match
+ * @param {string|number} newSeed - Seed text or number; blank picks a random seed
+ * @returns {string} - The seed in use
+ */
+export function setRandomSeed(newSeed) {
+  // Letters, digits, dashes and underscores only - the seed is shown back on the game over screen
+  const cleaned = newSeed === undefined || newSeed === null ? '' :
+    String(newSeed).replace(/[^\w-]/g, '').slice(0, MAX_SEED_LENGTH);
+  seed = cleaned || createRandomSeed();
+  resetStreams();
+  console.log(`Random seed: ${seed}`);
+  return seed;
+}
+
+/**
+ * Gets the match seed, to show the player or start the same match again
+ * @returns {string} - The seed in use
+ */
+export function getRandomSeed() {
+  return seed;
+}
+
+/**
+ * Gets a named stream, used in place of Math.random()
+ * @param {string} name - Stream name from RANDOM_STREAMS
+ * @returns {Function} - Returns the stream's next number in [0, 1) each call; reseeding carries over
+ */
+export function getRandomStream(name) {
+  if (!Object.values(RANDOM_STREAMS).includes(name)) {
+    throw new Error(`getRandomStream: unknown stream "${name}"`);
+  }
+  return () => nextRandom(name);
+}
+
+/**
+ * Restarts every stream's sequence from the match seed
+ */
+function resetStreams() {
+  for (const name of Object.values(RANDOM_STREAMS)) {
+    streamStates[name] = hashSeed(`${seed}:${name}`);
+  }
+}
+
+/**
+ * Advances a stream (mulberry32 - small, fast and good enough for a game)
+ * @param {string} name - Stream name
+ * @returns {number} - Next number in [0, 1)
+ */
+function nextRandom(name) {
+  streamStates[name] = (streamStates[name] + 0x6D2B79F5) | 0;
+  let t = streamStates[name];
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Turns seed text into a 32-bit generator state (FNV-1a)
+ * @param {string} text - Seed text with the stream name
+ * @returns {number} - Generator state
+ */
+function hashSeed(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
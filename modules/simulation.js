@@ -0,0 +1,500 @@
+/**
+ * Simulation module - runs a match with no page and no WebGL, for automated tests and balance runs
+ * under Node. It builds the same island as game.js and plays the same match rules from match.js, steps
+ * them at the fixed simulation rate and takes the player's controls from an input source (a script or a
+ * bot) instead of the keyboard and mouse. Only one simulation can run at a time - the modules share window.
+ */
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
+import { createIsland } from './island.js';
+import { createPlayer, updatePlayerPosition, updatePlayerWeapon, triggerBandageAnimation, setPlayerStance } from './player.js';
+import { configureEnemyBalance, updateEnemies, updateBoats } from './enemies.js';
+import { buildNavGrid } from './navigation.js';
+import { updateFires, clearFires } from './fire.js';
+import { updateProjectiles, createEnemyProjectile, updateEnemyProjectiles } from './projectiles.js';
+import { GameState } from './gameState.js';
+import { getWeaponForSlot } from './weapons.js';
+import { clearGrenades, updateGrenades } from './grenades.js';
+import { updateBossVehicles } from './vehicles.js';
+import { setWaveDefinitions, getDirectorSettings } from './waveDefinitions.js';
+import { configureDirector, resetDirector } from './director.js';
+import { configureGameplay, createMatch, fireWeapon, getMuzzlePosition, reloadWeapon, throwGrenade, handleExplosion, handlePlayerBulletHit, updatePickups, prepareNextWave, spawnWaveEnemies, updateWaveCycle, endIntermission, choosePerk } from './match.js';
+import { STANCE_CONFIG } from './stances.js';
+import { SIMULATION_STEP, SIMULATION_RATE } from './timestep.js';
+import { setRandomSeed } from './random.js';
+
+// Constants for runs
+const DEFAULT_MAX_TIME = 3600; // Simulated seconds before a match is called off
+const DEFAULT_STALL_TIME = 120; // Simulated seconds a wave can go without an enemy going down before it counts as stalled
+const STEPS_PER_CHUNK = SIMULATION_RATE; // Steps run before letting Node's timers catch up
+
+// Which way a match ended
+export const SIMULATION_OUTCOMES = {
+  DIED: 'died', // Killed in action, or bled out
+  SURVIVED: 'survived', // Cleared every wave asked for
+  STALLED: 'stalled', // A wave went stallTime seconds without an enemy going down
+  TIMED_OUT: 'timedOut' // Ran out of simulated time
+};
+
+/**
+ * Creates a renderer that draws nothing, but brings world matrices up to date the way a real
+ * render does - raycasts against enemies and cover rely on them
+ * @returns {Object} - Renderer with the parts of THREE.WebGLRenderer's interface the game uses
+ */
+export function createNullRenderer() {
+  return {
+    domElement: null,
+    autoClear: true,
+    shadowMap: { enabled: false },
+    info: { frames: 0 },
+    setSize() {},
+    setPixelRatio() {},
+    clearDepth() {},
+    dispose() {},
+    render(scene, camera) {
+      if (scene.autoUpdate) scene.updateMatrixWorld();
+      if (camera.parent === null) camera.updateMatrixWorld();
+      this.info.frames++;
+    }
+  };
+}
+
+/**
+ * Sets up a match, ready to be stepped
+ * @param {Object} options - Match options
+ * @param {string|number} options.seed - Match seed; blank picks a random one
+ * @param {Function} options.input - Input source, called each step with the simulation (see simulationInput.js)
+ * @param {Object} options.constants - Overrides for GAMEPLAY_DEFAULTS in match.js
+ * @param {Object} options.enemyBalance - Overrides for ENEMY_BALANCE_DEFAULTS in enemies.js
+ * @param {Object} options.waveDefinitions - Parsed wave file; procedural waves if left out
+ * @param {number} options.maxWaves - Waves to clear before the match counts as survived (unlimited if left out)
+ * @param {number} options.maxTime - Simulated seconds before the match is called off
+ * @param {number} options.stallTime - Simulated seconds a wave can go without an enemy going down
+ *   before the match is called off as stalled
+ * @returns {Object} - The simulation
+ */
+export function createSimulation(options = {}) {
+  const {
+    seed,
+    input = null,
+    constants = {},
+    enemyBalance = {},
+    waveDefinitions = null,
+    maxWaves = Infinity,
+    maxTime = DEFAULT_MAX_TIME,
+    stallTime = DEFAULT_STALL_TIME
+  } = options;
+  
+  const sim = {
+    input: input,
+    maxWaves: maxWaves,
+    maxTime: maxTime,
+    stallTime: stallTime,
+    scene: new THREE.Scene(),
+    camera: new THREE.PerspectiveCamera(75, 16 / 9, 0.1, 1000),
+    renderer: createNullRenderer(),
+    keyState: {},
+    gameState: null,
+    player: null,
+    match: null, // Enemies, pickups and the wave cycle, run by match.js as in the browser
+    seed: null,
+    waveRecord: null, // The wave being fought, or cleared and waiting on the next
+    waveResults: [], // One record per wave fought, see finishWaveRecord()
+    wavesCleared: 0,
+    stepCount: 0,
+    frameCallbacks: [], // requestAnimationFrame callbacks waiting for the next step
+    isFinished: false,
+    outcome: null
+  };
+  
+  installHeadlessGlobals(sim);
+  
+  // The same seed builds the same island and rolls the same waves as in the browser
+  sim.seed = setRandomSeed(seed);
+  sim.camera.position.set(0, 2, 0);
+  
+  sim.gameState = new GameState();
+  window.gameState = sim.gameState;
+  
+  // Effects nobody will see are kept to a minimum
+  sim.gameState.reducedEffects = true;
+  window.reducedEffects = true;
+  
+  // Waves from the given file, or procedural ones, with the director starting from scratch
+  setWaveDefinitions(waveDefinitions);
+  configureDirector(getDirectorSettings());
+  resetDirector();
+  configureGameplay(constants);
+  configureEnemyBalance(enemyBalance);
+  clearFires(sim.scene);
+  
+  createIsland(sim.scene);
+  buildNavGrid(sim.scene);
+  sim.player = createPlayer(sim.scene);
+  
+  // Nobody is watching, so the match's hooks only keep the wave records
+  sim.match = createMatch({
+    scene: sim.scene,
+    gameState: sim.gameState,
+    player: sim.player,
+    hooks: {
+      onAmmoCollected: (amount) => countAmmoCollected(sim, amount),
+      onSupplyCrateCollected: (contents) => countAmmoCollected(sim, contents.ammo),
+      onWaveCompleted: (rewards) => handleWaveCompleted(sim, rewards),
+      onIntermissionEnded: () => startNextWave(sim)
+    }
+  });
+  
+  sim.renderer.render(sim.scene, sim.camera);
+  startNextWave(sim);
+  
+  return sim;
+}
+
+/**
+ * Advances the match by one fixed step, as game.js's simulationStep does, reading the player's
+ * controls from the input source
+ * @param {Object} sim - The simulation
+ */
+export function stepSimulation(sim) {
+  if (sim.isFinished) return;
+  
+  const deltaTime = SIMULATION_STEP;
+  const gameState = sim.gameState;
+  const player = sim.player;
+  const scene = sim.scene;
+  const match = sim.match;
+  gameState.simTime += deltaTime;
+  sim.stepCount++;
+  
+  if (gameState.isGameOver) {
+    finishSimulation(sim, SIMULATION_OUTCOMES.DIED);
+    return;
+  }
+  if (gameState.simTime >= sim.maxTime) {
+    finishSimulation(sim, SIMULATION_OUTCOMES.TIMED_OUT);
+    return;
+  }
+  
+  // Take this step's controls and move the player with them
+  const controls = (sim.input && sim.input(sim)) || {};
+  applyControls(sim, controls);
+  updatePlayerPosition(player, sim.camera, deltaTime);
+  
+  gameState.updateReload(deltaTime);
+  if (gameState.isBandaging) {
+    gameState.updateFieldDressing(deltaTime);
+  }
+  if (gameState.bleedRate > 0 && !match.isIntermission) {
+    gameState.updateBleeding(deltaTime);
+  }
+  
+  // Holding the trigger fires as fast as the weapon allows
+  if (controls.fire) {
+    shoot(sim, controls.aimAt);
+  }
+  
+  if (gameState.isPlaying && !gameState.isGameOver) {
+    // Enemies aim at the player's torso, lower when crouching or prone
+    const playerPosition = player.position.clone();
+    playerPosition.y += STANCE_CONFIG[player.userData.stance].targetHeight;
+    
+    updateBoats(scene, deltaTime);
+    updateEnemies(match.enemies, playerPosition, deltaTime, scene, match.enemyProjectiles, {
+      grenades: match.grenades,
+      time: gameState.simTime
+    });
+    
+    if (match.bossVehicles.length > 0) {
+      updateBossVehicles(match.bossVehicles, {
+        playerPosition: playerPosition,
+        deltaTime: deltaTime,
+        scene: scene,
+        projectiles: match.enemyProjectiles,
+        onShellExplode: (position, shell) => handleExplosion(match, position, shell)
+      });
+    }
+    
+    match.enemyProjectiles = updateEnemyProjectiles(match.enemyProjectiles, player, deltaTime, scene,
+      (zone, damageMultiplier) => handlePlayerBulletHit(match, zone, damageMultiplier));
+    
+    updateWaveCycle(match, deltaTime);
+    checkForStall(sim);
+    if (sim.isFinished) return;
+  }
+  
+  match.projectiles = updateProjectiles(match.projectiles, match.enemies, scene, deltaTime);
+  match.grenades = updateGrenades(match.grenades, deltaTime, scene, (position, grenade) => handleExplosion(match, position, grenade));
+  updateFires(scene, deltaTime, player.position);
+  updatePickups(match, sim.keyState);
+  
+  // Cosmetic animations waiting on a frame get one per step, then the world matrices are brought up to date
+  const frameCallbacks = sim.frameCallbacks;
+  sim.frameCallbacks = [];
+  for (const callback of frameCallbacks) {
+    callback(gameState.simTime * 1000);
+  }
+  sim.renderer.render(scene, sim.camera);
+}
+
+/**
+ * Steps a match until it ends, letting Node's timers run every simulated second so effects
+ * cleaned up with setTimeout don't pile up
+ * @param {Object} sim - The simulation
+ * @returns {Promise<Object>} - Resolves with the match result from getSimulationResult()
+ */
+export function runSimulation(sim) {
+  return new Promise((resolve, reject) => {
+    const runChunk = () => {
+      try {
+        for (let i = 0; i < STEPS_PER_CHUNK && !sim.isFinished; i++) {
+          stepSimulation(sim);
+        }
+      } catch (error) {
+        reject(error);
+        return;
+      }
+      
+      if (sim.isFinished) {
+        resolve(getSimulationResult(sim));
+      } else {
+        setTimeout(runChunk, 0);
+      }
+    };
+    runChunk();
+  });
+}
+
+/**
+ * Sums up a match
+ * @param {Object} sim - The simulation
+ * @returns {Object} - { seed, outcome, wavesCleared, score, simTime, waves } where waves holds each wave's record
+ */
+export function getSimulationResult(sim) {
+  return {
+    seed: sim.seed,
+    outcome: sim.outcome,
+    wavesCleared: sim.wavesCleared,
+    score: sim.gameState.score,
+    simTime: sim.gameState.simTime,
+    waves: sim.waveResults.map(result => ({ ...result }))
+  };
+}
+
+/**
+ * Stands in for requestAnimationFrame when there is no display to drive it, and leaves out the
+ * muzzle flashes enemies would draw
+ * @param {Object} sim - The simulation
+ */
+function installHeadlessGlobals(sim) {
+  window.keyState = sim.keyState;
+  window.createEnemyProjectile = createEnemyProjectile;
+  
+  // Muzzle flashes are only for show
+  window.createMuzzleFlash = undefined;
+  
+  if (typeof window.requestAnimationFrame !== 'function' || window.requestAnimationFrame.isSimulationFrame) {
+    window.requestAnimationFrame = (callback) => {
+      sim.frameCallbacks.push(callback);
+      return sim.frameCallbacks.length;
+    };
+    window.requestAnimationFrame.isSimulationFrame = true;
+  }
+}
+
+/**
+ * Applies a step's controls to the player - held keys, heading and one-off actions
+ * @param {Object} sim - The simulation
+ * @param {Object} controls - The input source's controls for this step
+ */
+function applyControls(sim, controls) {
+  const gameState = sim.gameState;
+  const player = sim.player;
+  
+  // Held keys, as the keyboard would leave them
+  for (const code of Object.keys(sim.keyState)) {
+    delete sim.keyState[code];
+  }
+  Object.assign(sim.keyState, controls.keys || {});
+  
+  if (typeof controls.facing === 'number') {
+    player.rotation.y = controls.facing;
+  }
+  gameState.isAiming = Boolean(controls.aimDownSights) && !gameState.isGameOver;
+  
+  if (controls.stance && controls.stance !== player.userData.stance) {
+    setPlayerStance(player, controls.stance);
+  }
+  
+  if (controls.weaponSlot) {
+    const weaponConfig = getWeaponForSlot(controls.weaponSlot);
+    if (weaponConfig && weaponConfig.id !== gameState.currentWeapon && gameState.switchWeapon(weaponConfig.id)) {
+      updatePlayerWeapon(player, weaponConfig.id);
+    }
+  }
+  
+  if (controls.reload) {
+    reloadWeapon(sim.match);
+  }
+  
+  // A field dressing only goes on a wounded player
+  if (controls.dressWounds && !gameState.isBandaging && gameState.fieldDressings > 0 &&
+      (gameState.health < 100 || gameState.isWounded()) && gameState.startFieldDressing()) {
+    triggerBandageAnimation(player, gameState.getFieldDressingTime());
+  }
+  
+  if (controls.throwGrenadeAt) {
+    throwGrenade(sim.match, controls.throwGrenadeAt);
+  }
+  
+  // Picking a perk on offer lets the intermission carry on, and the player can cut it short
+  if (controls.perk) {
+    choosePerk(sim.match, controls.perk);
+  }
+  if (controls.endIntermission) {
+    endIntermission(sim.match);
+  }
+}
+
+/**
+ * Fires the current weapon at a point, as game.js's shoot() does from the mouse
+ * @param {Object} sim - The simulation
+ * @param {THREE.Vector3} aimAt - Where the shot is aimed; straight ahead if left out
+ */
+function shoot(sim, aimAt) {
+  const player = sim.player;
+  const gunPosition = getMuzzlePosition(player);
+  const direction = aimAt ?
+    new THREE.Vector3().subVectors(aimAt, gunPosition) :
+    new THREE.Vector3(0, 0, -1).applyAxisAngle(new THREE.Vector3(0, 1, 0), player.rotation.y);
+  fireWeapon(sim.match, gunPosition, direction);
+}
+
+/**
+ * Sends in the next wave - straight away, as there is no announcement to wait for
+ * @param {Object} sim - The simulation
+ */
+function startNextWave(sim) {
+  const gameState = sim.gameState;
+  finishWaveRecord(sim);
+  
+  prepareNextWave(sim.match);
+  spawnWaveEnemies(sim.match);
+  
+  sim.waveRecord = {
+    wave: gameState.wave,
+    clearTime: null,
+    ammoAtStart: getCarriedAmmo(gameState),
+    ammoCollected: 0,
+    ammoRewarded: 0,
+    healthAtStart: gameState.health,
+    enemiesRemaining: gameState.enemiesRemainingInWave,
+    lastKillTime: gameState.simTime, // When an enemy or vehicle last went down, or the wave began
+    stalled: false
+  };
+}
+
+/**
+ * Calls the match off once the wave being fought has gone stallTime seconds without an enemy or
+ * vehicle going down - what's left is out of the bot's reach, and would otherwise run to maxTime
+ * @param {Object} sim - The simulation
+ */
+function checkForStall(sim) {
+  const record = sim.waveRecord;
+  if (!record || record.clearTime !== null) return;
+  
+  const gameState = sim.gameState;
+  if (gameState.enemiesRemainingInWave !== record.enemiesRemaining) {
+    record.enemiesRemaining = gameState.enemiesRemainingInWave;
+    record.lastKillTime = gameState.simTime;
+  } else if (gameState.simTime - record.lastKillTime >= sim.stallTime) {
+    record.stalled = true;
+    finishSimulation(sim, SIMULATION_OUTCOMES.STALLED);
+  }
+}
+
+/**
+ * Notes a cleared wave in its record, ending the match once enough waves are cleared
+ * @param {Object} sim - The simulation
+ * @param {Object} rewards - The wave completion rewards from restoreWaveCompletion()
+ */
+function handleWaveCompleted(sim, rewards) {
+  sim.wavesCleared++;
+  if (sim.waveRecord) {
+    sim.waveRecord.clearTime = sim.gameState.waveStats.time;
+    sim.waveRecord.ammoRewarded = rewards.ammoRestored;
+  }
+  
+  if (sim.wavesCleared >= sim.maxWaves) {
+    finishSimulation(sim, SIMULATION_OUTCOMES.SURVIVED);
+  }
+}
+
+/**
+ * Counts rounds picked up toward the wave's record
+ * @param {Object} sim - The simulation
+ * @param {number} amount - Rounds picked up
+ */
+function countAmmoCollected(sim, amount) {
+  if (sim.waveRecord) sim.waveRecord.ammoCollected += amount;
+}
+
+/**
+ * Files the record of the last wave, once the next one lands or the match ends - so it covers the
+ * intermission after it too, and its ammo adds up: start + collected + rewarded - fired = end
+ * @param {Object} sim - The simulation
+ */
+function finishWaveRecord(sim) {
+  const record = sim.waveRecord;
+  if (!record) return;
+  sim.waveRecord = null;
+  
+  const gameState = sim.gameState;
+  const stats = gameState.waveStats;
+  sim.waveResults.push({
+    wave: record.wave,
+    enemies: stats.enemies,
+    cleared: record.clearTime !== null,
+    died: gameState.isGameOver,
+    stalled: record.stalled,
+    time: record.clearTime !== null ? record.clearTime : stats.time, // Seconds fought, to the last enemy or the end
+    kills: stats.kills,
+    headshotKills: stats.headshotKills,
+    shotsFired: stats.shotsFired,
+    shotsHit: stats.shotsHit,
+    damageTaken: stats.damageTaken,
+    healthAtStart: record.healthAtStart,
+    healthAtEnd: gameState.health,
+    ammoAtStart: record.ammoAtStart,
+    ammoCollected: record.ammoCollected,
+    ammoRewarded: record.ammoRewarded,
+    ammoAtEnd: getCarriedAmmo(gameState)
+  });
+}
+
+/**
+ * Ends the match, filing the wave in progress
+ * @param {Object} sim - The simulation
+ * @param {string} outcome - Outcome from SIMULATION_OUTCOMES
+ */
+function finishSimulation(sim, outcome) {
+  finishWaveRecord(sim);
+  sim.isFinished = true;
+  sim.outcome = outcome;
+  sim.frameCallbacks = [];
+  clearGrenades(sim.match.grenades, sim.scene);
+  sim.match.grenades = [];
+  clearFires(sim.scene);
+}
+
+/**
+ * Counts every round the player carries, loaded and in reserve
+ * @param {GameState} gameState - The game state
+ * @returns {number} - Rounds carried
+ */
+function getCarriedAmmo(gameState) {
+  let loaded = 0;
+  for (const entry of Object.values(gameState.inventory)) {
+    if (entry.owned) loaded += entry.loadedRounds;
+  }
+  return loaded + gameState.getTotalReserveAmmo();
+}
@@ -0,0 +1,318 @@
+/**
+ * Simulation input module - input sources that play the headless simulation in place of a person.
+ * An input source is a function called once per step with the simulation, returning that step's
+ * controls:
+ *   keys - Keys held, by KeyboardEvent.code (e.g. { KeyW: true }), as the keyboard would hold them
+ *   facing - Heading to turn the player to, in radians (0 faces -Z)
+ *   aimAt - World point shots are fired at
+ *   aimDownSights, fire - Right and left mouse buttons held
+ *   stance - Stance from STANCES
+ *   weaponSlot - Weapon slot to switch to
+ *   reload, dressWounds - Start a reload or a field dressing this step
+ *   throwGrenadeAt - World point to throw a grenade at this step
+ *   perk - Perk to take from the choices on offer
+ *   endIntermission - Leave the armory and start the next wave now
+ */
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
+import { hasLineOfSight } from './enemyAI.js';
+import { WEAPON_CONFIG } from './weapons.js';
+import { MAX_THROW_DISTANCE, getGrenadeStats, GRENADE_TYPES } from './grenades.js';
+import { STANCES } from './stances.js';
+import { RANDOM_STREAMS, getRandomStream } from './random.js';
+
+// Random stream - the bot's aim error, kept apart so a bot never shifts the fight's own rolls
+const botRandom = getRandomStream(RANDOM_STREAMS.BOT);
+
+// How the bot plays, unless told otherwise
+export const BOT_DEFAULTS = {
+  reactionTime: 0.4, // Seconds from spotting a target to opening fire
+  aimError: 0.35, // Scatter of the bot's aim around its aim point, in world units
+  headshotChance: 0.15, // Chance a shot is aimed at the head rather than the torso
+  range: 35, // Furthest the bot opens fire
+  stance: STANCES.STANDING, // Stance held while fighting
+  aimDownSights: true,
+  grenades: true, // Throws grenades into groups of enemies
+  collectPickups: true, // Walks over to drops when nothing is in range
+  searchDelay: 10, // Seconds with nobody in sight before going after the nearest landed enemy (Infinity never does)
+  dressWounds: true // Dresses bleeding wounds when no enemy is close
+};
+
+// Constants for the bot's decisions
+const RETARGET_INTERVAL = 0.25; // Seconds between looking for the nearest visible enemy
+const EYE_HEIGHT = 1.6; // Height the bot looks for enemies from
+const TORSO_HEIGHT = 0.9; // Heights on an enemy the bot aims at, above its feet
+const HEAD_HEIGHT = 1.9;
+const GRENADE_GROUP_SIZE = 3; // Enemies close together before a grenade is worth it
+const GRENADE_COOLDOWN = 5; // Seconds between the bot's grenades
+const PICKUP_SEARCH_RADIUS = 20; // Furthest the bot walks for a drop
+const SAFE_DISTANCE = 12; // No enemy this close before the bot stops to reload or dress wounds
+
+/**
+ * Creates a bot that shoots the nearest enemy it can see, grenades groups, dresses wounds and
+ * collects drops between fights, and goes after the nearest landed enemy when nobody is in sight
+ * @param {Object} options - Overrides for BOT_DEFAULTS
+ * @returns {Function} - Input source for createSimulation()
+ */
+export function createBotInput(options = {}) {
+  const settings = { ...BOT_DEFAULTS, ...options };
+  const grenadeStats = getGrenadeStats(GRENADE_TYPES.FRAG);
+  const bot = {
+    target: null,
+    targetSpotted: 0, // Simulated time the target was first seen
+    nextRetarget: 0,
+    nextGrenade: 0,
+    lastSighting: 0 // Simulated time an enemy was last in sight
+  };
+  
+  return (sim) => {
+    const gameState = sim.gameState;
+    const player = sim.player;
+    const time = gameState.simTime;
+    const controls = { keys: {}, stance: settings.stance };
+    
+    // Take the first perk on offer
+    if (sim.match.perkChoices.length > 0) {
+      controls.perk = sim.match.perkChoices[0];
+    }
+    
+    // Look for the nearest enemy in sight every so often, and drop a target that has died
+    if (bot.target && (bot.target.isDead || !bot.target.object)) {
+      bot.target = null;
+    }
+    if (time >= bot.nextRetarget) {
+      bot.nextRetarget = time + RETARGET_INTERVAL;
+      const target = findVisibleEnemy(sim, settings.range);
+      if (target !== bot.target) {
+        bot.target = target;
+        bot.targetSpotted = time;
+      }
+    }
+    
+    const nearestDistance = getNearestEnemyDistance(sim);
+    switchToLoadedWeapon(gameState, controls);
+    
+    if (bot.target) {
+      bot.lastSighting = time;
+      const targetPosition = bot.target.object.position;
+      controls.facing = getHeading(player.position, targetPosition);
+      controls.aimDownSights = settings.aimDownSights;
+      
+      // Aim at the torso, or now and then the head, with the bot's own unsteadiness
+      const aimHeight = botRandom() < settings.headshotChance ? HEAD_HEIGHT : TORSO_HEIGHT;
+      controls.aimAt = new THREE.Vector3(
+        targetPosition.x + (botRandom() - 0.5) * 2 * settings.aimError,
+        targetPosition.y + aimHeight + (botRandom() - 0.5) * 2 * settings.aimError,
+        targetPosition.z + (botRandom() - 0.5) * 2 * settings.aimError
+      );
+      controls.fire = time - bot.targetSpotted >= settings.reactionTime;
+      
+      // A grenade into a group, far enough off to be safe
+      const distance = player.position.distanceTo(targetPosition);
+      if (settings.grenades && time >= bot.nextGrenade && gameState.grenades > 0 &&
+          distance > grenadeStats.blastRadius + 1 && distance <= MAX_THROW_DISTANCE &&
+          countEnemiesNear(sim, targetPosition, grenadeStats.lethalRadius) >= GRENADE_GROUP_SIZE) {
+        controls.throwGrenadeAt = targetPosition.clone();
+        bot.nextGrenade = time + GRENADE_COOLDOWN;
+      }
+      return controls;
+    }
+    
+    // Nothing to shoot - patch up and top up the magazine while it's quiet
+    if (nearestDistance > SAFE_DISTANCE) {
+      if (settings.dressWounds && gameState.bleedRate > 0) {
+        controls.dressWounds = true;
+      }
+      if (gameState.canReload()) {
+        controls.reload = true;
+      }
+    }
+    
+    // The quiet only counts while someone is ashore to go looking for
+    const quarry = sim.match.isIntermission ? null : findNearestLandedEnemy(sim);
+    if (!quarry) {
+      bot.lastSighting = time;
+    }
+    
+    // Walk over to the nearest drop worth having, pressing E for weapons, or once it's been quiet
+    // a while, go after whoever is hiding out of sight
+    const pickup = settings.collectPickups && nearestDistance > SAFE_DISTANCE ? findPickup(sim) : null;
+    if (pickup) {
+      controls.facing = getHeading(player.position, pickup);
+      controls.keys = { KeyW: true, KeyE: true };
+      controls.stance = STANCES.STANDING;
+    } else if (quarry && time - bot.lastSighting >= settings.searchDelay) {
+      controls.facing = getHeading(player.position, quarry);
+      controls.keys = { KeyW: true };
+      controls.stance = STANCES.STANDING;
+    } else if (sim.match.isIntermission) {
+      controls.endIntermission = true;
+    }
+    
+    return controls;
+  };
+}
+
+/**
+ * Creates an input source that plays back a script of timed controls. Each entry's held controls
+ * (keys, facing, aimAt, aimDownSights, fire, stance, weaponSlot) last until the next entry; its
+ * one-off actions happen on the step it starts. Perks are taken first-offered unless an entry picks one.
+ * @param {Array<Object>} script - Entries of { time, ...controls }, time in simulated seconds
+ * @returns {Function} - Input source for createSimulation()
+ */
+export function createScriptedInput(script) {
+  const entries = [...script].sort((a, b) => a.time - b.time);
+  let index = -1;
+  
+  return (sim) => {
+    const time = sim.gameState.simTime;
+    let started = false;
+    while (index + 1 < entries.length && entries[index + 1].time <= time) {
+      index++;
+      started = true;
+    }
+    
+    const entry = index >= 0 ? entries[index] : {};
+    const controls = {
+      keys: entry.keys || {},
+      facing: entry.facing,
+      aimAt: entry.aimAt,
+      aimDownSights: entry.aimDownSights,
+      fire: entry.fire,
+      stance: entry.stance,
+      weaponSlot: entry.weaponSlot
+    };
+    if (started) {
+      controls.reload = entry.reload;
+      controls.dressWounds = entry.dressWounds;
+      controls.throwGrenadeAt = entry.throwGrenadeAt;
+      controls.perk = entry.perk;
+      controls.endIntermission = entry.endIntermission;
+    }
+    if (sim.match.perkChoices.length > 0 && !controls.perk) {
+      controls.perk = sim.match.perkChoices[0];
+    }
+    
+    return controls;
+  };
+}
+
+/**
+ * Finds the nearest living, landed enemy in range that the player can see
+ * @param {Object} sim - The simulation
+ * @param {number} range - Furthest enemy considered
+ * @returns {Object|null} - The enemy, or null if none is in sight
+ */
+function findVisibleEnemy(sim, range) {
+  const eye = sim.player.position.clone();
+  eye.y += EYE_HEIGHT;
+  
+  const candidates = sim.match.enemies
+    .filter(enemy => !enemy.isDead && enemy.object && !(enemy.boat && !enemy.disembarked))
+    .map(enemy => ({ enemy, distance: enemy.object.position.distanceTo(sim.player.position) }))
+    .filter(candidate => candidate.distance <= range)
+    .sort((a, b) => a.distance - b.distance);
+  
+  for (const { enemy } of candidates) {
+    const torso = enemy.object.position.clone();
+    torso.y += TORSO_HEIGHT;
+    if (hasLineOfSight(eye, torso, sim.scene)) {
+      return enemy;
+    }
+  }
+  return null;
+}
+
+/**
+ * Gets the distance to the nearest living enemy, landed or not
+ * @param {Object} sim - The simulation
+ * @returns {number} - Distance, or Infinity with no enemies left
+ */
+function getNearestEnemyDistance(sim) {
+  let nearest = Infinity;
+  for (const enemy of sim.match.enemies) {
+    if (enemy.isDead || !enemy.object) continue;
+    nearest = Math.min(nearest, enemy.object.position.distanceTo(sim.player.position));
+  }
+  return nearest;
+}
+
+/**
+ * Finds the nearest living enemy that has made it ashore, seen or not
+ * @param {Object} sim - The simulation
+ * @returns {THREE.Vector3|null} - Where it stands, or null if nobody has landed
+ */
+function findNearestLandedEnemy(sim) {
+  let nearest = null;
+  let nearestDistance = Infinity;
+  for (const enemy of sim.match.enemies) {
+    if (enemy.isDead || !enemy.object || (enemy.boat && !enemy.disembarked)) continue;
+    const distance = enemy.object.position.distanceTo(sim.player.position);
+    if (distance < nearestDistance) {
+      nearest = enemy.object.position;
+      nearestDistance = distance;
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Counts the living, landed enemies around a point
+ * @param {Object} sim - The simulation
+ * @param {THREE.Vector3} position - Center of the group
+ * @param {number} radius - How close counts
+ * @returns {number} - Enemies within the radius
+ */
+function countEnemiesNear(sim, position, radius) {
+  return sim.match.enemies.filter(enemy => !enemy.isDead && enemy.object && !(enemy.boat && !enemy.disembarked) &&
+    enemy.object.position.distanceTo(position) <= radius).length;
+}
+
+/**
+ * Finds the nearest drop within reach that the player can use
+ * @param {Object} sim - The simulation
+ * @returns {THREE.Vector3|null} - Where it lies, or null if there is nothing worth walking to
+ */
+function findPickup(sim) {
+  const gameState = sim.gameState;
+  const pickups = [...sim.match.ammoPickups, ...sim.match.weaponAmmoPickups, ...sim.match.supplyCrates, ...sim.match.weaponPickups];
+  if (gameState.health < 100 || gameState.canCarryFieldDressing()) {
+    pickups.push(...sim.match.medicalPickups);
+  }
+  
+  let nearest = null;
+  let nearestDistance = PICKUP_SEARCH_RADIUS;
+  for (const pickup of pickups) {
+    if (pickup.collected || !pickup.object) continue;
+    const distance = pickup.object.position.distanceTo(sim.player.position);
+    if (distance < nearestDistance) {
+      nearest = pickup.object.position;
+      nearestDistance = distance;
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Switches away from a weapon with nothing left to fire, to the first owned one that has rounds
+ * @param {GameState} gameState - The game state
+ * @param {Object} controls - This step's controls, given a weaponSlot if the bot switches
+ */
+function switchToLoadedWeapon(gameState, controls) {
+  if (gameState.getLoadedRounds() > 0 || gameState.getReserveAmmo() > 0) return;
+  
+  const loaded = gameState.getOwnedWeapons().find(weaponType =>
+    gameState.getLoadedRounds(weaponType) > 0 || gameState.getReserveAmmo(weaponType) > 0);
+  if (loaded) {
+    controls.weaponSlot = WEAPON_CONFIG[loaded].slot;
+  }
+}
+
+/**
+ * Works out the heading that faces from one point toward another
+ * @param {THREE.Vector3} from - Where the player stands
+ * @param {THREE.Vector3} to - What to face
+ * @returns {number} - Heading in radians, as the player's rotation.y
+ */
+function getHeading(from, to) {
+  return Math.atan2(-(to.x - from.x), -(to.z - from.z));
+}
@@ -0,0 +1,191 @@
+/**
+ * Squads module - groups each boat's enemies into a squad that shares sightings and splits into
+ * a suppressing element and a flanking element
+ */
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
+import { isWalkable } from './navigation.js';
+
+// Squad roles
+export const SQUAD_ROLES = {
+  LEADER: 'leader', // Leads the suppressing element
+  SUPPRESS: 'suppress', // Holds position and keeps the player pinned
+  FLANK: 'flank' // Circles round to the player's side or rear
+};
+
+// Constants for callouts
+const SQUAD_CALLOUT_MEMORY = 6; // Seconds a called-out player position stays useful
+
+// Constants for flanking positions
+const FLANK_DISTANCES = [10, 7, 5]; // Distances from the player to try, furthest first
+const FLANK_SIDE_ANGLE = Math.PI / 2; // First two flankers take the player's sides
+const FLANK_REAR_ANGLE = Math.PI * 0.75; // Further flankers work round behind the player
+
+// Squad IDs for logging and the debug overlay
+let nextSquadId = 1;
+
+/**
+ * Forms a squad from the enemies that share a boat
+ * @param {Array} members - The boat's enemies
+ * @returns {Object} - The squad
+ */
+export function createSquad(members) {
+  const squad = {
+    id: nextSquadId++,
+    members: members,
+    leader: members[0] || null,
+    knownPlayerPosition: null, // Latest position called out by any member
+    contactAge: Infinity // Seconds since anyone in the squad saw the player
+  };
+  
+  // Leader plus the first half hold and suppress, the rest flank (a lone soldier just suppresses).
+  // Soldiers who hold position - snipers and MG42 teams - never join the flanking element.
+  const flankCount = members.length - Math.max(1, Math.ceil(members.length / 2));
+  const candidates = members.slice(1).filter(enemy => !holdsPosition(enemy));
+  const flankers = new Set(flankCount > 0 ? candidates.slice(-flankCount) : []);
+  
+  let flankSlot = 0;
+  members.forEach((enemy, index) => {
+    enemy.squad = squad;
+    if (index === 0) {
+      enemy.squadRole = SQUAD_ROLES.LEADER;
+    } else if (flankers.has(enemy)) {
+      enemy.squadRole = SQUAD_ROLES.FLANK;
+      enemy.flankSlot = flankSlot++;
+    } else {
+      enemy.squadRole = SQUAD_ROLES.SUPPRESS;
+    }
+  });
+  
+  return squad;
+}
+
+/**
+ * Ages every squad's callouts and promotes a new leader when the old one falls
+ * @param {Array} enemies - Array of enemy objects
+ * @param {number} deltaTime - Time since last frame
+ */
+export function updateSquads(enemies, deltaTime) {
+  const squads = new Set();
+  for (const enemy of enemies) {
+    if (enemy.squad) squads.add(enemy.squad);
+  }
+  
+  for (const squad of squads) {
+    squad.contactAge += deltaTime;
+    
+    // The next surviving member of the suppressing element steps up, or a flanker if none are left
+    if (squad.leader && squad.leader.isDead) {
+      const alive = squad.members.filter(member => !member.isDead);
+      const successor = alive.find(member => member.squadRole === SQUAD_ROLES.SUPPRESS) || alive[0] || null;
+      if (successor) {
+        successor.squadRole = SQUAD_ROLES.LEADER;
+        console.log(`Squad ${squad.id}: leader down, new leader takes over`);
+      }
+      squad.leader = successor;
+    }
+  }
+}
+
+/**
+ * Calls out the player's position to the rest of the squad
+ * @param {Object} enemy - The enemy that can see the player
+ * @param {THREE.Vector3} playerPosition - Player's torso position
+ */
+export function reportPlayerSighting(enemy, playerPosition) {
+  const squad = enemy.squad;
+  if (!squad) return;
+  
+  if (squad.contactAge > SQUAD_CALLOUT_MEMORY) {
+    console.log(`Squad ${squad.id}: contact! Player spotted by ${enemy.squadRole}`);
+  }
+  
+  if (!squad.knownPlayerPosition) {
+    squad.knownPlayerPosition = new THREE.Vector3();
+  }
+  squad.knownPlayerPosition.copy(playerPosition);
+  squad.contactAge = 0;
+}
+
+/**
+ * Gets the player's position as last called out by the squad
+ * @param {Object} enemy - Any member of the squad
+ * @returns {THREE.Vector3|null} - Called-out position, or null if the squad has no recent contact
+ */
+export function getSquadCallout(enemy) {
+  const squad = enemy.squad;
+  if (!squad || !squad.knownPlayerPosition || squad.contactAge > SQUAD_CALLOUT_MEMORY) return null;
+  return squad.knownPlayerPosition;
+}
+
+/**
+ * Checks whether an enemy should leave the group to flank
+ * @param {Object} enemy - The enemy
+ * @returns {boolean} - True for flankers whose squad still has someone suppressing
+ */
+export function shouldFlank(enemy) {
+  if (!enemy.squad || enemy.squadRole !== SQUAD_ROLES.FLANK || enemy.hasFlanked) return false;
+  
+  // Flanking without anyone pinning the player down is just a long walk
+  return enemy.squad.members.some(member => !member.isDead && member.squadRole !== SQUAD_ROLES.FLANK);
+}
+
+/**
+ * Picks a spot on the player's side or rear, as seen from the squad's suppressing element
+ * @param {Object} enemy - The flanking enemy
+ * @param {THREE.Vector3} playerPosition - Player's (known) position
+ * @returns {THREE.Vector3|null} - Flanking spot on open ground, or null if none was found
+ */
+export function getFlankPosition(enemy, playerPosition) {
+  const anchor = getSuppressingPosition(enemy.squad) || enemy.object.position;
+  
+  // Direction from the player back toward the suppressing element
+  const toSuppressors = new THREE.Vector3(
+    anchor.x - playerPosition.x,
+    0,
+    anchor.z - playerPosition.z
+  );
+  if (toSuppressors.lengthSq() === 0) toSuppressors.set(1, 0, 0);
+  toSuppressors.normalize();
+  
+  // Alternate sides, working round to the rear once both sides are taken
+  const slot = enemy.flankSlot || 0;
+  const side = slot % 2 === 0 ? 1 : -1;
+  const angle = side * (slot < 2 ? FLANK_SIDE_ANGLE : FLANK_REAR_ANGLE);
+  const flankDirection = toSuppressors.clone().applyAxisAngle(new THREE.Vector3(0, 1, 0), angle);
+  
+  for (const distance of FLANK_DISTANCES) {
+    const candidate = new THREE.Vector3(playerPosition.x, 0, playerPosition.z)
+      .addScaledVector(flankDirection, distance);
+    if (isWalkable(candidate)) return candidate;
+  }
+  
+  return null;
+}
+
+/**
+ * Checks whether an enemy's job keeps them in place rather than flanking
+ * @param {Object} enemy - The enemy
+ * @returns {boolean} - True for snipers, MG42 gunners and their assistants
+ */
+function holdsPosition(enemy) {
+  return !!(enemy.assistsGunner || (enemy.archetype && enemy.archetype.holdsPosition));
+}
+
+/**
+ * Finds the average position of a squad's surviving non-flankers
+ * @param {Object} squad - The squad
+ * @returns {THREE.Vector3|null} - Center of the suppressing element, or null if it has been wiped out
+ */
+function getSuppressingPosition(squad) {
+  if (!squad) return null;
+  
+  const center = new THREE.Vector3();
+  let count = 0;
+  for (const member of squad.members) {
+    if (member.isDead || member.squadRole === SQUAD_ROLES.FLANK) continue;
+    center.add(member.object.position);
+    count++;
+  }
+  
+  return count > 0 ? center.divideScalar(count) : null;
+}
@@ -0,0 +1,47 @@
+/**
+ * Stances module - standing, crouching and prone, and what each changes about the player
+ */
+
+// Player stances
+export const STANCES = {
+  STANDING: 'standing',
+  CROUCHING: 'crouching', // C
+  PRONE: 'prone' // Z
+};
+
+// How each stance changes movement, shooting, the camera and what enemies aim at
+export const STANCE_CONFIG = {
+  [STANCES.STANDING]: {
+    name: 'Standing',
+    movementMultiplier: 1.0,
+    recoilMultiplier: 1.0,
+    spreadMultiplier: 1.0,
+    targetHeight: 1.0, // Height above the player's feet enemies aim at (the torso)
+    cameraHeight: 4, // Camera height above the player
+    lookHeight: 1, // Height on the player the camera looks at
+    eyeHeight: 2.0, // First-person camera height above the player
+    eyeForward: 0.35 // First-person camera distance ahead of the player's center, at the face
+  },
+  [STANCES.CROUCHING]: {
+    name: 'Crouching',
+    movementMultiplier: 0.55,
+    recoilMultiplier: 0.7,
+    spreadMultiplier: 0.6,
+    targetHeight: 0.55,
+    cameraHeight: 3.2,
+    lookHeight: 0.5,
+    eyeHeight: 1.55,
+    eyeForward: 0.35
+  },
+  [STANCES.PRONE]: {
+    name: 'Prone',
+    movementMultiplier: 0.25,
+    recoilMultiplier: 0.4,
+    spreadMultiplier: 0.3,
+    targetHeight: -0.25, // Just off the ground - low cover hides the player completely
+    cameraHeight: 2.4,
+    lookHeight: -0.1,
+    eyeHeight: -0.1, // Chin just off the ground
+    eyeForward: 1.6 // The head is well ahead of the player's center when lying down
+  }
+};
@@ -0,0 +1,101 @@
+/**
+ * Timestep module - advances the simulation in fixed steps whatever the display's refresh rate, and
+ * draws each frame as a blend of the last two steps so motion stays smooth between them
+ */
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
+
+// Constants for the fixed timestep
+export const SIMULATION_RATE = 60; // Simulation steps per second
+export const SIMULATION_STEP = 1 / SIMULATION_RATE; // Seconds every system is advanced by in one step
+const MAX_FRAME_TIME = 0.1; // Longest gap between frames caught up on - a slower frame slows the game rather than jumping it
+
+const previousStates = new WeakMap(); // Object -> its position, rotation and scale after the step before last
+let renderedStates = []; // Objects moved to their blended state for drawing, with their real state to put back
+
+/**
+ * Creates the accumulator that carries time left over between frames
+ * @returns {Object} - The timestep
+ */
+export function createTimestep() {
+  return {
+    accumulator: 0 // Seconds of frame time not yet simulated
+  };
+}
+
+/**
+ * Runs as many fixed steps as the time since the last frame covers
+ * @param {Object} timestep - The timestep
+ * @param {number} frameTime - Seconds since the last frame
+ * @param {Function} step - Called with SIMULATION_STEP for each step
+ * @returns {number} - How far the frame is between the last step and the next (0-1), for blending
+ */
+export function advanceTimestep(timestep, frameTime, step) {
+  timestep.accumulator += Math.min(MAX_FRAME_TIME, Math.max(0, frameTime));
+  
+  while (timestep.accumulator >= SIMULATION_STEP) {
+    step(SIMULATION_STEP);
+    timestep.accumulator -= SIMULATION_STEP;
+  }
+  
+  return timestep.accumulator / SIMULATION_STEP;
+}
+
+/**
+ * Remembers where objects are before a step moves them, so frames can be drawn between the two
+ * @param {Array<THREE.Object3D>} objects - Objects to blend (e.g. the camera and the scene's children)
+ */
+export function saveInterpolationStates(objects) {
+  for (const object of objects) {
+    let state = previousStates.get(object);
+    if (!state) {
+      state = { position: new THREE.Vector3(), quaternion: new THREE.Quaternion(), scale: new THREE.Vector3() };
+      previousStates.set(object, state);
+    }
+    state.position.copy(object.position);
+    state.quaternion.copy(object.quaternion);
+    state.scale.copy(object.scale);
+  }
+}
+
+/**
+ * Moves objects to their blended state between the last two steps for drawing. Objects added
+ * during the last step have nothing to blend from and are drawn where they are.
+ * @param {Array<THREE.Object3D>} objects - Objects to blend
+ * @param {number} alpha - How far between the last step and the next (0-1)
+ */
+export function applyInterpolation(objects, alpha) {
+  renderedStates = [];
+  for (const object of objects) {
+    const previous = previousStates.get(object);
+    if (!previous) continue;
+    
+    // Objects that didn't move are left alone
+    if (previous.position.equals(object.position) && previous.quaternion.equals(object.quaternion) &&
+        previous.scale.equals(object.scale)) continue;
+    
+    const current = {
+      object: object,
+      position: object.position.clone(),
+      quaternion: object.quaternion.clone(),
+      rotation: object.rotation.clone(), // Put back as it was - a quaternion round trip can flip the angles
+      scale: object.scale.clone()
+    };
+    renderedStates.push(current);
+    object.position.lerpVectors(previous.position, current.position, alpha);
+    object.quaternion.slerpQuaternions(previous.quaternion, current.quaternion, alpha);
+    object.scale.lerpVectors(previous.scale, current.scale, alpha);
+  }
+}
+
+/**
+ * Puts blended objects back in their real state once the frame is drawn, so the next step and
+ * mouse picking see the simulation's positions
+ */
+export function restoreInterpolation() {
+  for (const state of renderedStates) {
+    state.object.position.copy(state.position);
+    state.object.rotation.copy(state.rotation);
+    state.object.scale.copy(state.scale);
+  }
+  renderedStates = [];
+}
@@ -0,0 +1,1070 @@
+/**
+ * Vehicles module - boss waves with armored vehicles landed on the beach by a landing craft
+ */
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
+import { createExplosionEffect } from './grenades.js';
+import { findPath, isWalkable, markNavGridDirty } from './navigation.js';
+import { hasLineOfSight, getLineOfSightBlockers, markLineOfSightDirty } from './enemyAI.js';
+import { RANDOM_STREAMS, getRandomStream } from './random.js';
+
+// Random streams - landing spots and shell scatter, and wreck debris
+const aiRandom = getRandomStream(RANDOM_STREAMS.AI);
+const fxRandom = getRandomStream(RANDOM_STREAMS.FX);
+
+// Constants for boss waves
+const BOSS_WAVE_INTERVAL = 5; // Every fifth wave brings armor
+const BOSS_HEALTH_SCALING = 0.5; // Extra health per boss wave after the first
+
+// Vehicle types, alternating between boss waves
+export const VEHICLE_TYPES = {
+  HALFTRACK: 'halftrack',
+  TANK: 'tank'
+};
+
+// Stats for each vehicle type
+const VEHICLE_STATS = {
+  [VEHICLE_TYPES.HALFTRACK]: {
+    name: 'Sd.Kfz. 251 Half-track',
+    health: 500,
+    speed: 2.5, // Units per second
+    hullTurnRate: 1.0, // Radians per second
+    turretTurnRate: 1.6, // Radians per second
+    range: 30,
+    weapon: 'mg', // Pintle-mounted MG34
+    burstSize: 8,
+    burstInterval: 0.1, // Seconds between rounds in a burst
+    fireCooldown: 1.8, // Seconds between bursts
+    accuracy: 0.75,
+    scoreBonus: 2000
+  },
+  [VEHICLE_TYPES.TANK]: {
+    name: 'Panzer II',
+    health: 900,
+    speed: 1.8,
+    hullTurnRate: 0.7,
+    turretTurnRate: 0.8,
+    range: 35,
+    weapon: 'cannon',
+    fireCooldown: 4.5,
+    shellSpread: 1.5, // Landing inaccuracy in units at 30 units' range
+    scoreBonus: 3000
+  }
+};
+
+// Damage multipliers for each hit zone - the armor shrugs off rifle fire, the weak points don't
+export const VEHICLE_HIT_ZONES = {
+  hull: 0.25,
+  turret: 0.5,
+  track: 1.5,
+  grille: 3.0
+};
+
+// Constants for damage
+const VEHICLE_BULLET_DAMAGE = 10; // Damage from one rifle hit before the zone multiplier
+const VEHICLE_BLAST_DAMAGE = 150; // Damage from a grenade going off right next to the vehicle
+const TRACK_HEALTH_FRACTION = 0.2; // Each vehicle's tracks take this share of its health to break
+
+// Constants for movement
+const LANDING_CRAFT_SPEED = 4; // Units per second
+const LANDING_CRAFT_SPAWN_DISTANCE = 65; // Distance from island center the craft appears
+const LANDING_CRAFT_SHORE_DISTANCE = 27; // Distance from island center the craft beaches
+const RAMP_LOWER_TIME = 1.5; // Seconds for the bow ramp to drop
+const DRIVE_OFF_DISTANCE = 8; // Distance driven inland before hunting the player
+const VEHICLE_STOP_DISTANCE = 16; // Vehicles hold this far from the player and fire
+const VEHICLE_REPATH_INTERVAL = 1.0; // Seconds between path queries
+const VEHICLE_WAYPOINT_DISTANCE = 1.0; // Close enough to a waypoint to head for the next
+const VEHICLE_COLLISION_RADIUS = 2.2; // Player collision radius around the hull
+const WHEEL_RADIUS = 0.3;
+
+// Constants for the tank's cannon
+const SHELL_SPEED = 45; // Units per second
+const SHELL_BLAST_RADIUS = 4.5;
+const SHELL_LETHAL_RADIUS = 1.5;
+const SHELL_PLAYER_DAMAGE = 45; // Damage to a player standing where the shell lands
+const TURRET_AIM_TOLERANCE = 0.08; // Radians off target the gun will still fire
+
+// Constants for destruction
+const WRECK_SMOKE_INTERVAL = 0.15; // Seconds between smoke puffs from the wreck
+const WRECK_SMOKE_LIFETIME = 3; // Seconds each smoke puff lasts
+const TURRET_BLOWN_OFF_SPEED = 8; // Upward speed of the turret when the ammunition cooks off
+
+// Shared raycaster for bullet hits
+const vehicleRaycaster = new THREE.Raycaster();
+
+/**
+ * Checks whether a wave is a boss wave
+ * @param {number} wave - Wave number
+ * @returns {boolean} - True every fifth wave
+ */
+export function isBossWave(wave) {
+  return wave > 0 && wave % BOSS_WAVE_INTERVAL === 0;
+}
+
+/**
+ * Gets the vehicle type a boss wave brings
+ * @param {number} wave - Wave number
+ * @returns {string} - Half-tracks on odd boss waves, tanks on even ones
+ */
+export function getBossVehicleType(wave) {
+  const bossNumber = Math.floor(wave / BOSS_WAVE_INTERVAL);
+  return bossNumber % 2 === 1 ? VEHICLE_TYPES.HALFTRACK : VEHICLE_TYPES.TANK;
+}
+
+/**
+ * Gets the display name of a vehicle type
+ * @param {string} type - Vehicle type from VEHICLE_TYPES
+ * @returns {string} - Name for announcements and the health bar
+ */
+export function getVehicleName(type) {
+  return VEHICLE_STATS[type].name;
+}
+
+/**
+ * Spawns a landing craft carrying the wave's boss vehicle
+ * @param {THREE.Scene} scene - The scene
+ * @param {number} wave - Current wave number
+ * @param {string} type - Vehicle type from VEHICLE_TYPES (defaults to the boss wave rotation)
+ * @returns {Object} - The vehicle object
+ */
+export function spawnBossVehicle(scene, wave, type = getBossVehicleType(wave)) {
+  const stats = VEHICLE_STATS[type];
+  const bossNumber = Math.max(1, Math.floor(wave / BOSS_WAVE_INTERVAL));
+  const maxHealth = Math.round(stats.health * (1 + (bossNumber - 1) * BOSS_HEALTH_SCALING));
+  
+  // Come in from a random direction, bow pointing at the island
+  const angle = aiRandom() * Math.PI * 2;
+  const craft = createLandingCraft();
+  craft.position.set(
+    Math.cos(angle) * LANDING_CRAFT_SPAWN_DISTANCE,
+    0,
+    Math.sin(angle) * LANDING_CRAFT_SPAWN_DISTANCE
+  );
+  craft.rotation.y = Math.atan2(-Math.cos(angle), -Math.sin(angle));
+  scene.add(craft);
+  
+  const model = type === VEHICLE_TYPES.TANK ? createTankModel() : createHalftrackModel();
+  scene.add(model.object);
+  
+  const vehicle = {
+    type: type,
+    stats: stats,
+    name: stats.name,
+    object: model.object,
+    turret: model.turret,
+    muzzle: model.muzzle,
+    tracks: model.tracks,
+    wheels: model.wheels,
+    materials: model.materials,
+    craft: craft,
+    angle: angle,
+    phase: 'landing', // landing -> unloading -> driving -> destroyed
+    phaseTime: 0,
+    health: maxHealth,
+    maxHealth: maxHealth,
+    trackHealth: maxHealth * TRACK_HEALTH_FRACTION,
+    isImmobilized: false,
+    isDestroyed: false,
+    path: null,
+    repathTimer: 0,
+    driveOffTarget: null,
+    fireTimer: stats.fireCooldown,
+    burstShotsLeft: 0,
+    wreckSmoke: [],
+    smokeTimer: 0,
+    blownTurret: null
+  };
+  
+  // Ride in the craft's hold until the ramp drops
+  model.object.userData.vehicle = vehicle;
+  model.object.userData.isVehicle = true;
+  placeVehicleInCraft(vehicle);
+  
+  console.log(`Boss wave ${wave}: ${stats.name} inbound with ${maxHealth} health`);
+  return vehicle;
+}
+
+/**
+ * Updates every boss vehicle: landing, driving, turret traverse, firing and wreck smoke
+ * @param {Array} vehicles - Array of vehicle objects
+ * @param {Object} context - Shared frame data
+ * @param {THREE.Vector3} context.playerPosition - Player's torso position
+ * @param {number} context.deltaTime - Time since last frame
+ * @param {THREE.Scene} context.scene - The scene
+ * @param {Array} context.projectiles - Array to store machine gun rounds
+ * @param {Function} context.onShellExplode - Callback(position, shell) when a tank shell lands, shaped like a grenade
+ */
+export function updateBossVehicles(vehicles, context) {
+  const { deltaTime, scene } = context;
+  
+  for (const vehicle of vehicles) {
+    vehicle.phaseTime += deltaTime;
+    
+    switch (vehicle.phase) {
+      case 'landing':
+        updateLanding(vehicle, deltaTime);
+        break;
+      case 'unloading':
+        updateUnloading(vehicle, deltaTime, scene);
+        break;
+      case 'driving':
+        updateDriving(vehicle, context);
+        updateTurret(vehicle, context);
+        break;
+      case 'destroyed':
+        updateWreck(vehicle, deltaTime, scene);
+        break;
+    }
+    
+    updateShells(vehicle, context);
+  }
+}
+
+/**
+ * Finds the closest vehicle a bullet ray hits
+ * @param {Array} vehicles - Array of vehicle objects
+ * @param {THREE.Vector3} origin - Ray start
+ * @param {THREE.Vector3} direction - Normalized ray direction
+ * @returns {Object|null} - { vehicle, zone, point, distance }, or null if the ray misses
+ */
+export function raycastVehicles(vehicles, origin, direction) {
+  const targets = [];
+  for (const vehicle of vehicles) {
+    if (vehicle.isDestroyed || vehicle.phase === 'landing') continue;
+    vehicle.object.traverse((child) => {
+      if (child.isMesh && child.userData.hitZone) targets.push(child);
+    });
+  }
+  if (targets.length === 0) return null;
+  
+  vehicleRaycaster.set(origin, direction);
+  vehicleRaycaster.far = Infinity;
+  const intersects = vehicleRaycaster.intersectObjects(targets, false);
+  if (intersects.length === 0) return null;
+  
+  // Walk up to the vehicle that owns the mesh
+  const hit = intersects[0];
+  let owner = hit.object;
+  while (owner && !owner.userData.vehicle) owner = owner.parent;
+  if (!owner) return null;
+  
+  return {
+    vehicle: owner.userData.vehicle,
+    zone: hit.object.userData.hitZone,
+    point: hit.point.clone(),
+    distance: hit.distance
+  };
+}
+
+/**
+ * Applies a bullet hit to a vehicle's hit zone
+ * @param {Object} vehicle - The vehicle
+ * @param {string} zone - Hit zone from VEHICLE_HIT_ZONES
+ * @param {number} weaponDamage - Weapon damage multiplier
+ * @param {THREE.Scene} scene - The scene
+ * @returns {boolean} - True if this hit destroyed the vehicle
+ */
+export function damageVehicleZone(vehicle, zone, weaponDamage, scene) {
+  const damage = VEHICLE_BULLET_DAMAGE * weaponDamage * (VEHICLE_HIT_ZONES[zone] || VEHICLE_HIT_ZONES.hull);
+  
+  // Shots to the tracks wear them down until they come off
+  if (zone === 'track' && !vehicle.isImmobilized) {
+    vehicle.trackHealth -= damage;
+    if (vehicle.trackHealth <= 0) {
+      immobilizeVehicle(vehicle, scene);
+    }
+  }
+  
+  return damageVehicle(vehicle, damage, scene);
+}
+
+/**
+ * Applies blast damage to any vehicle near an explosion
+ * @param {Array} vehicles - Array of vehicle objects
+ * @param {THREE.Vector3} position - Center of the explosion
+ * @param {number} blastRadius - Radius of the explosion
+ * @param {THREE.Scene} scene - The scene
+ * @returns {Array} - Vehicles destroyed by the blast
+ */
+export function damageVehiclesInBlast(vehicles, position, blastRadius, scene) {
+  const destroyed = [];
+  
+  for (const vehicle of vehicles) {
+    if (vehicle.isDestroyed || vehicle.phase === 'landing') continue;
+    
+    const vehiclePosition = vehicle.object.position;
+    const distance = Math.hypot(vehiclePosition.x - position.x, vehiclePosition.z - position.z);
+    if (distance > blastRadius) continue;
+    
+    // Blasts against the rear deck hit the engine grille
+    const toBlast = new THREE.Vector3(position.x - vehiclePosition.x, 0, position.z - vehiclePosition.z);
+    const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(vehicle.object.quaternion);
+    const zoneMultiplier = toBlast.dot(forward) < 0 ? VEHICLE_HIT_ZONES.grille : 1;
+    
+    const falloff = 1 - distance / blastRadius;
+    if (damageVehicle(vehicle, VEHICLE_BLAST_DAMAGE * falloff * zoneMultiplier, scene)) {
+      destroyed.push(vehicle);
+    }
+  }
+  
+  return destroyed;
+}
+
+/**
+ * Removes every vehicle, landing craft, shell and wreck from the scene
+ * @param {Array} vehicles - Array of vehicle objects
+ * @param {THREE.Scene} scene - The scene
+ */
+export function clearBossVehicles(vehicles, scene) {
+  let hadWreck = false;
+  
+  for (const vehicle of vehicles) {
+    scene.remove(vehicle.object);
+    if (vehicle.craft) scene.remove(vehicle.craft);
+    if (vehicle.blownTurret) scene.remove(vehicle.blownTurret.object);
+    for (const puff of vehicle.wreckSmoke) {
+      scene.remove(puff.object);
+      puff.object.material.dispose();
+    }
+    for (const shell of vehicle.shells || []) {
+      scene.remove(shell.object);
+    }
+    if (vehicle.isDestroyed) hadWreck = true;
+  }
+  
+  // Wrecks are obstacles on the navigation grid, and every landed vehicle blocked line of sight
+  if (hadWreck) markNavGridDirty();
+  if (vehicles.length > 0) markLineOfSightDirty();
+}
+
+/**
+ * Creates a supply crate dropped by a destroyed vehicle
+ * @param {THREE.Scene} scene - The scene
+ * @param {THREE.Vector3} position - Where to drop the crate
+ * @returns {Object} - The supply crate pickup
+ */
+export function createSupplyCrate(scene, position) {
+  const crateGroup = new THREE.Group();
+  
+  // Wooden crate
+  const crateMaterial = new THREE.MeshStandardMaterial({ color: 0x6b4f2a, roughness: 0.9 });
+  const crate = new THREE.Mesh(new THREE.BoxGeometry(0.9, 0.6, 0.6), crateMaterial);
+  crateGroup.add(crate);
+  
+  // Metal bands
+  const bandMaterial = new THREE.MeshStandardMaterial({ color: 0x333333, metalness: 0.7, roughness: 0.4 });
+  for (const x of [-0.3, 0.3]) {
+    const band = new THREE.Mesh(new THREE.BoxGeometry(0.06, 0.62, 0.62), bandMaterial);
+    band.position.x = x;
+    crateGroup.add(band);
+  }
+  
+  // White star so it reads as friendly supplies at a glance
+  const starMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff });
+  const star = new THREE.Mesh(new THREE.CircleGeometry(0.15, 5), starMaterial);
+  star.position.set(0, 0, 0.31);
+  crateGroup.add(star);
+  
+  crateGroup.position.set(position.x, 0.4, position.z);
+  scene.add(crateGroup);
+  
+  return {
+    object: crateGroup
+  };
+}
+
+/**
+ * Animates supply crates and collects any the player walks over
+ * @param {Array} crates - Array of supply crate pickups
+ * @param {THREE.Object3D} player - The player object
+ * @param {THREE.Scene} scene - The scene
+ * @param {Function} onCollected - Callback when a crate is collected
+ * @returns {Array} - Crates still on the ground
+ */
+export function updateSupplyCrates(crates, player, scene, onCollected) {
+  return crates.filter(crate => {
+    const distance = Math.hypot(
+      crate.object.position.x - player.position.x,
+      crate.object.position.z - player.position.z
+    );
+    
+    if (distance < 1.5) {
+      scene.remove(crate.object);
+      if (onCollected) onCollected();
+      return false;
+    }
+    
+    // Float and rotate like the ammo pickups
+    crate.object.rotation.y += 0.02;
+    crate.object.position.y = 0.4 + Math.sin(Date.now() / 500) * 0.1;
+    return true;
+  });
+}
+
+/**
+ * Applies damage to a vehicle and destroys it when its health runs out
+ * @param {Object} vehicle - The vehicle
+ * @param {number} damage - Damage to apply
+ * @param {THREE.Scene} scene - The scene
+ * @returns {boolean} - True if this damage destroyed the vehicle
+ */
+function damageVehicle(vehicle, damage, scene) {
+  if (vehicle.isDestroyed) return false;
+  
+  vehicle.health = Math.max(0, vehicle.health - damage);
+  if (vehicle.health > 0) return false;
+  
+  destroyVehicle(vehicle, scene);
+  return true;
+}
+
+/**
+ * Throws a vehicle's tracks so it can no longer move
+ * @param {Object} vehicle - The vehicle
+ * @param {THREE.Scene} scene - The scene
+ */
+function immobilizeVehicle(vehicle, scene) {
+  vehicle.isImmobilized = true;
+  vehicle.path = null;
+  console.log(`${vehicle.name} immobilized - tracks destroyed`);
+  
+  // The tracks sag and slew off the road wheels
+  for (const track of vehicle.tracks) {
+    track.rotation.z = (track.position.x > 0 ? 1 : -1) * 0.25;
+    track.position.y -= 0.15;
+  }
+  
+  const trackPosition = vehicle.object.position.clone();
+  createExplosionEffect(scene, trackPosition, 2);
+}
+
+/**
+ * Blows up a vehicle, launches the turret and leaves a smoking wreck
+ * @param {Object} vehicle - The vehicle
+ * @param {THREE.Scene} scene - The scene
+ */
+function destroyVehicle(vehicle, scene) {
+  vehicle.isDestroyed = true;
+  vehicle.phase = 'destroyed';
+  vehicle.phaseTime = 0;
+  console.log(`${vehicle.name} destroyed!`);
+  
+  const position = vehicle.object.position.clone();
+  createExplosionEffect(scene, position, 8);
+  createExplosionEffect(scene, position.clone().add(new THREE.Vector3(0, 1.5, 0)), 5);
+  
+  // Scorch the paintwork
+  for (const material of vehicle.materials) {
+    material.color.set(0x1c1a18);
+  }
+  
+  // The turret cooks off and flies into the air
+  if (vehicle.turret) {
+    const turretWorld = new THREE.Vector3();
+    vehicle.turret.getWorldPosition(turretWorld);
+    const turretQuaternion = new THREE.Quaternion();
+    vehicle.turret.getWorldQuaternion(turretQuaternion);
+    
+    vehicle.turret.parent.remove(vehicle.turret);
+    vehicle.turret.position.copy(turretWorld);
+    vehicle.turret.quaternion.copy(turretQuaternion);
+    scene.add(vehicle.turret);
+    
+    vehicle.blownTurret = {
+      object: vehicle.turret,
+      velocity: new THREE.Vector3((fxRandom() - 0.5) * 3, TURRET_BLOWN_OFF_SPEED, (fxRandom() - 0.5) * 3),
+      spin: new THREE.Vector3(fxRandom() * 4 - 2, fxRandom() * 4 - 2, fxRandom() * 4 - 2)
+    };
+  }
+  
+  // The wreck stays on the beach as cover
+  vehicle.object.userData.isWreck = true;
+  markNavGridDirty();
+}
+
+/**
+ * Landing: the craft sails in and beaches, then drops its ramp
+ * @param {Object} vehicle - The vehicle
+ * @param {number} deltaTime - Time since last frame
+ */
+function updateLanding(vehicle, deltaTime) {
+  const craft = vehicle.craft;
+  const distance = Math.hypot(craft.position.x, craft.position.z);
+  
+  if (distance > LANDING_CRAFT_SHORE_DISTANCE) {
+    const step = Math.min(distance - LANDING_CRAFT_SHORE_DISTANCE, LANDING_CRAFT_SPEED * deltaTime);
+    craft.position.x -= Math.cos(vehicle.angle) * step;
+    craft.position.z -= Math.sin(vehicle.angle) * step;
+    craft.position.y = Math.sin(vehicle.phaseTime * 2) * 0.05; // Bob on the swell
+    placeVehicleInCraft(vehicle);
+    return;
+  }
+  
+  craft.position.y = 0;
+  placeVehicleInCraft(vehicle);
+  vehicle.phase = 'unloading';
+  vehicle.phaseTime = 0;
+  console.log(`${vehicle.name} landing craft has beached`);
+}
+
+/**
+ * Unloading: lower the ramp and drive off onto the sand
+ * @param {Object} vehicle - The vehicle
+ * @param {number} deltaTime - Time since last frame
+ * @param {THREE.Scene} scene - The scene
+ */
+function updateUnloading(vehicle, deltaTime, scene) {
+  const ramp = vehicle.craft.userData.ramp;
+  const rampProgress = Math.min(1, vehicle.phaseTime / RAMP_LOWER_TIME);
+  ramp.rotation.x = rampProgress * (Math.PI / 2 - 0.15);
+  if (rampProgress < 1) return;
+  
+  // Drive straight down the ramp and up the beach
+  if (!vehicle.driveOffTarget) {
+    const inland = new THREE.Vector3(-Math.cos(vehicle.angle), 0, -Math.sin(vehicle.angle));
+    vehicle.driveOffTarget = vehicle.object.position.clone().addScaledVector(inland, DRIVE_OFF_DISTANCE);
+    vehicle.driveOffTarget.y = 0;
+  }
+  
+  const arrived = driveToward(vehicle, vehicle.driveOffTarget, deltaTime);
+  
+  // Ease down from the hold onto the sand
+  vehicle.object.position.y = Math.max(0, vehicle.object.position.y - deltaTime * 0.5);
+  
+  if (arrived) {
+    vehicle.object.position.y = 0;
+    vehicle.phase = 'driving';
+    vehicle.phaseTime = 0;
+    
+    // Solid to the player and cover from line of sight from now on
+    vehicle.object.userData.collidable = true;
+    vehicle.object.userData.collisionRadius = VEHICLE_COLLISION_RADIUS;
+    markLineOfSightDirty();
+    
+    // The empty craft backs off and leaves
+    scene.remove(vehicle.craft);
+    vehicle.craft = null;
+  }
+}
+
+/**
+ * Driving: close to firing distance of the player along a navigation path
+ * @param {Object} vehicle - The vehicle
+ * @param {Object} context - Shared frame data
+ */
+function updateDriving(vehicle, context) {
+  const { playerPosition, deltaTime } = context;
+  if (vehicle.isImmobilized) return;
+  
+  const position = vehicle.object.position;
+  const distanceToPlayer = Math.hypot(playerPosition.x - position.x, playerPosition.z - position.z);
+  if (distanceToPlayer <= VEHICLE_STOP_DISTANCE) {
+    vehicle.path = null;
+    return;
+  }
+  
+  // Head for the spot at stopping distance on this side of the player
+  vehicle.repathTimer -= deltaTime;
+  if (!vehicle.path || vehicle.repathTimer <= 0) {
+    const fromPlayer = new THREE.Vector3(position.x - playerPosition.x, 0, position.z - playerPosition.z)
+      .setLength(VEHICLE_STOP_DISTANCE);
+    const goal = new THREE.Vector3(playerPosition.x, 0, playerPosition.z).add(fromPlayer);
+    vehicle.path = findPath(position, goal) || [goal];
+    vehicle.repathTimer = VEHICLE_REPATH_INTERVAL;
+  }
+  
+  while (vehicle.path.length > 1 &&
+    Math.hypot(vehicle.path[0].x - position.x, vehicle.path[0].z - position.z) < VEHICLE_WAYPOINT_DISTANCE) {
+    vehicle.path.shift();
+  }
+  if (vehicle.path.length > 0) {
+    driveToward(vehicle, vehicle.path[0], deltaTime);
+  }
+}
+
+/**
+ * Turns the hull toward a point and drives forward, slowing for sharp turns
+ * @param {Object} vehicle - The vehicle
+ * @param {THREE.Vector3} target - Where to go
+ * @param {number} deltaTime - Time since last frame
+ * @returns {boolean} - True once the vehicle has arrived
+ */
+function driveToward(vehicle, target, deltaTime) {
+  const object = vehicle.object;
+  const toTarget = new THREE.Vector3(target.x - object.position.x, 0, target.z - object.position.z);
+  const distance = toTarget.length();
+  if (distance < VEHICLE_WAYPOINT_DISTANCE) return true;
+  
+  // Pivot toward the target at the hull's turn rate
+  const desiredHeading = Math.atan2(toTarget.x, toTarget.z);
+  const headingError = wrapAngle(desiredHeading - object.rotation.y);
+  const maxTurn = vehicle.stats.hullTurnRate * deltaTime;
+  object.rotation.y += THREE.MathUtils.clamp(headingError, -maxTurn, maxTurn);
+  
+  // Crawl while turning hard, full speed when lined up
+  const speed = vehicle.stats.speed * Math.max(0, Math.cos(headingError));
+  const step = Math.min(distance, speed * deltaTime);
+  const forward = new THREE.Vector3(Math.sin(object.rotation.y), 0, Math.cos(object.rotation.y));
+  const next = object.position.clone().addScaledVector(forward, step);
+  
+  // Stop rather than drive into rocks or the bunker
+  if (vehicle.phase === 'driving' && !isWalkable(next) && isWalkable(object.position)) {
+    vehicle.path = null;
+    return false;
+  }
+  object.position.x = next.x;
+  object.position.z = next.z;
+  
+  // Roll the wheels
+  for (const wheel of vehicle.wheels) {
+    wheel.rotation.x += step / WHEEL_RADIUS;
+  }
+  
+  return false;
+}
+
+/**
+ * Traverses the turret toward the player and fires when on target
+ * @param {Object} vehicle - The vehicle
+ * @param {Object} context - Shared frame data
+ */
+function updateTurret(vehicle, context) {
+  const { playerPosition, deltaTime, scene } = context;
+  const stats = vehicle.stats;
+  
+  // Bearing to the player relative to the hull
+  const object = vehicle.object;
+  const bearing = Math.atan2(playerPosition.x - object.position.x, playerPosition.z - object.position.z);
+  const desired = wrapAngle(bearing - object.rotation.y);
+  const error = wrapAngle(desired - vehicle.turret.rotation.y);
+  const maxTraverse = stats.turretTurnRate * deltaTime;
+  vehicle.turret.rotation.y += THREE.MathUtils.clamp(error, -maxTraverse, maxTraverse);
+  
+  vehicle.fireTimer -= deltaTime;
+  if (vehicle.fireTimer > 0) return;
+  
+  // Only fire when on target, in range and with a clear shot
+  const distance = Math.hypot(playerPosition.x - object.position.x, playerPosition.z - object.position.z);
+  if (Math.abs(error) > TURRET_AIM_TOLERANCE || distance > stats.range) return;
+  
+  object.updateMatrixWorld(true);
+  const muzzlePosition = new THREE.Vector3();
+  vehicle.muzzle.getWorldPosition(muzzlePosition);
+  // The vehicle's own hull doesn't count as cover
+  const blockers = getLineOfSightBlockers(scene).filter(blocker => blocker !== object);
+  if (!hasLineOfSight(muzzlePosition, playerPosition, scene, blockers)) return;
+  
+  if (stats.weapon === 'cannon') {
+    fireShell(vehicle, muzzlePosition, playerPosition, distance, scene);
+    vehicle.fireTimer = stats.fireCooldown;
+  } else {
+    fireMachineGun(vehicle, muzzlePosition, playerPosition, context);
+  }
+}
+
+/**
+ * Fires one round from the half-track's machine gun, pausing between bursts
+ * @param {Object} vehicle - The vehicle
+ * @param {THREE.Vector3} muzzlePosition - Muzzle in world space
+ * @param {THREE.Vector3} playerPosition - Player's torso position
+ * @param {Object} context - Shared frame data
+ */
+function fireMachineGun(vehicle, muzzlePosition, playerPosition, context) {
+  const stats = vehicle.stats;
+  if (typeof window.createEnemyProjectile !== 'function') return;
+  
+  const direction = new THREE.Vector3().subVectors(playerPosition, muzzlePosition).normalize();
+  const projectile = window.createEnemyProjectile(context.scene, muzzlePosition, direction, stats.accuracy);
+  if (projectile && context.projectiles) {
+    context.projectiles.push(projectile);
+  }
+  if (typeof window.createMuzzleFlash === 'function') {
+    window.createMuzzleFlash(context.scene, muzzlePosition, direction);
+  }
+  
+  // Rapid fire within a burst, then a pause
+  vehicle.burstShotsLeft = vehicle.burstShotsLeft > 0 ? vehicle.burstShotsLeft - 1 : stats.burstSize - 1;
+  vehicle.fireTimer = vehicle.burstShotsLeft > 0 ? stats.burstInterval : stats.fireCooldown;
+}
+
+/**
+ * Fires a high-explosive shell from the tank's cannon at the ground near the player
+ * @param {Object} vehicle - The vehicle
+ * @param {THREE.Vector3} muzzlePosition - Muzzle in world space
+ * @param {THREE.Vector3} playerPosition - Player's torso position
+ * @param {number} distance - Distance to the player
+ * @param {THREE.Scene} scene - The scene
+ */
+function fireShell(vehicle, muzzlePosition, playerPosition, distance, scene) {
+  // Aim at the player's feet with some scatter, more at long range
+  const spread = vehicle.stats.shellSpread * (distance / 30);
+  const target = new THREE.Vector3(
+    playerPosition.x + (aiRandom() - 0.5) * 2 * spread,
+    0,
+    playerPosition.z + (aiRandom() - 0.5) * 2 * spread
+  );
+  
+  const shellMaterial = new THREE.MeshBasicMaterial({ color: 0xffdd88 });
+  const shell = new THREE.Mesh(new THREE.SphereGeometry(0.12, 6, 6), shellMaterial);
+  shell.position.copy(muzzlePosition);
+  scene.add(shell);
+  
+  if (!vehicle.shells) vehicle.shells = [];
+  vehicle.shells.push({
+    object: shell,
+    velocity: new THREE.Vector3().subVectors(target, muzzlePosition).normalize().multiplyScalar(SHELL_SPEED),
+    remaining: muzzlePosition.distanceTo(target)
+  });
+  
+  if (typeof window.createMuzzleFlash === 'function') {
+    window.createMuzzleFlash(scene, muzzlePosition, new THREE.Vector3().subVectors(target, muzzlePosition).normalize());
+  }
+  if (window.gameAudio && window.gameAudio.playSound) {
+    window.gameAudio.playSound('explosion');
+  }
+}
+
+/**
+ * Moves tank shells in flight and detonates them where they land
+ * @param {Object} vehicle - The vehicle
+ * @param {Object} context - Shared frame data
+ */
+function updateShells(vehicle, context) {
+  if (!vehicle.shells || vehicle.shells.length === 0) return;
+  const { deltaTime, scene, onShellExplode } = context;
+  
+  vehicle.shells = vehicle.shells.filter(shell => {
+    const step = SHELL_SPEED * deltaTime;
+    shell.object.position.addScaledVector(shell.velocity, deltaTime);
+    shell.remaining -= step;
+    if (shell.remaining > 0) return true;
+    
+    // Impact
+    const position = shell.object.position.clone();
+    position.y = Math.max(0, position.y);
+    scene.remove(shell.object);
+    createExplosionEffect(scene, position, SHELL_BLAST_RADIUS);
+    if (typeof onShellExplode === 'function') {
+      onShellExplode(position, {
+        type: 'shell',
+        blastRadius: SHELL_BLAST_RADIUS,
+        lethalRadius: SHELL_LETHAL_RADIUS,
+        playerDamage: SHELL_PLAYER_DAMAGE,
+        owner: 'vehicle'
+      });
+    }
+    return false;
+  });
+}
+
+/**
+ * Destroyed: the turret falls back to earth and the wreck smokes
+ * @param {Object} vehicle - The vehicle
+ * @param {number} deltaTime - Time since last frame
+ * @param {THREE.Scene} scene - The scene
+ */
+function updateWreck(vehicle, deltaTime, scene) {
+  // Tumbling turret
+  const turret = vehicle.blownTurret;
+  if (turret && turret.velocity) {
+    turret.velocity.y -= 20 * deltaTime;
+    turret.object.position.addScaledVector(turret.velocity, deltaTime);
+    turret.object.rotation.x += turret.spin.x * deltaTime;
+    turret.object.rotation.y += turret.spin.y * deltaTime;
+    turret.object.rotation.z += turret.spin.z * deltaTime;
+    if (turret.object.position.y <= 0.3) {
+      turret.object.position.y = 0.3;
+      turret.velocity = null; // Landed
+    }
+  }
+  
+  // Black smoke rising from the hull
+  vehicle.smokeTimer -= deltaTime;
+  if (vehicle.smokeTimer <= 0) {
+    vehicle.smokeTimer = WRECK_SMOKE_INTERVAL;
+    const smokeMaterial = new THREE.MeshBasicMaterial({
+      color: 0x222222,
+      transparent: true,
+      opacity: 0.6,
+      depthWrite: false
+    });
+    const puff = new THREE.Mesh(new THREE.SphereGeometry(0.5, 6, 6), smokeMaterial);
+    puff.position.copy(vehicle.object.position);
+    puff.position.x += (fxRandom() - 0.5) * 0.8;
+    puff.position.y = 1.5;
+    puff.position.z += (fxRandom() - 0.5) * 0.8;
+    scene.add(puff);
+    vehicle.wreckSmoke.push({ object: puff, age: 0 });
+  }
+  
+  vehicle.wreckSmoke = vehicle.wreckSmoke.filter(puff => {
+    puff.age += deltaTime;
+    if (puff.age >= WRECK_SMOKE_LIFETIME) {
+      scene.remove(puff.object);
+      puff.object.material.dispose();
+      return false;
+    }
+    const progress = puff.age / WRECK_SMOKE_LIFETIME;
+    puff.object.position.y += deltaTime * 1.5;
+    puff.object.position.x += deltaTime * 0.4; // Drift with the wind
+    puff.object.scale.setScalar(1 + progress * 3);
+    puff.object.material.opacity = 0.6 * (1 - progress);
+    return true;
+  });
+}
+
+/**
+ * Keeps a vehicle in the landing craft's hold
+ * @param {Object} vehicle - The vehicle
+ */
+function placeVehicleInCraft(vehicle) {
+  const craft = vehicle.craft;
+  vehicle.object.position.set(craft.position.x, craft.position.y + 0.4, craft.position.z);
+  vehicle.object.rotation.y = craft.rotation.y;
+}
+
+/**
+ * Wraps an angle to the range -PI..PI
+ * @param {number} angle - Angle in radians
+ * @returns {number} - Wrapped angle
+ */
+function wrapAngle(angle) {
+  return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+/**
+ * Creates a landing craft with a hinged bow ramp (bow faces +z)
+ * @returns {THREE.Group} - The landing craft
+ */
+function createLandingCraft() {
+  const craftGroup = new THREE.Group();
+  const steelMaterial = new THREE.MeshStandardMaterial({ color: 0x56605a, metalness: 0.5, roughness: 0.6 });
+  
+  // Flat-bottomed hull
+  const hull = new THREE.Mesh(new THREE.BoxGeometry(4, 0.6, 9), steelMaterial);
+  hull.position.y = 0.1;
+  craftGroup.add(hull);
+  
+  // High sides
+  for (const side of [-1, 1]) {
+    const wall = new THREE.Mesh(new THREE.BoxGeometry(0.2, 1.4, 9), steelMaterial);
+    wall.position.set(side * 1.9, 0.8, 0);
+    craftGroup.add(wall);
+  }
+  
+  // Stern with the coxswain's position
+  const stern = new THREE.Mesh(new THREE.BoxGeometry(4, 1.4, 0.3), steelMaterial);
+  stern.position.set(0, 0.8, -4.4);
+  craftGroup.add(stern);
+  
+  // Bow ramp, hinged at the bottom so it folds forward onto the sand
+  const rampPivot = new THREE.Group();
+  rampPivot.position.set(0, 0.1, 4.5);
+  const ramp = new THREE.Mesh(new THREE.BoxGeometry(3.6, 1.6, 0.15), steelMaterial);
+  ramp.position.y = 0.8;
+  rampPivot.add(ramp);
+  craftGroup.add(rampPivot);
+  craftGroup.userData.ramp = rampPivot;
+  
+  return craftGroup;
+}
+
+/**
+ * Marks a mesh as belonging to a hit zone
+ * @param {THREE.Mesh} mesh - The mesh
+ * @param {string} zone - Hit zone from VEHICLE_HIT_ZONES
+ * @returns {THREE.Mesh} - The same mesh
+ */
+function setHitZone(mesh, zone) {
+  mesh.userData.hitZone = zone;
+  mesh.castShadow = true;
+  return mesh;
+}
+
+/**
+ * Adds an engine grille to a vehicle's rear deck
+ * @param {THREE.Group} group - Vehicle group
+ * @param {number} width - Grille width
+ * @param {number} y - Deck height
+ * @param {number} z - Position along the hull
+ */
+function addEngineGrille(group, width, y, z) {
+  const grilleMaterial = new THREE.MeshStandardMaterial({ color: 0x151515, metalness: 0.6, roughness: 0.5 });
+  const grille = setHitZone(new THREE.Mesh(new THREE.BoxGeometry(width, 0.08, 0.9), grilleMaterial), 'grille');
+  grille.position.set(0, y, z);
+  group.add(grille);
+  
+  // Louvers
+  for (let i = 0; i < 4; i++) {
+    const louver = setHitZone(new THREE.Mesh(new THREE.BoxGeometry(width, 0.04, 0.06), grilleMaterial), 'grille');
+    louver.position.set(0, y + 0.05, z - 0.3 + i * 0.2);
+    group.add(louver);
+  }
+}
+
+/**
+ * Adds a run of track with road wheels down one side
+ * @param {THREE.Group} group - Vehicle group
+ * @param {number} x - Side offset
+ * @param {number} length - Track length
+ * @param {number} z - Center of the track run
+ * @param {Array} tracks - Array to collect the track meshes
+ * @param {Array} wheels - Array to collect the road wheels
+ */
+function addTrackRun(group, x, length, z, tracks, wheels) {
+  const trackMaterial = new THREE.MeshStandardMaterial({ color: 0x2a2a2a, roughness: 0.9 });
+  const track = setHitZone(new THREE.Mesh(new THREE.BoxGeometry(0.45, 0.7, length), trackMaterial), 'track');
+  track.position.set(x, 0.35, z);
+  group.add(track);
+  tracks.push(track);
+  
+  // Road wheels peeking out from the track
+  const wheelGeometry = new THREE.CylinderGeometry(WHEEL_RADIUS, WHEEL_RADIUS, 0.1, 12);
+  wheelGeometry.rotateZ(Math.PI / 2);
+  const wheelMaterial = new THREE.MeshStandardMaterial({ color: 0x3d3d3d, roughness: 0.7 });
+  const wheelCount = Math.floor(length / 0.7);
+  for (let i = 0; i < wheelCount; i++) {
+    const wheel = setHitZone(new THREE.Mesh(wheelGeometry, wheelMaterial), 'track');
+    wheel.position.set(x + Math.sign(x) * 0.25, 0.3, z - length / 2 + 0.35 + i * 0.7);
+    group.add(wheel);
+    wheels.push(wheel);
+  }
+}
+
+/**
+ * Builds a light tank: tracked hull, rear engine grille and a turret with a short cannon (front faces +z)
+ * @returns {Object} - { object, turret, muzzle, tracks, wheels, materials }
+ */
+function createTankModel() {
+  const tankGroup = new THREE.Group();
+  const tracks = [];
+  const wheels = [];
+  const armorMaterial = new THREE.MeshStandardMaterial({ color: 0x5a5e55, metalness: 0.4, roughness: 0.7 });
+  
+  // Hull and glacis
+  const hull = setHitZone(new THREE.Mesh(new THREE.BoxGeometry(2.0, 0.9, 4.2), armorMaterial), 'hull');
+  hull.position.y = 0.95;
+  tankGroup.add(hull);
+  const glacis = setHitZone(new THREE.Mesh(new THREE.BoxGeometry(2.0, 0.6, 0.6), armorMaterial), 'hull');
+  glacis.position.set(0, 0.8, 2.2);
+  glacis.rotation.x = 0.6;
+  tankGroup.add(glacis);
+  
+  addTrackRun(tankGroup, -1.2, 4.4, 0, tracks, wheels);
+  addTrackRun(tankGroup, 1.2, 4.4, 0, tracks, wheels);
+  addEngineGrille(tankGroup, 1.4, 1.42, -1.4);
+  
+  // Turret with a short 20mm cannon, traversing around its ring
+  const turret = new THREE.Group();
+  turret.position.set(0, 1.4, 0.3);
+  const turretBody = setHitZone(new THREE.Mesh(new THREE.CylinderGeometry(0.8, 0.9, 0.7, 8), armorMaterial), 'turret');
+  turretBody.position.y = 0.35;
+  turret.add(turretBody);
+  const mantlet = setHitZone(new THREE.Mesh(new THREE.BoxGeometry(0.6, 0.4, 0.3), armorMaterial), 'turret');
+  mantlet.position.set(0, 0.35, 0.85);
+  turret.add(mantlet);
+  const barrelMaterial = new THREE.MeshStandardMaterial({ color: 0x2b2b2b, metalness: 0.8, roughness: 0.3 });
+  const barrel = setHitZone(new THREE.Mesh(new THREE.CylinderGeometry(0.07, 0.08, 1.6, 8), barrelMaterial), 'turret');
+  barrel.rotation.x = Math.PI / 2;
+  barrel.position.set(0, 0.35, 1.7);
+  turret.add(barrel);
+  const muzzle = new THREE.Object3D();
+  muzzle.position.set(0, 0.35, 2.55);
+  turret.add(muzzle);
+  
+  // Cupola
+  const cupola = setHitZone(new THREE.Mesh(new THREE.CylinderGeometry(0.25, 0.25, 0.25, 8), armorMaterial), 'turret');
+  cupola.position.set(-0.3, 0.8, -0.2);
+  turret.add(cupola);
+  
+  // Balkenkreuz on the turret sides
+  const crossMaterial = new THREE.MeshBasicMaterial({ color: 0x111111, side: THREE.DoubleSide });
+  for (const side of [-1, 1]) {
+    const cross = new THREE.Mesh(new THREE.PlaneGeometry(0.35, 0.35), crossMaterial);
+    cross.position.set(side * 0.86, 0.35, 0);
+    cross.rotation.y = Math.PI / 2;
+    turret.add(cross);
+  }
+  
+  tankGroup.add(turret);
+  
+  return {
+    object: tankGroup,
+    turret: turret,
+    muzzle: muzzle,
+    tracks: tracks,
+    wheels: wheels,
+    materials: [armorMaterial]
+  };
+}
+
+/**
+ * Builds a half-track: open troop compartment, front wheels, rear tracks, engine grille
+ * and a shielded MG34 on a traversing mount (front faces +z)
+ * @returns {Object} - { object, turret, muzzle, tracks, wheels, materials }
+ */
+function createHalftrackModel() {
+  const halftrackGroup = new THREE.Group();
+  const tracks = [];
+  const wheels = [];
+  const armorMaterial = new THREE.MeshStandardMaterial({ color: 0x6b6a4e, metalness: 0.3, roughness: 0.8 });
+  
+  // Troop compartment walls around an open top
+  const floor = setHitZone(new THREE.Mesh(new THREE.BoxGeometry(2.0, 0.3, 5.0), armorMaterial), 'hull');
+  floor.position.y = 0.7;
+  halftrackGroup.add(floor);
+  for (const side of [-1, 1]) {
+    const wall = setHitZone(new THREE.Mesh(new THREE.BoxGeometry(0.12, 1.0, 3.4), armorMaterial), 'hull');
+    wall.position.set(side * 0.95, 1.3, -0.6);
+    wall.rotation.z = side * -0.12;
+    halftrackGroup.add(wall);
+  }
+  const rearWall = setHitZone(new THREE.Mesh(new THREE.BoxGeometry(2.0, 1.0, 0.12), armorMaterial), 'hull');
+  rearWall.position.set(0, 1.3, -2.3);
+  halftrackGroup.add(rearWall);
+  
+  // Armored bonnet over the front
+  const bonnet = setHitZone(new THREE.Mesh(new THREE.BoxGeometry(1.5, 0.7, 1.6), armorMaterial), 'hull');
+  bonnet.position.set(0, 1.1, 1.8);
+  halftrackGroup.add(bonnet);
+  
+  // Steered front wheels
+  const wheelGeometry = new THREE.CylinderGeometry(0.45, 0.45, 0.3, 14);
+  wheelGeometry.rotateZ(Math.PI / 2);
+  const tyreMaterial = new THREE.MeshStandardMaterial({ color: 0x1b1b1b, roughness: 0.9 });
+  for (const side of [-1, 1]) {
+    const wheel = setHitZone(new THREE.Mesh(wheelGeometry, tyreMaterial), 'hull');
+    wheel.position.set(side * 0.95, 0.45, 1.9);
+    halftrackGroup.add(wheel);
+    wheels.push(wheel);
+  }
+  
+  addTrackRun(halftrackGroup, -1.0, 3.0, -0.9, tracks, wheels);
+  addTrackRun(halftrackGroup, 1.0, 3.0, -0.9, tracks, wheels);
+  
+  // Engine grille on the rear deck (tucked behind the troop compartment)
+  addEngineGrille(halftrackGroup, 1.6, 0.9, -2.0);
+  
+  // Pintle-mounted MG34 behind a gun shield, traversing on its ring
+  const mount = new THREE.Group();
+  mount.position.set(0, 1.8, 0.6);
+  const shield = setHitZone(new THREE.Mesh(new THREE.BoxGeometry(0.9, 0.6, 0.06), armorMaterial), 'turret');
+  shield.position.set(0, 0.2, 0.35);
+  mount.add(shield);
+  const gunMaterial = new THREE.MeshStandardMaterial({ color: 0x222222, metalness: 0.8, roughness: 0.3 });
+  const gun = setHitZone(new THREE.Mesh(new THREE.BoxGeometry(0.1, 0.12, 1.1), gunMaterial), 'turret');
+  gun.position.set(0, 0.3, 0.5);
+  mount.add(gun);
+  const muzzle = new THREE.Object3D();
+  muzzle.position.set(0, 0.3, 1.1);
+  mount.add(muzzle);
+  halftrackGroup.add(mount);
+  
+  return {
+    object: halftrackGroup,
+    turret: mount,
+    muzzle: muzzle,
+    tracks: tracks,
+    wheels: wheels,
+    materials: [armorMaterial]
+  };
+}
@@ -0,0 +1,196 @@
+/**
+ * Viewmodel module - the weapon held in front of the first-person camera, drawn in its own
+ * scene over the world so it never clips into walls or the ground
+ */
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
+import { createPlayerWeaponModel } from './weapons.js';
+import { STANCES } from './stances.js';
+
+// Constants for the viewmodel camera and placement
+const VIEWMODEL_FOV = 60; // Narrower than the world camera so the weapon isn't stretched
+const VIEWMODEL_SCALE = 0.45; // Weapon models are built at third-person size
+const VIEWMODEL_OFFSET = new THREE.Vector3(0.28, -0.3, -0.6); // Held low and to the right
+const SIGHTS_OFFSET = new THREE.Vector3(0, -0.09, -0.5); // Raised to the eye when aiming down the sights
+const SIGHTS_BOB = 0.3; // Fraction of the bob and sway left when aiming down the sights
+
+// Constants for bob, sway and recoil
+const BOB_SPEED = 8; // Bob cycles per second (in radians) while walking
+const SPRINT_BOB_SPEED = 13;
+const BOB_SIDEWAYS = 0.012; // Side-to-side bob amount
+const BOB_VERTICAL = 0.016; // Up-and-down bob amount
+const PRONE_BOB = 0.3; // Crawling barely moves the weapon
+const BOB_BLEND_SPEED = 6; // How quickly the bob fades in and out when starting and stopping
+const TURN_SWAY = 0.02; // Sideways lag per radian per second of turning
+const MAX_TURN_SWAY = 0.08;
+const SWAY_BLEND_SPEED = 8; // How quickly the weapon catches up with a turn
+const AIM_YAW = 0.35; // Weapon turn toward the aim point, per unit of aim across the screen
+const AIM_PITCH = 0.25;
+const RECOIL_KICK = 0.06; // Kick back per shot, scaled by the stance's recoil
+const MAX_RECOIL_KICK = 0.15;
+const RECOIL_RECOVERY = 12; // How quickly the kick settles (per second)
+const LOWER_SPEED = 6; // How quickly the weapon drops for a reload or a dressing
+const LOWERED_DROP = 0.25; // How far the weapon drops while the hands are busy
+const LOWERED_ROLL = 0.5;
+
+/**
+ * Creates the viewmodel scene and camera, lit by the world's lights
+ * @param {THREE.Light} ambientLight - The world's ambient light, copied so night waves darken the weapon
+ * @param {THREE.Light} sunLight - The world's sun or moon light
+ * @returns {Object} - The viewmodel
+ */
+export function createViewmodel(ambientLight, sunLight) {
+  const scene = new THREE.Scene();
+  const camera = new THREE.PerspectiveCamera(VIEWMODEL_FOV, window.innerWidth / window.innerHeight, 0.01, 10);
+  
+  // Lights matching the world's, from over the player's shoulder
+  const viewmodelAmbient = new THREE.AmbientLight(0xffffff, 0.5);
+  scene.add(viewmodelAmbient);
+  const viewmodelSun = new THREE.DirectionalLight(0xffffff, 0.8);
+  viewmodelSun.position.set(1, 2, 1);
+  scene.add(viewmodelSun);
+  
+  // The weapon hangs off a holder that bob, sway and recoil move around
+  const holder = new THREE.Group();
+  holder.position.copy(VIEWMODEL_OFFSET);
+  holder.scale.setScalar(VIEWMODEL_SCALE);
+  scene.add(holder);
+  
+  return {
+    scene: scene,
+    camera: camera,
+    holder: holder,
+    model: null,
+    weaponType: null,
+    scoped: false,
+    worldAmbient: ambientLight,
+    worldSun: sunLight,
+    ambient: viewmodelAmbient,
+    sun: viewmodelSun,
+    bobTime: 0,
+    bobWeight: 0, // 0 standing still, 1 walking
+    turnSway: 0,
+    lastYaw: null,
+    recoilKick: 0,
+    lowered: 0 // 0 ready, 1 lowered for a reload or dressing
+  };
+}
+
+/**
+ * Puts a weapon in the viewmodel's hands
+ * @param {Object} viewmodel - The viewmodel
+ * @param {string} weaponType - Weapon id from WEAPONS enum
+ * @param {boolean} scoped - Whether the weapon has its scope fitted
+ */
+export function setViewmodelWeapon(viewmodel, weaponType, scoped = false) {
+  if (viewmodel.model) {
+    viewmodel.holder.remove(viewmodel.model);
+  }
+  
+  // Held models already point their barrels away from the player, so they go in as built
+  const model = createPlayerWeaponModel(weaponType, scoped);
+  viewmodel.holder.add(model);
+  viewmodel.model = model;
+  viewmodel.weaponType = weaponType;
+  viewmodel.scoped = scoped;
+}
+
+/**
+ * Kicks the viewmodel back when the player fires
+ * @param {Object} viewmodel - The viewmodel
+ * @param {number} strength - Recoil multiplier (e.g. the stance's)
+ */
+export function triggerViewmodelRecoil(viewmodel, strength = 1) {
+  viewmodel.recoilKick = Math.min(MAX_RECOIL_KICK, viewmodel.recoilKick + RECOIL_KICK * strength);
+}
+
+/**
+ * Moves the viewmodel with the player - walking bob, lag when turning, the aim's sway, recoil,
+ * and lowering the weapon while reloading or bandaging
+ * @param {Object} viewmodel - The viewmodel
+ * @param {THREE.Object3D} player - The player object
+ * @param {THREE.Vector2} aimPosition - Normalized aim position, including any wound or breathing sway
+ * @param {number} deltaTime - Time since last frame
+ */
+export function updateViewmodel(viewmodel, player, aimPosition, deltaTime) {
+  const userData = player.userData;
+  
+  // Follow weapon switches, pickups and scopes bought in the armory
+  if (viewmodel.weaponType !== userData.weaponType || viewmodel.scoped !== userData.weaponScoped) {
+    setViewmodelWeapon(viewmodel, userData.weaponType, userData.weaponScoped);
+  }
+  
+  // Walking bob, faster when sprinting and faint when crawling
+  const isMoving = userData.isWalking && !userData.isJumping;
+  viewmodel.bobWeight += ((isMoving ? 1 : 0) - viewmodel.bobWeight) * Math.min(1, deltaTime * BOB_BLEND_SPEED);
+  viewmodel.bobTime += deltaTime * (userData.isSprinting ? SPRINT_BOB_SPEED : BOB_SPEED);
+  const bobAmount = viewmodel.bobWeight * (userData.stance === STANCES.PRONE ? PRONE_BOB : 1);
+  const bobX = Math.cos(viewmodel.bobTime) * BOB_SIDEWAYS * bobAmount;
+  const bobY = -Math.abs(Math.sin(viewmodel.bobTime)) * BOB_VERTICAL * bobAmount;
+  
+  // Turning leaves the weapon trailing behind for a moment
+  if (viewmodel.lastYaw === null) {
+    viewmodel.lastYaw = player.rotation.y;
+  }
+  const yawRate = deltaTime > 0 ? (player.rotation.y - viewmodel.lastYaw) / deltaTime : 0;
+  viewmodel.lastYaw = player.rotation.y;
+  const targetSway = THREE.MathUtils.clamp(yawRate * TURN_SWAY, -MAX_TURN_SWAY, MAX_TURN_SWAY);
+  viewmodel.turnSway += (targetSway - viewmodel.turnSway) * Math.min(1, deltaTime * SWAY_BLEND_SPEED);
+  
+  // Recoil settles back
+  viewmodel.recoilKick *= Math.exp(-RECOIL_RECOVERY * deltaTime);
+  
+  // Busy hands lower the weapon
+  const handsBusy = userData.isReloading || userData.isBandaging;
+  viewmodel.lowered += ((handsBusy ? 1 : 0) - viewmodel.lowered) * Math.min(1, deltaTime * LOWER_SPEED);
+  
+  // Aiming down the sights brings the weapon up to the eye and steadies the bob and sway
+  const aimBlend = userData.aimBlend || 0;
+  const motion = 1 - aimBlend * (1 - SIGHTS_BOB);
+  const restPosition = VIEWMODEL_OFFSET.clone().lerp(SIGHTS_OFFSET, aimBlend);
+  
+  const holder = viewmodel.holder;
+  holder.position.set(
+    restPosition.x + (bobX + viewmodel.turnSway) * motion,
+    restPosition.y + bobY * motion - viewmodel.lowered * LOWERED_DROP,
+    restPosition.z + viewmodel.recoilKick
+  );
+  
+  // Point toward the aim, muzzle climbing with the kick
+  holder.rotation.set(
+    aimPosition.y * AIM_PITCH * (1 - aimBlend) + viewmodel.recoilKick * 2,
+    -aimPosition.x * AIM_YAW * (1 - aimBlend),
+    viewmodel.lowered * LOWERED_ROLL
+  );
+  
+  // Looking through a scope, the scope overlay takes the weapon's place
+  holder.visible = !(viewmodel.scoped && aimBlend > 0.9);
+  
+  // Night waves dim the weapon along with the world
+  viewmodel.ambient.color.copy(viewmodel.worldAmbient.color);
+  viewmodel.ambient.intensity = viewmodel.worldAmbient.intensity;
+  viewmodel.sun.color.copy(viewmodel.worldSun.color);
+  viewmodel.sun.intensity = viewmodel.worldSun.intensity;
+}
+
+/**
+ * Draws the viewmodel over the frame already rendered, clearing depth so it is always in front
+ * @param {THREE.WebGLRenderer} renderer - The renderer
+ * @param {Object} viewmodel - The viewmodel
+ */
+export function renderViewmodel(renderer, viewmodel) {
+  const autoClear = renderer.autoClear;
+  renderer.autoClear = false;
+  renderer.clearDepth();
+  renderer.render(viewmodel.scene, viewmodel.camera);
+  renderer.autoClear = autoClear;
+}
+
+/**
+ * Keeps the viewmodel camera's aspect in step with the window
+ * @param {Object} viewmodel - The viewmodel
+ * @param {number} aspect - Window width over height
+ */
+export function resizeViewmodel(viewmodel, aspect) {
+  viewmodel.camera.aspect = aspect;
+  viewmodel.camera.updateProjectionMatrix();
+}
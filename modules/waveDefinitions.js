@@ -0,0 +1,277 @@
+/**
+ * Wave definitions module - loads designer-authored waves from JSON and generates
+ * procedural waves past the end of the list
+ */
+import { ENEMY_TYPES } from './enemyTypes.js';
+import { VEHICLE_TYPES, isBossWave, getBossVehicleType } from './vehicles.js';
+
+// Constants for procedural waves
+const PROCEDURAL_HEALTH_SCALING = 0.2; // +20% enemy health per wave
+const PROCEDURAL_SPEED_SCALING = 0.1; // +10% enemy speed per wave
+const BOAT_CAPACITY = 3; // Procedural waves put at least this many soldiers in a boat
+
+// Defaults for anything a wave entry leaves out
+const DEFAULT_MODIFIERS = {
+  fog: false,
+  night: false
+};
+const DEFAULT_REWARDS = {
+  health: 0.5, // Fraction of missing health restored
+  ammo: 15, // Standard rounds added
+  grenades: 1 // Grenades resupplied
+};
+
+// Scripted events a wave can trigger
+export const WAVE_EVENT_TYPES = {
+  MESSAGE: 'message', // Shows a message on screen
+  REINFORCEMENTS: 'reinforcements' // Lands more boats partway through the wave
+};
+
+// Designer-authored waves, indexed by wave number
+let waveDefinitions = [];
+let directorSettings = null; // The wave file's "director" block
+
+/**
+ * Loads the designer wave list from a JSON file
+ * @param {string} url - URL of the wave file
+ * @returns {Promise<number>} - Resolves with the number of waves loaded (0 if the file couldn't be read)
+ */
+export function loadWaveDefinitions(url) {
+  return fetch(url)
+    .then(response => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    })
+    .then(data => setWaveDefinitions(data))
+    .catch(error => {
+      console.warn(`Could not load wave definitions from ${url}, using procedural waves:`, error);
+      waveDefinitions = [];
+      directorSettings = null;
+      return 0;
+    });
+}
+
+/**
+ * Replaces the designer wave list with already-parsed data
+ * @param {Object} data - Parsed wave file ({ waves: [...] })
+ * @returns {number} - Number of waves accepted
+ */
+export function setWaveDefinitions(data) {
+  waveDefinitions = [];
+  directorSettings = (data && data.director) || null;
+  const entries = (data && Array.isArray(data.waves)) ? data.waves : [];
+  
+  entries.forEach((entry, index) => {
+    // Entries may give their wave number, otherwise they are numbered in order
+    const wave = Number.isInteger(entry.wave) ? entry.wave : index + 1;
+    if (!Array.isArray(entry.boats) || entry.boats.length === 0) {
+      console.warn(`Wave ${wave} has no boats - it will be generated procedurally`);
+      return;
+    }
+    
+    // Boats that all come to nobody would make a wave that is over as soon as it starts
+    if (normalizeBoats(wave, entry.boats).length === 0) {
+      console.warn(`Wave ${wave} has nobody in its boats - it will be generated procedurally`);
+      return;
+    }
+    
+    waveDefinitions[wave] = entry;
+  });
+  
+  const count = waveDefinitions.filter(Boolean).length;
+  console.log(`Loaded ${count} wave definitions`);
+  return count;
+}
+
+/**
+ * Gets the spawn director's bounds from the wave file
+ * @returns {Object|null} - The "director" block, or null if the file doesn't set one
+ */
+export function getDirectorSettings() {
+  return directorSettings;
+}
+
+/**
+ * Gets the definition for a wave, from the designer list or the procedural generator
+ * @param {number} wave - Wave number
+ * @param {number} maxEnemies - Cap on procedural wave size
+ * @returns {Object} - Normalized wave definition
+ */
+export function getWaveDefinition(wave, maxEnemies) {
+  const entry = waveDefinitions[wave];
+  return entry ? normalizeWaveEntry(wave, entry) : generateProceduralWave(wave, maxEnemies);
+}
+
+/**
+ * Builds a wave the way the game always has: wave*2+3 enemies in boats spread evenly round the island
+ * @param {number} wave - Wave number
+ * @param {number} maxEnemies - Cap on wave size
+ * @returns {Object} - Normalized wave definition
+ */
+export function generateProceduralWave(wave, maxEnemies) {
+  const enemiesForWave = Math.min(Math.floor(wave * 2 + 3), maxEnemies);
+  const boatsForWave = Math.min(Math.ceil(wave / 2) + 1, Math.ceil(enemiesForWave / BOAT_CAPACITY));
+  
+  // Distribute enemies evenly, the first boats taking any remainder
+  const baseEnemiesPerBoat = Math.floor(enemiesForWave / boatsForWave);
+  let remainingEnemies = enemiesForWave - baseEnemiesPerBoat * boatsForWave;
+  const angleStep = (Math.PI * 2) / boatsForWave;
+  
+  const boats = [];
+  for (let i = 0; i < boatsForWave; i++) {
+    const size = baseEnemiesPerBoat + (remainingEnemies > 0 ? 1 : 0);
+    if (remainingEnemies > 0) remainingEnemies--;
+    boats.push({ angle: i * angleStep, delay: 0, size: size, crew: null });
+  }
+  
+  return {
+    wave: wave,
+    source: 'procedural',
+    boats: boats,
+    healthMultiplier: getProceduralHealthMultiplier(wave),
+    speedMultiplier: getProceduralSpeedMultiplier(wave),
+    modifiers: { ...DEFAULT_MODIFIERS },
+    rewards: { ...DEFAULT_REWARDS },
+    vehicle: isBossWave(wave) ? getBossVehicleType(wave) : null,
+    event: null
+  };
+}
+
+/**
+ * Turns a designer wave entry into a definition the spawner can use, filling in defaults
+ * @param {number} wave - Wave number
+ * @param {Object} entry - Wave entry from the JSON file
+ * @returns {Object} - Normalized wave definition
+ */
+function normalizeWaveEntry(wave, entry) {
+  const modifiers = { ...DEFAULT_MODIFIERS, ...(entry.modifiers || {}) };
+  
+  let vehicle = entry.vehicle || null;
+  if (vehicle && !Object.values(VEHICLE_TYPES).includes(vehicle)) {
+    console.warn(`Wave ${wave}: unknown vehicle "${vehicle}" ignored`);
+    vehicle = null;
+  }
+  
+  return {
+    wave: wave,
+    source: 'designer',
+    boats: normalizeBoats(wave, entry.boats),
+    // Unless the designer says otherwise, enemies get tougher at the usual rate
+    healthMultiplier: typeof modifiers.healthMultiplier === 'number' ?
+      modifiers.healthMultiplier : getProceduralHealthMultiplier(wave),
+    speedMultiplier: typeof modifiers.speedMultiplier === 'number' ?
+      modifiers.speedMultiplier : getProceduralSpeedMultiplier(wave),
+    modifiers: { fog: !!modifiers.fog, night: !!modifiers.night },
+    rewards: { ...DEFAULT_REWARDS, ...(entry.rewards || {}) },
+    vehicle: vehicle,
+    event: normalizeEvent(wave, entry.event)
+  };
+}
+
+/**
+ * Normalizes a list of boat entries
+ * @param {number} wave - Wave number, for warnings
+ * @param {Array} boatEntries - Boat entries from the JSON file
+ * @returns {Array} - Boats with angle in radians, delay in seconds and either a crew list or a size to roll
+ */
+function normalizeBoats(wave, boatEntries) {
+  const boats = [];
+  const evenStep = (Math.PI * 2) / boatEntries.length;
+  
+  boatEntries.forEach((boatEntry, index) => {
+    // Angles are written in degrees; boats without one are spread evenly
+    const angle = typeof boatEntry.angle === 'number' ?
+      boatEntry.angle * Math.PI / 180 : index * evenStep;
+    const delay = Math.max(0, boatEntry.delay || 0);
+    
+    if (Array.isArray(boatEntry.crew)) {
+      const crew = expandCrew(wave, boatEntry.crew);
+      if (crew.length > 0) boats.push({ angle, delay, size: crew.length, crew });
+    } else if (boatEntry.size > 0) {
+      boats.push({ angle, delay, size: Math.floor(boatEntry.size), crew: null });
+    } else {
+      console.warn(`Wave ${wave}: boat ${index + 1} has no crew or size - skipped`);
+    }
+  });
+  
+  return boats;
+}
+
+/**
+ * Expands a boat's { type, count } crew entries into a boarding order
+ * @param {number} wave - Wave number, for warnings
+ * @param {Array} crewEntries - Crew entries from the JSON file
+ * @returns {Array<string>} - Enemy types, officer first and each MG42 gunner followed by an assistant
+ */
+function expandCrew(wave, crewEntries) {
+  const validTypes = Object.values(ENEMY_TYPES);
+  const officers = [];
+  const crew = [];
+  
+  for (const crewEntry of crewEntries) {
+    let type = crewEntry.type;
+    if (!validTypes.includes(type)) {
+      console.warn(`Wave ${wave}: unknown enemy type "${type}" - using rifleman`);
+      type = ENEMY_TYPES.RIFLEMAN;
+    }
+    
+    const count = Math.max(0, Math.floor(crewEntry.count === undefined ? 1 : crewEntry.count));
+    for (let i = 0; i < count; i++) {
+      if (type === ENEMY_TYPES.OFFICER) {
+        officers.push(type);
+      } else {
+        crew.push(type);
+        if (type === ENEMY_TYPES.MG42) {
+          crew.push(ENEMY_TYPES.RIFLEMAN); // Assistant gunner
+        }
+      }
+    }
+  }
+  
+  // Officers lead their boat's squad
+  return officers.concat(crew);
+}
+
+/**
+ * Normalizes a wave's scripted event
+ * @param {number} wave - Wave number, for warnings
+ * @param {Object} event - Event entry from the JSON file
+ * @returns {Object|null} - Event with its trigger time, or null if there is none
+ */
+function normalizeEvent(wave, event) {
+  if (!event) return null;
+  
+  const time = Math.max(0, event.time || 0);
+  switch (event.type) {
+    case WAVE_EVENT_TYPES.MESSAGE:
+      return { type: event.type, time, text: String(event.text || '') };
+    case WAVE_EVENT_TYPES.REINFORCEMENTS:
+      return {
+        type: event.type,
+        time,
+        text: event.text ? String(event.text) : null,
+        boats: normalizeBoats(wave, Array.isArray(event.boats) ? event.boats : [])
+      };
+    default:
+      console.warn(`Wave ${wave}: unknown event type "${event.type}" ignored`);
+      return null;
+  }
+}
+
+/**
+ * Gets the usual enemy health scaling for a wave
+ * @param {number} wave - Wave number
+ * @returns {number} - Health multiplier
+ */
+function getProceduralHealthMultiplier(wave) {
+  return 1 + (wave - 1) * PROCEDURAL_HEALTH_SCALING;
+}
+
+/**
+ * Gets the usual enemy speed scaling for a wave
+ * @param {number} wave - Wave number
+ * @returns {number} - Speed multiplier
+ */
+function getProceduralSpeedMultiplier(wave) {
+  return 1 + (wave - 1) * PROCEDURAL_SPEED_SCALING;
+}
@@ -1,38 +1,151 @@
 /**
  * Weapons module for managing different weapon types and ammo
+ *
+ * Every weapon is described by a single descriptor passed to registerWeapon().
+ * The WEAPONS, AMMO_TYPES and WEAPON_CONFIG tables are filled in from the
+ * registry, so adding a weapon only means registering one more descriptor.
  */
 import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
 
-// Weapon definitions
-export const WEAPONS = {
-  M1_GARAND: 'm1_garand',
-  MP41: 'mp41'
-};
+// Weapon definitions (weapon key -> weapon id), populated by registerWeapon
+export const WEAPONS = {};
+
+// Ammo types (ammo key -> ammo type id), populated by registerWeapon
+export const AMMO_TYPES = {};
+
+// Weapon configurations (weapon id -> weapon descriptor), populated by registerWeapon
+export const WEAPON_CONFIG = {};
 
-// Ammo types
-export const AMMO_TYPES = {
-  STANDARD: 'standard',
-  MP41: 'mp41'
+// Fire modes a weapon descriptor can declare
+export const FIRE_MODES = {
+  SEMI: 'semi',
+  AUTO: 'auto'
 };
 
-// Weapon configurations
-export const WEAPON_CONFIG = {
-  [WEAPONS.M1_GARAND]: {
-    name: 'M1 Garand',
-    damage: 1,
-    ammoType: AMMO_TYPES.STANDARD,
-    fireRate: 200, // milliseconds between shots
-    automatic: false
-  },
-  [WEAPONS.MP41]: {
-    name: 'MP41',
-    damage: 0.7, // Slightly weaker than rifle but faster
-    ammoType: AMMO_TYPES.MP41,
-    fireRate: 100, // Faster fire rate than rifle
-    automatic: true,
-    magazineSize: 32
+// Display names for each ammo type, used by pickups and notifications
+const AMMO_NAMES = {};
+
+// Registered weapon ids in registration order
+const weaponRegistry = [];
+
+/**
+ * Registers a weapon so the rest of the game can use it
+ * @param {Object} descriptor - Weapon descriptor
+ * @param {string} descriptor.id - Unique weapon id (e.g. 'm1_garand')
+ * @param {string} descriptor.name - Display name
+ * @param {string} [descriptor.key] - Key for the WEAPONS enum (defaults to the upper-cased id)
+ * @param {number} [descriptor.slot] - Number key that selects the weapon (defaults to registration order)
+ * @param {number} descriptor.damage - Damage multiplier per hit
+ * @param {string} descriptor.ammoType - Ammo type id the weapon consumes
+ * @param {string} [descriptor.ammoName] - Display name for the ammo type
+ * @param {string} [descriptor.fireMode] - One of FIRE_MODES
+ * @param {number} descriptor.fireRate - Milliseconds between shots
+ * @param {number} descriptor.magazineSize - Rounds per magazine
+ * @param {number} descriptor.reloadTime - Milliseconds to reload
+ * @param {number} [descriptor.spread] - Random spread of each shot while standing, in radians
+ * @param {number} [descriptor.aimFov] - Camera field of view while aiming down the sights
+ * @param {Object} [descriptor.scope] - Telescopic sight the armory can fit ({ name, fov, createModel })
+ * @param {string} [descriptor.sound] - Sound played through gameAudio when firing
+ * @param {Function} descriptor.createModel - Builds the model held by the player
+ * @param {Function} [descriptor.createPickupModel] - Builds the model shown for ground pickups
+ * @param {Function} [descriptor.createAmmoPickupModel] - Builds the model shown for ammo pickups
+ * @returns {Object} - The normalized weapon config
+ */
+export function registerWeapon(descriptor) {
+  if (!descriptor || !descriptor.id) {
+    throw new Error('registerWeapon: descriptor needs an id');
   }
-};
+  if (WEAPON_CONFIG[descriptor.id]) {
+    throw new Error(`registerWeapon: weapon "${descriptor.id}" is already registered`);
+  }
+  if (typeof descriptor.createModel !== 'function') {
+    throw new Error(`registerWeapon: weapon "${descriptor.id}" needs a createModel function`);
+  }
+  
+  const fireMode = descriptor.fireMode || FIRE_MODES.SEMI;
+  
+  // Fill in defaults so the rest of the game can rely on every field existing
+  const config = {
+    key: descriptor.id.toUpperCase(),
+    slot: weaponRegistry.length + 1,
+    ammoName: descriptor.name,
+    fireMode: fireMode,
+    enBloc: false,
+    sound: null,
+    spread: 0,
+    aimFov: 50,
+    scope: null,
+    hudColor: '#ffffff',
+    holdPosition: { x: 0.55, y: 0.9, z: 0.3 },
+    holdRotation: { x: 0, y: 0, z: 0 },
+    startsOwned: false,
+    startingReserve: 0,
+    drops: null,
+    createPickupModel: descriptor.createModel,
+    createAmmoPickupModel: null,
+    ...descriptor,
+    automatic: fireMode === FIRE_MODES.AUTO
+  };
+  
+  WEAPONS[config.key] = config.id;
+  WEAPON_CONFIG[config.id] = config;
+  weaponRegistry.push(config.id);
+  
+  // Register the ammo type the first time a weapon uses it
+  const ammoKey = config.ammoType.toUpperCase();
+  if (!AMMO_TYPES[ammoKey]) {
+    AMMO_TYPES[ammoKey] = config.ammoType;
+    AMMO_NAMES[config.ammoType] = config.ammoName;
+  }
+  
+  console.log(`Registered weapon: ${config.name} (slot ${config.slot})`);
+  return config;
+}
+
+/**
+ * Looks up a registered weapon
+ * @param {string} weaponType - Weapon id from WEAPONS enum
+ * @returns {Object|null} - The weapon config, or null if not registered
+ */
+export function getWeaponDefinition(weaponType) {
+  return WEAPON_CONFIG[weaponType] || null;
+}
+
+/**
+ * Gets every registered weapon, ordered by slot
+ * @returns {Array<Object>} - Weapon configs
+ */
+export function getRegisteredWeapons() {
+  return weaponRegistry
+    .map(id => WEAPON_CONFIG[id])
+    .sort((a, b) => a.slot - b.slot);
+}
+
+/**
+ * Gets the weapon the player starts each match holding
+ * @returns {Object|null} - The first registered weapon (by slot) that starts owned, or null if none does
+ */
+export function getStartingWeapon() {
+  return getRegisteredWeapons().find(config => config.startsOwned) || null;
+}
+
+/**
+ * Finds the weapon bound to a number key
+ * @param {number} slot - Slot number (1-9)
+ * @returns {Object|null} - The weapon config, or null if the slot is empty
+ */
+export function getWeaponForSlot(slot) {
+  return getRegisteredWeapons().find(config => config.slot === slot) || null;
+}
+
+/**
+ * Gets the display name of an ammo type
+ * @param {string} ammoType - Ammo type from AMMO_TYPES
+ * @returns {string} - Display name
+ */
+export function getAmmoTypeName(ammoType) {
+  return AMMO_NAMES[ammoType] || ammoType;
+}
 
 /**
  * Creates a weapon pickup
@@ -47,8 +160,9 @@ export function createWeaponPickup(scene, position, weaponType) {
   pickupGroup.position.copy(position);
   pickupGroup.position.y = 0.2; // Lift slightly off ground
   
-  // Create the weapon model based on type
-  const weaponModel = createWeaponModel(weaponType);
+  // Create the weapon model from the weapon's descriptor
+  const config = WEAPON_CONFIG[weaponType];
+  const weaponModel = config.createPickupModel();
   pickupGroup.add(weaponModel);
   
   // Add a glowing effect
@@ -61,9 +175,6 @@ export function createWeaponPickup(scene, position, weaponType) {
   const glow = new THREE.Mesh(glowGeometry, glowMaterial);
   pickupGroup.add(glow);
   
-  // Add text label with weapon name
-  const config = WEAPON_CONFIG[weaponType];
-  
   // Add the pickup to the scene
   scene.add(pickupGroup);
   
@@ -77,289 +188,14 @@ export function createWeaponPickup(scene, position, weaponType) {
 }
 
 /**
- * Creates a weapon model based on weapon type
- * @param {string} weaponType - Type of weapon from WEAPONS enum
- * @returns {THREE.Group} The weapon model
- */
-function createWeaponModel(weaponType) {
-  const weaponGroup = new THREE.Group();
-  
-  if (weaponType === WEAPONS.MP41) {
-    // MP41 Submachine Gun - all-black stylized model
-    // Materials - all black with different finishes
-    const metalMaterial = new THREE.MeshStandardMaterial({
-      color: 0x111111, // Pure black for main metal parts
-      metalness: 0.9,
-      roughness: 0.3
-    });
-    
-    const darkMetalMaterial = new THREE.MeshStandardMaterial({
-      color: 0x0a0a0a, // Slightly darker black for accent parts
-      metalness: 0.95,
-      roughness: 0.2
-    });
-    
-    const matteBlackMaterial = new THREE.MeshStandardMaterial({
-      color: 0x151515, // Slightly lighter black for grip parts
-      metalness: 0.3,
-      roughness: 0.8
-    });
-    
-    // Main receiver - more rectangular with rounded edges
-    const receiverGeometry = new THREE.BoxGeometry(0.11, 0.11, 0.8);
-    receiverGeometry.translate(0, 0, 0.1); // Center properly
-    const receiver = new THREE.Mesh(receiverGeometry, metalMaterial);
-    weaponGroup.add(receiver);
-    
-    // Barrel - longer and thinner
-    const barrelGeometry = new THREE.CylinderGeometry(0.022, 0.022, 1.0, 16);
-    const barrel = new THREE.Mesh(barrelGeometry, darkMetalMaterial);
-    barrel.rotation.x = Math.PI / 2;
-    barrel.position.z = 0.6; // Extend forward
-    weaponGroup.add(barrel);
-    
-    // Barrel shroud/cooling jacket
-    const shroudGeometry = new THREE.CylinderGeometry(0.04, 0.04, 0.7, 16);
-    const shroud = new THREE.Mesh(shroudGeometry, metalMaterial);
-    shroud.rotation.x = Math.PI / 2;
-    shroud.position.z = 0.45; 
-    weaponGroup.add(shroud);
-    
-    // Add holes in the barrel shroud - more of them for realism
-    for (let i = 0; i < 12; i++) {
-      const angle = (i / 12) * Math.PI * 2;
-      // Create two columns of holes
-      for (let j = 0; j < 5; j++) {
-        const holeGeometry = new THREE.CylinderGeometry(0.008, 0.008, 0.1, 8);
-        const hole = new THREE.Mesh(holeGeometry, darkMetalMaterial);
-        
-        hole.position.set(
-          Math.cos(angle) * 0.042,
-          Math.sin(angle) * 0.042,
-          0.25 + j * 0.12
-        );
-        hole.rotation.x = Math.PI / 2;
-        weaponGroup.add(hole);
-      }
-    }
-    
-    // Magazine - more accurate straight box magazine
-    const magGeometry = new THREE.BoxGeometry(0.07, 0.28, 0.045);
-    const magazine = new THREE.Mesh(magGeometry, darkMetalMaterial);
-    magazine.position.set(0, -0.19, 0.15);
-    magazine.rotation.x = -Math.PI / 20; // Very slight angle
-    weaponGroup.add(magazine);
-    
-    // Magazine housing - more detailed
-    const magHousingGeometry = new THREE.BoxGeometry(0.09, 0.05, 0.07);
-    const magHousing = new THREE.Mesh(magHousingGeometry, metalMaterial);
-    magHousing.position.set(0, -0.055, 0.15);
-    weaponGroup.add(magHousing);
-    
-    // Add magazine release tab
-    const magReleaseGeometry = new THREE.BoxGeometry(0.02, 0.02, 0.02);
-    const magRelease = new THREE.Mesh(magReleaseGeometry, darkMetalMaterial);
-    magRelease.position.set(-0.06, -0.05, 0.15);
-    weaponGroup.add(magRelease);
-    
-    // MP41 stock base - more detailed
-    const stockBaseGeometry = new THREE.BoxGeometry(0.09, 0.09, 0.12);
-    const stockBase = new THREE.Mesh(stockBaseGeometry, metalMaterial);
-    stockBase.position.set(0, 0, -0.35);
-    weaponGroup.add(stockBase);
-    
-    // Folding stock mechanism - more accurate
-    const stockPivotGeometry = new THREE.CylinderGeometry(0.02, 0.02, 0.11, 8);
-    const stockPivot = new THREE.Mesh(stockPivotGeometry, darkMetalMaterial);
-    stockPivot.rotation.z = Math.PI / 2;
-    stockPivot.position.set(0, -0.03, -0.38);
-    weaponGroup.add(stockPivot);
-    
-    // Stock bars (folded under) - thinner and more detailed
-    const stockBarGeometry = new THREE.BoxGeometry(0.015, 0.015, 0.45);
-    
-    // Left bar
-    const leftBar = new THREE.Mesh(stockBarGeometry, metalMaterial);
-    leftBar.position.set(-0.03, -0.07, -0.18);
-    weaponGroup.add(leftBar);
-    
-    // Right bar
-    const rightBar = new THREE.Mesh(stockBarGeometry, metalMaterial);
-    rightBar.position.set(0.03, -0.07, -0.18);
-    weaponGroup.add(rightBar);
-    
-    // Pistol grip - more angled and ergonomic like the real MP41
-    const gripGroup = new THREE.Group();
-    gripGroup.position.set(0, -0.15, -0.15);
-    gripGroup.rotation.x = Math.PI / 5; // More angled grip
-    weaponGroup.add(gripGroup);
-    
-    const gripGeometry = new THREE.BoxGeometry(0.06, 0.18, 0.04);
-    const grip = new THREE.Mesh(gripGeometry, matteBlackMaterial);
-    gripGroup.add(grip);
-    
-    // Add grip texture lines
-    for (let i = 0; i < 5; i++) {
-      const gripLineGeometry = new THREE.BoxGeometry(0.062, 0.005, 0.042);
-      const gripLine = new THREE.Mesh(gripLineGeometry, darkMetalMaterial);
-      gripLine.position.y = 0.05 - i * 0.03;
-      gripGroup.add(gripLine);
-    }
-    
-    // Add front handgrip under barrel - distinctive to MP41
-    const handgripGeometry = new THREE.BoxGeometry(0.06, 0.12, 0.05);
-    const handgrip = new THREE.Mesh(handgripGeometry, matteBlackMaterial);
-    handgrip.position.set(0, -0.11, 0.35);
-    weaponGroup.add(handgrip);
-    
-    // Front sight - taller and more accurate
-    const frontSightGeometry = new THREE.BoxGeometry(0.015, 0.05, 0.015);
-    const frontSight = new THREE.Mesh(frontSightGeometry, darkMetalMaterial);
-    frontSight.position.set(0, 0.08, 0.85);
-    weaponGroup.add(frontSight);
-    
-    // Rear sight - better hooded shape
-    const rearSightBaseGeometry = new THREE.BoxGeometry(0.08, 0.02, 0.04);
-    const rearSightBase = new THREE.Mesh(rearSightBaseGeometry, metalMaterial);
-    rearSightBase.position.set(0, 0.07, -0.05);
-    weaponGroup.add(rearSightBase);
-    
-    const rearSightNotchGeometry = new THREE.BoxGeometry(0.02, 0.03, 0.01);
-    const rearSightNotch = new THREE.Mesh(rearSightNotchGeometry, darkMetalMaterial);
-    rearSightNotch.position.set(0, 0.09, -0.05);
-    weaponGroup.add(rearSightNotch);
-    
-    // Add side plates to the rear sight
-    const sightPlateGeometry = new THREE.BoxGeometry(0.01, 0.03, 0.04);
-    
-    const leftSightPlate = new THREE.Mesh(sightPlateGeometry, metalMaterial);
-    leftSightPlate.position.set(-0.04, 0.08, -0.05);
-    weaponGroup.add(leftSightPlate);
-    
-    const rightSightPlate = new THREE.Mesh(sightPlateGeometry, metalMaterial);
-    rightSightPlate.position.set(0.04, 0.08, -0.05);
-    weaponGroup.add(rightSightPlate);
-    
-    // Charging handle - distinctive curved handle
-    const boltHandleGeometry = new THREE.CylinderGeometry(0.012, 0.012, 0.08, 8);
-    const boltHandle = new THREE.Mesh(boltHandleGeometry, darkMetalMaterial);
-    boltHandle.rotation.z = Math.PI / 2;
-    boltHandle.position.set(0.08, 0.03, -0.1);
-    weaponGroup.add(boltHandle);
-    
-    // Bolt handle knob
-    const boltKnobGeometry = new THREE.SphereGeometry(0.018, 8, 8);
-    const boltKnob = new THREE.Mesh(boltKnobGeometry, metalMaterial);
-    boltKnob.position.set(0.12, 0.03, -0.1);
-    weaponGroup.add(boltKnob);
-    
-    // Trigger - more detailed
-    const triggerGeometry = new THREE.BoxGeometry(0.02, 0.04, 0.01);
-    const trigger = new THREE.Mesh(triggerGeometry, darkMetalMaterial);
-    trigger.position.set(0, -0.05, -0.2);
-    weaponGroup.add(trigger);
-    
-    // Trigger guard - more oval shaped
-    const guardGeometry = new THREE.TorusGeometry(0.025, 0.005, 8, 16, Math.PI);
-    const guard = new THREE.Mesh(guardGeometry, metalMaterial);
-    guard.rotation.x = Math.PI / 2;
-    guard.position.set(0, -0.07, -0.2);
-    weaponGroup.add(guard);
-    
-    // Muzzle attachment - distinctive to MP41
-    const muzzleGeometry = new THREE.CylinderGeometry(0.03, 0.025, 0.1, 16);
-    const muzzle = new THREE.Mesh(muzzleGeometry, darkMetalMaterial);
-    muzzle.rotation.x = Math.PI / 2;
-    muzzle.position.z = 1.0;
-    weaponGroup.add(muzzle);
-    
-    // Add some weathering/detail to make it look more realistic
-    // Bolt track on side of receiver
-    const boltTrackGeometry = new THREE.BoxGeometry(0.015, 0.02, 0.5);
-    const boltTrack = new THREE.Mesh(boltTrackGeometry, darkMetalMaterial);
-    boltTrack.position.set(0.06, 0.02, 0.0);
-    weaponGroup.add(boltTrack);
-    
-    // Ejection port
-    const ejectionPortGeometry = new THREE.BoxGeometry(0.06, 0.02, 0.08);
-    const ejectionPort = new THREE.Mesh(ejectionPortGeometry, darkMetalMaterial);
-    ejectionPort.position.set(0.04, 0.06, -0.1);
-    weaponGroup.add(ejectionPort);
-    
-    // Add selector switch
-    const selectorGeometry = new THREE.CylinderGeometry(0.01, 0.01, 0.03, 8);
-    const selector = new THREE.Mesh(selectorGeometry, darkMetalMaterial);
-    selector.rotation.x = Math.PI / 2;
-    selector.position.set(-0.06, 0.02, -0.2);
-    weaponGroup.add(selector);
-    
-    // Rotate the weapon 180 degrees to fix the backwards barrel issue
-    weaponGroup.rotation.y = Math.PI;
-  } else {
-    // M1 Garand rifle
-    const woodMaterial = new THREE.MeshStandardMaterial({
-      color: 0x8B4513, // Darker brown wood
-      roughness: 0.8
-    });
-    
-    const metalMaterial = new THREE.MeshStandardMaterial({
-      color: 0x333333, // Dark metal
-      metalness: 0.8,
-      roughness: 0.2
-    });
-    
-    // Rifle body
-    const rifleGeometry = new THREE.BoxGeometry(0.12, 0.12, 1.4);
-    const rifle = new THREE.Mesh(rifleGeometry, woodMaterial);
-    weaponGroup.add(rifle);
-    
-    // Rifle barrel
-    const barrelGeometry = new THREE.CylinderGeometry(0.04, 0.04, 1.0, 8);
-    const barrel = new THREE.Mesh(barrelGeometry, metalMaterial);
-    barrel.rotation.x = Math.PI / 2;
-    barrel.position.z = 0.9;
-    weaponGroup.add(barrel);
-    
-    // Front sight
-    const frontSightGeometry = new THREE.BoxGeometry(0.03, 0.08, 0.03);
-    const frontSight = new THREE.Mesh(frontSightGeometry, metalMaterial);
-    frontSight.position.set(0, 0.1, 0.8);
-    weaponGroup.add(frontSight);
-    
-    // Rear sight
-    const rearSightGeometry = new THREE.BoxGeometry(0.06, 0.04, 0.03);
-    const rearSight = new THREE.Mesh(rearSightGeometry, metalMaterial);
-    rearSight.position.set(0, 0.1, 0.0);
-    weaponGroup.add(rearSight);
-    
-    // Trigger guard
-    const guardGeometry = new THREE.TorusGeometry(0.04, 0.01, 8, 8, Math.PI);
-    const guard = new THREE.Mesh(guardGeometry, metalMaterial);
-    guard.rotation.x = Math.PI / 2;
-    guard.position.set(0, -0.05, -0.2);
-    weaponGroup.add(guard);
-    
-    // Rifle stock
-    const stockGeometry = new THREE.BoxGeometry(0.14, 0.15, 0.6);
-    const stock = new THREE.Mesh(stockGeometry, woodMaterial);
-    stock.position.set(0, -0.01, -0.6);
-    weaponGroup.add(stock);
-    
-    // Rotate the weapon 180 degrees to fix the backwards barrel issue
-    weaponGroup.rotation.y = Math.PI;
-  }
-  
-  return weaponGroup;
-}
-
-/**
- * Creates an MP41 ammo pickup
+ * Creates an ammo pickup for a registered weapon's ammo type
  * @param {THREE.Scene} scene - The scene to add the ammo pickup to
  * @param {THREE.Vector3} position - Position of the pickup
  * @param {number} amount - Amount of ammo in the pickup
+ * @param {string} ammoType - Type of ammo from AMMO_TYPES
  * @returns {Object} The ammo pickup object
  */
-export function createMP41AmmoPickup(scene, position, amount) {
+export function createWeaponAmmoPickup(scene, position, amount, ammoType) {
   // Create a floating ammo box
   const pickupGroup = new THREE.Group();
   pickupGroup.position.copy(position);
@@ -375,42 +211,40 @@ export function createMP41AmmoPickup(scene, position, amount) {
   const box = new THREE.Mesh(boxGeometry, boxMaterial);
   pickupGroup.add(box);
   
-  // MP41 Magazine model on top
-  const magGeometry = new THREE.BoxGeometry(0.1, 0.3, 0.08);
-  const magMaterial = new THREE.MeshStandardMaterial({
-    color: 0x111111, // Black metal
-    metalness: 0.7,
-    roughness: 0.3
-  });
-  const magazine = new THREE.Mesh(magGeometry, magMaterial);
-  magazine.position.set(0, 0.2, 0);
-  magazine.rotation.x = Math.PI / 2;
-  pickupGroup.add(magazine);
-  
-  // Add text label for "MP41 AMMO"
-  const canvas = document.createElement('canvas');
-  canvas.width = 256;
-  canvas.height = 128;
-  const context = canvas.getContext('2d');
-  context.fillStyle = '#000000';
-  context.fillRect(0, 0, canvas.width, canvas.height);
-  context.font = 'bold 36px Arial';
-  context.fillStyle = '#ffcc00';
-  context.textAlign = 'center';
-  context.fillText('MP41 AMMO', canvas.width / 2, 50);
-  context.fillText(`x${amount}`, canvas.width / 2, 90);
-  
-  const textTexture = new THREE.CanvasTexture(canvas);
-  const textMaterial = new THREE.MeshBasicMaterial({
-    map: textTexture,
-    transparent: true,
-    side: THREE.DoubleSide
-  });
-  const textGeometry = new THREE.PlaneGeometry(0.6, 0.3);
-  const textMesh = new THREE.Mesh(textGeometry, textMaterial);
-  textMesh.position.y = 0.5;
-  textMesh.rotation.x = -Math.PI / 4;
-  pickupGroup.add(textMesh);
+  // Weapon-specific magazine model on top, if the weapon provides one
+  const owner = getRegisteredWeapons().find(config => config.ammoType === ammoType);
+  if (owner && owner.createAmmoPickupModel) {
+    const ammoModel = owner.createAmmoPickupModel();
+    ammoModel.position.y += 0.2;
+    pickupGroup.add(ammoModel);
+  }
+  
+  // Add text label, e.g. "MP41 AMMO" - there is no canvas to draw it on in a headless simulation
+  if (typeof document !== 'undefined') {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 128;
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#000000';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.font = 'bold 36px Arial';
+    context.fillStyle = '#ffcc00';
+    context.textAlign = 'center';
+    context.fillText(`${getAmmoTypeName(ammoType).toUpperCase()} AMMO`, canvas.width / 2, 50);
+    context.fillText(`x${amount}`, canvas.width / 2, 90);
+    
+    const textTexture = new THREE.CanvasTexture(canvas);
+    const textMaterial = new THREE.MeshBasicMaterial({
+      map: textTexture,
+      transparent: true,
+      side: THREE.DoubleSide
+    });
+    const textGeometry = new THREE.PlaneGeometry(0.6, 0.3);
+    const textMesh = new THREE.Mesh(textGeometry, textMaterial);
+    textMesh.position.y = 0.5;
+    textMesh.rotation.x = -Math.PI / 4;
+    pickupGroup.add(textMesh);
+  }
   
   // Add the pickup to the scene
   scene.add(pickupGroup);
@@ -419,7 +253,7 @@ export function createMP41AmmoPickup(scene, position, amount) {
   return {
     object: pickupGroup,
     amount: amount,
-    type: AMMO_TYPES.MP41,
+    type: ammoType,
     collected: false,
     position: position.clone()
   };
@@ -487,24 +321,23 @@ export function updateWeaponPickups(weaponPickups, player, scene, onWeaponCollec
 }
 
 /**
- * Updates all MP41 ammo pickups and handles collection
- * @param {Array} mp41AmmoPickups - Array of MP41 ammo pickup objects
+ * Updates all weapon ammo pickups and handles collection
+ * @param {Array} weaponAmmoPickups - Array of ammo pickup objects
  * @param {THREE.Object3D} player - Player object
  * @param {THREE.Scene} scene - Scene reference
  * @param {Function} onAmmoCollected - Callback for when ammo is collected
- * @param {Object} keyState - Current key state including E key for pickup
  * @returns {Array} - Updated ammo pickups array
  */
-export function updateMP41AmmoPickups(mp41AmmoPickups, player, scene, onAmmoCollected, keyState) {
+export function updateWeaponAmmoPickups(weaponAmmoPickups, player, scene, onAmmoCollected) {
   // Skip if no pickups
-  if (mp41AmmoPickups.length === 0) return mp41AmmoPickups;
+  if (weaponAmmoPickups.length === 0) return weaponAmmoPickups;
   
   // Get player position (ignore height)
   const playerPosition = player.position.clone();
   playerPosition.y = 0;
   
   // Check each pickup for collection
-  const updatedPickups = mp41AmmoPickups.filter(pickup => {
+  const updatedPickups = weaponAmmoPickups.filter(pickup => {
     // Skip already collected pickups
     if (pickup.collected) return false;
     
@@ -541,6 +374,9 @@ export function updateMP41AmmoPickups(mp41AmmoPickups, player, scene, onAmmoColl
  * @param {boolean} show - Whether to show or hide the prompt
  */
 function showPickupPrompt(type, show) {
+  // Nothing to show it on without a page
+  if (typeof document === 'undefined') return;
+  
   // Get or create prompt element
   let promptEl = document.getElementById('pickupPrompt');
   if (!promptEl && show) {
@@ -565,10 +401,9 @@ function showPickupPrompt(type, show) {
     if (show) {
       let message = 'Press E to pickup';
       
-      if (type === WEAPONS.MP41) {
-        message = 'Press E to pickup MP41';
-      } else if (type === 'mp41Ammo') {
-        message = 'Press E to pickup MP41 Ammo';
+      const config = WEAPON_CONFIG[type];
+      if (config) {
+        message = `Press E to pickup ${config.name}`;
       }
       
       promptEl.textContent = message;
@@ -582,234 +417,669 @@ function showPickupPrompt(type, show) {
 /**
  * Creates a weapon model for player to hold
  * @param {string} weaponType - Type of weapon from WEAPONS enum
+ * @param {boolean} scoped - Whether to mount the weapon's scope
  * @returns {THREE.Group} The weapon model
  */
-export function createPlayerWeaponModel(weaponType) {
+export function createPlayerWeaponModel(weaponType, scoped = false) {
+  const config = WEAPON_CONFIG[weaponType];
+  const model = config.createModel();
+  if (scoped && config.scope) {
+    model.add(config.scope.createModel());
+  }
+  return model;
+}
+
+/**
+ * Builds the M1 Garand rifle model
+ * @returns {THREE.Group} The rifle model
+ */
+function buildGarandModel() {
   const weaponGroup = new THREE.Group();
   
-  if (weaponType === WEAPONS.MP41) {
-    // MP41 Submachine Gun - historically accurate model based on the MP 41
-    // Materials - all black with different finishes
-    const metalMaterial = new THREE.MeshStandardMaterial({
-      color: 0x111111, // Pure black for main metal parts
-      metalness: 0.9,
-      roughness: 0.3
-    });
-    
-    const darkMetalMaterial = new THREE.MeshStandardMaterial({
-      color: 0x0a0a0a, // Slightly darker black for accent parts
-      metalness: 0.95,
-      roughness: 0.2
-    });
-    
-    const matteBlackMaterial = new THREE.MeshStandardMaterial({
-      color: 0x151515, // Slightly lighter black for grip parts
-      metalness: 0.3,
-      roughness: 0.8
-    });
-    
-    // Main receiver - more rectangular with rounded edges
-    const receiverGeometry = new THREE.BoxGeometry(0.11, 0.11, 0.8);
-    receiverGeometry.translate(0, 0, 0.1); // Center properly
-    const receiver = new THREE.Mesh(receiverGeometry, metalMaterial);
-    weaponGroup.add(receiver);
-    
-    // Barrel - longer and thinner
-    const barrelGeometry = new THREE.CylinderGeometry(0.022, 0.022, 1.0, 16);
-    const barrel = new THREE.Mesh(barrelGeometry, darkMetalMaterial);
-    barrel.rotation.x = Math.PI / 2;
-    barrel.position.z = 0.6; // Extend forward
-    weaponGroup.add(barrel);
-    
-    // Barrel shroud/cooling jacket - more detailed with perforations
-    const shroudGeometry = new THREE.CylinderGeometry(0.04, 0.04, 0.7, 16);
-    const shroud = new THREE.Mesh(shroudGeometry, metalMaterial);
-    shroud.rotation.x = Math.PI / 2;
-    shroud.position.z = 0.45; 
-    weaponGroup.add(shroud);
-    
-    // Add holes in the barrel shroud - more of them for realism
-    for (let i = 0; i < 12; i++) {
-      const angle = (i / 12) * Math.PI * 2;
-      // Create two columns of holes
-      for (let j = 0; j < 5; j++) {
-        const holeGeometry = new THREE.CylinderGeometry(0.008, 0.008, 0.1, 8);
-        const hole = new THREE.Mesh(holeGeometry, darkMetalMaterial);
-        
-        hole.position.set(
-          Math.cos(angle) * 0.042,
-          Math.sin(angle) * 0.042,
-          0.25 + j * 0.12
-        );
-        hole.rotation.x = Math.PI / 2;
-        weaponGroup.add(hole);
-      }
+  // M1 Garand rifle
+  const woodMaterial = new THREE.MeshStandardMaterial({
+    color: 0x8B4513, // Darker brown wood
+    roughness: 0.8
+  });
+  
+  const metalMaterial = new THREE.MeshStandardMaterial({
+    color: 0x333333, // Dark metal
+    metalness: 0.8,
+    roughness: 0.2
+  });
+  
+  // Rifle body
+  const rifleGeometry = new THREE.BoxGeometry(0.12, 0.12, 1.4);
+  const rifle = new THREE.Mesh(rifleGeometry, woodMaterial);
+  weaponGroup.add(rifle);
+  
+  // Rifle barrel
+  const barrelGeometry = new THREE.CylinderGeometry(0.04, 0.04, 1.0, 8);
+  const barrel = new THREE.Mesh(barrelGeometry, metalMaterial);
+  barrel.rotation.x = Math.PI / 2;
+  barrel.position.z = 0.9;
+  weaponGroup.add(barrel);
+  
+  // Front sight
+  const frontSightGeometry = new THREE.BoxGeometry(0.03, 0.08, 0.03);
+  const frontSight = new THREE.Mesh(frontSightGeometry, metalMaterial);
+  frontSight.position.set(0, 0.1, 0.8);
+  weaponGroup.add(frontSight);
+  
+  // Rear sight
+  const rearSightGeometry = new THREE.BoxGeometry(0.06, 0.04, 0.03);
+  const rearSight = new THREE.Mesh(rearSightGeometry, metalMaterial);
+  rearSight.position.set(0, 0.1, 0.0);
+  weaponGroup.add(rearSight);
+  
+  // Trigger guard
+  const guardGeometry = new THREE.TorusGeometry(0.04, 0.01, 8, 8, Math.PI);
+  const guard = new THREE.Mesh(guardGeometry, metalMaterial);
+  guard.rotation.x = Math.PI / 2;
+  guard.position.set(0, -0.05, -0.2);
+  weaponGroup.add(guard);
+  
+  // Rifle stock
+  const stockGeometry = new THREE.BoxGeometry(0.14, 0.15, 0.6);
+  const stock = new THREE.Mesh(stockGeometry, woodMaterial);
+  stock.position.set(0, -0.01, -0.6);
+  weaponGroup.add(stock);
+  
+  // Rotate the weapon 180 degrees to fix the backwards barrel issue
+  weaponGroup.rotation.y = Math.PI;
+  
+  return weaponGroup;
+}
+
+/**
+ * Builds the M1 Garand as held by the player
+ * @returns {THREE.Group} The rifle model
+ */
+function buildGarandHeldModel() {
+  const garandGroup = buildGarandModel();
+  // Rotate the weapon 180 degrees to fix the backwards barrel issue
+  garandGroup.rotation.y = Math.PI;
+  return garandGroup;
+}
+
+/**
+ * Builds the M1C telescopic sight, mounted over the Garand's receiver (in the rifle's own
+ * coordinates, barrel toward +z)
+ * @returns {THREE.Group} The scope model
+ */
+function buildGarandScopeModel() {
+  const scopeGroup = new THREE.Group();
+  
+  const scopeMaterial = new THREE.MeshStandardMaterial({
+    color: 0x1a1a1a,
+    metalness: 0.7,
+    roughness: 0.35
+  });
+  const lensMaterial = new THREE.MeshStandardMaterial({
+    color: 0x223344,
+    metalness: 0.9,
+    roughness: 0.05
+  });
+  
+  // Scope tube along the rifle
+  const tube = new THREE.Mesh(new THREE.CylinderGeometry(0.03, 0.03, 0.45, 12), scopeMaterial);
+  tube.rotation.x = Math.PI / 2;
+  tube.position.set(0, 0.14, -0.05);
+  scopeGroup.add(tube);
+  
+  // Wider objective bell at the front, eyepiece at the back
+  const bell = new THREE.Mesh(new THREE.CylinderGeometry(0.042, 0.03, 0.08, 12), scopeMaterial);
+  bell.rotation.x = Math.PI / 2;
+  bell.position.set(0, 0.14, 0.21);
+  scopeGroup.add(bell);
+  const eyepiece = new THREE.Mesh(new THREE.CylinderGeometry(0.038, 0.038, 0.06, 12), scopeMaterial);
+  eyepiece.rotation.x = Math.PI / 2;
+  eyepiece.position.set(0, 0.14, -0.3);
+  scopeGroup.add(eyepiece);
+  
+  // Glass at both ends
+  for (const z of [0.252, -0.332]) {
+    const lens = new THREE.Mesh(new THREE.CylinderGeometry(0.036, 0.036, 0.005, 12), lensMaterial);
+    lens.rotation.x = Math.PI / 2;
+    lens.position.set(0, 0.14, z);
+    scopeGroup.add(lens);
+  }
+  
+  // Mount rings down to the receiver
+  for (const z of [-0.18, 0.08]) {
+    const ring = new THREE.Mesh(new THREE.BoxGeometry(0.05, 0.08, 0.03), scopeMaterial);
+    ring.position.set(0, 0.09, z);
+    scopeGroup.add(ring);
+  }
+  
+  scopeGroup.traverse(part => {
+    if (part.isMesh) part.castShadow = true;
+  });
+  
+  return scopeGroup;
+}
+
+/**
+ * Builds the stylized MP41 model shown on the ground
+ * @returns {THREE.Group} The submachine gun model
+ */
+function buildMP41PickupModel() {
+  const weaponGroup = new THREE.Group();
+  
+  // MP41 Submachine Gun - all-black stylized model
+  // Materials - all black with different finishes
+  const metalMaterial = new THREE.MeshStandardMaterial({
+    color: 0x111111, // Pure black for main metal parts
+    metalness: 0.9,
+    roughness: 0.3
+  });
+  
+  const darkMetalMaterial = new THREE.MeshStandardMaterial({
+    color: 0x0a0a0a, // Slightly darker black for accent parts
+    metalness: 0.95,
+    roughness: 0.2
+  });
+  
+  const matteBlackMaterial = new THREE.MeshStandardMaterial({
+    color: 0x151515, // Slightly lighter black for grip parts
+    metalness: 0.3,
+    roughness: 0.8
+  });
+  
+  // Main receiver - more rectangular with rounded edges
+  const receiverGeometry = new THREE.BoxGeometry(0.11, 0.11, 0.8);
+  receiverGeometry.translate(0, 0, 0.1); // Center properly
+  const receiver = new THREE.Mesh(receiverGeometry, metalMaterial);
+  weaponGroup.add(receiver);
+  
+  // Barrel - longer and thinner
+  const barrelGeometry = new THREE.CylinderGeometry(0.022, 0.022, 1.0, 16);
+  const barrel = new THREE.Mesh(barrelGeometry, darkMetalMaterial);
+  barrel.rotation.x = Math.PI / 2;
+  barrel.position.z = 0.6; // Extend forward
+  weaponGroup.add(barrel);
+  
+  // Barrel shroud/cooling jacket
+  const shroudGeometry = new THREE.CylinderGeometry(0.04, 0.04, 0.7, 16);
+  const shroud = new THREE.Mesh(shroudGeometry, metalMaterial);
+  shroud.rotation.x = Math.PI / 2;
+  shroud.position.z = 0.45; 
+  weaponGroup.add(shroud);
+  
+  // Add holes in the barrel shroud - more of them for realism
+  for (let i = 0; i < 12; i++) {
+    const angle = (i / 12) * Math.PI * 2;
+    // Create two columns of holes
+    for (let j = 0; j < 5; j++) {
+      const holeGeometry = new THREE.CylinderGeometry(0.008, 0.008, 0.1, 8);
+      const hole = new THREE.Mesh(holeGeometry, darkMetalMaterial);
+      
+      hole.position.set(
+        Math.cos(angle) * 0.042,
+        Math.sin(angle) * 0.042,
+        0.25 + j * 0.12
+      );
+      hole.rotation.x = Math.PI / 2;
+      weaponGroup.add(hole);
     }
-    
-    // Magazine - more accurate straight box magazine
-    const magGeometry = new THREE.BoxGeometry(0.07, 0.28, 0.045);
-    const magazine = new THREE.Mesh(magGeometry, darkMetalMaterial);
-    magazine.position.set(0, -0.19, 0.15);
-    magazine.rotation.x = -Math.PI / 20; // Very slight angle
-    weaponGroup.add(magazine);
-    
-    // Magazine housing - more detailed
-    const magHousingGeometry = new THREE.BoxGeometry(0.09, 0.05, 0.07);
-    const magHousing = new THREE.Mesh(magHousingGeometry, metalMaterial);
-    magHousing.position.set(0, -0.055, 0.15);
-    weaponGroup.add(magHousing);
-    
-    // Add magazine release tab
-    const magReleaseGeometry = new THREE.BoxGeometry(0.02, 0.02, 0.02);
-    const magRelease = new THREE.Mesh(magReleaseGeometry, darkMetalMaterial);
-    magRelease.position.set(-0.06, -0.05, 0.15);
-    weaponGroup.add(magRelease);
-    
-    // MP41 stock base - more detailed
-    const stockBaseGeometry = new THREE.BoxGeometry(0.09, 0.09, 0.12);
-    const stockBase = new THREE.Mesh(stockBaseGeometry, metalMaterial);
-    stockBase.position.set(0, 0, -0.35);
-    weaponGroup.add(stockBase);
-    
-    // Folding stock mechanism - more accurate
-    const stockPivotGeometry = new THREE.CylinderGeometry(0.02, 0.02, 0.11, 8);
-    const stockPivot = new THREE.Mesh(stockPivotGeometry, darkMetalMaterial);
-    stockPivot.rotation.z = Math.PI / 2;
-    stockPivot.position.set(0, -0.03, -0.38);
-    weaponGroup.add(stockPivot);
-    
-    // Stock bars (folded under) - thinner and more detailed
-    const stockBarGeometry = new THREE.BoxGeometry(0.015, 0.015, 0.45);
-    
-    // Left bar
-    const leftBar = new THREE.Mesh(stockBarGeometry, metalMaterial);
-    leftBar.position.set(-0.03, -0.07, -0.18);
-    weaponGroup.add(leftBar);
-    
-    // Right bar
-    const rightBar = new THREE.Mesh(stockBarGeometry, metalMaterial);
-    rightBar.position.set(0.03, -0.07, -0.18);
-    weaponGroup.add(rightBar);
-    
-    // Pistol grip - more angled and ergonomic like the real MP41
-    const gripGroup = new THREE.Group();
-    gripGroup.position.set(0, -0.15, -0.15);
-    gripGroup.rotation.x = Math.PI / 5; // More angled grip
-    weaponGroup.add(gripGroup);
-    
-    const gripGeometry = new THREE.BoxGeometry(0.06, 0.18, 0.04);
-    const grip = new THREE.Mesh(gripGeometry, matteBlackMaterial);
-    gripGroup.add(grip);
-    
-    // Add grip texture lines
-    for (let i = 0; i < 5; i++) {
-      const gripLineGeometry = new THREE.BoxGeometry(0.062, 0.005, 0.042);
-      const gripLine = new THREE.Mesh(gripLineGeometry, darkMetalMaterial);
-      gripLine.position.y = 0.05 - i * 0.03;
-      gripGroup.add(gripLine);
+  }
+  
+  // Magazine - more accurate straight box magazine
+  const magGeometry = new THREE.BoxGeometry(0.07, 0.28, 0.045);
+  const magazine = new THREE.Mesh(magGeometry, darkMetalMaterial);
+  magazine.position.set(0, -0.19, 0.15);
+  magazine.rotation.x = -Math.PI / 20; // Very slight angle
+  weaponGroup.add(magazine);
+  
+  // Magazine housing - more detailed
+  const magHousingGeometry = new THREE.BoxGeometry(0.09, 0.05, 0.07);
+  const magHousing = new THREE.Mesh(magHousingGeometry, metalMaterial);
+  magHousing.position.set(0, -0.055, 0.15);
+  weaponGroup.add(magHousing);
+  
+  // Add magazine release tab
+  const magReleaseGeometry = new THREE.BoxGeometry(0.02, 0.02, 0.02);
+  const magRelease = new THREE.Mesh(magReleaseGeometry, darkMetalMaterial);
+  magRelease.position.set(-0.06, -0.05, 0.15);
+  weaponGroup.add(magRelease);
+  
+  // MP41 stock base - more detailed
+  const stockBaseGeometry = new THREE.BoxGeometry(0.09, 0.09, 0.12);
+  const stockBase = new THREE.Mesh(stockBaseGeometry, metalMaterial);
+  stockBase.position.set(0, 0, -0.35);
+  weaponGroup.add(stockBase);
+  
+  // Folding stock mechanism - more accurate
+  const stockPivotGeometry = new THREE.CylinderGeometry(0.02, 0.02, 0.11, 8);
+  const stockPivot = new THREE.Mesh(stockPivotGeometry, darkMetalMaterial);
+  stockPivot.rotation.z = Math.PI / 2;
+  stockPivot.position.set(0, -0.03, -0.38);
+  weaponGroup.add(stockPivot);
+  
+  // Stock bars (folded under) - thinner and more detailed
+  const stockBarGeometry = new THREE.BoxGeometry(0.015, 0.015, 0.45);
+  
+  // Left bar
+  const leftBar = new THREE.Mesh(stockBarGeometry, metalMaterial);
+  leftBar.position.set(-0.03, -0.07, -0.18);
+  weaponGroup.add(leftBar);
+  
+  // Right bar
+  const rightBar = new THREE.Mesh(stockBarGeometry, metalMaterial);
+  rightBar.position.set(0.03, -0.07, -0.18);
+  weaponGroup.add(rightBar);
+  
+  // Pistol grip - more angled and ergonomic like the real MP41
+  const gripGroup = new THREE.Group();
+  gripGroup.position.set(0, -0.15, -0.15);
+  gripGroup.rotation.x = Math.PI / 5; // More angled grip
+  weaponGroup.add(gripGroup);
+  
+  const gripGeometry = new THREE.BoxGeometry(0.06, 0.18, 0.04);
+  const grip = new THREE.Mesh(gripGeometry, matteBlackMaterial);
+  gripGroup.add(grip);
+  
+  // Add grip texture lines
+  for (let i = 0; i < 5; i++) {
+    const gripLineGeometry = new THREE.BoxGeometry(0.062, 0.005, 0.042);
+    const gripLine = new THREE.Mesh(gripLineGeometry, darkMetalMaterial);
+    gripLine.position.y = 0.05 - i * 0.03;
+    gripGroup.add(gripLine);
+  }
+  
+  // Add front handgrip under barrel - distinctive to MP41
+  const handgripGeometry = new THREE.BoxGeometry(0.06, 0.12, 0.05);
+  const handgrip = new THREE.Mesh(handgripGeometry, matteBlackMaterial);
+  handgrip.position.set(0, -0.11, 0.35);
+  weaponGroup.add(handgrip);
+  
+  // Front sight - taller and more accurate
+  const frontSightGeometry = new THREE.BoxGeometry(0.015, 0.05, 0.015);
+  const frontSight = new THREE.Mesh(frontSightGeometry, darkMetalMaterial);
+  frontSight.position.set(0, 0.08, 0.85);
+  weaponGroup.add(frontSight);
+  
+  // Rear sight - better hooded shape
+  const rearSightBaseGeometry = new THREE.BoxGeometry(0.08, 0.02, 0.04);
+  const rearSightBase = new THREE.Mesh(rearSightBaseGeometry, metalMaterial);
+  rearSightBase.position.set(0, 0.07, -0.05);
+  weaponGroup.add(rearSightBase);
+  
+  const rearSightNotchGeometry = new THREE.BoxGeometry(0.02, 0.03, 0.01);
+  const rearSightNotch = new THREE.Mesh(rearSightNotchGeometry, darkMetalMaterial);
+  rearSightNotch.position.set(0, 0.09, -0.05);
+  weaponGroup.add(rearSightNotch);
+  
+  // Add side plates to the rear sight
+  const sightPlateGeometry = new THREE.BoxGeometry(0.01, 0.03, 0.04);
+  
+  const leftSightPlate = new THREE.Mesh(sightPlateGeometry, metalMaterial);
+  leftSightPlate.position.set(-0.04, 0.08, -0.05);
+  weaponGroup.add(leftSightPlate);
+  
+  const rightSightPlate = new THREE.Mesh(sightPlateGeometry, metalMaterial);
+  rightSightPlate.position.set(0.04, 0.08, -0.05);
+  weaponGroup.add(rightSightPlate);
+  
+  // Charging handle - distinctive curved handle
+  const boltHandleGeometry = new THREE.CylinderGeometry(0.012, 0.012, 0.08, 8);
+  const boltHandle = new THREE.Mesh(boltHandleGeometry, darkMetalMaterial);
+  boltHandle.rotation.z = Math.PI / 2;
+  boltHandle.position.set(0.08, 0.03, -0.1);
+  weaponGroup.add(boltHandle);
+  
+  // Bolt handle knob
+  const boltKnobGeometry = new THREE.SphereGeometry(0.018, 8, 8);
+  const boltKnob = new THREE.Mesh(boltKnobGeometry, metalMaterial);
+  boltKnob.position.set(0.12, 0.03, -0.1);
+  weaponGroup.add(boltKnob);
+  
+  // Trigger - more detailed
+  const triggerGeometry = new THREE.BoxGeometry(0.02, 0.04, 0.01);
+  const trigger = new THREE.Mesh(triggerGeometry, darkMetalMaterial);
+  trigger.position.set(0, -0.05, -0.2);
+  weaponGroup.add(trigger);
+  
+  // Trigger guard - more oval shaped
+  const guardGeometry = new THREE.TorusGeometry(0.025, 0.005, 8, 16, Math.PI);
+  const guard = new THREE.Mesh(guardGeometry, metalMaterial);
+  guard.rotation.x = Math.PI / 2;
+  guard.position.set(0, -0.07, -0.2);
+  weaponGroup.add(guard);
+  
+  // Muzzle attachment - distinctive to MP41
+  const muzzleGeometry = new THREE.CylinderGeometry(0.03, 0.025, 0.1, 16);
+  const muzzle = new THREE.Mesh(muzzleGeometry, darkMetalMaterial);
+  muzzle.rotation.x = Math.PI / 2;
+  muzzle.position.z = 1.0;
+  weaponGroup.add(muzzle);
+  
+  // Add some weathering/detail to make it look more realistic
+  // Bolt track on side of receiver
+  const boltTrackGeometry = new THREE.BoxGeometry(0.015, 0.02, 0.5);
+  const boltTrack = new THREE.Mesh(boltTrackGeometry, darkMetalMaterial);
+  boltTrack.position.set(0.06, 0.02, 0.0);
+  weaponGroup.add(boltTrack);
+  
+  // Ejection port
+  const ejectionPortGeometry = new THREE.BoxGeometry(0.06, 0.02, 0.08);
+  const ejectionPort = new THREE.Mesh(ejectionPortGeometry, darkMetalMaterial);
+  ejectionPort.position.set(0.04, 0.06, -0.1);
+  weaponGroup.add(ejectionPort);
+  
+  // Add selector switch
+  const selectorGeometry = new THREE.CylinderGeometry(0.01, 0.01, 0.03, 8);
+  const selector = new THREE.Mesh(selectorGeometry, darkMetalMaterial);
+  selector.rotation.x = Math.PI / 2;
+  selector.position.set(-0.06, 0.02, -0.2);
+  weaponGroup.add(selector);
+  
+  // Rotate the weapon 180 degrees to fix the backwards barrel issue
+  weaponGroup.rotation.y = Math.PI;
+  
+  return weaponGroup;
+}
+
+/**
+ * Builds the detailed MP41 model held by the player
+ * @returns {THREE.Group} The submachine gun model
+ */
+function buildMP41HeldModel() {
+  const weaponGroup = new THREE.Group();
+  
+  // MP41 Submachine Gun - historically accurate model based on the MP 41
+  // Materials - all black with different finishes
+  const metalMaterial = new THREE.MeshStandardMaterial({
+    color: 0x111111, // Pure black for main metal parts
+    metalness: 0.9,
+    roughness: 0.3
+  });
+  
+  const darkMetalMaterial = new THREE.MeshStandardMaterial({
+    color: 0x0a0a0a, // Slightly darker black for accent parts
+    metalness: 0.95,
+    roughness: 0.2
+  });
+  
+  const matteBlackMaterial = new THREE.MeshStandardMaterial({
+    color: 0x151515, // Slightly lighter black for grip parts
+    metalness: 0.3,
+    roughness: 0.8
+  });
+  
+  // Main receiver - more rectangular with rounded edges
+  const receiverGeometry = new THREE.BoxGeometry(0.11, 0.11, 0.8);
+  receiverGeometry.translate(0, 0, 0.1); // Center properly
+  const receiver = new THREE.Mesh(receiverGeometry, metalMaterial);
+  weaponGroup.add(receiver);
+  
+  // Barrel - longer and thinner
+  const barrelGeometry = new THREE.CylinderGeometry(0.022, 0.022, 1.0, 16);
+  const barrel = new THREE.Mesh(barrelGeometry, darkMetalMaterial);
+  barrel.rotation.x = Math.PI / 2;
+  barrel.position.z = 0.6; // Extend forward
+  weaponGroup.add(barrel);
+  
+  // Barrel shroud/cooling jacket - more detailed with perforations
+  const shroudGeometry = new THREE.CylinderGeometry(0.04, 0.04, 0.7, 16);
+  const shroud = new THREE.Mesh(shroudGeometry, metalMaterial);
+  shroud.rotation.x = Math.PI / 2;
+  shroud.position.z = 0.45; 
+  weaponGroup.add(shroud);
+  
+  // Add holes in the barrel shroud - more of them for realism
+  for (let i = 0; i < 12; i++) {
+    const angle = (i / 12) * Math.PI * 2;
+    // Create two columns of holes
+    for (let j = 0; j < 5; j++) {
+      const holeGeometry = new THREE.CylinderGeometry(0.008, 0.008, 0.1, 8);
+      const hole = new THREE.Mesh(holeGeometry, darkMetalMaterial);
+      
+      hole.position.set(
+        Math.cos(angle) * 0.042,
+        Math.sin(angle) * 0.042,
+        0.25 + j * 0.12
+      );
+      hole.rotation.x = Math.PI / 2;
+      weaponGroup.add(hole);
     }
-    
-    // Add front handgrip under barrel - distinctive to MP41
-    const handgripGeometry = new THREE.BoxGeometry(0.06, 0.12, 0.05);
-    const handgrip = new THREE.Mesh(handgripGeometry, matteBlackMaterial);
-    handgrip.position.set(0, -0.11, 0.35);
-    weaponGroup.add(handgrip);
-    
-    // Front sight - taller and more accurate
-    const frontSightGeometry = new THREE.BoxGeometry(0.015, 0.05, 0.015);
-    const frontSight = new THREE.Mesh(frontSightGeometry, darkMetalMaterial);
-    frontSight.position.set(0, 0.08, 0.85);
-    weaponGroup.add(frontSight);
-    
-    // Rear sight - better hooded shape
-    const rearSightBaseGeometry = new THREE.BoxGeometry(0.08, 0.02, 0.04);
-    const rearSightBase = new THREE.Mesh(rearSightBaseGeometry, metalMaterial);
-    rearSightBase.position.set(0, 0.07, -0.05);
-    weaponGroup.add(rearSightBase);
-    
-    const rearSightNotchGeometry = new THREE.BoxGeometry(0.02, 0.03, 0.01);
-    const rearSightNotch = new THREE.Mesh(rearSightNotchGeometry, darkMetalMaterial);
-    rearSightNotch.position.set(0, 0.09, -0.05);
-    weaponGroup.add(rearSightNotch);
-    
-    // Add side plates to the rear sight
-    const sightPlateGeometry = new THREE.BoxGeometry(0.01, 0.03, 0.04);
-    
-    const leftSightPlate = new THREE.Mesh(sightPlateGeometry, metalMaterial);
-    leftSightPlate.position.set(-0.04, 0.08, -0.05);
-    weaponGroup.add(leftSightPlate);
-    
-    const rightSightPlate = new THREE.Mesh(sightPlateGeometry, metalMaterial);
-    rightSightPlate.position.set(0.04, 0.08, -0.05);
-    weaponGroup.add(rightSightPlate);
-    
-    // Charging handle - distinctive curved handle
-    const boltHandleGeometry = new THREE.CylinderGeometry(0.012, 0.012, 0.08, 8);
-    const boltHandle = new THREE.Mesh(boltHandleGeometry, darkMetalMaterial);
-    boltHandle.rotation.z = Math.PI / 2;
-    boltHandle.position.set(0.08, 0.03, -0.1);
-    weaponGroup.add(boltHandle);
-    
-    // Bolt handle knob
-    const boltKnobGeometry = new THREE.SphereGeometry(0.018, 8, 8);
-    const boltKnob = new THREE.Mesh(boltKnobGeometry, metalMaterial);
-    boltKnob.position.set(0.12, 0.03, -0.1);
-    weaponGroup.add(boltKnob);
-    
-    // Trigger - more detailed
-    const triggerGeometry = new THREE.BoxGeometry(0.02, 0.04, 0.01);
-    const trigger = new THREE.Mesh(triggerGeometry, darkMetalMaterial);
-    trigger.position.set(0, -0.05, -0.2);
-    weaponGroup.add(trigger);
-    
-    // Trigger guard - more oval shaped
-    const guardGeometry = new THREE.TorusGeometry(0.025, 0.005, 8, 16, Math.PI);
-    const guard = new THREE.Mesh(guardGeometry, metalMaterial);
-    guard.rotation.x = Math.PI / 2;
-    guard.position.set(0, -0.07, -0.2);
-    weaponGroup.add(guard);
-    
-    // Muzzle attachment - distinctive to MP41
-    const muzzleGeometry = new THREE.CylinderGeometry(0.03, 0.025, 0.1, 16);
-    const muzzle = new THREE.Mesh(muzzleGeometry, darkMetalMaterial);
-    muzzle.rotation.x = Math.PI / 2;
-    muzzle.position.z = 1.0;
-    weaponGroup.add(muzzle);
-    
-    // Add some weathering/detail to make it look more realistic
-    // Bolt track on side of receiver
-    const boltTrackGeometry = new THREE.BoxGeometry(0.015, 0.02, 0.5);
-    const boltTrack = new THREE.Mesh(boltTrackGeometry, darkMetalMaterial);
-    boltTrack.position.set(0.06, 0.02, 0.0);
-    weaponGroup.add(boltTrack);
-    
-    // Ejection port
-    const ejectionPortGeometry = new THREE.BoxGeometry(0.06, 0.02, 0.08);
-    const ejectionPort = new THREE.Mesh(ejectionPortGeometry, darkMetalMaterial);
-    ejectionPort.position.set(0.04, 0.06, -0.1);
-    weaponGroup.add(ejectionPort);
-    
-    // Add selector switch
-    const selectorGeometry = new THREE.CylinderGeometry(0.01, 0.01, 0.03, 8);
-    const selector = new THREE.Mesh(selectorGeometry, darkMetalMaterial);
-    selector.rotation.x = Math.PI / 2;
-    selector.position.set(-0.06, 0.02, -0.2);
-    weaponGroup.add(selector);
-    
-    // Model adjustments for first-person view
-    weaponGroup.position.set(0, 0, 0.1);
-    weaponGroup.rotation.set(0, 0, 0);
-    weaponGroup.scale.set(1.1, 1.1, 1.1); // Slightly larger for better visibility
-    
-    // Rotate the weapon 180 degrees to fix the backwards barrel issue
-    weaponGroup.rotation.y = Math.PI;
-  } else {
-    // M1 Garand rifle - create and rotate
-    const garandGroup = createWeaponModel(weaponType);
-    // Rotate the weapon 180 degrees to fix the backwards barrel issue
-    garandGroup.rotation.y = Math.PI;
-    return garandGroup;
   }
   
+  // Magazine - more accurate straight box magazine
+  const magGeometry = new THREE.BoxGeometry(0.07, 0.28, 0.045);
+  const magazine = new THREE.Mesh(magGeometry, darkMetalMaterial);
+  magazine.position.set(0, -0.19, 0.15);
+  magazine.rotation.x = -Math.PI / 20; // Very slight angle
+  weaponGroup.add(magazine);
+  
+  // Magazine housing - more detailed
+  const magHousingGeometry = new THREE.BoxGeometry(0.09, 0.05, 0.07);
+  const magHousing = new THREE.Mesh(magHousingGeometry, metalMaterial);
+  magHousing.position.set(0, -0.055, 0.15);
+  weaponGroup.add(magHousing);
+  
+  // Add magazine release tab
+  const magReleaseGeometry = new THREE.BoxGeometry(0.02, 0.02, 0.02);
+  const magRelease = new THREE.Mesh(magReleaseGeometry, darkMetalMaterial);
+  magRelease.position.set(-0.06, -0.05, 0.15);
+  weaponGroup.add(magRelease);
+  
+  // MP41 stock base - more detailed
+  const stockBaseGeometry = new THREE.BoxGeometry(0.09, 0.09, 0.12);
+  const stockBase = new THREE.Mesh(stockBaseGeometry, metalMaterial);
+  stockBase.position.set(0, 0, -0.35);
+  weaponGroup.add(stockBase);
+  
+  // Folding stock mechanism - more accurate
+  const stockPivotGeometry = new THREE.CylinderGeometry(0.02, 0.02, 0.11, 8);
+  const stockPivot = new THREE.Mesh(stockPivotGeometry, darkMetalMaterial);
+  stockPivot.rotation.z = Math.PI / 2;
+  stockPivot.position.set(0, -0.03, -0.38);
+  weaponGroup.add(stockPivot);
+  
+  // Stock bars (folded under) - thinner and more detailed
+  const stockBarGeometry = new THREE.BoxGeometry(0.015, 0.015, 0.45);
+  
+  // Left bar
+  const leftBar = new THREE.Mesh(stockBarGeometry, metalMaterial);
+  leftBar.position.set(-0.03, -0.07, -0.18);
+  weaponGroup.add(leftBar);
+  
+  // Right bar
+  const rightBar = new THREE.Mesh(stockBarGeometry, metalMaterial);
+  rightBar.position.set(0.03, -0.07, -0.18);
+  weaponGroup.add(rightBar);
+  
+  // Pistol grip - more angled and ergonomic like the real MP41
+  const gripGroup = new THREE.Group();
+  gripGroup.position.set(0, -0.15, -0.15);
+  gripGroup.rotation.x = Math.PI / 5; // More angled grip
+  weaponGroup.add(gripGroup);
+  
+  const gripGeometry = new THREE.BoxGeometry(0.06, 0.18, 0.04);
+  const grip = new THREE.Mesh(gripGeometry, matteBlackMaterial);
+  gripGroup.add(grip);
+  
+  // Add grip texture lines
+  for (let i = 0; i < 5; i++) {
+    const gripLineGeometry = new THREE.BoxGeometry(0.062, 0.005, 0.042);
+    const gripLine = new THREE.Mesh(gripLineGeometry, darkMetalMaterial);
+    gripLine.position.y = 0.05 - i * 0.03;
+    gripGroup.add(gripLine);
+  }
+  
+  // Add front handgrip under barrel - distinctive to MP41
+  const handgripGeometry = new THREE.BoxGeometry(0.06, 0.12, 0.05);
+  const handgrip = new THREE.Mesh(handgripGeometry, matteBlackMaterial);
+  handgrip.position.set(0, -0.11, 0.35);
+  weaponGroup.add(handgrip);
+  
+  // Front sight - taller and more accurate
+  const frontSightGeometry = new THREE.BoxGeometry(0.015, 0.05, 0.015);
+  const frontSight = new THREE.Mesh(frontSightGeometry, darkMetalMaterial);
+  frontSight.position.set(0, 0.08, 0.85);
+  weaponGroup.add(frontSight);
+  
+  // Rear sight - better hooded shape
+  const rearSightBaseGeometry = new THREE.BoxGeometry(0.08, 0.02, 0.04);
+  const rearSightBase = new THREE.Mesh(rearSightBaseGeometry, metalMaterial);
+  rearSightBase.position.set(0, 0.07, -0.05);
+  weaponGroup.add(rearSightBase);
+  
+  const rearSightNotchGeometry = new THREE.BoxGeometry(0.02, 0.03, 0.01);
+  const rearSightNotch = new THREE.Mesh(rearSightNotchGeometry, darkMetalMaterial);
+  rearSightNotch.position.set(0, 0.09, -0.05);
+  weaponGroup.add(rearSightNotch);
+  
+  // Add side plates to the rear sight
+  const sightPlateGeometry = new THREE.BoxGeometry(0.01, 0.03, 0.04);
+  
+  const leftSightPlate = new THREE.Mesh(sightPlateGeometry, metalMaterial);
+  leftSightPlate.position.set(-0.04, 0.08, -0.05);
+  weaponGroup.add(leftSightPlate);
+  
+  const rightSightPlate = new THREE.Mesh(sightPlateGeometry, metalMaterial);
+  rightSightPlate.position.set(0.04, 0.08, -0.05);
+  weaponGroup.add(rightSightPlate);
+  
+  // Charging handle - distinctive curved handle
+  const boltHandleGeometry = new THREE.CylinderGeometry(0.012, 0.012, 0.08, 8);
+  const boltHandle = new THREE.Mesh(boltHandleGeometry, darkMetalMaterial);
+  boltHandle.rotation.z = Math.PI / 2;
+  boltHandle.position.set(0.08, 0.03, -0.1);
+  weaponGroup.add(boltHandle);
+  
+  // Bolt handle knob
+  const boltKnobGeometry = new THREE.SphereGeometry(0.018, 8, 8);
+  const boltKnob = new THREE.Mesh(boltKnobGeometry, metalMaterial);
+  boltKnob.position.set(0.12, 0.03, -0.1);
+  weaponGroup.add(boltKnob);
+  
+  // Trigger - more detailed
+  const triggerGeometry = new THREE.BoxGeometry(0.02, 0.04, 0.01);
+  const trigger = new THREE.Mesh(triggerGeometry, darkMetalMaterial);
+  trigger.position.set(0, -0.05, -0.2);
+  weaponGroup.add(trigger);
+  
+  // Trigger guard - more oval shaped
+  const guardGeometry = new THREE.TorusGeometry(0.025, 0.005, 8, 16, Math.PI);
+  const guard = new THREE.Mesh(guardGeometry, metalMaterial);
+  guard.rotation.x = Math.PI / 2;
+  guard.position.set(0, -0.07, -0.2);
+  weaponGroup.add(guard);
+  
+  // Muzzle attachment - distinctive to MP41
+  const muzzleGeometry = new THREE.CylinderGeometry(0.03, 0.025, 0.1, 16);
+  const muzzle = new THREE.Mesh(muzzleGeometry, darkMetalMaterial);
+  muzzle.rotation.x = Math.PI / 2;
+  muzzle.position.z = 1.0;
+  weaponGroup.add(muzzle);
+  
+  // Add some weathering/detail to make it look more realistic
+  // Bolt track on side of receiver
+  const boltTrackGeometry = new THREE.BoxGeometry(0.015, 0.02, 0.5);
+  const boltTrack = new THREE.Mesh(boltTrackGeometry, darkMetalMaterial);
+  boltTrack.position.set(0.06, 0.02, 0.0);
+  weaponGroup.add(boltTrack);
+  
+  // Ejection port
+  const ejectionPortGeometry = new THREE.BoxGeometry(0.06, 0.02, 0.08);
+  const ejectionPort = new THREE.Mesh(ejectionPortGeometry, darkMetalMaterial);
+  ejectionPort.position.set(0.04, 0.06, -0.1);
+  weaponGroup.add(ejectionPort);
+  
+  // Add selector switch
+  const selectorGeometry = new THREE.CylinderGeometry(0.01, 0.01, 0.03, 8);
+  const selector = new THREE.Mesh(selectorGeometry, darkMetalMaterial);
+  selector.rotation.x = Math.PI / 2;
+  selector.position.set(-0.06, 0.02, -0.2);
+  weaponGroup.add(selector);
+  
+  // Model adjustments for first-person view
+  weaponGroup.position.set(0, 0, 0.1);
+  weaponGroup.rotation.set(0, 0, 0);
+  weaponGroup.scale.set(1.1, 1.1, 1.1); // Slightly larger for better visibility
+  
+  // Rotate the weapon 180 degrees to fix the backwards barrel issue
+  weaponGroup.rotation.y = Math.PI;
+  
   return weaponGroup;
-} 
\ No newline at end of file
+}
+
+/**
+ * Builds the MP41 magazine shown on top of MP41 ammo pickups
+ * @returns {THREE.Mesh} The magazine model
+ */
+function buildMP41AmmoModel() {
+  const magGeometry = new THREE.BoxGeometry(0.1, 0.3, 0.08);
+  const magMaterial = new THREE.MeshStandardMaterial({
+    color: 0x111111, // Black metal
+    metalness: 0.7,
+    roughness: 0.3
+  });
+  const magazine = new THREE.Mesh(magGeometry, magMaterial);
+  magazine.rotation.x = Math.PI / 2;
+  return magazine;
+}
+
+// Built-in weapons
+registerWeapon({
+  id: 'm1_garand',
+  key: 'M1_GARAND',
+  name: 'M1 Garand',
+  slot: 1,
+  damage: 1,
+  ammoType: 'standard',
+  ammoName: 'Standard',
+  fireMode: FIRE_MODES.SEMI,
+  fireRate: 200, // milliseconds between shots
+  magazineSize: 8, // 8-round en-bloc clip
+  reloadTime: 2000, // milliseconds to seat a fresh clip
+  enBloc: true, // Empty clip ejects with a ping on the last shot
+  spread: 0.008, // Accurate aimed rifle
+  aimFov: 45,
+  // The armory can fit the M1C sniper scope
+  scope: {
+    name: 'M1C Scope',
+    fov: 18, // Field of view through the scope
+    createModel: buildGarandScopeModel
+  },
+  sound: 'rifleShot',
+  hudColor: '#ffffff',
+  holdPosition: { x: 0.55, y: 0.9, z: 0.3 },
+  holdRotation: { x: 0, y: 0, z: 0 },
+  startsOwned: true,
+  startingReserve: 42,
+  createModel: buildGarandHeldModel,
+  createPickupModel: buildGarandModel
+});
+
+registerWeapon({
+  id: 'mp41',
+  key: 'MP41',
+  name: 'MP41',
+  slot: 2,
+  damage: 0.7, // Slightly weaker than rifle but faster
+  ammoType: 'mp41',
+  ammoName: 'MP41',
+  fireMode: FIRE_MODES.AUTO,
+  fireRate: 100, // Faster fire rate than rifle
+  magazineSize: 32, // 32-round box magazine
+  reloadTime: 2600, // milliseconds to swap magazines
+  spread: 0.025, // Sprays more than the rifle
+  aimFov: 55, // Iron sights - less zoom than the rifle
+  sound: 'smgShot',
+  hudColor: '#ff9900', // Orange for MP41
+  holdPosition: { x: 0.48, y: 0.82, z: 0.38 }, // More realistic positioning
+  holdRotation: { x: 0.02, y: 0.08, z: -0.02 }, // More natural aiming angle
+  // Enemies start dropping the MP41 and its ammo after wave 3
+  drops: {
+    minWave: 3,
+    weaponChance: 0.15,
+    ammoChance: 0.3,
+    ammoAmount: 16
+  },
+  createModel: buildMP41HeldModel,
+  createPickupModel: buildMP41PickupModel,
+  createAmmoPickupModel: buildMP41AmmoModel
+});
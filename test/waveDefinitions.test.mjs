@@ -0,0 +1,116 @@
+/**
+ * Wave definition tests - how designer wave entries are normalized, and when the procedural
+ * generator takes over
+ *
+ *   npm test
+ */
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+
+// The modules hang shared state off window and import three.js from the CDN
+globalThis.window = globalThis;
+register('../tools/three-loader.mjs', import.meta.url);
+
+const { setWaveDefinitions, getWaveDefinition } = await import('../modules/waveDefinitions.js');
+const { ENEMY_TYPES } = await import('../modules/enemyTypes.js');
+
+const MAX_ENEMIES = 20; // As in game.js
+
+// Warnings from the last wave list set, instead of the console
+let warnings = [];
+console.log = () => {};
+console.warn = (message) => warnings.push(message);
+
+beforeEach(() => {
+  warnings = [];
+});
+
+test('a designer wave fills in defaults and expands its crew', () => {
+  setWaveDefinitions({
+    waves: [{
+      boats: [{
+        angle: 90,
+        delay: 2,
+        crew: [{ type: 'mg42' }, { type: 'rifleman', count: 2 }, { type: 'officer' }]
+      }]
+    }]
+  });
+  const definition = getWaveDefinition(1, MAX_ENEMIES);
+  
+  assert.equal(definition.source, 'designer');
+  assert.equal(definition.boats.length, 1);
+  const boat = definition.boats[0];
+  assert.equal(boat.angle, Math.PI / 2);
+  assert.equal(boat.delay, 2);
+  // Officer first, then the MG42 gunner and an assistant, then the riflemen
+  assert.deepEqual(boat.crew, [
+    ENEMY_TYPES.OFFICER, ENEMY_TYPES.MG42, ENEMY_TYPES.RIFLEMAN, ENEMY_TYPES.RIFLEMAN, ENEMY_TYPES.RIFLEMAN
+  ]);
+  assert.equal(boat.size, 5);
+  assert.deepEqual(definition.modifiers, { fog: false, night: false });
+  assert.equal(definition.healthMultiplier, 1);
+  assert.equal(definition.event, null);
+});
+
+test('boats without an angle are spread evenly, and boats with a size roll their crew later', () => {
+  setWaveDefinitions({ waves: [{ boats: [{ size: 3 }, { size: 2.7 }] }] });
+  const boats = getWaveDefinition(1, MAX_ENEMIES).boats;
+  
+  assert.deepEqual(boats.map(boat => boat.angle), [0, Math.PI]);
+  assert.deepEqual(boats.map(boat => boat.size), [3, 2]);
+  assert.deepEqual(boats.map(boat => boat.crew), [null, null]);
+});
+
+test('unknown enemy types land as riflemen, with a warning', () => {
+  setWaveDefinitions({ waves: [{ boats: [{ crew: [{ type: 'paratrooper', count: 2 }] }] }] });
+  
+  assert.deepEqual(getWaveDefinition(1, MAX_ENEMIES).boats[0].crew, [ENEMY_TYPES.RIFLEMAN, ENEMY_TYPES.RIFLEMAN]);
+  assert.ok(warnings.some(message => message.includes('paratrooper')));
+});
+
+test('waves are numbered in order unless they give their number', () => {
+  setWaveDefinitions({
+    waves: [
+      { boats: [{ size: 1 }] },
+      { wave: 4, boats: [{ size: 4 }] }
+    ]
+  });
+  
+  assert.equal(getWaveDefinition(1, MAX_ENEMIES).boats[0].size, 1);
+  assert.equal(getWaveDefinition(4, MAX_ENEMIES).boats[0].size, 4);
+  assert.equal(getWaveDefinition(2, MAX_ENEMIES).source, 'procedural');
+});
+
+test('waves past the end of the list are procedural', () => {
+  setWaveDefinitions({ waves: [{ boats: [{ size: 2 }] }] });
+  const definition = getWaveDefinition(3, MAX_ENEMIES);
+  
+  assert.equal(definition.source, 'procedural');
+  assert.equal(definition.boats.reduce((total, boat) => total + boat.size, 0), 9);
+});
+
+test('a wave with no boats falls back to a procedural wave, with a warning', () => {
+  setWaveDefinitions({ waves: [{ boats: [] }] });
+  
+  assert.equal(getWaveDefinition(1, MAX_ENEMIES).source, 'procedural');
+  assert.ok(warnings.some(message => message.includes('Wave 1')));
+});
+
+test('a wave whose boats have nobody in them falls back to a procedural wave, with a warning', () => {
+  setWaveDefinitions({
+    waves: [{ boats: [{ crew: [{ type: 'rifleman', count: 0 }] }, { size: 0 }, { crew: [] }] }]
+  });
+  const definition = getWaveDefinition(1, MAX_ENEMIES);
+  
+  assert.equal(definition.source, 'procedural');
+  assert.ok(definition.boats.length > 0);
+  assert.ok(warnings.some(message => message.includes('Wave 1')));
+});
+
+test('a missing or malformed wave file leaves every wave procedural', () => {
+  for (const data of [null, {}, { waves: 'none' }]) {
+    setWaveDefinitions(data);
+    assert.equal(getWaveDefinition(1, MAX_ENEMIES).source, 'procedural');
+  }
+});
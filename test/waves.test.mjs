@@ -0,0 +1,28 @@
+/**
+ * Wave cycle tests - run the headless simulation and check which waves it sends in
+ *
+ *   npm test
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupHeadless, loadSimulation } from '../tools/headless.mjs';
+
+// Two authored waves with different crews, so the enemy count shows which one landed
+const WAVE_DEFINITIONS = {
+  waves: [
+    { wave: 1, boats: [{ angle: 0, crew: [{ type: 'rifleman', count: 3 }] }] },
+    { wave: 2, boats: [{ angle: 90, crew: [{ type: 'rifleman', count: 6 }] }] }
+  ]
+};
+
+setupHeadless();
+const simulation = await loadSimulation();
+
+test('the first wave spawned is the first wave definition', () => {
+  const sim = simulation.createSimulation({ seed: 'first-wave', waveDefinitions: WAVE_DEFINITIONS });
+  
+  assert.equal(sim.gameState.wave, 1);
+  assert.equal(sim.match.waveDefinition.wave, 1);
+  assert.equal(sim.match.enemies.length, 3);
+  assert.equal(sim.waveRecord.wave, 1);
+});
@@ -0,0 +1,280 @@
+/**
+ * Balance runner - plays many headless matches with the bot and reports per-wave statistics
+ *
+ *   node tools/balance.mjs [--runs 1000] [--seed balance] [--waves 10] [--max-time 1800] [--stall-time 120]
+ *                          [--set NAME=value[,value...]]... [--wave-file data/waves.json[,other.json] | --procedural]
+ *                          [--format csv | json] [--out stats.csv]
+ *
+ * Every configuration plays the same seeds (seed-1, seed-2, ...), so configurations differ only by their
+ * settings. --set takes a gameplay constant from match.js (GAMEPLAY_DEFAULTS), a balance constant from
+ * enemies.js (ENEMY_BALANCE_DEFAULTS) or a bot setting (BOT_DEFAULTS); giving it several values sweeps it,
+ * and several sweeps play every combination. A comma-separated --wave-file sweeps wave lists the same way.
+ */
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { setupHeadless, loadSimulation } from './headless.mjs';
+
+const DEFAULT_WAVE_FILE = new URL('../data/waves.json', import.meta.url); // The game's own wave list
+const DEFAULT_RUNS = 100; // Matches per configuration
+const DEFAULT_WAVES = 10; // Waves to clear before a match counts as survived
+const DEFAULT_MAX_TIME = 1800; // Simulated seconds before a match is called off
+const PROGRESS_INTERVAL = 10; // Matches between progress lines on stderr
+
+const { values: args } = parseArgs({
+  options: {
+    runs: { type: 'string' },
+    seed: { type: 'string', default: 'balance' },
+    waves: { type: 'string' },
+    'max-time': { type: 'string' },
+    'stall-time': { type: 'string' },
+    set: { type: 'string', multiple: true, default: [] },
+    'wave-file': { type: 'string' },
+    procedural: { type: 'boolean', default: false },
+    format: { type: 'string', default: 'csv' },
+    out: { type: 'string' },
+    verbose: { type: 'boolean', default: false }
+  }
+});
+
+setupHeadless({ verbose: args.verbose });
+
+loadSimulation().then(async (simulation) => {
+  const runs = args.runs ? Number(args.runs) : DEFAULT_RUNS;
+  const configurations = getConfigurations(simulation);
+  const reports = [];
+  
+  for (const [index, configuration] of configurations.entries()) {
+    const results = [];
+    for (let run = 1; run <= runs; run++) {
+      results.push(await playMatch(simulation, configuration, `${args.seed}-${run}`));
+      if (run % PROGRESS_INTERVAL === 0 || run === runs) {
+        process.stderr.write(`configuration ${index + 1}/${configurations.length}: ${run}/${runs} matches\n`);
+      }
+    }
+    reports.push(summarizeConfiguration(configuration, results));
+  }
+  
+  const output = args.format === 'json' ?
+    `${JSON.stringify({ runs, seed: args.seed, configurations: reports }, null, 2)}\n` :
+    formatCsv(reports);
+  if (args.out) {
+    writeFileSync(args.out, output);
+  } else {
+    process.stdout.write(output);
+  }
+}).catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
+
+/**
+ * Works out every combination of the swept settings
+ * @param {Object} simulation - The simulation modules' exports
+ * @returns {Array<Object>} - Configurations of { settings, constants, enemyBalance, bot, waveFile }
+ */
+function getConfigurations(simulation) {
+  const { GAMEPLAY_DEFAULTS, ENEMY_BALANCE_DEFAULTS, BOT_DEFAULTS } = simulation;
+  
+  // Each sweep is a name and the values to try, wave lists included
+  const sweeps = args.set.map((entry) => {
+    const separator = entry.indexOf('=');
+    const name = entry.slice(0, separator);
+    if (separator < 1 || !(name in GAMEPLAY_DEFAULTS || name in ENEMY_BALANCE_DEFAULTS || name in BOT_DEFAULTS)) {
+      throw new Error(`Unknown setting in --set ${entry} - use a name from GAMEPLAY_DEFAULTS, ENEMY_BALANCE_DEFAULTS or BOT_DEFAULTS`);
+    }
+    return { name, values: entry.slice(separator + 1).split(',').map(parseValue) };
+  });
+  if (args['wave-file'] && !args.procedural) {
+    sweeps.push({ name: 'waveFile', values: args['wave-file'].split(',') });
+  }
+  
+  // Every combination, each sorted into the constants, balance and bot overrides it sets
+  let combinations = [{}];
+  for (const sweep of sweeps) {
+    combinations = combinations.flatMap(settings => sweep.values.map(value => ({ ...settings, [sweep.name]: value })));
+  }
+  return combinations.map((settings) => {
+    const configuration = {
+      settings: settings,
+      constants: {},
+      enemyBalance: {},
+      bot: {},
+      waveFile: args.procedural ? null : settings.waveFile || DEFAULT_WAVE_FILE
+    };
+    for (const [name, value] of Object.entries(settings)) {
+      if (name in GAMEPLAY_DEFAULTS) configuration.constants[name] = value;
+      else if (name in ENEMY_BALANCE_DEFAULTS) configuration.enemyBalance[name] = value;
+      else if (name in BOT_DEFAULTS) configuration.bot[name] = value;
+    }
+    return configuration;
+  });
+}
+
+/**
+ * Reads a --set value as a number or true/false where it looks like one
+ * @param {string} text - The value as typed
+ * @returns {number|boolean|string} - The value
+ */
+function parseValue(text) {
+  if (text === 'true' || text === 'false') return text === 'true';
+  return text.trim() !== '' && !isNaN(Number(text)) ? Number(text) : text;
+}
+
+/**
+ * Plays one match of a configuration
+ * @param {Object} simulation - The simulation modules' exports
+ * @param {Object} configuration - The configuration to play
+ * @param {string} seed - Match seed
+ * @returns {Promise<Object>} - The match result from getSimulationResult()
+ */
+function playMatch(simulation, configuration, seed) {
+  const sim = simulation.createSimulation({
+    seed: seed,
+    input: simulation.createBotInput(configuration.bot),
+    constants: configuration.constants,
+    enemyBalance: configuration.enemyBalance,
+    waveDefinitions: configuration.waveFile ? JSON.parse(readFileSync(configuration.waveFile, 'utf8')) : null,
+    maxWaves: args.waves ? Number(args.waves) : DEFAULT_WAVES,
+    maxTime: args['max-time'] ? Number(args['max-time']) : DEFAULT_MAX_TIME,
+    stallTime: args['stall-time'] ? Number(args['stall-time']) : undefined
+  });
+  return simulation.runSimulation(sim);
+}
+
+/**
+ * Sums up a configuration's matches, overall and wave by wave
+ * @param {Object} configuration - The configuration played
+ * @param {Array<Object>} results - Its match results
+ * @returns {Object} - { settings, matches, outcomes, wavesCleared, score, waves }
+ */
+function summarizeConfiguration(configuration, results) {
+  const outcomes = {};
+  for (const result of results) {
+    outcomes[result.outcome] = (outcomes[result.outcome] || 0) + 1;
+  }
+  
+  // Group the wave records by wave number, in the order waves are fought
+  const recordsByWave = new Map();
+  for (const record of results.flatMap(result => result.waves)) {
+    if (!recordsByWave.has(record.wave)) recordsByWave.set(record.wave, []);
+    recordsByWave.get(record.wave).push(record);
+  }
+  const waves = [...recordsByWave.keys()].sort((a, b) => a - b)
+    .map(wave => summarizeWave(wave, recordsByWave.get(wave)));
+  
+  return {
+    settings: configuration.settings,
+    matches: results.length,
+    outcomes: outcomes,
+    wavesCleared: mean(results.map(result => result.wavesCleared)),
+    score: mean(results.map(result => result.score)),
+    waves: waves
+  };
+}
+
+/**
+ * Sums up every match's record of one wave
+ * @param {number} wave - Wave number
+ * @param {Array<Object>} records - The wave's records, one per match that reached it
+ * @returns {Object} - Rates, means and 90th percentiles for the wave
+ */
+function summarizeWave(wave, records) {
+  const cleared = records.filter(record => record.cleared);
+  const deaths = records.filter(record => record.died).length;
+  const stalled = records.filter(record => record.stalled).length;
+  const timedOut = records.filter(record => !record.cleared && !record.died && !record.stalled).length;
+  const shotsFired = sum(records.map(record => record.shotsFired));
+  
+  return {
+    wave: wave,
+    matches: records.length,
+    cleared: cleared.length,
+    deaths: deaths,
+    deathRate: deaths / records.length,
+    stalled: stalled, // Called off with no enemy going down for the stall time
+    timedOut: timedOut, // Still being fought when the match ran out of time
+    enemies: mean(records.map(record => record.enemies)),
+    damageTaken: mean(records.map(record => record.damageTaken)),
+    damageTakenP90: percentile(records.map(record => record.damageTaken), 0.9),
+    timeToClear: mean(cleared.map(record => record.time)), // Cleared waves only - deaths, stalls and time-outs stop the clock early
+    timeToClearP90: percentile(cleared.map(record => record.time), 0.9),
+    healthAtStart: mean(records.map(record => record.healthAtStart)),
+    healthAtEnd: mean(records.map(record => record.healthAtEnd)),
+    ammoAtStart: mean(records.map(record => record.ammoAtStart)),
+    shotsFired: shotsFired / records.length,
+    accuracy: shotsFired > 0 ? sum(records.map(record => record.shotsHit)) / shotsFired : null,
+    ammoCollected: mean(records.map(record => record.ammoCollected)),
+    ammoRewarded: mean(records.map(record => record.ammoRewarded)),
+    ammoAtEnd: mean(records.map(record => record.ammoAtEnd))
+  };
+}
+
+/**
+ * Lays the reports out as CSV, one row per configuration and wave
+ * @param {Array<Object>} reports - Configuration reports from summarizeConfiguration()
+ * @returns {string} - The CSV, with a header row
+ */
+function formatCsv(reports) {
+  const settingNames = reports.length > 0 ? Object.keys(reports[0].settings) : [];
+  const statNames = reports.length > 0 && reports[0].waves.length > 0 ? Object.keys(reports[0].waves[0]) : [];
+  const rows = [[...settingNames, ...statNames]];
+  
+  for (const report of reports) {
+    for (const waveReport of report.waves) {
+      rows.push([
+        ...settingNames.map(name => report.settings[name]),
+        ...statNames.map(name => roundStat(waveReport[name]))
+      ]);
+    }
+  }
+  return rows.map(row => row.map(formatCsvField).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Quotes a CSV field if it needs it
+ * @param {*} value - Field value
+ * @returns {string} - The field as written
+ */
+function formatCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rounds a statistic for the CSV
+ * @param {*} value - Statistic
+ * @returns {*} - Numbers to 3 decimal places, anything else as is
+ */
+function roundStat(value) {
+  return typeof value === 'number' ? Math.round(value * 1000) / 1000 : value;
+}
+
+/**
+ * Adds up a list of numbers
+ * @param {Array<number>} values - Numbers
+ * @returns {number} - Their total
+ */
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+/**
+ * Averages a list of numbers
+ * @param {Array<number>} values - Numbers
+ * @returns {number|null} - Their mean, or null for an empty list
+ */
+function mean(values) {
+  return values.length > 0 ? sum(values) / values.length : null;
+}
+
+/**
+ * Finds a percentile of a list of numbers (nearest rank)
+ * @param {Array<number>} values - Numbers
+ * @param {number} fraction - Percentile as a fraction (0.9 for the 90th)
+ * @returns {number|null} - The value at that rank, or null for an empty list
+ */
+function percentile(values, fraction) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.max(0, Math.ceil(fraction * sorted.length) - 1)];
+}
@@ -0,0 +1,43 @@
+/**
+ * Headless environment - lets the game's modules load under Node with no page: a window global,
+ * the three.js loader, and quiet logging. Call setupHeadless() before importing any game module.
+ */
+import { register } from 'node:module';
+
+/**
+ * Prepares Node to load the game's modules
+ * @param {Object} options - { verbose } - keep the modules' console.log output (off by default, it's a lot)
+ */
+export function setupHeadless(options = {}) {
+  const { verbose = false } = options;
+  
+  // The modules hang shared functions and state off window
+  if (typeof globalThis.window === 'undefined') {
+    globalThis.window = globalThis;
+  }
+  
+  register('./three-loader.mjs', import.meta.url);
+  
+  if (!verbose) {
+    console.log = () => {};
+  }
+}
+
+/**
+ * Loads the simulation and its input sources once the environment is ready
+ * @returns {Promise<Object>} - The simulation and simulationInput modules' exports, merged, and the
+ *   gameplay and enemy balance defaults
+ */
+export function loadSimulation() {
+  return Promise.all([
+    import('../modules/simulation.js'),
+    import('../modules/simulationInput.js'),
+    import('../modules/match.js'),
+    import('../modules/enemies.js')
+  ]).then(([simulation, simulationInput, match, enemies]) => ({
+    ...simulation,
+    ...simulationInput,
+    GAMEPLAY_DEFAULTS: match.GAMEPLAY_DEFAULTS,
+    ENEMY_BALANCE_DEFAULTS: enemies.ENEMY_BALANCE_DEFAULTS
+  }));
+}
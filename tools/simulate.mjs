@@ -0,0 +1,51 @@
+/**
+ * Plays one headless match and prints its result as JSON
+ *
+ *   node tools/simulate.mjs [--seed beach-42] [--waves 5] [--max-time 1800] [--stall-time 120]
+ *                           [--script moves.json] [--wave-file data/waves.json | --procedural] [--verbose]
+ *
+ * The bot plays unless --script gives a JSON array of timed controls (see modules/simulationInput.js).
+ */
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { setupHeadless, loadSimulation } from './headless.mjs';
+
+const DEFAULT_WAVE_FILE = new URL('../data/waves.json', import.meta.url); // The game's own wave list
+
+const { values: args } = parseArgs({
+  options: {
+    seed: { type: 'string' },
+    waves: { type: 'string' },
+    'max-time': { type: 'string' },
+    'stall-time': { type: 'string' },
+    script: { type: 'string' },
+    'wave-file': { type: 'string' },
+    procedural: { type: 'boolean', default: false },
+    verbose: { type: 'boolean', default: false }
+  }
+});
+
+setupHeadless({ verbose: args.verbose });
+
+loadSimulation().then(({ createSimulation, runSimulation, createBotInput, createScriptedInput }) => {
+  const input = args.script ?
+    createScriptedInput(JSON.parse(readFileSync(args.script, 'utf8'))) :
+    createBotInput();
+  const waveDefinitions = args.procedural ? null :
+    JSON.parse(readFileSync(args['wave-file'] || DEFAULT_WAVE_FILE, 'utf8'));
+  
+  const sim = createSimulation({
+    seed: args.seed,
+    input: input,
+    waveDefinitions: waveDefinitions,
+    maxWaves: args.waves ? Number(args.waves) : undefined,
+    maxTime: args['max-time'] ? Number(args['max-time']) : undefined,
+    stallTime: args['stall-time'] ? Number(args['stall-time']) : undefined
+  });
+  return runSimulation(sim);
+}).then((result) => {
+  process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+}).catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
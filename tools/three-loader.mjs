@@ -0,0 +1,36 @@
+/**
+ * Node module loader for the headless tools - points the game's three.js CDN import at the three
+ * package from package.json, and loads the game's .js files as ES modules
+ */
+
+const THREE_CDN_PREFIX = 'https://cdnjs.cloudflare.com/ajax/libs/three.js/'; // Every module imports three from here
+const THREE_PACKAGE_ENTRY = 'three/build/three.module.js';
+const REPO_URL = new URL('../', import.meta.url).href;
+
+/**
+ * Resolves the CDN URL to the installed three package
+ * @param {string} specifier - Import specifier
+ * @param {Object} context - Resolve context
+ * @param {Function} nextResolve - Node's resolver
+ * @returns {Promise<Object>} - The resolved module
+ */
+export function resolve(specifier, context, nextResolve) {
+  if (specifier.startsWith(THREE_CDN_PREFIX)) {
+    return nextResolve(THREE_PACKAGE_ENTRY, { ...context, parentURL: import.meta.url });
+  }
+  return nextResolve(specifier, context);
+}
+
+/**
+ * Loads the game's own .js files as ES modules - package.json doesn't say so, as the browser doesn't need it
+ * @param {string} url - Module URL
+ * @param {Object} context - Load context
+ * @param {Function} nextLoad - Node's loader
+ * @returns {Promise<Object>} - The loaded module
+ */
+export function load(url, context, nextLoad) {
+  if (url.startsWith(REPO_URL) && url.endsWith('.js') && !url.includes('/node_modules/')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}